@@ -0,0 +1,46 @@
+import { MockApiServer } from '../test/support/mock-api-server.js';
+
+/**
+ * Run the offline STRATZ/OpenDota stand-in for local development
+ *
+ *   npm run mock-api -- [--port 4000] [--record fixtures.json] [fixture.json ...]
+ *
+ * Serves the given fixture files (later files win). With --record, requests with no fixture
+ * are forwarded to the real APIs and their responses appended to the record file.
+ * Point the bot at it with STRATZ_API_URL, OPENDOTA_API_URL and DOTABUFF_URL (printed on start).
+ */
+function parseArgs(argv) {
+  const options = { port: 4000, recordFile: null, fixtures: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--record') {
+      options.recordFile = argv[++i];
+    } else {
+      options.fixtures.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+const { port, recordFile, fixtures } = parseArgs(process.argv.slice(2));
+const server = new MockApiServer({
+  recordFile,
+  onRequest: (request, source) => {
+    console.log(`${source.padEnd(9)} ${request.provider} ${request.operation || `${request.method} ${request.path}`}`);
+  }
+});
+server.use(...await Promise.all(fixtures.map(file => MockApiServer.loadFixture(file))));
+await server.start(port);
+
+console.log(`Mock API listening${recordFile ? `, recording to ${recordFile}` : ''}`);
+console.log(`  STRATZ_API_URL=${server.stratzUrl}`);
+console.log(`  OPENDOTA_API_URL=${server.openDotaUrl}`);
+console.log(`  DOTABUFF_URL=${server.dotabuffUrl}`);
+
+const stop = async () => {
+  await server.stop();
+  process.exit(0);
+};
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
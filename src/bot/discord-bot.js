@@ -89,35 +89,79 @@ export class DiscordBot {
     return this.client.channels.cache.get(this.channelId);
   }
 
+  /**
+   * Resolve a channel by ID, falling back to the API on a cache miss
+   */
+  async resolveChannel(channelId) {
+    const cached = this.client.channels.cache.get(channelId);
+    if (cached) return cached;
+
+    try {
+      return await this.client.channels.fetch(channelId);
+    } catch (error) {
+      logger.debug(`resolveChannel: fetch failed for ${channelId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Send message to notification channel
    */
   async sendNotification(content, embed = null) {
-    try {
-      const channel = this.getNotificationChannel();
-      if (!channel) {
-        logger.error(`sendNotification: Channel ${this.channelId} not found`);
-        return false;
-      }
+    if (!this.channelId) {
+      logger.error('sendNotification: no default notification channel configured');
+      return false;
+    }
+    return this.sendToChannel(this.channelId, content, embed);
+  }
 
+  /**
+   * Send message to a specific channel
+   */
+  async sendToChannel(channelId, content, embed = null) {
+    try {
       const options = {};
       if (embed) {
         options.embeds = [embed];
-        logger.debug(`sendNotification: sending embed titled "${embed.data?.title || 'untitled'}" to channel ${this.channelId}`);
+        logger.debug(`sendToChannel: sending embed titled "${embed.data?.title || 'untitled'}" to channel ${channelId}`);
       } else {
         options.content = content;
-        logger.debug(`sendNotification: sending text message (${content?.length || 0} chars) to channel ${this.channelId}`);
+        logger.debug(`sendToChannel: sending text message (${content?.length || 0} chars) to channel ${channelId}`);
       }
 
-      await channel.send(options);
-      logger.debug('sendNotification: message sent successfully');
+      await this.deliverToChannel(channelId, options);
+      logger.debug('sendToChannel: message sent successfully');
       return true;
     } catch (error) {
-      logger.error(`sendNotification: FAILED - ${error.message}`);
+      logger.error(`sendToChannel: FAILED for channel ${channelId} - ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * Send raw message options to a channel
+   * Throws on failure so callers (e.g. the notification outbox) can decide whether to retry
+   */
+  async deliverToChannel(channelId, options) {
+    const channel = await this.resolveChannel(channelId);
+    if (!channel) {
+      throw new Error(`Channel ${channelId} not found`);
+    }
+    return channel.send(options);
+  }
+
+  /**
+   * Edit a message previously sent by the bot
+   * Throws on failure (e.g. Discord error 10008 if the message was deleted)
+   */
+  async editMessage(channelId, messageId, options) {
+    const channel = await this.resolveChannel(channelId);
+    if (!channel) {
+      throw new Error(`Channel ${channelId} not found`);
+    }
+    return channel.messages.edit(messageId, options);
+  }
+
   /**
    * Register a command
    */
@@ -1,5 +1,6 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
 
 /**
  * /achievements command - Display achievements (feats)
@@ -10,7 +11,7 @@ export const achievementsCommand = {
     .setName('achievements')
     .setDescription('Display your achievements'),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, accountId) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, accountId) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -24,7 +25,7 @@ export const achievementsCommand = {
 
     try {
       logger.debug(`/achievements: fetching feats for account ${accountId}`);
-      const feats = await stratzClient.getPlayerAchievements(accountId);
+      const feats = await dataSource.getPlayerAchievements(accountId);
 
       const achievements = dataProcessor.processAchievements(feats);
       logger.debug(`/achievements: processed ${achievements.length} achievements`);
@@ -33,7 +34,7 @@ export const achievementsCommand = {
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing achievements command:', error);
-      await interaction.editReply('An error occurred while fetching achievements.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching achievements.'));
     }
   }
 };
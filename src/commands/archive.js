@@ -0,0 +1,111 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { formatDateLabel } from '../utils/timezone.js';
+import { withPriority, PRIORITY } from '../core/rate-limiter.js';
+
+// STRATZ returns at most 100 matches per request
+const PAGE_SIZE = 100;
+
+function isArchiveAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * /archive command - Local match archive status and bulk history import
+ */
+export const archiveCommand = {
+  data: new SlashCommandBuilder()
+    .setName('archive')
+    .setDescription('Local match archive used by /history')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sub) => sub.setName('status').setDescription('Show how many matches are archived'))
+    .addSubcommand((sub) =>
+      sub
+        .setName('import')
+        .setDescription('Import a player\'s match history from STRATZ (Manage Server)')
+        .addStringOption((o) => o.setName('player').setDescription('Friend name or account ID').setRequired(true))
+        .addIntegerOption((o) =>
+          o.setName('days').setDescription('Only import the last N days (default: whole history)').setMinValue(1)
+        )
+    ),
+
+  /**
+   * Page through a player's matches since a timestamp, archiving each page as it arrives
+   * (the API clients archive every match they fetch)
+   * A whole-history import is bulk work, so it queues behind commands like polling does.
+   * @returns {Promise<number>} Number of matches fetched
+   */
+  async importPlayerHistory(dataSource, accountId, sinceTimestamp, onProgress = null) {
+    return withPriority(PRIORITY.BACKGROUND, async () => {
+      let fetched = 0;
+      for (;;) {
+        const page = await dataSource.getPlayerMatchesSince(accountId, sinceTimestamp, PAGE_SIZE, fetched);
+        fetched += page.length;
+        if (onProgress) await onProgress(fetched);
+        if (page.length < PAGE_SIZE) return fetched;
+      }
+    });
+  },
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../core/match-archive.js').MatchArchive} matchArchive
+   * @param {import('../services/data-source.js').DataSource} dataSource
+   * @param {import('../utils/friends-manager.js').FriendsManager} friendsManager
+   * @param {string} timeZone
+   */
+  async execute(interaction, matchArchive, dataSource, friendsManager, timeZone) {
+    const sub = interaction.options.getSubcommand(true);
+
+    if (sub === 'status') {
+      const stats = matchArchive.getStats();
+      const range = stats.oldest
+        ? `${formatDateLabel(stats.oldest, timeZone)} to ${formatDateLabel(stats.newest, timeZone)}`
+        : 'empty';
+      await interaction.reply({
+        content: `📚 **Match archive:** ${stats.matches} matches (${stats.playerRows} player rows, ${stats.multiKillResults} multi-kill results) · ${range}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (!isArchiveAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to import match history.', ephemeral: true });
+      return;
+    }
+
+    const playerQuery = interaction.options.getString('player', true);
+    const player = friendsManager?.findPlayer(playerQuery);
+    const accountIds = player ? player.allIds : (/^\d+$/.test(playerQuery.trim()) ? [playerQuery.trim()] : null);
+    if (!accountIds) {
+      await interaction.reply({ content: `Player "${playerQuery}" not found in the friends list.`, ephemeral: true });
+      return;
+    }
+
+    const days = interaction.options.getInteger('days');
+    const sinceTimestamp = days ? Math.floor(Date.now() / 1000) - days * 24 * 60 * 60 : 0;
+    const name = player?.name || playerQuery;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const before = matchArchive.getStats(accountIds).playerMatches;
+      let fetched = 0;
+
+      for (const accountId of accountIds) {
+        const count = await this.importPlayerHistory(dataSource, accountId, sinceTimestamp, async (total) => {
+          await interaction.editReply(`📥 Importing ${name} (${accountId}): ${fetched + total} matches fetched...`);
+        });
+        fetched += count;
+      }
+
+      const after = matchArchive.getStats(accountIds).playerMatches;
+      logger.info(`/archive import: ${name} - fetched ${fetched}, ${after - before} new, ${after} archived`);
+      await interaction.editReply(`✅ Imported ${name}: fetched ${fetched} matches, ${after - before} new. ${after} of their matches are now archived.`);
+    } catch (error) {
+      logger.error('Error executing archive import:', error);
+      const after = matchArchive.getStats(accountIds).playerMatches;
+      await interaction.editReply(`❌ Import stopped: ${error.message}. ${after} of ${name}'s matches are archived so far - run it again to continue.`);
+    }
+  }
+};
@@ -0,0 +1,67 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+
+function isCacheAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * /cache command - STRATZ response cache statistics and flushing
+ */
+export const cacheCommand = {
+  data: new SlashCommandBuilder()
+    .setName('cache')
+    .setDescription('STRATZ response cache (Manage Server)')
+    .addSubcommand((sub) => sub.setName('stats').setDescription('Show cached entries and hit rates per query'))
+    .addSubcommand((sub) =>
+      sub
+        .setName('flush')
+        .setDescription('Drop cached responses so the next requests go to STRATZ')
+        .addStringOption((o) =>
+          o.setName('operation').setDescription('Only this query, e.g. "GetPlayer" - omit to flush everything').setRequired(false)
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../core/response-cache.js').ResponseCache} responseCache
+   */
+  async execute(interaction, responseCache) {
+    if (!isCacheAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to manage the cache.', ephemeral: true });
+      return;
+    }
+
+    const sub = interaction.options.getSubcommand(true);
+
+    if (sub === 'flush') {
+      const operation = interaction.options.getString('operation')?.trim() || null;
+      const removed = responseCache.flush(operation);
+      await responseCache.save();
+      logger.info(`/cache flush: removed ${removed} entries${operation ? ` for ${operation}` : ''} (by ${interaction.user.tag})`);
+      await interaction.reply({
+        content: `🧹 Removed ${removed} cached response(s)${operation ? ` for **${operation}**` : ''}.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    const { entries, operations } = responseCache.getStats();
+    const lines = Object.entries(operations)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([operation, s]) => {
+        const lookups = s.hits + s.misses + s.shared;
+        const hitRate = lookups > 0 ? `${(((s.hits + s.shared) / lookups) * 100).toFixed(0)}%` : '-';
+        return `\`${operation}\` · ${s.entries} cached · ${s.hits} hits, ${s.shared} shared, ${s.misses} misses (${hitRate})`;
+      });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🗄️ Response Cache')
+      .setColor(0x00AE86)
+      .setDescription(lines.length > 0 ? lines.join('\n') : 'Nothing cached yet.')
+      .setFooter({ text: `${entries} entries · counters since startup` });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
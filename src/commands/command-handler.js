@@ -13,16 +13,33 @@ import { dailyallCommand } from './dailyall.js';
 import { rampageCommand } from './rampage.js';
 import { metaCommand } from './meta.js';
 import { entranceCommand } from './entrance.js';
+import { notificationsCommand } from './notifications.js';
+import { outboxCommand } from './outbox.js';
+import { streaksCommand } from './streaks.js';
+import { weeklyCommand } from './weekly.js';
+import { monthlyCommand } from './monthly.js';
+import { timezoneCommand } from './timezone.js';
+import { historyCommand } from './history.js';
+import { archiveCommand } from './archive.js';
+import { cacheCommand } from './cache.js';
+import { statusCommand } from './status.js';
+import { proxiesCommand } from './proxies.js';
+import { parsesCommand } from './parses.js';
+import { compareCommand } from './compare.js';
+import { leaderboardCommand } from './leaderboard.js';
 import { logger } from '../utils/logger.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { withPriority, PRIORITY } from '../core/rate-limiter.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
 
 /**
  * Command handler to register and route slash commands
  * Updated to use STRATZ API
  */
 export class CommandHandler {
-  constructor(discordBot, stratzClient, dataProcessor, messageFormatter, accountId, friendsManager = null, heroMap = null, openDotaClient = null, entranceStore = null, entranceVoice = null) {
+  constructor(discordBot, dataSource, dataProcessor, messageFormatter, accountId, friendsManager = null, heroMap = null, openDotaClient = null, entranceStore = null, entranceVoice = null, guildSettings = null, outbox = null, stateCache = null, periodSummaryService = null, timeZone = DEFAULT_TIMEZONE, matchArchive = null, responseCache = null, proxyPool = null, parseTracker = null) {
     this.discordBot = discordBot;
-    this.stratzClient = stratzClient;
+    this.dataSource = dataSource;
     this.dataProcessor = dataProcessor;
     this.messageFormatter = messageFormatter;
     this.accountId = accountId;
@@ -31,6 +48,15 @@ export class CommandHandler {
     this.openDotaClient = openDotaClient;
     this.entranceStore = entranceStore;
     this.entranceVoice = entranceVoice;
+    this.guildSettings = guildSettings;
+    this.outbox = outbox;
+    this.stateCache = stateCache;
+    this.periodSummaryService = periodSummaryService;
+    this.timeZone = timeZone;
+    this.matchArchive = matchArchive;
+    this.responseCache = responseCache;
+    this.proxyPool = proxyPool;
+    this.parseTracker = parseTracker;
 
     this.setupCommands();
     this.setupInteractionHandler();
@@ -54,17 +80,39 @@ export class CommandHandler {
     this.discordBot.registerCommand(rampageCommand);
     this.discordBot.registerCommand(metaCommand);
     this.discordBot.registerCommand(entranceCommand);
+    this.discordBot.registerCommand(notificationsCommand);
+    this.discordBot.registerCommand(outboxCommand);
+    this.discordBot.registerCommand(streaksCommand);
+    this.discordBot.registerCommand(weeklyCommand);
+    this.discordBot.registerCommand(monthlyCommand);
+    this.discordBot.registerCommand(timezoneCommand);
+    this.discordBot.registerCommand(historyCommand);
+    this.discordBot.registerCommand(archiveCommand);
+    this.discordBot.registerCommand(cacheCommand);
+    this.discordBot.registerCommand(statusCommand);
+    this.discordBot.registerCommand(proxiesCommand);
+    this.discordBot.registerCommand(parsesCommand);
+    this.discordBot.registerCommand(compareCommand);
+    this.discordBot.registerCommand(leaderboardCommand);
 
     logger.info(`Registered ${this.discordBot.getCommands().size} commands`);
   }
 
+  /**
+   * Timezone for the server a command was used in (falls back to the global timezone)
+   */
+  getTimeZone(interaction) {
+    return this.guildSettings?.getEffectiveTimezone(interaction.guildId) ?? this.timeZone;
+  }
+
   /**
    * Setup interaction handler
    */
   setupInteractionHandler() {
     const client = this.discordBot.getClient();
 
-    client.on(Events.InteractionCreate, async interaction => {
+    // API requests made while handling a command are served ahead of background polling
+    client.on(Events.InteractionCreate, interaction => withPriority(PRIORITY.INTERACTIVE, async () => {
       if (!interaction.isChatInputCommand()) return;
 
       const command = this.discordBot.getCommand(interaction.commandName);
@@ -80,35 +128,103 @@ export class CommandHandler {
 
         // Execute command with STRATZ client
         if (interaction.commandName === 'profile') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.accountId);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.accountId);
         } else if (interaction.commandName === 'recent') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.accountId);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.accountId);
         } else if (interaction.commandName === 'stats') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.accountId);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.accountId);
         } else if (interaction.commandName === 'heroes') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.accountId);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.accountId);
         } else if (interaction.commandName === 'live') {
-          await command.execute(interaction, this.stratzClient, this.messageFormatter, this.accountId, this.friendsManager);
+          await command.execute(interaction, this.dataSource, this.messageFormatter, this.accountId, this.friendsManager);
         } else if (interaction.commandName === 'achievements') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.accountId);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.accountId);
         } else if (interaction.commandName === 'match') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.accountId);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.accountId);
         } else if (interaction.commandName === 'search') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.friendsManager);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.friendsManager);
+        } else if (interaction.commandName === 'compare') {
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.friendsManager, this.matchArchive);
         } else if (interaction.commandName === 'listfriends') {
           await command.execute(interaction, this.friendsManager);
         } else if (interaction.commandName === 'dailyall') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.friendsManager, this.openDotaClient);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.friendsManager, this.openDotaClient, this.getTimeZone(interaction));
         } else if (interaction.commandName === 'rampage') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter, this.friendsManager, this.heroMap);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter, this.friendsManager, this.heroMap, this.getTimeZone(interaction));
         } else if (interaction.commandName === 'meta') {
-          await command.execute(interaction, this.stratzClient, this.dataProcessor, this.messageFormatter);
+          await command.execute(interaction, this.dataSource, this.dataProcessor, this.messageFormatter);
         } else if (interaction.commandName === 'entrance') {
           if (!this.entranceStore || !this.entranceVoice) {
             await interaction.reply({ content: 'Entrance sounds are not initialized.', ephemeral: true });
             return;
           }
           await command.execute(interaction, this.entranceStore, this.entranceVoice);
+        } else if (interaction.commandName === 'notifications') {
+          if (!this.guildSettings) {
+            await interaction.reply({ content: 'Notification routing is not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.guildSettings);
+        } else if (interaction.commandName === 'outbox') {
+          if (!this.outbox) {
+            await interaction.reply({ content: 'Notification outbox is not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.outbox);
+        } else if (interaction.commandName === 'streaks') {
+          if (!this.stateCache) {
+            await interaction.reply({ content: 'Streak tracking is not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.stateCache, this.messageFormatter, this.friendsManager, this.accountId);
+        } else if (interaction.commandName === 'weekly' || interaction.commandName === 'monthly') {
+          if (!this.periodSummaryService) {
+            await interaction.reply({ content: 'Recaps are not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.periodSummaryService, this.getTimeZone(interaction));
+        } else if (interaction.commandName === 'timezone') {
+          if (!this.guildSettings) {
+            await interaction.reply({ content: 'Server settings are not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.guildSettings, this.timeZone);
+        } else if (interaction.commandName === 'history' || interaction.commandName === 'archive') {
+          if (!this.matchArchive) {
+            await interaction.reply({ content: 'Match archive is not initialized.', ephemeral: true });
+            return;
+          }
+          if (interaction.commandName === 'history') {
+            await command.execute(interaction, this.matchArchive, this.dataProcessor, this.messageFormatter, this.friendsManager, this.accountId, this.getTimeZone(interaction));
+          } else {
+            await command.execute(interaction, this.matchArchive, this.dataSource, this.friendsManager, this.getTimeZone(interaction));
+          }
+        } else if (interaction.commandName === 'leaderboard') {
+          if (!this.matchArchive) {
+            await interaction.reply({ content: 'Match archive is not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.matchArchive, this.dataProcessor, this.messageFormatter, this.friendsManager);
+        } else if (interaction.commandName === 'cache') {
+          if (!this.responseCache) {
+            await interaction.reply({ content: 'Response cache is not enabled.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.responseCache);
+        } else if (interaction.commandName === 'status') {
+          await command.execute(interaction, this.dataSource);
+        } else if (interaction.commandName === 'proxies') {
+          if (!this.proxyPool || this.proxyPool.size === 0) {
+            await interaction.reply({ content: 'No STRATZ proxies are configured.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.proxyPool);
+        } else if (interaction.commandName === 'parses') {
+          if (!this.parseTracker) {
+            await interaction.reply({ content: 'Parse tracking is not initialized.', ephemeral: true });
+            return;
+          }
+          await command.execute(interaction, this.parseTracker);
         }
       } catch (error) {
         logger.error(`Error executing command ${interaction.commandName}:`, error);
@@ -119,7 +235,7 @@ export class CommandHandler {
           return;
         }
         
-        const errorMessage = 'An error occurred while executing this command. Please try again.';
+        const errorMessage = userErrorMessage(error, 'An error occurred while executing this command. Please try again.');
 
         try {
           if (interaction.replied || interaction.deferred) {
@@ -134,7 +250,7 @@ export class CommandHandler {
           }
         }
       }
-    });
+    }));
   }
 
   /**
@@ -0,0 +1,158 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
+
+const PERIODS = {
+  '7d': '7 days',
+  '30d': '30 days',
+  all: 'All time'
+};
+
+const PERIOD_DAYS = { '7d': 7, '30d': 30 };
+
+// Matches fetched per account: everything in a period (up to a cap), or the latest few for all time
+const MAX_PERIOD_MATCHES = 100;
+const RECENT_MATCHES = 20;
+
+/**
+ * /compare command - Two friends side by side, across all of each one's linked accounts
+ */
+export const compareCommand = {
+  data: new SlashCommandBuilder()
+    .setName('compare')
+    .setDescription('Compare two players head to head')
+    .addStringOption(option =>
+      option.setName('player1')
+        .setDescription('Friend name or account ID')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('player2')
+        .setDescription('Friend name or account ID')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('period')
+        .setDescription('Which matches to compare (default: 30 days)')
+        .setRequired(false)
+        .addChoices(...Object.entries(PERIODS).map(([value, name]) => ({ name, value })))),
+
+  /**
+   * Start of a period in unix seconds (null for all time)
+   */
+  getPeriodStart(period, now = Date.now()) {
+    return PERIOD_DAYS[period] ? Math.floor(now / 1000) - PERIOD_DAYS[period] * 24 * 60 * 60 : null;
+  },
+
+  /**
+   * Stats, top heroes, rank and multi-kills for one player, summed over their linked accounts
+   * @param {{name: string, allIds: string[]}} player - From FriendsManager.findPlayer
+   * @param {?number} since - Period start (unix seconds), null for all time
+   */
+  async getPlayerSummary(player, since, dataSource, dataProcessor, matchArchive) {
+    const ids = player.allIds;
+
+    const matchLists = await Promise.all(ids.map(id => since === null
+      ? dataSource.getRecentMatches(id, RECENT_MATCHES)
+      : dataSource.getPlayerMatchesSince(id, since, MAX_PERIOD_MATCHES)));
+    const byId = new Map(matchLists.flat().filter(Boolean).map(match => [String(match.id), match]));
+    let matches = [...byId.values()].sort((a, b) => (b.startDateTime ?? 0) - (a.startDateTime ?? 0));
+    if (since === null) matches = matches.slice(0, RECENT_MATCHES);
+    const processed = dataProcessor.processRecentMatches(matches);
+    const sources = [...matchLists];
+
+    // A period's record comes from its matches; all time uses each account's totals
+    let winLoss;
+    let heroes;
+    if (since === null) {
+      const [totals, heroLists] = await Promise.all([
+        Promise.all(ids.map(id => dataSource.getPlayerWinLoss(id))),
+        Promise.all(ids.map(id => dataSource.getPlayerHeroes(id)))
+      ]);
+      sources.push(...totals, ...heroLists);
+      winLoss = {
+        win: totals.reduce((sum, t) => sum + (t?.win ?? 0), 0),
+        lose: totals.reduce((sum, t) => sum + (t?.lose ?? 0), 0)
+      };
+      const heroesById = new Map();
+      for (const hero of heroLists.flat().filter(Boolean)) {
+        const merged = heroesById.get(hero.heroId) || { heroId: hero.heroId, matchCount: 0, winCount: 0, imp: null };
+        merged.matchCount += hero.matchCount || 0;
+        merged.winCount += hero.winCount || 0;
+        heroesById.set(hero.heroId, merged);
+      }
+      heroes = dataProcessor.processHeroStats([...heroesById.values()]);
+    } else {
+      const wins = processed.filter(match => match.win).length;
+      winLoss = { win: wins, lose: processed.length - wins };
+      heroes = dataProcessor.processHeroStatsFromMatches(processed);
+    }
+
+    // Best rank across the linked accounts; a failed rank lookup just shows as unranked
+    const ranks = await Promise.all(ids.map(id => dataSource.getPlayerRank(id).catch(() => null)));
+    const rank = ranks.filter(r => r?.rank).sort((a, b) => b.rank - a.rank)[0] || null;
+
+    // Shared matches are looked up in the archive too, which has every match seen while polling
+    const archived = matchArchive ? dataProcessor.processRecentMatches(matchArchive.getPlayerMatches(ids, { since })) : [];
+    const sharedCandidates = [...new Map([...archived, ...processed].map(match => [String(match.matchId), match])).values()];
+
+    return {
+      name: player.name,
+      stats: dataProcessor.processPlayerStatsWithMatches(null, winLoss, matches),
+      heroes: heroes.slice(0, 3),
+      rank,
+      multiKills: matchArchive ? matchArchive.getMultiKillTotals(ids, { since }) : null,
+      matchCount: processed.length,
+      sharedCandidates,
+      providers: sources.map(getProvider).filter(Boolean)
+    };
+  },
+
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, friendsManager, matchArchive = null) {
+    const queries = [interaction.options.getString('player1'), interaction.options.getString('player2')];
+    const period = interaction.options.getString('period') || '30d';
+
+    const players = queries.map(query => friendsManager?.findPlayer(query));
+    const missing = queries.filter((_, i) => !players[i]);
+    if (missing.length > 0) {
+      await interaction.reply({ content: `Player "${missing[0]}" not found in the friends list.`, ephemeral: true });
+      return;
+    }
+    if (players[0].name === players[1].name) {
+      await interaction.reply({ content: 'Pick two different players to compare.', ephemeral: true });
+      return;
+    }
+
+    // Defer immediately to prevent interaction timeout
+    try {
+      await interaction.deferReply();
+    } catch (error) {
+      if (error.code === 10062) {
+        logger.error('Interaction expired before deferReply could complete');
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const since = this.getPeriodStart(period);
+      logger.debug(`/compare: ${players.map(p => `${p.name}[${p.allIds.join(', ')}]`).join(' vs ')}, since=${since}`);
+
+      const [left, right] = await Promise.all(
+        players.map(player => this.getPlayerSummary(player, since, dataSource, dataProcessor, matchArchive))
+      );
+      const headToHead = dataProcessor.processHeadToHead(left.sharedCandidates, right.sharedCandidates);
+
+      const basis = since === null ? `averages over the last ${RECENT_MATCHES} matches` : `${left.matchCount} vs ${right.matchCount} matches`;
+      const providers = [...new Set([...left.providers, ...right.providers])];
+      const embed = messageFormatter.addProviderFooter(
+        messageFormatter.formatComparison({ periodLabel: PERIODS[period], left, right, headToHead, footer: basis }),
+        providers.join(' + ')
+      );
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      logger.error('Error executing compare command:', error);
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while comparing players.'));
+    }
+  }
+};
@@ -1,9 +1,10 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
 
 /**
  * /dailyall command - Show daily summary for all players
- * Uses STRATZ API - Shows previous day (UK time)
+ * Uses STRATZ API - Shows the last 24 hours, labelled in the server's timezone
  */
 export const dailyallCommand = {
   data: new SlashCommandBuilder()
@@ -13,12 +14,12 @@ export const dailyallCommand = {
   /**
    * Get the time range for the last 24 hours from current time
    */
-  getLast24HoursRange() {
+  getLast24HoursRange(messageFormatter, timeZone) {
     const now = new Date();
     const endTimestamp = Math.floor(now.getTime() / 1000);
     const startTimestamp = endTimestamp - (24 * 60 * 60); // 24 hours ago
 
-    const dateString = 'Last 24 hours';
+    const dateString = messageFormatter.formatRollingDayLabel(endTimestamp, timeZone);
 
     return {
       startTimestamp,
@@ -27,7 +28,7 @@ export const dailyallCommand = {
     };
   },
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, friendsManager, openDotaClient = null) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, friendsManager, openDotaClient = null, timeZone) {
     try {
       await interaction.deferReply();
     } catch (error) {
@@ -45,7 +46,7 @@ export const dailyallCommand = {
         return;
       }
 
-      const { startTimestamp, endTimestamp, dateString } = this.getLast24HoursRange();
+      const { startTimestamp, endTimestamp, dateString } = this.getLast24HoursRange(messageFormatter, timeZone);
       logger.info(`/dailyall: date=${dateString}, range=${new Date(startTimestamp * 1000).toISOString()} to ${new Date(endTimestamp * 1000).toISOString()}`);
       await interaction.editReply(`⏳ Generating daily summary for ${dateString}... This may take a moment.`);
 
@@ -80,7 +81,7 @@ export const dailyallCommand = {
                 accountMatches = openDotaClient.convertToStratzFormat(filtered, accountId);
                 logger.debug(`/dailyall: ${friend.name} account ${accountId} -> OpenDota returned ${odMatches.length}, ${accountMatches.length} in range`);
               } else {
-                const stratzMatches = await stratzClient.getPlayerMatchesSince(accountId, startTimestamp, 50);
+                const stratzMatches = await dataSource.getPlayerMatchesSince(accountId, startTimestamp, 50);
                 accountMatches = stratzMatches.filter(m => m.startDateTime >= startTimestamp && m.startDateTime <= endTimestamp);
                 logger.debug(`/dailyall: ${friend.name} account ${accountId} -> STRATZ returned ${stratzMatches.length}, ${accountMatches.length} in range`);
               }
@@ -112,8 +113,8 @@ export const dailyallCommand = {
 
           try {
             logger.debug(`/dailyall: ${friend.name}: fetching feats for account ${bestAccountId}`);
-            const feats = await stratzClient.getPlayerAchievements(bestAccountId, 200);
-            const multiKillFeats = stratzClient.getMultiKillFeatsFromMatches(feats, matchIds);
+            const feats = await dataSource.getPlayerAchievements(bestAccountId, 200);
+            const multiKillFeats = dataSource.getMultiKillFeatsFromMatches(feats, matchIds);
 
             summary.rampages = multiKillFeats.filter(f => f.type === 'RAMPAGE').length;
             summary.ultraKills = multiKillFeats.filter(f => f.type === 'ULTRA_KILL').length;
@@ -123,7 +124,7 @@ export const dailyallCommand = {
               const matchData = recentMatches.find(m => m.id === feat.matchId);
               if (matchData) {
                 const player = matchData.players?.[0];
-                const win = player?.isRadiant === matchData.didRadiantWin;
+                const win = player?.isVictory ?? (player?.isRadiant === matchData.didRadiantWin);
                 allRampages.push({
                   playerName: friend.name,
                   heroId: feat.heroId,
@@ -193,9 +194,9 @@ export const dailyallCommand = {
       if (error.code !== 10062) {
         try {
           if (interaction.deferred || interaction.replied) {
-            await interaction.editReply('An error occurred while generating the daily summary.');
+            await interaction.editReply(userErrorMessage(error, 'An error occurred while generating the daily summary.'));
           } else {
-            await interaction.reply({ content: 'An error occurred while generating the daily summary.', ephemeral: true });
+            await interaction.reply({ content: userErrorMessage(error, 'An error occurred while generating the daily summary.'), ephemeral: true });
           }
         } catch (replyError) {
           if (replyError.code !== 10062) {
@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
 
 /**
  * /heroes command - Show hero performance
@@ -16,7 +18,7 @@ export const heroesCommand = {
         .setMaxValue(20)
     ),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, accountId) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, accountId) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -32,7 +34,7 @@ export const heroesCommand = {
       const limit = interaction.options.getInteger('limit') || 10;
       logger.debug(`/heroes: fetching for account ${accountId}, limit=${limit}`);
 
-      const heroesData = await stratzClient.getPlayerHeroes(accountId);
+      const heroesData = await dataSource.getPlayerHeroes(accountId);
 
       if (!heroesData || heroesData.length === 0) {
         logger.debug(`/heroes: no hero data returned`);
@@ -42,12 +44,12 @@ export const heroesCommand = {
 
       const heroes = dataProcessor.processHeroStats(heroesData);
       logger.debug(`/heroes: processed ${heroes.length} heroes, showing top ${limit}`);
-      const embed = messageFormatter.formatHeroes(heroes, limit);
+      const embed = messageFormatter.addProviderFooter(messageFormatter.formatHeroes(heroes, limit), getProvider(heroesData));
 
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing heroes command:', error);
-      await interaction.editReply('An error occurred while fetching hero statistics.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching hero statistics.'));
     }
   }
 };
@@ -0,0 +1,98 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_TIMEZONE, getZonedParts, startOfZonedDay } from '../utils/timezone.js';
+
+const PERIODS = {
+  '7d': '7 days',
+  '30d': '30 days',
+  year: 'This year',
+  all: 'All time'
+};
+
+/**
+ * /history command - Search a player's games in the local match archive
+ * Answered entirely from the archive, so it makes no API calls
+ */
+export const historyCommand = {
+  data: new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Search archived games (e.g. all your Pudge games this year)')
+    .addStringOption(option =>
+      option.setName('player')
+        .setDescription('Friend name or account ID (default: you)')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('hero')
+        .setDescription('Hero name, e.g. "Pudge"')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('period')
+        .setDescription('How far back to look (default: this year)')
+        .setRequired(false)
+        .addChoices(...Object.entries(PERIODS).map(([value, name]) => ({ name, value }))))
+    .addIntegerOption(option =>
+      option.setName('limit')
+        .setDescription('Number of matches to list (default: 10)')
+        .setMinValue(1)
+        .setMaxValue(25)),
+
+  /**
+   * Start of a period in unix seconds (null for all time); "year" starts on 1 January in the timezone
+   */
+  getPeriodStart(period, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+    if (period === '7d') return Math.floor(now.getTime() / 1000) - 7 * 24 * 60 * 60;
+    if (period === '30d') return Math.floor(now.getTime() / 1000) - 30 * 24 * 60 * 60;
+    if (period === 'year') return startOfZonedDay(getZonedParts(now, timeZone).year, 0, 1, timeZone);
+    return null;
+  },
+
+  async execute(interaction, matchArchive, dataProcessor, messageFormatter, friendsManager, accountId, timeZone = DEFAULT_TIMEZONE) {
+    const playerQuery = interaction.options.getString('player');
+    const heroQuery = interaction.options.getString('hero');
+    const period = interaction.options.getString('period') || 'year';
+    const limit = interaction.options.getInteger('limit') || 10;
+
+    let playerName = 'You';
+    let accountIds = [accountId];
+    if (playerQuery) {
+      const player = friendsManager?.findPlayer(playerQuery);
+      if (!player) {
+        await interaction.reply({ content: `Player "${playerQuery}" not found in the friends list.`, ephemeral: true });
+        return;
+      }
+      playerName = player.name;
+      accountIds = player.allIds;
+    }
+
+    let heroId = null;
+    if (heroQuery) {
+      heroId = messageFormatter.findHeroId(heroQuery);
+      if (heroId === null) {
+        await interaction.reply({ content: `Unknown hero "${heroQuery}".`, ephemeral: true });
+        return;
+      }
+    }
+
+    try {
+      const since = this.getPeriodStart(period, timeZone);
+      const filters = { heroId, since };
+      logger.debug(`/history: accounts=[${accountIds.join(', ')}], heroId=${heroId}, since=${since}, timeZone=${timeZone}`);
+
+      const matches = dataProcessor.processRecentMatches(matchArchive.getPlayerMatches(accountIds, filters));
+      const multiKills = matchArchive.getMultiKillTotals(accountIds, filters);
+
+      const embed = messageFormatter.formatMatchHistory({
+        playerName,
+        heroId,
+        periodLabel: PERIODS[period],
+        matches,
+        limit,
+        multiKills
+      });
+      await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+      logger.error('Error executing history command:', error);
+      await interaction.reply({ content: 'An error occurred while searching the match archive.', ephemeral: true });
+    }
+  }
+};
@@ -0,0 +1,162 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Rolling windows, each compared with the window before it. "All time" is compared with the
+ * standings a week ago.
+ */
+const PERIODS = {
+  day: { name: 'Last 24 hours', seconds: DAY, minGames: 2 },
+  week: { name: 'Last 7 days', seconds: 7 * DAY, minGames: 5 },
+  month: { name: 'Last 30 days', seconds: 30 * DAY, minGames: 10 },
+  all: { name: 'All time', seconds: null, minGames: 20 }
+};
+
+const ALL_TIME_COMPARISON = 7 * DAY;
+
+/**
+ * Higher is better for every metric. Averages need the period's minimum number of games
+ * (counted from the games that have the value), so a 1-0 record can't top the board.
+ */
+const METRICS = {
+  winrate: {
+    name: 'Win rate',
+    value: stats => stats.winRate,
+    games: stats => stats.games,
+    format: value => `${value.toFixed(1)}%`
+  },
+  kda: {
+    name: 'KDA',
+    value: stats => stats.kda,
+    games: stats => stats.games,
+    format: value => value.toFixed(2)
+  },
+  gpm: {
+    name: 'GPM',
+    value: stats => stats.gpm,
+    games: stats => stats.gpmGames,
+    format: value => Math.round(value).toString()
+  },
+  imp: {
+    name: 'IMP',
+    value: stats => stats.imp,
+    games: stats => stats.impGames,
+    format: value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`
+  },
+  matches: {
+    name: 'Matches',
+    value: stats => stats.games,
+    format: value => value.toString()
+  },
+  rampages: {
+    name: 'Rampages',
+    value: stats => stats.rampages,
+    format: value => value.toString()
+  }
+};
+
+/**
+ * /leaderboard command - Rank every tracked friend by a metric over a period
+ * Answered from the local match archive across each friend's linked accounts, so it makes no API calls
+ */
+export const leaderboardCommand = {
+  data: new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Rank all tracked friends by a stat')
+    .addStringOption(option =>
+      option.setName('metric')
+        .setDescription('What to rank by (default: win rate)')
+        .setRequired(false)
+        .addChoices(...Object.entries(METRICS).map(([value, metric]) => ({ name: metric.name, value }))))
+    .addStringOption(option =>
+      option.setName('period')
+        .setDescription('Which matches count (default: last 7 days)')
+        .setRequired(false)
+        .addChoices(...Object.entries(PERIODS).map(([value, period]) => ({ name: period.name, value })))),
+
+  /**
+   * The period's window and the one it is compared with (unix seconds, end exclusive)
+   */
+  getRanges(period, now = Date.now()) {
+    const nowSeconds = Math.floor(now / 1000);
+    const { seconds } = PERIODS[period];
+    if (seconds === null) {
+      return { current: { since: null, until: null }, previous: { since: null, until: nowSeconds - ALL_TIME_COMPARISON } };
+    }
+    return {
+      current: { since: nowSeconds - seconds, until: null },
+      previous: { since: nowSeconds - 2 * seconds, until: nowSeconds - seconds }
+    };
+  },
+
+  /**
+   * Rank friends for one window
+   * @returns {{ ranked: Array<{name, stats, value}>, unranked: Array<{name, games}> }}
+   */
+  rank(friends, metric, minGames, range, matchArchive, dataProcessor) {
+    const ranked = [];
+    const unranked = [];
+
+    for (const friend of friends) {
+      const stats = dataProcessor.processLeaderboardStats(matchArchive.getPlayerMatches(friend.ids, range));
+      if (stats.games === 0) continue;
+
+      const games = metric.games ? metric.games(stats) : stats.games;
+      const value = metric.value(stats);
+      if (value === null || (metric.games && games < minGames)) {
+        unranked.push({ name: friend.name, games });
+        continue;
+      }
+      ranked.push({ name: friend.name, stats, value });
+    }
+
+    ranked.sort((a, b) => b.value - a.value || b.stats.games - a.stats.games || a.name.localeCompare(b.name));
+    return { ranked, unranked };
+  },
+
+  async execute(interaction, matchArchive, dataProcessor, messageFormatter, friendsManager) {
+    const metricKey = interaction.options.getString('metric') || 'winrate';
+    const periodKey = interaction.options.getString('period') || 'week';
+    const metric = METRICS[metricKey];
+    const period = PERIODS[periodKey];
+
+    if (!friendsManager) {
+      await interaction.reply({ content: 'Friends list not configured. Please configure FRIENDS_LIST in .env file.', ephemeral: true });
+      return;
+    }
+
+    try {
+      const friends = friendsManager.getAllFriends();
+      const ranges = this.getRanges(periodKey);
+      logger.debug(`/leaderboard: metric=${metricKey}, period=${periodKey}, ${friends.length} friend(s)`);
+
+      const current = this.rank(friends, metric, period.minGames, ranges.current, matchArchive, dataProcessor);
+      const previous = this.rank(friends, metric, period.minGames, ranges.previous, matchArchive, dataProcessor);
+      const previousPositions = new Map(previous.ranked.map((entry, index) => [entry.name, index]));
+
+      const entries = current.ranked.map((entry, index) => ({
+        name: entry.name,
+        value: metric.format(entry.value),
+        games: entry.stats.games,
+        wins: entry.stats.wins,
+        losses: entry.stats.losses,
+        movement: previousPositions.has(entry.name) ? previousPositions.get(entry.name) - index : null
+      }));
+
+      const embed = messageFormatter.formatLeaderboard({
+        metricName: metric.name,
+        periodLabel: period.name,
+        comparisonLabel: periodKey === 'all' ? 'a week ago' : 'the period before',
+        entries,
+        unranked: current.unranked,
+        minGames: metric.games ? period.minGames : null
+      });
+      await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+      logger.error('Error executing leaderboard command:', error);
+      await interaction.reply({ content: 'An error occurred while building the leaderboard.', ephemeral: true });
+    }
+  }
+};
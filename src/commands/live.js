@@ -1,5 +1,6 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
 
 /**
  * /live command - Check if any tracked player is in a live match
@@ -10,7 +11,7 @@ export const liveCommand = {
     .setName('live')
     .setDescription('Check if any tracked player is currently in a live match'),
 
-  async execute(interaction, stratzClient, messageFormatter, accountId, friendsManager) {
+  async execute(interaction, dataSource, messageFormatter, accountId, friendsManager) {
     try {
       await interaction.deferReply();
     } catch (error) {
@@ -23,7 +24,7 @@ export const liveCommand = {
 
     try {
       logger.debug(`/live: fetching live matches`);
-      const liveMatches = await stratzClient.getLiveMatches();
+      const liveMatches = await dataSource.getLiveMatches();
 
       if (!liveMatches || liveMatches.length === 0) {
         logger.debug(`/live: no live matches on STRATZ`);
@@ -95,7 +96,7 @@ export const liveCommand = {
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing live command:', error);
-      await interaction.editReply('An error occurred while checking live matches.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while checking live matches.'));
     }
   }
 };
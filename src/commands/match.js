@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
 
 /**
  * /match command - Get specific match details
@@ -15,7 +17,7 @@ export const matchCommand = {
         .setRequired(true)
     ),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, accountId) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, accountId) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -36,7 +38,7 @@ export const matchCommand = {
         return;
       }
 
-      const matchData = await stratzClient.getMatch(matchId);
+      const matchData = await dataSource.getMatch(matchId);
 
       if (!matchData) {
         logger.debug(`/match: match ${matchId} not found`);
@@ -46,12 +48,12 @@ export const matchCommand = {
 
       const match = dataProcessor.processMatchDetails(matchData);
       logger.debug(`/match: ${matchId} -> duration=${match.duration}s, mode=${match.gameMode}`);
-      const embed = messageFormatter.formatMatch(match);
+      const embed = messageFormatter.addProviderFooter(messageFormatter.formatMatch(match), getProvider(matchData));
 
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing match command:', error);
-      await interaction.editReply('An error occurred while fetching match details.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching match details.'));
     }
   }
 };
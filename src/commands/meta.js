@@ -1,5 +1,6 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
 
 /**
  * /meta command - Show current hero meta statistics
@@ -9,14 +10,14 @@ export const metaCommand = {
     .setName('meta')
     .setDescription('Show current hero meta - win rates and pick rates (past week, all ranks)'),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter) {
     await interaction.deferReply();
 
     try {
       logger.info('Fetching hero meta stats');
       
       // Fetch hero meta stats from STRATZ
-      const heroStats = await stratzClient.getHeroMetaStats();
+      const heroStats = await dataSource.getHeroMetaStats();
 
       if (!heroStats || heroStats.length === 0) {
         await interaction.editReply('No hero statistics available at this time.');
@@ -35,7 +36,7 @@ export const metaCommand = {
       }
       
       try {
-        await interaction.editReply('Failed to fetch hero meta statistics. Please try again later.');
+        await interaction.editReply(userErrorMessage(error, 'Failed to fetch hero meta statistics. Please try again later.'));
       } catch (replyError) {
         if (replyError.code !== 10062) {
           logger.error('Failed to send error message:', replyError);
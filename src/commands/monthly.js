@@ -0,0 +1,42 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { SUMMARY_PERIODS } from '../services/period-summary-service.js';
+
+/**
+ * /monthly command - Post the monthly recap on demand
+ * Same recap as the scheduled one, optionally for the month so far
+ */
+export const monthlyCommand = {
+  data: new SlashCommandBuilder()
+    .setName('monthly')
+    .setDescription('Show the monthly recap for all tracked players (last calendar month)')
+    .addBooleanOption((o) =>
+      o.setName('current').setDescription('Show this month so far instead of last month').setRequired(false)
+    ),
+
+  async execute(interaction, periodSummaryService, timeZone) {
+    try {
+      await interaction.deferReply();
+    } catch (error) {
+      if (error.code === 10062) {
+        logger.error('/monthly: interaction expired before deferReply');
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const current = interaction.options.getBoolean('current') ?? false;
+      await interaction.editReply(`⏳ Generating monthly recap... This may take a moment.`);
+
+      const { embed, range, playerCount } = await periodSummaryService.buildEmbed(SUMMARY_PERIODS.MONTHLY, { current, timeZone });
+      logger.info(`/monthly: recap for ${range.label} with ${playerCount} player(s)`);
+
+      await interaction.editReply({ content: '', embeds: [embed] });
+    } catch (error) {
+      logger.error('Error executing monthly command:', error);
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while generating the monthly recap.'));
+    }
+  }
+};
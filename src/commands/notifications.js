@@ -0,0 +1,114 @@
+import { SlashCommandBuilder, PermissionFlagsBits, ChannelType } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { NOTIFICATION_KINDS, NOTIFICATION_KIND_LABELS } from '../utils/guild-settings-store.js';
+
+const ALL_KINDS = 'all';
+
+const kindChoices = [
+  ...Object.values(NOTIFICATION_KINDS).map(kind => ({ name: NOTIFICATION_KIND_LABELS[kind], value: kind })),
+  { name: 'All notification types', value: ALL_KINDS }
+];
+
+function isNotificationAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * /notifications command - Route notification kinds to channels in this server
+ */
+export const notificationsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('notifications')
+    .setDescription('Choose which channel receives each kind of notification (Manage Server)')
+    .addSubcommand((sub) =>
+      sub
+        .setName('set')
+        .setDescription('Send a notification type to a channel')
+        .addStringOption((o) =>
+          o.setName('type').setDescription('Notification type').setRequired(true).addChoices(...kindChoices)
+        )
+        .addChannelOption((o) =>
+          o
+            .setName('channel')
+            .setDescription('Channel to post in')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('remove')
+        .setDescription('Stop sending a notification type to this server')
+        .addStringOption((o) =>
+          o.setName('type').setDescription('Notification type').setRequired(true).addChoices(...kindChoices)
+        )
+    )
+    .addSubcommand((sub) => sub.setName('list').setDescription('Show notification routing for this server'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../utils/guild-settings-store.js').GuildSettingsStore} guildSettings
+   */
+  async execute(interaction, guildSettings) {
+    if (!interaction.guild) {
+      await interaction.reply({ content: 'This command can only be used in a server.', ephemeral: true });
+      return;
+    }
+
+    if (!isNotificationAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to change notifications.', ephemeral: true });
+      return;
+    }
+
+    const guildId = interaction.guild.id;
+    const sub = interaction.options.getSubcommand(true);
+
+    if (sub === 'set') {
+      const type = interaction.options.getString('type', true);
+      const channel = interaction.options.getChannel('channel', true);
+      const kinds = type === ALL_KINDS ? Object.values(NOTIFICATION_KINDS) : [type];
+
+      for (const kind of kinds) {
+        await guildSettings.setRoute(guildId, kind, channel.id);
+      }
+      logger.info(`/notifications: guild ${guildId} routed [${kinds.join(', ')}] to channel ${channel.id}`);
+
+      const label = type === ALL_KINDS ? 'All notifications' : NOTIFICATION_KIND_LABELS[type];
+      await interaction.reply({ content: `**${label}** will now be posted in <#${channel.id}>.`, ephemeral: true });
+      return;
+    }
+
+    if (sub === 'remove') {
+      const type = interaction.options.getString('type', true);
+      const kinds = type === ALL_KINDS ? Object.values(NOTIFICATION_KINDS) : [type];
+
+      let removed = 0;
+      for (const kind of kinds) {
+        if (await guildSettings.removeRoute(guildId, kind)) removed++;
+      }
+      logger.info(`/notifications: guild ${guildId} removed ${removed} route(s) for [${kinds.join(', ')}]`);
+
+      await interaction.reply({
+        content: removed > 0
+          ? `Removed ${removed} notification route(s) from this server.`
+          : 'Nothing was routed for that notification type in this server.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (sub === 'list') {
+      const routes = guildSettings.getRoutes(guildId);
+      const lines = Object.values(NOTIFICATION_KINDS).map(kind => {
+        const target = routes[kind] ? `<#${routes[kind]}>` : '*not routed*';
+        return `• **${NOTIFICATION_KIND_LABELS[kind]}** → ${target}`;
+      });
+
+      await interaction.reply({
+        content: `**Notification routing**\n${lines.join('\n')}`,
+        ephemeral: true
+      });
+    }
+  }
+};
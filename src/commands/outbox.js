@@ -0,0 +1,134 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_LISTED = 15;
+
+function isOutboxAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * Only show entries for channels that belong to the server the command was used in
+ */
+function inGuild(interaction, entry) {
+  return interaction.guild.channels.cache.has(entry.channelId);
+}
+
+/**
+ * /outbox command - Inspect and replay notifications that could not be delivered
+ */
+export const outboxCommand = {
+  data: new SlashCommandBuilder()
+    .setName('outbox')
+    .setDescription('Inspect and replay failed notifications (Manage Server)')
+    .addSubcommand((sub) => sub.setName('status').setDescription('Show pending and failed notification counts'))
+    .addSubcommand((sub) => sub.setName('deadletters').setDescription('List notifications that failed permanently'))
+    .addSubcommand((sub) =>
+      sub
+        .setName('replay')
+        .setDescription('Retry failed notifications')
+        .addStringOption((o) =>
+          o.setName('id').setDescription('Entry ID (or prefix) from /outbox deadletters - omit to replay all').setRequired(false)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('discard')
+        .setDescription('Drop failed notifications')
+        .addStringOption((o) =>
+          o.setName('id').setDescription('Entry ID (or prefix) - omit to discard all').setRequired(false)
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../core/notification-outbox.js').NotificationOutbox} outbox
+   */
+  async execute(interaction, outbox) {
+    if (!interaction.guild) {
+      await interaction.reply({ content: 'This command can only be used in a server.', ephemeral: true });
+      return;
+    }
+
+    if (!isOutboxAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to manage the outbox.', ephemeral: true });
+      return;
+    }
+
+    const sub = interaction.options.getSubcommand(true);
+    const deadLetters = outbox.getDeadLetters().filter(e => inGuild(interaction, e));
+
+    if (sub === 'status') {
+      const pending = outbox.getPending().filter(e => inGuild(interaction, e));
+      const nextRetry = pending.length > 0
+        ? Math.min(...pending.map(e => e.nextAttemptAt))
+        : null;
+
+      const embed = new EmbedBuilder()
+        .setTitle('📬 Notification Outbox')
+        .setColor(0x00AE86)
+        .addFields(
+          { name: 'Pending', value: `${pending.length}`, inline: true },
+          { name: 'Dead-lettered', value: `${deadLetters.length}`, inline: true },
+          { name: 'Next retry', value: nextRetry ? `<t:${Math.floor(nextRetry / 1000)}:R>` : '—', inline: true }
+        )
+        .setTimestamp();
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (sub === 'deadletters') {
+      if (deadLetters.length === 0) {
+        await interaction.reply({ content: 'No failed notifications for this server. 🎉', ephemeral: true });
+        return;
+      }
+
+      const lines = deadLetters.slice(-MAX_LISTED).reverse().map(e => {
+        const title = e.payload?.embeds?.[0]?.title || e.payload?.content?.slice(0, 40) || 'untitled';
+        return `\`${e.id.slice(0, 8)}\` **${e.kind}** → <#${e.channelId}> · ${title}\n└ ${e.attempts} attempt(s), ${e.reason}: ${e.lastError || 'unknown error'}`;
+      });
+
+      const more = deadLetters.length > MAX_LISTED ? `\n…and ${deadLetters.length - MAX_LISTED} older` : '';
+      await interaction.reply({
+        content: `**Dead-lettered notifications (${deadLetters.length})**\n${lines.join('\n')}${more}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (sub === 'replay' || sub === 'discard') {
+      const id = interaction.options.getString('id');
+      const targets = id ? deadLetters.filter(e => e.id.startsWith(id)) : deadLetters;
+
+      if (targets.length === 0) {
+        await interaction.reply({ content: 'No matching failed notifications for this server.', ephemeral: true });
+        return;
+      }
+      if (id && targets.length > 1) {
+        await interaction.reply({ content: `ID prefix \`${id}\` matches ${targets.length} entries - use a longer prefix.`, ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let count = 0;
+      for (const entry of targets) {
+        count += sub === 'replay'
+          ? await outbox.replay(entry.id)
+          : await outbox.discard(entry.id);
+      }
+      logger.info(`/outbox ${sub}: ${count} entr${count === 1 ? 'y' : 'ies'} in guild ${interaction.guild.id}`);
+
+      if (sub === 'replay') {
+        const stillDead = outbox.getDeadLetters().filter(e => targets.some(t => t.id === e.id)).length;
+        await interaction.editReply(
+          `Replayed **${count}** notification(s).${stillDead > 0 ? ` ${stillDead} failed again and are back in the dead-letter list.` : ''}`
+        );
+      } else {
+        await interaction.editReply(`Discarded **${count}** notification(s).`);
+      }
+    }
+  }
+};
@@ -0,0 +1,72 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+
+const STATUS_LABELS = {
+  requested: '📨 requested',
+  queued: '⏳ queued',
+  'not parsed': '🔁 not parsed'
+};
+
+function isParsesAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+function relativeTime(ms) {
+  return ms ? `<t:${Math.floor(ms / 1000)}:R>` : '—';
+}
+
+/**
+ * /parses command - OpenDota parse requests that haven't produced a parsed match yet
+ */
+export const parsesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('parses')
+    .setDescription('Outstanding OpenDota parse requests (Manage Server)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  /**
+   * One line per tracked parse job
+   */
+  formatJob(job, maxRequests) {
+    const jobId = job.jobId !== null ? `job ${job.jobId}` : 'no job ID';
+    const error = job.lastError ? `\n  ↳ ${job.lastError.slice(0, 100)}` : '';
+    return `**[${job.matchId}](https://www.opendota.com/matches/${job.matchId})** · ${STATUS_LABELS[job.status] || job.status} · ${jobId}` +
+      ` · requested ${relativeTime(job.requestedAt)} (${job.requests}/${maxRequests})` +
+      ` · ${job.checks} check(s) · next ${relativeTime(job.nextCheckAt)}${error}`;
+  },
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../core/parse-tracker.js').ParseTracker} parseTracker
+   */
+  async execute(interaction, parseTracker) {
+    if (!isParsesAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to view parse requests.', ephemeral: true });
+      return;
+    }
+
+    const jobs = parseTracker.getJobs();
+    if (jobs.length === 0) {
+      await interaction.reply({ content: '✅ No outstanding parse requests.', ephemeral: true });
+      return;
+    }
+
+    const lines = jobs.map(job => this.formatJob(job, parseTracker.maxRequests));
+    const shown = [];
+    let length = 0;
+    for (const line of lines) {
+      if (length + line.length + 1 > 4000) break;
+      shown.push(line);
+      length += line.length + 1;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('🧩 OpenDota Parse Requests')
+      .setColor(0x00AE86)
+      .setDescription(shown.join('\n'))
+      .setFooter({
+        text: `${jobs.length} outstanding${shown.length < jobs.length ? ` · showing the oldest ${shown.length}` : ''} · given up after ${Math.round(parseTracker.maxAgeMs / 3600000)}h`
+      });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
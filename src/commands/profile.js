@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
 
 /**
  * /profile command - Display player profile overview
@@ -10,7 +12,7 @@ export const profileCommand = {
     .setName('profile')
     .setDescription('Display your Dota 2 profile overview'),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, accountId) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, accountId) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -24,7 +26,7 @@ export const profileCommand = {
 
     try {
       logger.debug(`/profile: fetching data for account ${accountId}`);
-      const playerData = await stratzClient.getPlayer(accountId);
+      const playerData = await dataSource.getPlayer(accountId);
 
       if (!playerData) {
         logger.warn(`/profile: no data returned for account ${accountId}`);
@@ -34,12 +36,12 @@ export const profileCommand = {
 
       const profile = dataProcessor.processPlayerProfile(playerData);
       logger.debug(`/profile: name=${profile.name}, rank=${profile.rankTier}, matches=${profile.matchCount}`);
-      const embed = messageFormatter.formatProfile(profile);
+      const embed = messageFormatter.addProviderFooter(messageFormatter.formatProfile(profile), getProvider(playerData));
 
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing profile command:', error);
-      await interaction.editReply('An error occurred while fetching your profile.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching your profile.'));
     }
   }
 };
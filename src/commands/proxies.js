@@ -0,0 +1,87 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+
+const STATE_LABELS = {
+  ok: '🟢',
+  bad: '🔴',
+  disabled: '⚫'
+};
+
+const ALL_DISABLED_WARNING = '⚠️ Every proxy is disabled: STRATZ requests fail until one is enabled (they never go direct while proxies are configured).';
+
+function isProxyAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * /proxies command - STRATZ proxy health scores, and disabling a proxy at runtime
+ */
+export const proxiesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('proxies')
+    .setDescription('STRATZ proxy health (Manage Server)')
+    .addSubcommand((sub) => sub.setName('list').setDescription('Show each proxy\'s state, score and latency'))
+    .addSubcommand((sub) =>
+      sub
+        .setName('disable')
+        .setDescription('Stop using a proxy (kept across restarts)')
+        .addIntegerOption((o) => o.setName('number').setDescription('Proxy number from /proxies list').setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('enable')
+        .setDescription('Use a disabled proxy again')
+        .addIntegerOption((o) => o.setName('number').setDescription('Proxy number from /proxies list').setRequired(true).setMinValue(1))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  /**
+   * One line per proxy
+   */
+  formatProxy(proxy) {
+    const successRate = proxy.successRate !== null ? `${Math.round(proxy.successRate * 100)}% ok` : 'unused';
+    const latency = proxy.latencyMs !== null ? `${proxy.latencyMs}ms` : '—';
+    const pinned = proxy.tokenIndex !== null ? ` · token #${proxy.tokenIndex + 1}` : '';
+    const checked = proxy.lastCheckedAt ? ` · checked <t:${Math.floor(proxy.lastCheckedAt / 1000)}:R>` : '';
+    const error = proxy.state === 'bad' && proxy.lastError ? `\n  ↳ ${proxy.lastError.message.slice(0, 100)}` : '';
+    return `${STATE_LABELS[proxy.state]} **${proxy.number}.** \`${proxy.id}\` · score ${proxy.score.toFixed(2)} · ${successRate} · ${latency}${pinned}${checked}${error}`;
+  },
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../core/proxy-pool.js').ProxyPool} proxyPool
+   */
+  async execute(interaction, proxyPool) {
+    if (!isProxyAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to manage proxies.', ephemeral: true });
+      return;
+    }
+
+    const sub = interaction.options.getSubcommand(true);
+
+    if (sub === 'disable' || sub === 'enable') {
+      const number = interaction.options.getInteger('number', true);
+      const proxy = await proxyPool.setDisabled(number, sub === 'disable');
+      if (!proxy) {
+        await interaction.reply({ content: `There is no proxy ${number} (${proxyPool.size} configured).`, ephemeral: true });
+        return;
+      }
+      logger.info(`/proxies ${sub}: proxy ${number} (${proxy.id}) by ${interaction.user.tag}`);
+      const warning = proxyPool.allDisabled() ? `\n${ALL_DISABLED_WARNING}` : '';
+      await interaction.reply({ content: `${sub === 'disable' ? '⚫ Disabled' : '🟢 Enabled'} proxy **${number}** (\`${proxy.id}\`).${warning}`, ephemeral: true });
+      return;
+    }
+
+    const proxies = proxyPool.getStats();
+    const embed = new EmbedBuilder()
+      .setTitle('🌐 STRATZ Proxies')
+      .setColor(0x00AE86)
+      .setDescription([
+        ...(proxyPool.allDisabled() ? [ALL_DISABLED_WARNING, ''] : []),
+        ...proxies.map(proxy => this.formatProxy(proxy))
+      ].join('\n').slice(0, 4096))
+      .setFooter({ text: `${proxies.filter(p => p.state === 'ok').length}/${proxies.length} healthy · score = success rate × latency factor` });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
@@ -1,6 +1,8 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { EmbedBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { DEFAULT_TIMEZONE, MONTH_ABBREVIATIONS, getDayRange, getZonedDateDaysAgo } from '../utils/timezone.js';
 
 /**
  * /rampage command - Show rampages for all tracked players
@@ -16,44 +18,24 @@ export const rampageCommand = {
         .setRequired(false)),
 
   /**
-   * Parse day parameter and return start/end timestamps for that day (UK time)
+   * Parse day parameter and return start/end timestamps for that day in a timezone
    * Returns null if no day specified (show all rampages)
    */
-  parseDayParameter(dayParam) {
+  parseDayParameter(dayParam, timeZone = DEFAULT_TIMEZONE) {
     if (!dayParam) return null;
 
-    const now = new Date();
-    let targetDate;
+    let target;
     let dateString;
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
     // Check if it's a number (days ago, 0 = today)
-    const daysAgo = parseInt(dayParam);
-    if (!isNaN(daysAgo) && daysAgo >= 0) {
-      // Get current UK date
-      const ukFormatter = new Intl.DateTimeFormat('en-GB', {
-        timeZone: 'Europe/London',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit'
-      });
-      
-      const ukParts = ukFormatter.formatToParts(now);
-      const ukYear = parseInt(ukParts.find(p => p.type === 'year').value);
-      const ukMonth = parseInt(ukParts.find(p => p.type === 'month').value) - 1;
-      const ukDay = parseInt(ukParts.find(p => p.type === 'day').value);
-      
-      // Create the target date properly
-      targetDate = new Date(Date.UTC(ukYear, ukMonth, ukDay - daysAgo));
-      
-      // Format the date string from the target date
-      const targetDay = targetDate.getUTCDate();
-      const targetMonth = targetDate.getUTCMonth();
-      const targetYear = targetDate.getUTCFullYear();
-      dateString = `${targetDay}-${months[targetMonth]}-${targetYear}`;
+    // (parseInt alone would read "11-Jan-2026" as 11 days ago)
+    if (/^\d+$/.test(dayParam.trim())) {
+      const daysAgo = parseInt(dayParam, 10);
+      target = getZonedDateDaysAgo(daysAgo, timeZone);
+      dateString = `${target.day}-${MONTH_ABBREVIATIONS[target.month]}-${target.year}`;
     } else {
       // Try to parse as date string (e.g., "11-Jan-2026")
-      const match = dayParam.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+      const match = dayParam.trim().match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
       if (!match) {
         return { error: 'Invalid date format. Use "11-Jan-2026" or a number like "1" for yesterday.' };
       }
@@ -62,36 +44,27 @@ export const rampageCommand = {
       const monthStr = match[2];
       const year = parseInt(match[3]);
       
-      const monthIndex = months.findIndex(m => m.toLowerCase() === monthStr.toLowerCase());
+      const monthIndex = MONTH_ABBREVIATIONS.findIndex(m => m.toLowerCase() === monthStr.toLowerCase());
       
       if (monthIndex === -1) {
         return { error: 'Invalid month. Use 3-letter format like "Jan", "Feb", etc.' };
       }
       
-      targetDate = new Date(Date.UTC(year, monthIndex, day));
+      target = { year, month: monthIndex, day };
       dateString = dayParam;
     }
 
-    // Calculate start and end of day in UK time
-    const startOfDay = new Date(targetDate);
-    startOfDay.setUTCHours(0, 0, 0, 0);
-    
-    // Adjust for UK timezone offset
-    const ukString = startOfDay.toLocaleString('en-GB', { timeZone: 'Europe/London', timeZoneName: 'short' });
-    const ukOffset = ukString.includes('BST') ? 60 : 0;
-    startOfDay.setTime(startOfDay.getTime() - ukOffset * 60 * 1000);
-    
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setTime(endOfDay.getTime() + (24 * 60 * 60 * 1000) - 1000);
+    // Local midnight to midnight - 23 or 25 hours on DST change days
+    const { startTimestamp, endTimestamp } = getDayRange(target.year, target.month, target.day, timeZone);
 
     return {
-      startTimestamp: Math.floor(startOfDay.getTime() / 1000),
-      endTimestamp: Math.floor(endOfDay.getTime() / 1000),
+      startTimestamp,
+      endTimestamp: endTimestamp - 1, // inclusive
       dateString
     };
   },
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, friendsManager, heroMap) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, friendsManager, heroMap, timeZone = DEFAULT_TIMEZONE) {
     try {
       await interaction.deferReply();
     } catch (error) {
@@ -109,8 +82,8 @@ export const rampageCommand = {
       }
 
       const dayParam = interaction.options.getString('day');
-      logger.debug(`/rampage: dayParam=${dayParam || 'none'}`);
-      const dayRange = this.parseDayParameter(dayParam);
+      logger.debug(`/rampage: dayParam=${dayParam || 'none'}, timeZone=${timeZone}`);
+      const dayRange = this.parseDayParameter(dayParam, timeZone);
 
       if (dayRange?.error) {
         await interaction.editReply(dayRange.error);
@@ -130,7 +103,7 @@ export const rampageCommand = {
             logger.debug(`/rampage: checking ${friend.name} (${accountId})`);
             
             // Get matches for this day
-            const matchesData = await stratzClient.getPlayerMatchesSince(accountId, dayRange.startTimestamp, 50);
+            const matchesData = await dataSource.getPlayerMatchesSince(accountId, dayRange.startTimestamp, 50);
             const dayMatches = matchesData.filter(m => 
               m.startDateTime >= dayRange.startTimestamp && m.startDateTime <= dayRange.endTimestamp
             );
@@ -140,8 +113,8 @@ export const rampageCommand = {
             const matchIds = dayMatches.map(m => m.id);
             
             // Get feats and filter for rampages in these matches
-            const feats = await stratzClient.getPlayerAchievements(accountId, 200);
-            const rampageFeats = stratzClient.getRampageFeatsFromMatches(feats, matchIds);
+            const feats = await dataSource.getPlayerAchievements(accountId, 200);
+            const rampageFeats = dataSource.getRampageFeatsFromMatches(feats, matchIds);
             
             for (const feat of rampageFeats) {
               const matchData = dayMatches.find(m => m.id === feat.matchId);
@@ -154,7 +127,7 @@ export const rampageCommand = {
                 kills: player?.kills || 0,
                 deaths: player?.deaths || 0,
                 assists: player?.assists || 0,
-                win: player?.isRadiant === matchData?.didRadiantWin,
+                win: player?.isVictory ?? (player?.isRadiant === matchData?.didRadiantWin),
                 matchData: matchData, // Store for enhanced display
                 gpm: player?.goldPerMinute || 0,
                 xpm: player?.experiencePerMinute || 0
@@ -217,7 +190,7 @@ export const rampageCommand = {
             const accountId = friend.ids[0];
             
             // Fetch player feats (rampages are tracked here)
-            const feats = await stratzClient.getPlayerAchievements(accountId, 100);
+            const feats = await dataSource.getPlayerAchievements(accountId, 100);
             
             // Filter for rampages only
             const rampageFeats = feats.filter(f => f.type === 'RAMPAGE');
@@ -272,7 +245,7 @@ export const rampageCommand = {
     } catch (error) {
       logger.error('Error executing rampage command:', error);
       try {
-        await interaction.editReply('An error occurred while fetching rampages.');
+        await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching rampages.'));
       } catch (e) {
         // Ignore
       }
@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
 
 /**
  * /recent command - Show recent matches
@@ -16,7 +18,7 @@ export const recentCommand = {
         .setMaxValue(10)
     ),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, accountId) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, accountId) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -32,7 +34,7 @@ export const recentCommand = {
       const limit = interaction.options.getInteger('limit') || 5;
       logger.debug(`/recent: fetching ${limit} matches for account ${accountId}`);
 
-      const matchesData = await stratzClient.getRecentMatches(accountId, limit);
+      const matchesData = await dataSource.getRecentMatches(accountId, limit);
 
       if (!matchesData || matchesData.length === 0) {
         logger.debug(`/recent: no matches returned`);
@@ -42,12 +44,12 @@ export const recentCommand = {
 
       const matches = dataProcessor.processRecentMatches(matchesData);
       logger.debug(`/recent: processed ${matches.length} matches`);
-      const embed = messageFormatter.formatRecentMatches(matches, limit);
+      const embed = messageFormatter.addProviderFooter(messageFormatter.formatRecentMatches(matches, limit), getProvider(matchesData));
 
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing recent command:', error);
-      await interaction.editReply('An error occurred while fetching recent matches.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching recent matches.'));
     }
   }
 };
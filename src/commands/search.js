@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
 
 /**
  * /search command - Search for a player by name
@@ -15,7 +17,7 @@ export const searchCommand = {
         .setRequired(true)
     ),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, friendsManager) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, friendsManager) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -35,11 +37,11 @@ export const searchCommand = {
         const friend = friendsManager.getFriend(searchName);
         if (friend) {
           const accountId = friend.ids[0];
-          const playerData = await stratzClient.getPlayer(accountId);
+          const playerData = await dataSource.getPlayer(accountId);
           
           if (playerData) {
             const profile = dataProcessor.processPlayerProfile(playerData);
-            const embed = messageFormatter.formatProfile(profile);
+            const embed = messageFormatter.addProviderFooter(messageFormatter.formatProfile(profile), getProvider(playerData));
             embed.setTitle(`👤 ${friend.name}'s Profile`);
             await interaction.editReply({ embeds: [embed] });
             return;
@@ -49,11 +51,11 @@ export const searchCommand = {
       
       // If not in friends list, try to search by account ID if it's a number
       if (!isNaN(searchName)) {
-        const playerData = await stratzClient.getPlayer(searchName);
+        const playerData = await dataSource.getPlayer(searchName);
         
         if (playerData) {
           const profile = dataProcessor.processPlayerProfile(playerData);
-          const embed = messageFormatter.formatProfile(profile);
+          const embed = messageFormatter.addProviderFooter(messageFormatter.formatProfile(profile), getProvider(playerData));
           await interaction.editReply({ embeds: [embed] });
           return;
         }
@@ -62,7 +64,7 @@ export const searchCommand = {
       await interaction.editReply(`Could not find player "${searchName}". Try using their Steam Account ID or add them to your friends list.`);
     } catch (error) {
       logger.error('Error executing search command:', error);
-      await interaction.editReply('An error occurred while searching for the player.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while searching for the player.'));
     }
   }
 };
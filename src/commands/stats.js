@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { getProvider } from '../services/data-source.js';
 
 /**
  * /stats command - Display player statistics
@@ -10,7 +12,7 @@ export const statsCommand = {
     .setName('stats')
     .setDescription('Display your player statistics'),
 
-  async execute(interaction, stratzClient, dataProcessor, messageFormatter, accountId) {
+  async execute(interaction, dataSource, dataProcessor, messageFormatter, accountId) {
     // Defer immediately to prevent interaction timeout
     try {
       await interaction.deferReply();
@@ -25,19 +27,20 @@ export const statsCommand = {
     try {
       logger.debug(`/stats: fetching data for account ${accountId}`);
       const [playerData, winLossData, recentMatches] = await Promise.all([
-        stratzClient.getPlayerTotals(accountId),
-        stratzClient.getPlayerWinLoss(accountId),
-        stratzClient.getRecentMatches(accountId, 20)
+        dataSource.getPlayerTotals(accountId),
+        dataSource.getPlayerWinLoss(accountId),
+        dataSource.getRecentMatches(accountId, 20)
       ]);
 
       const stats = dataProcessor.processPlayerStatsWithMatches(playerData, winLossData, recentMatches);
       logger.debug(`/stats: W=${stats.wins}, L=${stats.losses}, WR=${stats.winRate}%`);
-      const embed = messageFormatter.formatStats(stats);
+      const providers = [...new Set([playerData, winLossData, recentMatches].map(getProvider).filter(Boolean))];
+      const embed = messageFormatter.addProviderFooter(messageFormatter.formatStats(stats), providers.join(' + '));
 
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       logger.error('Error executing stats command:', error);
-      await interaction.editReply('An error occurred while fetching statistics.');
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while fetching statistics.'));
     }
   }
 };
@@ -0,0 +1,64 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { CIRCUIT_STATES } from '../core/circuit-breaker.js';
+
+const STATE_LABELS = {
+  [CIRCUIT_STATES.CLOSED]: '🟢 Up',
+  [CIRCUIT_STATES.HALF_OPEN]: '🟡 Recovering',
+  [CIRCUIT_STATES.OPEN]: '🔴 Unavailable'
+};
+
+function relativeTime(ms) {
+  return ms ? `<t:${Math.floor(ms / 1000)}:R>` : '—';
+}
+
+/**
+ * /status command - Health of the upstream APIs (circuit state, latency, last error, request queue)
+ */
+export const statusCommand = {
+  data: new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('Show whether STRATZ, OpenDota and Dotabuff are reachable'),
+
+  /**
+   * One embed field per provider
+   * @param {import('../services/stratz-client.js').StratzClient|import('../services/opendota-client.js').OpenDotaClient|import('../services/dotabuff-client.js').DotabuffClient} client
+   */
+  formatProvider(client) {
+    const status = client.circuitBreaker.getStatus();
+    const queue = client.rateLimiter.getQueueDepth();
+
+    const lines = [
+      `**State:** ${STATE_LABELS[status.state]}${status.nextProbeAt ? ` · next check ${relativeTime(status.nextProbeAt)}` : ''}`,
+      `**Latency:** ${status.lastLatencyMs !== null ? `${status.lastLatencyMs}ms` : '—'} · last success ${relativeTime(status.lastSuccessAt)}`,
+      `**Queue:** ${queue.interactive} command, ${queue.background} background request(s)`
+    ];
+    if (client.tokenPool?.size > 1) {
+      const tokens = client.tokenPool.getStats();
+      const benched = tokens
+        .filter(token => !token.available)
+        .map(token => `${token.label} benched until ${relativeTime(token.benchedUntil)} (${token.benchReason})`);
+      lines.push(`**Tokens:** ${tokens.length - benched.length}/${tokens.length} available${benched.length > 0 ? ` · ${benched.join(', ')}` : ''}`);
+    }
+    if (status.lastError) {
+      lines.push(`**Last error:** ${status.lastError.message.slice(0, 200)} (${relativeTime(status.lastError.at)})`);
+    }
+    return { name: status.name, value: lines.join('\n') };
+  },
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../services/data-source.js').DataSource} dataSource
+   */
+  async execute(interaction, dataSource) {
+    const clients = [dataSource.stratz, dataSource.openDota, dataSource.dotabuff].filter(Boolean);
+    const anyDown = clients.some(client => client.circuitBreaker.isOpen());
+
+    const embed = new EmbedBuilder()
+      .setTitle('🩺 API Status')
+      .setColor(anyDown ? 0xE74C3C : 0x00AE86)
+      .addFields(clients.map(client => this.formatProvider(client)))
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
@@ -0,0 +1,33 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * /streaks command - Show the current win/loss streak of every tracked player
+ * Streaks come from the state cache (kept up to date by the polling service)
+ */
+export const streaksCommand = {
+  data: new SlashCommandBuilder()
+    .setName('streaks')
+    .setDescription('Show current win/loss streaks for all friends'),
+
+  async execute(interaction, stateCache, messageFormatter, friendsManager, accountId) {
+    try {
+      const players = friendsManager
+        ? friendsManager.getAllFriends()
+        : [{ name: 'You', ids: [accountId] }];
+
+      const entries = players.map(player => ({
+        name: player.name,
+        streak: stateCache.getPlayerStreak(player.name)
+      }));
+
+      logger.debug(`/streaks: ${entries.filter(e => e.streak).length}/${entries.length} player(s) with a streak`);
+
+      const embed = messageFormatter.formatStreaks(entries);
+      await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+      logger.error('Error executing streaks command:', error);
+      await interaction.reply({ content: 'An error occurred while fetching streaks.', ephemeral: true });
+    }
+  }
+};
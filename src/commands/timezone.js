@@ -0,0 +1,85 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { isValidTimeZone, formatDateTimeLabel } from '../utils/timezone.js';
+
+function isTimezoneAdmin(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+/**
+ * /timezone command - Choose the timezone this server's day boundaries and summaries use
+ */
+export const timezoneCommand = {
+  data: new SlashCommandBuilder()
+    .setName('timezone')
+    .setDescription('Show or change the timezone used for daily summaries and day filters')
+    .addSubcommand((sub) => sub.setName('show').setDescription('Show the timezone this server uses'))
+    .addSubcommand((sub) =>
+      sub
+        .setName('set')
+        .setDescription('Use a different timezone in this server (Manage Server)')
+        .addStringOption((o) =>
+          o.setName('timezone').setDescription('IANA timezone, e.g. "Europe/Berlin" or "America/New_York"').setRequired(true)
+        )
+    )
+    .addSubcommand((sub) => sub.setName('reset').setDescription('Go back to the bot\'s default timezone (Manage Server)')),
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @param {import('../utils/guild-settings-store.js').GuildSettingsStore} guildSettings
+   * @param {string} defaultTimeZone - Global TIMEZONE setting
+   */
+  async execute(interaction, guildSettings, defaultTimeZone) {
+    if (!interaction.guild) {
+      await interaction.reply({ content: 'This command can only be used in a server.', ephemeral: true });
+      return;
+    }
+
+    const guildId = interaction.guild.id;
+    const sub = interaction.options.getSubcommand(true);
+
+    if (sub === 'show') {
+      const override = guildSettings.getTimezone(guildId);
+      const timeZone = override || defaultTimeZone;
+      const now = formatDateTimeLabel(Math.floor(Date.now() / 1000), timeZone);
+
+      await interaction.reply({
+        content: `This server uses **${timeZone}**${override ? '' : ' (bot default)'} - it is currently ${now} there.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (!isTimezoneAdmin(interaction)) {
+      await interaction.reply({ content: 'You need the **Manage Server** permission to change the timezone.', ephemeral: true });
+      return;
+    }
+
+    if (sub === 'set') {
+      const timeZone = interaction.options.getString('timezone', true).trim();
+      if (!isValidTimeZone(timeZone)) {
+        await interaction.reply({
+          content: `\`${timeZone}\` is not a recognised timezone. Use an IANA name like \`Europe/London\` or \`Asia/Kolkata\`.`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      await guildSettings.setTimezone(guildId, timeZone);
+      logger.info(`/timezone: guild ${guildId} set timezone to ${timeZone}`);
+
+      await interaction.reply({
+        content: `Timezone set to **${timeZone}**. Summaries will be posted at the configured times in that timezone.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (sub === 'reset') {
+      await guildSettings.setTimezone(guildId, null);
+      logger.info(`/timezone: guild ${guildId} reset timezone to default (${defaultTimeZone})`);
+
+      await interaction.reply({ content: `Timezone reset to the bot default, **${defaultTimeZone}**.`, ephemeral: true });
+    }
+  }
+};
@@ -0,0 +1,42 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { logger } from '../utils/logger.js';
+import { userErrorMessage } from '../core/circuit-breaker.js';
+import { SUMMARY_PERIODS } from '../services/period-summary-service.js';
+
+/**
+ * /weekly command - Post the weekly recap on demand
+ * Same recap as the scheduled one, optionally for the week so far
+ */
+export const weeklyCommand = {
+  data: new SlashCommandBuilder()
+    .setName('weekly')
+    .setDescription('Show the weekly recap for all tracked players (last Monday-Sunday)')
+    .addBooleanOption((o) =>
+      o.setName('current').setDescription('Show this week so far instead of last week').setRequired(false)
+    ),
+
+  async execute(interaction, periodSummaryService, timeZone) {
+    try {
+      await interaction.deferReply();
+    } catch (error) {
+      if (error.code === 10062) {
+        logger.error('/weekly: interaction expired before deferReply');
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const current = interaction.options.getBoolean('current') ?? false;
+      await interaction.editReply(`⏳ Generating weekly recap... This may take a moment.`);
+
+      const { embed, range, playerCount } = await periodSummaryService.buildEmbed(SUMMARY_PERIODS.WEEKLY, { current, timeZone });
+      logger.info(`/weekly: recap for ${range.label} with ${playerCount} player(s)`);
+
+      await interaction.editReply({ content: '', embeds: [embed] });
+    } catch (error) {
+      logger.error('Error executing weekly command:', error);
+      await interaction.editReply(userErrorMessage(error, 'An error occurred while generating the weekly recap.'));
+    }
+  }
+};
@@ -0,0 +1,186 @@
+import { logger } from '../utils/logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Thrown instead of calling a provider while its circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider} is currently unavailable`);
+    this.name = 'CircuitOpenError';
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Bad requests, bad credentials and missing resources don't mean the API is down.
+ * Everything else does, including 403 (Cloudflare blocks) and 429.
+ */
+function isOutage(error) {
+  return ![400, 401, 404].includes(error.response?.status);
+}
+
+/**
+ * Reply text for a failed command: explains an unavailable provider, otherwise the fallback
+ */
+export function userErrorMessage(error, fallback) {
+  if (!(error instanceof CircuitOpenError)) return fallback;
+  const seconds = Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000));
+  return `⚠️ ${error.message}. Checking again in ${seconds}s - please try later.`;
+}
+
+/**
+ * Circuit breaker for an upstream API
+ *
+ * - Closed: requests go through; after `failureThreshold` consecutive failures it opens
+ * - Open: requests fail immediately with CircuitOpenError. Every `probeIntervalMs` the
+ *   probe (e.g. testConnection) runs in the half-open state
+ * - Half-open: one trial request goes through and the rest fail with CircuitOpenError until it
+ *   resolves; a success closes the circuit, a failure reopens it
+ *
+ * Without a probe, the first request after `probeIntervalMs` is the trial request.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name for logs and errors
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=3] - Consecutive failures before opening
+   * @param {number} [options.probeIntervalMs=60000] - Time between probes while open
+   * @param {Function} [options.probe] - Async health check; requests it makes go through execute()
+   * @param {Function} [options.isFailure] - (error) => whether an error counts towards opening
+   */
+  constructor(name, { failureThreshold = 3, probeIntervalMs = 60 * 1000, probe = null, isFailure = isOutage } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probe = probe;
+    this.isFailure = isFailure;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.lastLatencyMs = null;
+    this.lastSuccessAt = null;
+    this.lastError = null; // { message, at }
+    this.trialInFlight = false;
+    this.timer = null;
+  }
+
+  /**
+   * Run a request through the breaker
+   */
+  async execute(fn) {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (this.probe || Date.now() < this.nextProbeAt) {
+        throw new CircuitOpenError(this.name, this.nextProbeAt);
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    // Half-open lets a single trial request through, so a recovering API isn't hit by everything at once
+    const isTrial = this.state === CIRCUIT_STATES.HALF_OPEN;
+    if (isTrial) {
+      if (this.trialInFlight) throw new CircuitOpenError(this.name, this.nextProbeAt);
+      this.trialInFlight = true;
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await fn();
+      this.recordSuccess(Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) this.recordFailure(error);
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  recordSuccess(latencyMs) {
+    this.lastLatencyMs = latencyMs;
+    this.lastSuccessAt = Date.now();
+    this.consecutiveFailures = 0;
+
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      const downFor = Math.round((Date.now() - this.openedAt) / 1000);
+      logger.info(`${this.name} circuit closed - API is responding again (was unavailable for ${downFor}s)`);
+      this.state = CIRCUIT_STATES.CLOSED;
+      this.openedAt = null;
+      this.nextProbeAt = null;
+      this.stopProbing();
+    }
+  }
+
+  recordFailure(error) {
+    this.lastError = { message: error.message, at: Date.now() };
+    this.consecutiveFailures++;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      logger.warn(`${this.name} is still unavailable (${error.message})`);
+      this.open();
+    } else if (this.state === CIRCUIT_STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      logger.error(`${this.name} circuit opened after ${this.consecutiveFailures} consecutive failures (last: ${error.message})`);
+      this.openedAt = Date.now();
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = CIRCUIT_STATES.OPEN;
+    this.nextProbeAt = Date.now() + this.probeIntervalMs;
+
+    if (this.probe && !this.timer) {
+      this.timer = setInterval(() => this.runProbe(), this.probeIntervalMs);
+      this.timer.unref?.();
+    }
+  }
+
+  async runProbe() {
+    if (this.state !== CIRCUIT_STATES.OPEN) return;
+
+    logger.debug(`${this.name} circuit: probing`);
+    this.state = CIRCUIT_STATES.HALF_OPEN;
+    try {
+      await this.probe();
+    } catch (error) {
+      // Failures are recorded by execute() for the probe's requests
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      // The probe didn't reach the API (e.g. it reported failure without throwing)
+      this.open();
+    }
+  }
+
+  stopProbing() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isOpen() {
+    return this.state === CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * State, latency and last error, for /status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastLatencyMs: this.lastLatencyMs,
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      openedAt: this.openedAt,
+      nextProbeAt: this.state === CIRCUIT_STATES.CLOSED ? null : this.nextProbeAt
+    };
+  }
+}
@@ -60,8 +60,9 @@ export class DataProcessor {
       const assists = player.assists ?? 0;
       
       // Determine win: player's team (isRadiant) matches didRadiantWin
+      // (Dotabuff rows don't know the team and give isVictory instead)
       const isRadiant = player.isRadiant;
-      const win = isRadiant === match.didRadiantWin;
+      const win = player.isVictory ?? (isRadiant === match.didRadiantWin);
       
       return {
         matchId: match.id,
@@ -70,6 +71,7 @@ export class DataProcessor {
         deaths,
         assists,
         win,
+        isRadiant,
         duration: match.durationSeconds,
         startTime: match.startDateTime,
         gameMode: match.gameMode,
@@ -78,7 +80,8 @@ export class DataProcessor {
         experiencePerMinute: player.experiencePerMinute,
         lastHits: player.numLastHits,
         denies: player.numDenies,
-        kda: `${kills}/${deaths}/${assists} (${this.calculateKDA(kills, deaths, assists)})`
+        kda: `${kills}/${deaths}/${assists} (${this.calculateKDA(kills, deaths, assists)})`,
+        provider: match.provider ?? null // Set by DataSource
       };
     });
   }
@@ -194,6 +197,74 @@ export class DataProcessor {
       .sort((a, b) => b.games - a.games); // Sort by games played
   }
 
+  /**
+   * Hero totals from processed matches, in the processHeroStats shape
+   */
+  processHeroStatsFromMatches(processedMatches) {
+    const byHero = new Map();
+    for (const match of processedMatches) {
+      if (!match.heroId) continue;
+      const hero = byHero.get(match.heroId) || { heroId: match.heroId, matchCount: 0, winCount: 0, lastPlayedDateTime: null };
+      hero.matchCount++;
+      if (match.win) hero.winCount++;
+      hero.lastPlayedDateTime = Math.max(hero.lastPlayedDateTime ?? 0, match.startTime ?? 0) || null;
+      byHero.set(match.heroId, hero);
+    }
+    return this.processHeroStats([...byHero.values()]);
+  }
+
+  /**
+   * Totals behind the /leaderboard metrics for one player's matches
+   * @param {Array} matches - STRATZ-shaped matches, e.g. from MatchArchive.getPlayerMatches (with multiKills)
+   */
+  processLeaderboardStats(matches) {
+    const processed = this.processRecentMatches(matches);
+    const games = processed.length;
+    const wins = processed.filter(match => match.win).length;
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+    const kills = sum(processed.map(match => match.kills));
+    const deaths = sum(processed.map(match => match.deaths));
+    const assists = sum(processed.map(match => match.assists));
+    const gpms = processed.map(match => match.goldPerMinute).filter(Boolean);
+    const imps = matches.map(match => match.players?.[0]?.imp).filter(imp => imp != null);
+
+    return {
+      games,
+      wins,
+      losses: games - wins,
+      winRate: games > 0 ? (wins / games) * 100 : null,
+      kda: games > 0 ? (kills + assists) / Math.max(1, deaths) : null,
+      gpm: gpms.length > 0 ? sum(gpms) / gpms.length : null,
+      gpmGames: gpms.length,
+      imp: imps.length > 0 ? sum(imps) / imps.length : null,
+      impGames: imps.length,
+      rampages: sum(matches.map(match => match.multiKills?.rampages ?? 0))
+    };
+  }
+
+  /**
+   * Two players' shared matches: their record on the same team, and player 1's record
+   * against player 2 when they were on opposite teams. Matches where either side is
+   * unknown (Dotabuff) are left out.
+   * @param {Array} matches1 - Player 1's processed matches
+   * @param {Array} matches2 - Player 2's processed matches
+   */
+  processHeadToHead(matches1, matches2) {
+    const matches2ById = new Map(matches2.map(match => [String(match.matchId), match]));
+    const together = { wins: 0, losses: 0 };
+    const against = { wins: 0, losses: 0 };
+
+    for (const match of matches1) {
+      const other = matches2ById.get(String(match.matchId));
+      if (!other || match.isRadiant == null || other.isRadiant == null) continue;
+      const record = match.isRadiant === other.isRadiant ? together : against;
+      if (match.win) record.wins++;
+      else record.losses++;
+    }
+    return { together, against };
+  }
+
   /**
    * Process match details from STRATZ
    */
@@ -249,7 +320,7 @@ export class DataProcessor {
 
     if (!lastMatchId) {
       if (accountId) {
-        this.stateCache.setLastMatchIdForPlayer(accountId, matches[0].matchId);
+        this.rememberLastMatch(accountId, matches[0]);
       } else {
         this.stateCache.setLastMatchId(matches[0].matchId);
       }
@@ -261,7 +332,7 @@ export class DataProcessor {
 
     if (newMatches.length > 0) {
       if (accountId) {
-        this.stateCache.setLastMatchIdForPlayer(accountId, newMatches[0].matchId);
+        this.rememberLastMatch(accountId, newMatches[0]);
       } else {
         this.stateCache.setLastMatchId(newMatches[0].matchId);
       }
@@ -273,6 +344,79 @@ export class DataProcessor {
     return newMatches;
   }
 
+  /**
+   * Detect matches missed while the bot was offline (catch-up on startup)
+   * Unlike detectNewMatches, a player with no baseline gets all given matches back,
+   * so the caller is responsible for limiting how far back it fetched.
+   * Returns missed matches oldest first, so they can be replayed in order
+   * @param {Array} matches - Processed matches (any order)
+   * @param {string} accountId - Player account ID
+   */
+  detectMissedMatches(matches, accountId) {
+    if (!matches || !Array.isArray(matches) || matches.length === 0) {
+      return [];
+    }
+
+    const lastMatchId = this.stateCache.getLastMatchIdForPlayer(accountId);
+    const missed = matches
+      .filter(match => !lastMatchId || match.matchId > lastMatchId)
+      .sort((a, b) => a.startTime - b.startTime || a.matchId - b.matchId);
+
+    if (missed.length > 0) {
+      this.rememberLastMatch(accountId, missed[missed.length - 1]);
+    }
+
+    logger.debug(`detectMissedMatches(${accountId}): lastMatchId=${lastMatchId}, ${matches.length} fetched, ${missed.length} missed`);
+    return missed;
+  }
+
+  /**
+   * Record the newest seen match (ID and start time) for an account
+   */
+  rememberLastMatch(accountId, match) {
+    this.stateCache.setLastMatchIdForPlayer(accountId, match.matchId);
+    if (match.startTime) {
+      this.stateCache.setLastMatchTimeForPlayer(accountId, match.startTime);
+    }
+  }
+
+  /**
+   * Advance a player's win/loss streak with one processed match
+   * Matches at or before the streak's last match are ignored (already counted).
+   * Returns { streak, broken, counted } - broken is the previous streak if this match ended it
+   * @param {Object|null} streak - { type: 'win'|'loss', count, lastMatchId, lastMatchTime }
+   * @param {Object} match - Processed match
+   */
+  advanceStreak(streak, match) {
+    if (streak?.lastMatchId && match.matchId <= streak.lastMatchId) {
+      return { streak, broken: null, counted: false };
+    }
+
+    const type = match.win ? 'win' : 'loss';
+    const position = { lastMatchId: match.matchId, lastMatchTime: match.startTime || null };
+
+    if (streak && streak.type === type) {
+      return { streak: { ...streak, count: streak.count + 1, ...position }, broken: null, counted: true };
+    }
+
+    return {
+      streak: { type, count: 1, ...position },
+      broken: streak && streak.count > 0 ? streak : null,
+      counted: true
+    };
+  }
+
+  /**
+   * Calculate the current streak from a list of processed matches (any order)
+   * Only as long as the list, so it is a lower bound when every match has the same result.
+   */
+  calculateStreak(matches) {
+    if (!matches || matches.length === 0) return null;
+
+    const ordered = [...matches].sort((a, b) => a.matchId - b.matchId);
+    return ordered.reduce((streak, match) => this.advanceStreak(streak, match).streak, null);
+  }
+
   /**
    * Detect stat changes
    */
@@ -384,6 +528,22 @@ export class DataProcessor {
     };
   }
 
+  /**
+   * Compare a period summary with the one before it (for week-over-week / month-over-month)
+   * Returns the change in matches, win rate (percentage points) and average KDA
+   * @param {Object} current - Summary from processDailySummary
+   * @param {Object} previous - Summary of the previous period
+   */
+  compareSummaries(current, previous) {
+    const hasPrevious = previous && previous.totalMatches > 0;
+    return {
+      hasPrevious,
+      matches: current.totalMatches - (previous?.totalMatches || 0),
+      winRate: hasPrevious ? parseFloat(current.winRate) - parseFloat(previous.winRate) : null,
+      avgKDA: hasPrevious ? parseFloat(current.avgKDA) - parseFloat(previous.avgKDA) : null
+    };
+  }
+
   /**
    * Process achievements/feats from STRATZ
    */
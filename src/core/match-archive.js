@@ -0,0 +1,415 @@
+import { mkdirSync } from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { logger } from '../utils/logger.js';
+import { toGameMode, toLobbyType } from '../services/opendota-client.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS matches (
+    match_id INTEGER PRIMARY KEY,
+    start_time INTEGER,
+    duration INTEGER,
+    did_radiant_win INTEGER,
+    game_mode TEXT,
+    lobby_type TEXT,
+    source TEXT,
+    archived_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS matches_start_time ON matches (start_time);
+
+  CREATE TABLE IF NOT EXISTS match_players (
+    match_id INTEGER NOT NULL,
+    hero_id INTEGER NOT NULL,
+    account_id INTEGER,
+    is_radiant INTEGER,
+    player_slot INTEGER,
+    kills INTEGER,
+    deaths INTEGER,
+    assists INTEGER,
+    gold_per_minute INTEGER,
+    experience_per_minute INTEGER,
+    last_hits INTEGER,
+    denies INTEGER,
+    hero_damage INTEGER,
+    tower_damage INTEGER,
+    hero_healing INTEGER,
+    networth INTEGER,
+    level INTEGER,
+    imp INTEGER,
+    award TEXT,
+    items TEXT,
+    kill_events TEXT,
+    PRIMARY KEY (match_id, hero_id)
+  );
+  CREATE INDEX IF NOT EXISTS match_players_account ON match_players (account_id, hero_id);
+
+  CREATE TABLE IF NOT EXISTS multi_kills (
+    match_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    triple_kills INTEGER NOT NULL DEFAULT 0,
+    ultra_kills INTEGER NOT NULL DEFAULT 0,
+    rampages INTEGER NOT NULL DEFAULT 0,
+    source TEXT,
+    recorded_at TEXT NOT NULL,
+    PRIMARY KEY (match_id, account_id)
+  );
+`;
+
+// Later (fuller) data fills in or replaces a row, but never blanks out what is already known
+const PLAYER_COLUMNS = [
+  'account_id', 'is_radiant', 'player_slot', 'kills', 'deaths', 'assists', 'gold_per_minute',
+  'experience_per_minute', 'last_hits', 'denies', 'hero_damage', 'tower_damage', 'hero_healing',
+  'networth', 'level', 'imp', 'award', 'items', 'kill_events'
+];
+
+const toBool = (value) => (value === null || value === undefined ? null : value ? 1 : 0);
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Items from STRATZ item0Id-item5Id/neutral0Id fields, or null when the query didn't ask for them
+ */
+function stratzItems(player) {
+  const inventory = [0, 1, 2, 3, 4, 5].map(i => player[`item${i}Id`]);
+  if (inventory.every(id => id === undefined) && player.neutral0Id === undefined) return null;
+  return { inventory: inventory.map(id => id ?? null), neutral: player.neutral0Id ?? null };
+}
+
+/**
+ * Local archive of every match the bot has seen
+ *
+ * STRATZ and OpenDota responses are written here as they are fetched (see
+ * StratzClient/OpenDotaClient), so history questions can be answered without API calls.
+ * Matches are returned in the STRATZ shape the rest of the bot already understands.
+ */
+export class MatchArchive {
+  constructor(dbFile) {
+    this.dbFile = dbFile;
+    this.db = null;
+  }
+
+  async load() {
+    if (this.dbFile !== ':memory:') {
+      mkdirSync(path.dirname(this.dbFile), { recursive: true });
+    }
+
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.insertMatch = this.db.prepare(`
+      INSERT INTO matches (match_id, start_time, duration, did_radiant_win, game_mode, lobby_type, source, archived_at)
+      VALUES (@matchId, @startTime, @duration, @didRadiantWin, @gameMode, @lobbyType, @source, @archivedAt)
+      ON CONFLICT(match_id) DO UPDATE SET
+        start_time = COALESCE(excluded.start_time, start_time),
+        duration = COALESCE(excluded.duration, duration),
+        did_radiant_win = COALESCE(excluded.did_radiant_win, did_radiant_win),
+        game_mode = COALESCE(excluded.game_mode, game_mode),
+        lobby_type = COALESCE(excluded.lobby_type, lobby_type)
+    `);
+    this.insertPlayer = this.db.prepare(`
+      INSERT INTO match_players (match_id, hero_id, ${PLAYER_COLUMNS.join(', ')})
+      VALUES (@match_id, @hero_id, ${PLAYER_COLUMNS.map(c => `@${c}`).join(', ')})
+      ON CONFLICT(match_id, hero_id) DO UPDATE SET
+        ${PLAYER_COLUMNS.map(c => `${c} = COALESCE(excluded.${c}, ${c})`).join(',\n        ')}
+    `);
+    this.insertMultiKills = this.db.prepare(`
+      INSERT OR REPLACE INTO multi_kills (match_id, account_id, triple_kills, ultra_kills, rampages, source, recorded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM matches').get();
+    logger.info(`Match archive loaded from ${this.dbFile} (${count} matches)`);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // ==================== Writing ====================
+
+  /**
+   * Store matches in the STRATZ shape (match fields plus players - all ten, or only the
+   * tracked player for player match lists). Returns the number of matches stored.
+   */
+  storeMatches(matches, source = 'stratz') {
+    const valid = (matches || []).filter(m => m?.id);
+    if (valid.length === 0) return 0;
+
+    const archivedAt = new Date().toISOString();
+    this.db.transaction(() => {
+      for (const match of valid) {
+        this.insertMatch.run({
+          matchId: Number(match.id),
+          startTime: match.startDateTime ?? null,
+          duration: match.durationSeconds ?? null,
+          didRadiantWin: toBool(match.didRadiantWin),
+          gameMode: match.gameMode != null ? String(match.gameMode) : null,
+          lobbyType: match.lobbyType != null ? String(match.lobbyType) : null,
+          source,
+          archivedAt
+        });
+
+        for (const player of match.players || []) {
+          if (player?.heroId == null) continue;
+          this.insertPlayer.run({
+            match_id: Number(match.id),
+            hero_id: player.heroId,
+            account_id: player.steamAccountId ?? null,
+            is_radiant: toBool(player.isRadiant),
+            player_slot: player.playerSlot ?? null,
+            kills: player.kills ?? null,
+            deaths: player.deaths ?? null,
+            assists: player.assists ?? null,
+            gold_per_minute: player.goldPerMinute ?? null,
+            experience_per_minute: player.experiencePerMinute ?? null,
+            last_hits: player.numLastHits ?? null,
+            denies: player.numDenies ?? null,
+            hero_damage: player.heroDamage ?? null,
+            tower_damage: player.towerDamage ?? null,
+            hero_healing: player.heroHealing ?? null,
+            networth: player.networth ?? null,
+            level: player.level ?? null,
+            imp: player.imp ?? null,
+            award: player.award ?? null,
+            items: toJson(player.items ?? stratzItems(player)),
+            kill_events: player.stats?.killEvents?.length ? toJson(player.stats.killEvents) : null
+          });
+        }
+      }
+    })();
+
+    return valid.length;
+  }
+
+  /**
+   * Store a full OpenDota match (/matches/{id}), including items, kill logs and
+   * multi-kills when the match is parsed
+   */
+  storeOpenDotaMatch(match) {
+    if (!match?.match_id) return;
+
+    const players = (match.players || []).map(p => ({
+      steamAccountId: p.account_id ?? null,
+      heroId: p.hero_id,
+      isRadiant: p.player_slot < 128,
+      playerSlot: p.player_slot,
+      kills: p.kills,
+      deaths: p.deaths,
+      assists: p.assists,
+      goldPerMinute: p.gold_per_min,
+      experiencePerMinute: p.xp_per_min,
+      numLastHits: p.last_hits,
+      numDenies: p.denies,
+      heroDamage: p.hero_damage,
+      towerDamage: p.tower_damage,
+      heroHealing: p.hero_healing,
+      networth: p.net_worth,
+      level: p.level,
+      items: [p.item_0, p.item_1, p.item_2, p.item_3, p.item_4, p.item_5, p.item_neutral].some(i => i != null)
+        ? { inventory: [p.item_0, p.item_1, p.item_2, p.item_3, p.item_4, p.item_5], neutral: p.item_neutral ?? null }
+        : null,
+      stats: p.kills_log ? { killEvents: p.kills_log.map(k => ({ time: k.time, target: k.key })) } : null
+    }));
+
+    this.storeMatches([{
+      id: match.match_id,
+      startDateTime: match.start_time,
+      durationSeconds: match.duration,
+      didRadiantWin: match.radiant_win,
+      gameMode: toGameMode(match.game_mode),
+      lobbyType: toLobbyType(match.lobby_type),
+      players
+    }], 'opendota');
+
+    // multi_kills is only present on parsed matches
+    for (const p of match.players || []) {
+      if (!p.account_id || !p.multi_kills) continue;
+      this.recordMultiKills(match.match_id, p.account_id, {
+        tripleKills: p.multi_kills['3'] || 0,
+        ultraKills: p.multi_kills['4'] || 0,
+        rampages: p.multi_kills['5'] || 0
+      }, 'opendota');
+    }
+  }
+
+  /**
+   * Store an OpenDota player match list (/players/{id}/matches)
+   */
+  storeOpenDotaPlayerMatches(matches, accountId) {
+    return this.storeMatches((matches || []).map(m => ({
+      id: m.match_id,
+      startDateTime: m.start_time,
+      durationSeconds: m.duration,
+      didRadiantWin: m.radiant_win,
+      gameMode: toGameMode(m.game_mode),
+      lobbyType: toLobbyType(m.lobby_type),
+      players: [{
+        steamAccountId: parseInt(accountId, 10),
+        heroId: m.hero_id,
+        isRadiant: m.player_slot != null ? m.player_slot < 128 : null,
+        playerSlot: m.player_slot,
+        kills: m.kills,
+        deaths: m.deaths,
+        assists: m.assists,
+        goldPerMinute: m.gold_per_min,
+        experiencePerMinute: m.xp_per_min,
+        numLastHits: m.last_hits,
+        numDenies: m.denies
+      }]
+    })), 'opendota');
+  }
+
+  /**
+   * Record the multi-kill result for a player in a match
+   */
+  recordMultiKills(matchId, accountId, { tripleKills = 0, ultraKills = 0, rampages = 0 }, source) {
+    this.insertMultiKills.run(
+      Number(matchId), Number(accountId), tripleKills, ultraKills, rampages, source, new Date().toISOString()
+    );
+  }
+
+  // ==================== Queries ====================
+
+  /**
+   * Build the WHERE clause for a player's matches
+   */
+  playerFilter(accountIds, { heroId = null, since = null, until = null } = {}) {
+    const ids = accountIds.map(id => Number(id));
+    const clauses = [`mp.account_id IN (${ids.map(() => '?').join(', ')})`];
+    const params = [...ids];
+
+    if (heroId != null) {
+      clauses.push('mp.hero_id = ?');
+      params.push(heroId);
+    }
+    if (since != null) {
+      clauses.push('m.start_time >= ?');
+      params.push(since);
+    }
+    if (until != null) {
+      clauses.push('m.start_time < ?');
+      params.push(until);
+    }
+
+    return { where: clauses.join(' AND '), params };
+  }
+
+  /**
+   * A player's archived matches, newest first, in the STRATZ player-match shape
+   * (players holds only that player's row)
+   */
+  getPlayerMatches(accountIds, { heroId = null, since = null, until = null, limit = null } = {}) {
+    if (!accountIds?.length) return [];
+
+    const { where, params } = this.playerFilter(accountIds, { heroId, since, until });
+    const rows = this.db.prepare(`
+      SELECT m.*, mp.*, mk.triple_kills, mk.ultra_kills, mk.rampages
+      FROM match_players mp
+      JOIN matches m ON m.match_id = mp.match_id
+      LEFT JOIN multi_kills mk ON mk.match_id = mp.match_id AND mk.account_id = mp.account_id
+      WHERE ${where}
+      ORDER BY m.start_time DESC
+      ${limit ? 'LIMIT ?' : ''}
+    `).all(...params, ...(limit ? [limit] : []));
+
+    return rows.map(row => ({
+      ...this.toMatch(row),
+      players: [this.toPlayer(row)],
+      multiKills: row.rampages == null
+        ? null
+        : { tripleKills: row.triple_kills, ultraKills: row.ultra_kills, rampages: row.rampages }
+    }));
+  }
+
+  /**
+   * Multi-kill totals for a player's archived matches
+   */
+  getMultiKillTotals(accountIds, filters = {}) {
+    if (!accountIds?.length) return { tripleKills: 0, ultraKills: 0, rampages: 0 };
+
+    const { where, params } = this.playerFilter(accountIds, filters);
+    const row = this.db.prepare(`
+      SELECT COALESCE(SUM(mk.triple_kills), 0) AS tripleKills,
+             COALESCE(SUM(mk.ultra_kills), 0) AS ultraKills,
+             COALESCE(SUM(mk.rampages), 0) AS rampages
+      FROM match_players mp
+      JOIN matches m ON m.match_id = mp.match_id
+      JOIN multi_kills mk ON mk.match_id = mp.match_id AND mk.account_id = mp.account_id
+      WHERE ${where}
+    `).get(...params);
+
+    return row;
+  }
+
+  /**
+   * A single archived match with every stored player, or null
+   */
+  getMatch(matchId) {
+    const match = this.db.prepare('SELECT * FROM matches WHERE match_id = ?').get(Number(matchId));
+    if (!match) return null;
+
+    const players = this.db.prepare('SELECT * FROM match_players WHERE match_id = ? ORDER BY player_slot, hero_id').all(Number(matchId));
+    return { ...this.toMatch(match), players: players.map(p => this.toPlayer(p)) };
+  }
+
+  /**
+   * Archive size: matches, player rows, multi-kill results and the date range covered
+   */
+  getStats(accountIds = null) {
+    const totals = this.db.prepare(`
+      SELECT (SELECT COUNT(*) FROM matches) AS matches,
+             (SELECT COUNT(*) FROM match_players) AS playerRows,
+             (SELECT COUNT(*) FROM multi_kills) AS multiKillResults,
+             (SELECT MIN(start_time) FROM matches) AS oldest,
+             (SELECT MAX(start_time) FROM matches) AS newest
+    `).get();
+
+    if (accountIds?.length) {
+      const { where, params } = this.playerFilter(accountIds);
+      totals.playerMatches = this.db.prepare(`
+        SELECT COUNT(*) AS count FROM match_players mp JOIN matches m ON m.match_id = mp.match_id WHERE ${where}
+      `).get(...params).count;
+    }
+
+    return totals;
+  }
+
+  toMatch(row) {
+    return {
+      id: row.match_id,
+      didRadiantWin: row.did_radiant_win === null ? null : row.did_radiant_win === 1,
+      durationSeconds: row.duration,
+      startDateTime: row.start_time,
+      gameMode: row.game_mode,
+      lobbyType: row.lobby_type
+    };
+  }
+
+  toPlayer(row) {
+    return {
+      steamAccountId: row.account_id,
+      heroId: row.hero_id,
+      isRadiant: row.is_radiant === null ? null : row.is_radiant === 1,
+      playerSlot: row.player_slot,
+      kills: row.kills,
+      deaths: row.deaths,
+      assists: row.assists,
+      goldPerMinute: row.gold_per_minute,
+      experiencePerMinute: row.experience_per_minute,
+      numLastHits: row.last_hits,
+      numDenies: row.denies,
+      heroDamage: row.hero_damage,
+      towerDamage: row.tower_damage,
+      heroHealing: row.hero_healing,
+      networth: row.networth,
+      level: row.level,
+      imp: row.imp,
+      award: row.award,
+      items: row.items ? JSON.parse(row.items) : null,
+      stats: row.kill_events ? { killEvents: JSON.parse(row.kill_events) } : null
+    };
+  }
+}
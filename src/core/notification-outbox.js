@@ -0,0 +1,332 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { JsonFile } from '../utils/json-file.js';
+
+// Discord API error codes that will never succeed on retry
+const PERMANENT_DISCORD_ERRORS = new Set([
+  10003, // Unknown Channel
+  50001, // Missing Access
+  50013, // Missing Permissions
+  50035  // Invalid Form Body
+]);
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades for the stored outbox: MIGRATIONS[v] turns version v - 1 into version v
+ */
+const MIGRATIONS = {
+  // Unversioned files: make sure every list exists
+  1: (data) => ({
+    pending: Array.isArray(data.pending) ? data.pending : [],
+    deadLetters: Array.isArray(data.deadLetters) ? data.deadLetters : [],
+    delivered: Array.isArray(data.delivered) ? data.delivered : []
+  })
+};
+
+// How many delivered dedupe keys to remember (prevents re-posting the same event)
+const DELIVERED_HISTORY_LIMIT = 1000;
+
+/**
+ * Persisted notification outbox
+ *
+ * Every notification is written to disk before delivery is attempted, then delivered
+ * with exponential backoff. Entries that keep failing are moved to a dead-letter list
+ * that admins can inspect and replay.
+ *
+ * Duplicate protection:
+ * - Entries with a dedupe key are skipped if the same key is pending or was delivered
+ * - Each entry carries a stable Discord nonce (with enforceNonce), so a send that was
+ *   in flight when the bot stopped is de-duplicated by Discord when retried
+ */
+export class NotificationOutbox {
+  constructor(outboxFile, discordBot, options = {}) {
+    this.outboxFile = outboxFile;
+    this.discordBot = discordBot;
+    this.maxAttempts = options.maxAttempts || 8;
+    this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+    this.maxDelayMs = options.maxDelayMs || 30 * 60 * 1000;
+    this.flushIntervalMs = options.flushIntervalMs || 15 * 1000;
+    this.data = {
+      pending: [],
+      deadLetters: [],
+      delivered: [] // [{ id, dedupeKey, channelId, messageId, deliveredAt }]
+    };
+    this.timer = null;
+    this.flushPromise = null;
+    this.file = new JsonFile(outboxFile, {
+      schemaVersion: SCHEMA_VERSION,
+      migrations: MIGRATIONS,
+      defaults: () => ({ pending: [], deadLetters: [], delivered: [] })
+    });
+  }
+
+  async load() {
+    this.data = await this.file.load();
+
+    // Sends cut off by a shutdown are retried like any other pending entry (the nonce stops
+    // Discord from posting one twice); left as 'sending' they could never be updated
+    const inFlight = this.data.pending.filter(e => e.status === 'sending');
+    for (const entry of inFlight) entry.status = 'pending';
+    if (inFlight.length > 0) await this.save();
+
+    logger.info(`Notification outbox loaded: ${this.data.pending.length} pending (${inFlight.length} in flight at shutdown), ${this.data.deadLetters.length} dead-lettered`);
+  }
+
+  async save() {
+    try {
+      await this.file.save(this.data);
+    } catch (error) {
+      logger.error('Failed to save notification outbox:', error.message);
+    }
+  }
+
+  /**
+   * Start the background delivery loop
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.flush().catch(error => logger.error('Outbox flush failed:', error));
+    }, this.flushIntervalMs);
+    logger.info(`Notification outbox started (retry loop every ${Math.round(this.flushIntervalMs / 1000)}s)`);
+
+    // Deliver anything left over from the previous run
+    this.flush().catch(error => logger.error('Outbox flush failed:', error));
+  }
+
+  /**
+   * Stop the background delivery loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check whether an event was already queued or delivered to a channel
+   */
+  isKnown(dedupeKey, channelId) {
+    if (!dedupeKey) return false;
+    const sameEvent = e => e.dedupeKey === dedupeKey && e.channelId === channelId;
+    return this.data.pending.some(sameEvent) || this.data.delivered.some(sameEvent);
+  }
+
+  /**
+   * Persist a notification for delivery to one channel
+   * Returns the queued entry, or null if the same event was already queued/delivered
+   */
+  async enqueue(kind, channelId, content, embed = null, dedupeKey = null) {
+    if (this.isKnown(dedupeKey, channelId)) {
+      logger.debug(`Outbox: skipping duplicate ${kind} notification (${dedupeKey}) for channel ${channelId}`);
+      return null;
+    }
+
+    const id = randomUUID();
+    const entry = {
+      id,
+      kind,
+      channelId,
+      dedupeKey,
+      payload: {
+        content: embed ? null : content,
+        embeds: embed ? [typeof embed.toJSON === 'function' ? embed.toJSON() : embed] : []
+      },
+      // Discord nonces are limited to 25 characters
+      nonce: id.replace(/-/g, '').slice(0, 25),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString(),
+      lastError: null
+    };
+
+    this.data.pending.push(entry);
+    await this.save();
+    logger.debug(`Outbox: queued ${kind} notification ${id} for channel ${channelId}`);
+    return entry;
+  }
+
+  /**
+   * Deliver every entry that is due. Concurrent callers share the same run.
+   */
+  async flush() {
+    if (this.flushPromise) return this.flushPromise;
+
+    this.flushPromise = this.deliverDue().finally(() => {
+      this.flushPromise = null;
+    });
+    return this.flushPromise;
+  }
+
+  async deliverDue() {
+    const now = Date.now();
+    const due = this.data.pending
+      .filter(e => e.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const entry of due) {
+      await this.deliver(entry);
+    }
+  }
+
+  /**
+   * Attempt delivery of a single entry
+   */
+  async deliver(entry) {
+    entry.status = 'sending';
+    entry.attempts++;
+    await this.save();
+
+    try {
+      const options = {
+        nonce: entry.nonce,
+        enforceNonce: true
+      };
+      if (entry.payload.embeds.length > 0) {
+        options.embeds = entry.payload.embeds;
+      } else {
+        options.content = entry.payload.content;
+      }
+
+      const message = await this.discordBot.deliverToChannel(entry.channelId, options);
+
+      this.data.pending = this.data.pending.filter(e => e.id !== entry.id);
+      this.recordDelivered(entry, message?.id || null);
+      await this.save();
+      logger.debug(`Outbox: delivered ${entry.kind} notification ${entry.id} to channel ${entry.channelId} (attempt ${entry.attempts})`);
+      return true;
+    } catch (error) {
+      entry.status = 'pending';
+      entry.lastError = error.message;
+
+      const permanent = PERMANENT_DISCORD_ERRORS.has(error.code);
+      if (permanent || entry.attempts >= this.maxAttempts) {
+        this.deadLetter(entry, permanent ? `permanent error ${error.code}` : 'max attempts reached');
+      } else {
+        const delay = Math.min(this.baseDelayMs * Math.pow(2, entry.attempts - 1), this.maxDelayMs);
+        entry.nextAttemptAt = Date.now() + delay;
+        logger.warn(`Outbox: delivery of ${entry.kind} notification to ${entry.channelId} failed (attempt ${entry.attempts}/${this.maxAttempts}): ${error.message} - retrying in ${Math.round(delay / 1000)}s`);
+      }
+
+      await this.save();
+      return false;
+    }
+  }
+
+  recordDelivered(entry, messageId) {
+    this.data.delivered.push({
+      id: entry.id,
+      dedupeKey: entry.dedupeKey,
+      channelId: entry.channelId,
+      messageId,
+      deliveredAt: new Date().toISOString()
+    });
+    if (this.data.delivered.length > DELIVERED_HISTORY_LIMIT) {
+      this.data.delivered = this.data.delivered.slice(-DELIVERED_HISTORY_LIMIT);
+    }
+  }
+
+  deadLetter(entry, reason) {
+    this.data.pending = this.data.pending.filter(e => e.id !== entry.id);
+    this.data.deadLetters.push({
+      ...entry,
+      status: 'dead',
+      deadLetteredAt: new Date().toISOString(),
+      reason
+    });
+    logger.error(`Outbox: ${entry.kind} notification ${entry.id} for channel ${entry.channelId} dead-lettered (${reason}): ${entry.lastError}`);
+  }
+
+  /**
+   * Whether an entry has been delivered (by outbox entry ID)
+   */
+  getDelivery(id) {
+    return this.data.delivered.find(d => d.id === id) || null;
+  }
+
+  /**
+   * Find the queued or delivered notification for an event in a channel
+   * Returns { id, messageId, delivered } or null
+   */
+  lookup(dedupeKey, channelId) {
+    const sameEvent = e => e.dedupeKey === dedupeKey && e.channelId === channelId;
+    const delivered = this.data.delivered.find(sameEvent);
+    if (delivered) return { id: delivered.id, messageId: delivered.messageId, delivered: true };
+    const pending = this.data.pending.find(sameEvent);
+    if (pending) return { id: pending.id, messageId: null, delivered: false };
+    return null;
+  }
+
+  /**
+   * Replace the embed of a notification that has not been delivered yet
+   * Returns false if the entry is no longer pending
+   */
+  async updatePayload(id, embed) {
+    const entry = this.data.pending.find(e => e.id === id);
+    if (!entry || entry.status === 'sending') return false;
+
+    entry.payload = {
+      content: null,
+      embeds: [typeof embed.toJSON === 'function' ? embed.toJSON() : embed]
+    };
+    await this.save();
+    return true;
+  }
+
+  getPending() {
+    return [...this.data.pending];
+  }
+
+  getDeadLetters() {
+    return [...this.data.deadLetters];
+  }
+
+  /**
+   * Move dead-lettered entries back into the pending queue and deliver them
+   * Accepts a full entry ID or a unique prefix. Returns the number of entries replayed.
+   */
+  async replay(idOrPrefix = null) {
+    const matches = idOrPrefix
+      ? this.data.deadLetters.filter(e => e.id.startsWith(idOrPrefix))
+      : [...this.data.deadLetters];
+
+    if (matches.length === 0) return 0;
+    if (idOrPrefix && matches.length > 1) {
+      throw new Error(`ID prefix "${idOrPrefix}" matches ${matches.length} entries - use a longer prefix`);
+    }
+
+    const replayIds = new Set(matches.map(e => e.id));
+    this.data.deadLetters = this.data.deadLetters.filter(e => !replayIds.has(e.id));
+
+    for (const entry of matches) {
+      const { deadLetteredAt, reason, ...rest } = entry;
+      this.data.pending.push({
+        ...rest,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now()
+      });
+    }
+
+    await this.save();
+    logger.info(`Outbox: replaying ${matches.length} dead-lettered notification(s)`);
+    await this.flush();
+    return matches.length;
+  }
+
+  /**
+   * Permanently drop dead-lettered entries. Returns the number removed.
+   */
+  async discard(idOrPrefix = null) {
+    const before = this.data.deadLetters.length;
+    this.data.deadLetters = idOrPrefix
+      ? this.data.deadLetters.filter(e => !e.id.startsWith(idOrPrefix))
+      : [];
+    const removed = before - this.data.deadLetters.length;
+    if (removed > 0) await this.save();
+    return removed;
+  }
+}
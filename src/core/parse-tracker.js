@@ -0,0 +1,222 @@
+import { logger } from '../utils/logger.js';
+import { JsonFile } from '../utils/json-file.js';
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Follows OpenDota parse requests until the parsed match is available
+ *
+ * Each requested parse is stored with its job ID and checked with exponential backoff:
+ * while GET /request/{jobId} still returns the job it is queued; once it returns nothing the
+ * match is fetched, and if it is parsed every onParsed listener (multi-kill detection, ...)
+ * runs with the parsed match. A job that finished without a parsed match is requested again,
+ * up to maxRequests times. Jobs are given up after maxAgeMs, and every onGiveUp listener runs
+ * so whatever waited on the parse can use another source.
+ *
+ * Outstanding jobs are saved, so they are followed up after a restart.
+ */
+export class ParseTracker {
+  /**
+   * @param {string} file - Where outstanding jobs are kept
+   * @param {import('../services/opendota-client.js').OpenDotaClient} openDotaClient
+   * @param {Object} [options]
+   */
+  constructor(file, openDotaClient, options = {}) {
+    this.openDotaClient = openDotaClient;
+    this.baseDelayMs = options.baseDelayMs || 60 * 1000;
+    this.maxDelayMs = options.maxDelayMs || 30 * 60 * 1000;
+    this.maxAgeMs = options.maxAgeMs || 12 * 60 * 60 * 1000;
+    this.maxRequests = options.maxRequests || 3;
+    this.checkIntervalMs = options.checkIntervalMs || 30 * 1000;
+    this.data = { jobs: [] };
+    this.listeners = [];
+    this.giveUpListeners = [];
+    this.timer = null;
+    this.checkPromise = null;
+    this.file = new JsonFile(file, { schemaVersion: SCHEMA_VERSION, defaults: () => ({ jobs: [] }) });
+  }
+
+  async load() {
+    this.data = await this.file.load();
+    logger.info(`Parse tracker loaded: ${this.data.jobs.length} outstanding parse request(s)`);
+  }
+
+  async save() {
+    try {
+      await this.file.save(this.data);
+    } catch (error) {
+      logger.error('Failed to save parse jobs:', error.message);
+    }
+  }
+
+  /**
+   * Start the background check loop
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.check().catch(error => logger.error('Parse job check failed:', error));
+    }, this.checkIntervalMs);
+    logger.info(`Parse tracker started (checking every ${Math.round(this.checkIntervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a function with every newly parsed match: (matchId, matchData) => Promise
+   */
+  onParsed(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Run a function with every match whose parse was given up on: (matchId) => Promise
+   */
+  onGiveUp(listener) {
+    this.giveUpListeners.push(listener);
+  }
+
+  getJobs() {
+    return [...this.data.jobs].sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  isTracking(matchId) {
+    return this.data.jobs.some(job => job.matchId === Number(matchId));
+  }
+
+  /**
+   * Delay before the next check of a job, doubling with each check
+   */
+  backoff(checks) {
+    return Math.min(this.baseDelayMs * Math.pow(2, Math.max(0, checks - 1)), this.maxDelayMs);
+  }
+
+  /**
+   * Ask OpenDota to parse a match and follow the job (once per match)
+   * @returns {Promise<Object>} The tracked job
+   */
+  async request(matchId) {
+    const existing = this.data.jobs.find(job => job.matchId === Number(matchId));
+    if (existing) return existing;
+
+    const job = {
+      matchId: Number(matchId),
+      jobId: null,
+      requests: 0,
+      checks: 0,
+      requestedAt: Date.now(),
+      nextCheckAt: null,
+      status: 'requested',
+      lastError: null
+    };
+    this.data.jobs.push(job);
+    await this.sendRequest(job);
+    await this.save();
+    return job;
+  }
+
+  /**
+   * (Re)send the parse request for a job; a failed request is checked again later like any job
+   */
+  async sendRequest(job) {
+    const result = await this.openDotaClient.requestParse(job.matchId);
+    job.requests++;
+    job.jobId = result?.job?.jobId ?? null;
+    job.status = 'requested';
+    job.lastError = result ? null : 'parse request failed';
+    job.nextCheckAt = Date.now() + this.backoff(1);
+    logger.debug(`Parse tracker: match ${job.matchId} requested (job ${job.jobId ?? 'unknown'}, request ${job.requests}/${this.maxRequests})`);
+  }
+
+  /**
+   * Check every job that is due. Concurrent callers share the same run.
+   */
+  async check() {
+    if (this.checkPromise) return this.checkPromise;
+
+    this.checkPromise = this.checkDue().finally(() => {
+      this.checkPromise = null;
+    });
+    return this.checkPromise;
+  }
+
+  async checkDue() {
+    const now = Date.now();
+    const due = this.data.jobs.filter(job => job.nextCheckAt <= now);
+    if (due.length === 0) return;
+
+    logger.debug(`Parse tracker: checking ${due.length} of ${this.data.jobs.length} job(s)`);
+    for (const job of due) {
+      try {
+        await this.checkJob(job);
+      } catch (error) {
+        job.lastError = error.message;
+        job.nextCheckAt = Date.now() + this.backoff(job.checks);
+        logger.warn(`Parse tracker: check of match ${job.matchId} failed: ${error.message}`);
+      }
+    }
+    await this.save();
+  }
+
+  async checkJob(job) {
+    job.checks++;
+
+    if (Date.now() - job.requestedAt > this.maxAgeMs) {
+      this.remove(job);
+      logger.warn(`Parse tracker: giving up on match ${job.matchId} after ${job.checks - 1} check(s)`);
+      await this.notifyGivenUp(job.matchId);
+      return;
+    }
+
+    if (job.jobId !== null && await this.openDotaClient.getParseStatus(job.jobId)) {
+      job.status = 'queued';
+      job.nextCheckAt = Date.now() + this.backoff(job.checks);
+      return;
+    }
+
+    const matchData = await this.openDotaClient.getMatch(job.matchId);
+    if (this.openDotaClient.isMatchParsed(matchData)) {
+      this.remove(job);
+      logger.info(`Parse tracker: match ${job.matchId} is parsed (${job.checks} check(s))`);
+      await this.notifyParsed(job.matchId, matchData);
+      return;
+    }
+
+    // The job is done (or was never queued) but the match isn't parsed - ask again
+    job.status = 'not parsed';
+    if (job.requests < this.maxRequests) {
+      await this.sendRequest(job);
+    } else {
+      job.nextCheckAt = Date.now() + this.backoff(job.checks);
+    }
+  }
+
+  remove(job) {
+    this.data.jobs = this.data.jobs.filter(j => j !== job);
+  }
+
+  async notifyParsed(matchId, matchData) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(matchId, matchData);
+      } catch (error) {
+        logger.error(`Parse tracker: handling parsed match ${matchId} failed:`, error);
+      }
+    }
+  }
+
+  async notifyGivenUp(matchId) {
+    for (const listener of this.giveUpListeners) {
+      try {
+        await listener(matchId);
+      } catch (error) {
+        logger.error(`Parse tracker: handling unparsed match ${matchId} failed:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,235 @@
+import { logger } from '../utils/logger.js';
+import { JsonFile } from '../utils/json-file.js';
+
+const SCHEMA_VERSION = 1;
+
+// Weight of the newest result in the rolling success rate and latency
+const SMOOTHING = 0.3;
+
+// Proxies scoring within this share of the best one are used in rotation
+const HEALTHY_SHARE = 0.8;
+
+/**
+ * host:port of a proxy URL - identifies it in the scores file and /proxies without the password
+ */
+function proxyId(url) {
+  try {
+    const { hostname, port } = new URL(url);
+    return `${hostname}:${port}`;
+  } catch {
+    return url.replace(/\/\/[^@]*@/, '//');
+  }
+}
+
+/**
+ * Proxies for STRATZ requests, scored on success rate and latency
+ *
+ * - Every request and health check updates a rolling success rate and latency per proxy
+ * - A failed proxy is skipped for a cooldown; otherwise requests rotate among the proxies
+ *   scoring close to the best one
+ * - A proxy can be pinned to one API token, and disabled at runtime with /proxies
+ * - Scores, cooldowns and disabled flags are saved, so a restart doesn't walk back into dead proxies
+ */
+export class ProxyPool {
+  /**
+   * @param {Array<string|{url: string, tokenIndex: number|null}>} proxies
+   * @param {Object} [options]
+   * @param {string} [options.file] - Where to keep scores across restarts
+   * @param {number} [options.cooldownMs=300000] - How long a failed proxy is skipped
+   */
+  constructor(proxies = [], { file = null, cooldownMs = 5 * 60 * 1000 } = {}) {
+    this.cooldownMs = cooldownMs;
+    this.file = file
+      ? new JsonFile(file, { schemaVersion: SCHEMA_VERSION, defaults: () => ({ proxies: {} }) })
+      : null;
+
+    this.proxies = proxies.map((proxy, i) => {
+      const url = typeof proxy === 'string' ? proxy : proxy.url;
+      return {
+        number: i + 1,
+        url,
+        id: proxyId(url),
+        tokenIndex: typeof proxy === 'string' ? null : (proxy.tokenIndex ?? null),
+        successRate: null, // rolling, 0-1 (null = never used)
+        latencyMs: null, // rolling, successful requests only
+        requests: 0,
+        failures: 0,
+        badSince: null,
+        lastError: null,
+        lastCheckedAt: null,
+        lastUsedAt: 0,
+        disabled: false
+      };
+    });
+  }
+
+  get size() {
+    return this.proxies.length;
+  }
+
+  /**
+   * Proxies are configured but every one is disabled: requests must not fall back to going direct
+   */
+  allDisabled() {
+    return this.proxies.length > 0 && this.proxies.every(p => p.disabled);
+  }
+
+  warnIfAllDisabled() {
+    if (this.allDisabled()) {
+      logger.warn(`All ${this.proxies.length} proxies are disabled - STRATZ requests will fail until one is enabled with /proxies enable`);
+    }
+  }
+
+  async load() {
+    if (!this.file || this.proxies.length === 0) return;
+
+    const { proxies: saved = {} } = await this.file.load();
+    for (const proxy of this.proxies) {
+      const stats = saved[proxy.id];
+      if (!stats) continue;
+      for (const key of ['successRate', 'latencyMs', 'requests', 'failures', 'badSince', 'lastError', 'lastCheckedAt', 'disabled']) {
+        if (stats[key] !== undefined) proxy[key] = stats[key];
+      }
+    }
+    const disabled = this.proxies.filter(p => p.disabled).length;
+    logger.info(`Proxy scores loaded for ${Object.keys(saved).length} proxies${disabled > 0 ? ` (${disabled} disabled)` : ''}`);
+    this.warnIfAllDisabled();
+  }
+
+  async save() {
+    if (!this.file || this.proxies.length === 0) return;
+
+    const proxies = {};
+    for (const { id, successRate, latencyMs, requests, failures, badSince, lastError, lastCheckedAt, disabled } of this.proxies) {
+      proxies[id] = { successRate, latencyMs, requests, failures, badSince, lastError, lastCheckedAt, disabled };
+    }
+    try {
+      await this.file.save({ proxies });
+    } catch (error) {
+      logger.error('Failed to save proxy scores:', error.message);
+    }
+  }
+
+  /**
+   * Whether a proxy may carry requests for a token (unpinned proxies carry any token)
+   */
+  isAllowed(proxy, tokenIndex = null) {
+    return tokenIndex === null || proxy.tokenIndex === null || proxy.tokenIndex === tokenIndex;
+  }
+
+  isCoolingDown(proxy, now = Date.now()) {
+    return proxy.badSince !== null && now - proxy.badSince < this.cooldownMs;
+  }
+
+  /**
+   * 0-1: success rate times a latency factor (1 at 0ms, 0.5 at 1s). Unused proxies get the benefit of the doubt.
+   */
+  score(proxy) {
+    if (proxy.disabled) return 0;
+    const successRate = proxy.successRate ?? 1;
+    const latencyFactor = proxy.latencyMs === null ? 1 : 1000 / (1000 + proxy.latencyMs);
+    return successRate * latencyFactor;
+  }
+
+  /**
+   * Pick a proxy for a request: least recently used among the healthy ones
+   * If every allowed proxy is cooling down, the one that failed longest ago is used.
+   * @returns {string|null} Proxy URL, or null if none may carry this token
+   */
+  choose(tokenIndex = null) {
+    const allowed = this.proxies.filter(p => !p.disabled && this.isAllowed(p, tokenIndex));
+    if (allowed.length === 0) return null;
+
+    const now = Date.now();
+    let candidates = allowed.filter(p => !this.isCoolingDown(p, now));
+    if (candidates.length === 0) {
+      logger.warn('All proxies marked as bad, using the one that failed longest ago');
+      candidates = [allowed.reduce((oldest, p) => (p.badSince < oldest.badSince ? p : oldest))];
+    }
+
+    const best = Math.max(...candidates.map(p => this.score(p)));
+    const healthy = candidates.filter(p => this.score(p) >= best * HEALTHY_SHARE);
+    const proxy = healthy.reduce((lru, p) => (p.lastUsedAt < lru.lastUsedAt ? p : lru));
+    proxy.lastUsedAt = now;
+    return proxy.url;
+  }
+
+  find(url) {
+    return this.proxies.find(p => p.url === url) || null;
+  }
+
+  recordSuccess(url, latencyMs) {
+    const proxy = this.find(url);
+    if (!proxy) return;
+
+    proxy.requests++;
+    proxy.successRate = proxy.successRate === null ? 1 : proxy.successRate * (1 - SMOOTHING) + SMOOTHING;
+    proxy.latencyMs = Math.round(proxy.latencyMs === null ? latencyMs : proxy.latencyMs * (1 - SMOOTHING) + latencyMs * SMOOTHING);
+    if (proxy.badSince !== null) {
+      logger.info(`Proxy ${proxy.number} (${proxy.id}) is working again`);
+      proxy.badSince = null;
+    }
+  }
+
+  recordFailure(url, reason) {
+    const proxy = this.find(url);
+    if (!proxy) return;
+
+    proxy.requests++;
+    proxy.failures++;
+    proxy.successRate = proxy.successRate === null ? 0 : proxy.successRate * (1 - SMOOTHING);
+    proxy.lastError = { message: reason, at: Date.now() };
+    proxy.badSince = Date.now();
+    logger.warn(`Proxy ${proxy.number} (${proxy.id}) marked as bad: ${reason}`);
+  }
+
+  /**
+   * Result of a health check: latency if the proxy reached the API, otherwise the error
+   */
+  recordCheck(url, { latencyMs = null, error = null } = {}) {
+    const proxy = this.find(url);
+    if (!proxy) return;
+
+    proxy.lastCheckedAt = Date.now();
+    if (error) {
+      this.recordFailure(url, error);
+    } else {
+      this.recordSuccess(url, latencyMs);
+    }
+  }
+
+  /**
+   * Disable or re-enable a proxy by its 1-based number. Returns the proxy, or null if there is none.
+   */
+  async setDisabled(number, disabled) {
+    const proxy = this.proxies[number - 1];
+    if (!proxy) return null;
+
+    proxy.disabled = disabled;
+    if (!disabled) proxy.badSince = null;
+    logger.info(`Proxy ${proxy.number} (${proxy.id}) ${disabled ? 'disabled' : 'enabled'}`);
+    this.warnIfAllDisabled();
+    await this.save();
+    return proxy;
+  }
+
+  /**
+   * Per-proxy state and score, for /proxies
+   */
+  getStats() {
+    const now = Date.now();
+    return this.proxies.map(proxy => ({
+      number: proxy.number,
+      id: proxy.id,
+      tokenIndex: proxy.tokenIndex,
+      state: proxy.disabled ? 'disabled' : (this.isCoolingDown(proxy, now) ? 'bad' : 'ok'),
+      score: this.score(proxy),
+      successRate: proxy.successRate,
+      latencyMs: proxy.latencyMs,
+      requests: proxy.requests,
+      failures: proxy.failures,
+      lastError: proxy.lastError,
+      lastCheckedAt: proxy.lastCheckedAt
+    }));
+  }
+}
@@ -0,0 +1,214 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger } from '../utils/logger.js';
+
+export const PRIORITY = {
+  INTERACTIVE: 'interactive',
+  BACKGROUND: 'background'
+};
+
+const WINDOWS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Log at info level whenever the queue grows past another multiple of this
+const QUEUE_LOG_STEP = 10;
+
+const priorityContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with every API request it makes (directly or indirectly) in the given lane
+ * Requests made outside of withPriority are background work.
+ */
+export function withPriority(priority, fn) {
+  return priorityContext.run(priority, fn);
+}
+
+export function currentPriority() {
+  return priorityContext.getStore() || PRIORITY.BACKGROUND;
+}
+
+/**
+ * Token-bucket rate limiter shared by every request to one provider
+ *
+ * - One bucket per window (e.g. 20/second and 250/minute); a request needs a token from each
+ * - Interactive requests (slash commands) are always served before queued background ones
+ * - Background requests are deferred while any bucket is below its reserve, so a poll can't
+ *   use up the tokens a command arriving mid-poll needs
+ * - Limits and remaining quota are updated from x-ratelimit-* response headers
+ */
+export class RateLimiter {
+  /**
+   * @param {string} name - Provider name for logs
+   * @param {Object} limits - Requests per window, e.g. { second: 20, minute: 250 }
+   * @param {Object} [options]
+   * @param {number} [options.backgroundReserve=0.2] - Share of each bucket kept for interactive requests
+   */
+  constructor(name, limits, { backgroundReserve = 0.2 } = {}) {
+    this.name = name;
+    this.backgroundReserve = backgroundReserve;
+    this.buckets = new Map(); // window -> { capacity, tokens, updatedAt }
+    this.queues = {
+      [PRIORITY.INTERACTIVE]: [],
+      [PRIORITY.BACKGROUND]: []
+    };
+    this.timer = null;
+    this.loggedDepth = 0;
+
+    for (const [window, capacity] of Object.entries(limits)) {
+      this.setLimit(window, capacity);
+    }
+  }
+
+  setLimit(window, capacity) {
+    if (!WINDOWS[window] || !(capacity > 0)) return;
+
+    const bucket = this.buckets.get(window);
+    if (!bucket) {
+      this.buckets.set(window, { capacity, tokens: capacity, updatedAt: Date.now() });
+    } else if (bucket.capacity !== capacity) {
+      logger.info(`${this.name} rate limit per ${window}: ${bucket.capacity} -> ${capacity}`);
+      bucket.capacity = capacity;
+      bucket.tokens = Math.min(bucket.tokens, capacity);
+    }
+  }
+
+  refill(now = Date.now()) {
+    for (const [window, bucket] of this.buckets) {
+      const elapsed = now - bucket.updatedAt;
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.capacity / WINDOWS[window]);
+      bucket.updatedAt = now;
+    }
+  }
+
+  /**
+   * Milliseconds until a request in this lane can take `cost` tokens (0 = now)
+   */
+  waitTime(priority, cost) {
+    let wait = 0;
+    for (const [window, bucket] of this.buckets) {
+      const reserve = priority === PRIORITY.BACKGROUND ? bucket.capacity * this.backgroundReserve : 0;
+      // A request bigger than the bucket waits for a full bucket instead of forever
+      const needed = Math.min(reserve + cost, bucket.capacity) - bucket.tokens;
+      if (needed > 0) {
+        wait = Math.max(wait, Math.ceil(needed * WINDOWS[window] / bucket.capacity));
+      }
+    }
+    return wait;
+  }
+
+  /**
+   * Wait for a slot. Resolves when the request may be sent.
+   * @param {Object} [options]
+   * @param {string} [options.priority] - Lane (defaults to the caller's withPriority context)
+   * @param {number} [options.cost=1] - Tokens the request uses (e.g. OpenDota parse requests cost 10)
+   */
+  acquire({ priority = currentPriority(), cost = 1 } = {}) {
+    return new Promise(resolve => {
+      this.queues[priority].push({ cost, resolve, queuedAt: Date.now() });
+      this.logQueueDepth();
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    for (;;) {
+      const priority = this.queues[PRIORITY.INTERACTIVE].length > 0 ? PRIORITY.INTERACTIVE : PRIORITY.BACKGROUND;
+      const next = this.queues[priority][0];
+      if (!next) return;
+
+      this.refill();
+      const wait = this.waitTime(priority, next.cost);
+      if (wait > 0) {
+        this.timer = setTimeout(() => this.drain(), wait);
+        return;
+      }
+
+      this.queues[priority].shift();
+      for (const bucket of this.buckets.values()) bucket.tokens -= next.cost;
+
+      const waited = Date.now() - next.queuedAt;
+      if (waited >= 1000) {
+        logger.debug(`${this.name} limiter: ${priority} request waited ${waited}ms (${this.describeQueue()})`);
+      }
+      next.resolve();
+    }
+  }
+
+  /**
+   * Use remaining quota and limits reported by the provider
+   * Understands x-ratelimit-{limit,remaining}-{second,minute,hour,day} (STRATZ) and
+   * x-rate-limit-remaining-{minute,month} (OpenDota)
+   */
+  updateFromHeaders(headers) {
+    if (!headers) return;
+
+    const remaining = {};
+    for (const [name, value] of Object.entries(headers)) {
+      const match = name.toLowerCase().match(/^x-rate-?limit-(limit|remaining)-(\w+)$/);
+      if (!match || !WINDOWS[match[2]]) continue;
+
+      const count = parseInt(value, 10);
+      if (Number.isNaN(count)) continue;
+
+      if (match[1] === 'limit') {
+        this.setLimit(match[2], count);
+      } else {
+        remaining[match[2]] = count;
+      }
+    }
+
+    this.refill();
+    for (const [window, count] of Object.entries(remaining)) {
+      // Learn windows we had no limit for, assuming the remaining count is close to the limit
+      if (!this.buckets.has(window)) this.setLimit(window, count + 1);
+      const bucket = this.buckets.get(window);
+      if (bucket && count < bucket.tokens) bucket.tokens = count;
+    }
+  }
+
+  logQueueDepth() {
+    const depth = this.getQueueDepth();
+    const step = Math.floor(depth.total / QUEUE_LOG_STEP) * QUEUE_LOG_STEP;
+    if (step > this.loggedDepth) {
+      logger.info(`${this.name} limiter queue: ${this.describeQueue()}`);
+    }
+    this.loggedDepth = step;
+  }
+
+  describeQueue() {
+    const depth = this.getQueueDepth();
+    return `${depth.interactive} interactive, ${depth.background} background queued`;
+  }
+
+  getQueueDepth() {
+    const interactive = this.queues[PRIORITY.INTERACTIVE].length;
+    const background = this.queues[PRIORITY.BACKGROUND].length;
+    return { interactive, background, total: interactive + background };
+  }
+
+  /**
+   * Limits, tokens left and queue depth, for diagnostics
+   */
+  getStats() {
+    this.refill();
+    const buckets = {};
+    for (const [window, bucket] of this.buckets) {
+      buckets[window] = { capacity: bucket.capacity, tokens: Math.floor(bucket.tokens) };
+    }
+    return { name: this.name, buckets, queue: this.getQueueDepth() };
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,164 @@
+import { logger } from '../utils/logger.js';
+import { JsonFile } from '../utils/json-file.js';
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * TTL cache for API responses
+ *
+ * - Entries expire after a per-entry TTL (Infinity = never)
+ * - Identical requests made while one is already in flight share its result
+ * - Hits and misses are counted per operation (e.g. STRATZ query name)
+ * - With a file, entries survive restarts (saved every few minutes and on shutdown)
+ *
+ * Values are cloned on the way in and out, so callers can't change what is cached.
+ */
+export class ResponseCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 5000;
+    this.saveIntervalMs = options.saveIntervalMs || 5 * 60 * 1000;
+    this.file = options.file
+      ? new JsonFile(options.file, { schemaVersion: SCHEMA_VERSION, defaults: () => ({ entries: {} }), backups: 0 })
+      : null;
+    this.entries = new Map(); // key -> { operation, value, expiresAt (ms, null = never) }
+    this.inFlight = new Map(); // key -> Promise
+    this.stats = new Map(); // operation -> { hits, misses, shared }
+    this.dirty = false;
+    this.timer = null;
+  }
+
+  async load() {
+    if (!this.file) return;
+
+    const { entries } = await this.file.load();
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(entries || {})) {
+      if (entry.expiresAt === null || entry.expiresAt > now) {
+        this.entries.set(key, entry);
+      }
+    }
+    logger.info(`Response cache loaded: ${this.entries.size} entries`);
+
+    this.timer = setInterval(() => this.save(), this.saveIntervalMs);
+    this.timer.unref?.();
+  }
+
+  async save() {
+    if (!this.file || !this.dirty) return;
+    this.dirty = false;
+    try {
+      await this.file.save({ entries: Object.fromEntries(this.entries) });
+    } catch (error) {
+      this.dirty = true;
+      logger.error('Failed to save response cache:', error.message);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  counters(operation) {
+    if (!this.stats.has(operation)) {
+      this.stats.set(operation, { hits: 0, misses: 0, shared: 0 });
+    }
+    return this.stats.get(operation);
+  }
+
+  /**
+   * Cached value for a key, or undefined if missing/expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.dirty = true;
+      return undefined;
+    }
+    return structuredClone(entry.value);
+  }
+
+  set(key, value, ttlMs, operation = 'other') {
+    if (!(ttlMs > 0)) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      operation,
+      value: structuredClone(value),
+      expiresAt: ttlMs === Infinity ? null : Date.now() + ttlMs
+    });
+    this.dirty = true;
+
+    // Oldest entries go first
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Return the cached value for a key, or fetch, cache and return it
+   * @param {string} key
+   * @param {string} operation - Name for the hit/miss counters and /cache flush
+   * @param {Function} fetch - Async function producing the value
+   * @param {Function} ttlFor - (value) => TTL in ms for this value (0 = don't cache)
+   */
+  async getOrFetch(key, operation, fetch, ttlFor) {
+    const counters = this.counters(operation);
+
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      counters.hits++;
+      return cached;
+    }
+
+    if (this.inFlight.has(key)) {
+      counters.shared++;
+      return structuredClone(await this.inFlight.get(key));
+    }
+
+    counters.misses++;
+    const promise = (async () => {
+      const value = await fetch();
+      this.set(key, value, ttlFor(value), operation);
+      return value;
+    })();
+
+    this.inFlight.set(key, promise);
+    try {
+      return structuredClone(await promise);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Drop every entry, or only one operation's. Returns how many were removed.
+   */
+  flush(operation = null) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (operation && entry.operation !== operation) continue;
+      this.entries.delete(key);
+      removed++;
+    }
+    if (removed > 0) this.dirty = true;
+    return removed;
+  }
+
+  /**
+   * Entry counts and hit/miss counters per operation
+   */
+  getStats() {
+    const operations = {};
+    for (const [operation, counters] of this.stats) {
+      operations[operation] = { ...counters, entries: 0 };
+    }
+    for (const entry of this.entries.values()) {
+      operations[entry.operation] ??= { hits: 0, misses: 0, shared: 0, entries: 0 };
+      operations[entry.operation].entries++;
+    }
+    return { entries: this.entries.size, operations };
+  }
+}
@@ -0,0 +1,226 @@
+import fs from 'fs/promises';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Comparators a rule condition can use
+ */
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * Fields available on every processed match (from getRecentMatches)
+ */
+const MATCH_FIELDS = [
+  'kills', 'deaths', 'assists', 'kdaRatio', 'win', 'duration', 'durationMinutes',
+  'goldPerMinute', 'experiencePerMinute', 'lastHits', 'denies', 'heroId', 'gameMode'
+];
+
+/**
+ * Fields that need the full match from getMatch (only fetched when a rule uses one)
+ */
+const DETAIL_FIELDS = [
+  'heroDamage', 'towerDamage', 'heroHealing', 'level', 'networth', 'imp', 'lastHitsAt10'
+];
+
+/**
+ * Rules engine for "notable performance" alerts
+ *
+ * Rules are loaded from a JSON file:
+ * {
+ *   "rules": [{
+ *     "id": "damage-dealer",
+ *     "name": "Damage Dealer",
+ *     "emoji": "💥",
+ *     "color": "#FF4500",
+ *     "conditions": [{ "field": "heroDamage", "comparator": ">=", "threshold": 40000 }],
+ *     "heroes": [1, 8],                 // optional hero ID filter
+ *     "gameModes": ["ALL_PICK_RANKED"], // optional game mode filter
+ *     "excludeGameModes": ["TURBO"],    // optional game mode exclusion
+ *     "message": "{player} dealt {heroDamage} hero damage on {hero}"
+ *   }]
+ * }
+ *
+ * A rule matches when every condition holds. Message templates can use {player},
+ * {hero}, {matchId} and any field name.
+ */
+export class RulesEngine {
+  constructor(rulesFile) {
+    this.rulesFile = rulesFile;
+    this.rules = [];
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.rulesFile, 'utf-8');
+      const loaded = JSON.parse(raw);
+      const rules = Array.isArray(loaded?.rules) ? loaded.rules : [];
+
+      this.rules = rules.filter(rule => {
+        const problem = this.validateRule(rule);
+        if (problem) {
+          logger.warn(`Skipping performance rule "${rule?.id || '?'}": ${problem}`);
+          return false;
+        }
+        return rule.enabled !== false;
+      });
+      logger.info(`Loaded ${this.rules.length} performance rule(s) from ${this.rulesFile}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info(`No performance rules file at ${this.rulesFile}, performance alerts disabled`);
+      } else {
+        logger.warn('Failed to load performance rules:', error.message);
+      }
+      this.rules = [];
+    }
+  }
+
+  /**
+   * Returns a description of what is wrong with a rule, or null if it is valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'not an object';
+    if (!rule.id) return 'missing id';
+    if (typeof rule.message !== 'string' || !rule.message) return 'missing message template';
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) return 'no conditions';
+
+    for (const condition of rule.conditions) {
+      if (!MATCH_FIELDS.includes(condition.field) && !DETAIL_FIELDS.includes(condition.field)) {
+        return `unknown field "${condition.field}"`;
+      }
+      if (!COMPARATORS[condition.comparator]) {
+        return `unknown comparator "${condition.comparator}"`;
+      }
+      if (condition.threshold === undefined) {
+        return `no threshold for field "${condition.field}"`;
+      }
+    }
+    return null;
+  }
+
+  getRules() {
+    return [...this.rules];
+  }
+
+  /**
+   * Rules whose hero and game mode filters accept this match
+   */
+  applicableRules(match) {
+    return this.rules.filter(rule => {
+      if (Array.isArray(rule.heroes) && rule.heroes.length > 0 && !rule.heroes.includes(match.heroId)) return false;
+      if (Array.isArray(rule.gameModes) && rule.gameModes.length > 0 && !rule.gameModes.includes(match.gameMode)) return false;
+      if (Array.isArray(rule.excludeGameModes) && rule.excludeGameModes.includes(match.gameMode)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Whether evaluating this match needs the full match data from getMatch
+   */
+  needsMatchDetails(match) {
+    return this.applicableRules(match).some(rule =>
+      rule.conditions.some(condition => DETAIL_FIELDS.includes(condition.field))
+    );
+  }
+
+  /**
+   * Applicable rules that can't be decided yet: a detail field they use has no value
+   * (per-minute stats and IMP only exist once STRATZ has parsed the match)
+   * and every condition that can be checked already matches
+   */
+  undecidedRules(match, player = null) {
+    const context = this.buildContext(match, player);
+    return this.applicableRules(match).filter(rule => {
+      const missing = rule.conditions.filter(({ field }) => DETAIL_FIELDS.includes(field) && context[field] == null);
+      return missing.length > 0 && rule.conditions.every(condition =>
+        missing.includes(condition) || (context[condition.field] != null && COMPARATORS[condition.comparator](context[condition.field], condition.threshold))
+      );
+    });
+  }
+
+  /**
+   * Build the field values for a match
+   * @param {Object} match - Processed match (from DataProcessor.processRecentMatches)
+   * @param {Object|null} player - The player's entry in the full match from getMatch
+   */
+  buildContext(match, player = null) {
+    const lastHitsPerMinute = player?.stats?.lastHitsPerMinute;
+
+    return {
+      kills: match.kills,
+      deaths: match.deaths,
+      assists: match.assists,
+      kdaRatio: (match.kills + match.assists) / Math.max(1, match.deaths),
+      win: match.win,
+      duration: match.duration,
+      durationMinutes: match.duration != null ? Math.floor(match.duration / 60) : null,
+      goldPerMinute: match.goldPerMinute,
+      experiencePerMinute: match.experiencePerMinute,
+      lastHits: match.lastHits,
+      denies: match.denies,
+      heroId: match.heroId,
+      gameMode: match.gameMode,
+      heroDamage: player?.heroDamage ?? null,
+      towerDamage: player?.towerDamage ?? null,
+      heroHealing: player?.heroHealing ?? null,
+      level: player?.level ?? null,
+      networth: player?.networth ?? null,
+      imp: player?.imp ?? null,
+      lastHitsAt10: Array.isArray(lastHitsPerMinute) && lastHitsPerMinute.length >= 10
+        ? lastHitsPerMinute.slice(0, 10).reduce((sum, n) => sum + (n || 0), 0)
+        : null
+    };
+  }
+
+  /**
+   * Evaluate all applicable rules against a match
+   * Returns [{ rule, message }] for every rule that matched
+   * @param {Object} match - Processed match
+   * @param {Object|null} player - The player's entry in the full match (needed for detail fields)
+   * @param {Object} names - { player, hero } used in message templates
+   * @param {string[]|null} [ruleIds] - Only evaluate these rules
+   */
+  evaluate(match, player = null, names = {}, ruleIds = null) {
+    const context = this.buildContext(match, player);
+    const results = [];
+
+    for (const rule of this.applicableRules(match)) {
+      if (ruleIds && !ruleIds.includes(rule.id)) continue;
+      const matched = rule.conditions.every(({ field, comparator, threshold }) => {
+        const value = context[field];
+        if (value === null || value === undefined) return false;
+        return COMPARATORS[comparator](value, threshold);
+      });
+
+      if (matched) {
+        results.push({ rule, message: this.renderMessage(rule.message, context, match, names) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Fill a message template
+   */
+  renderMessage(template, context, match, names) {
+    const values = {
+      ...context,
+      kdaRatio: context.kdaRatio.toFixed(2),
+      player: names.player ?? 'Someone',
+      hero: names.hero ?? `Hero ${match.heroId}`,
+      matchId: match.matchId
+    };
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      const value = values[key];
+      if (value === null || value === undefined) return placeholder;
+      return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+    });
+  }
+}
@@ -0,0 +1,168 @@
+import { logger } from '../utils/logger.js';
+import { CronExpression } from '../utils/cron-expression.js';
+import { withPriority, PRIORITY } from './rate-limiter.js';
+
+// setTimeout overflows above ~24.8 days; long waits are split and re-checked
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Persistent job scheduler
+ *
+ * Jobs run either every N minutes (any N, not just divisors of 60) or on a cron
+ * expression in a timezone. Each job's last successful run is stored in the state
+ * cache, so a run missed while the bot was down is made up on startup if it is
+ * still within the grace window.
+ *
+ * A job counts as successful unless its function throws. A job never overlaps itself:
+ * if it is still running when it is due again, that run is skipped.
+ *
+ * Jobs always run as background work, even when they were (re)scheduled from a command.
+ */
+export class Scheduler {
+  constructor(stateCache, options = {}) {
+    this.stateCache = stateCache;
+    this.graceMs = (options.graceMinutes ?? 180) * 60 * 1000;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Add (or replace) a job
+   * @param {Object} job
+   * @param {string} job.id - Stable ID, used to remember the last run across restarts
+   * @param {number} [job.intervalMinutes] - Run every N minutes
+   * @param {string} [job.cron] - Or run on a cron expression...
+   * @param {string} [job.timeZone] - ...evaluated in this timezone (default UTC)
+   * @param {boolean} [job.catchUp=true] - Run on startup if a run was missed within the grace window
+   * @param {Function} job.run - Async function to run
+   * Throws if the cron expression is invalid.
+   */
+  addJob({ id, intervalMinutes = null, cron = null, timeZone = 'UTC', catchUp = true, run }) {
+    if (!intervalMinutes === !cron) {
+      throw new Error(`Job ${id} needs either intervalMinutes or cron`);
+    }
+    if (intervalMinutes !== null && !(intervalMinutes > 0)) {
+      throw new Error(`Job ${id} has an invalid interval: ${intervalMinutes}`);
+    }
+
+    this.removeJob(id);
+
+    const job = {
+      id,
+      intervalMs: intervalMinutes ? intervalMinutes * 60 * 1000 : null,
+      cron: cron ? new CronExpression(cron, timeZone) : null,
+      catchUp,
+      run,
+      running: false,
+      timer: null,
+      nextRunAt: null
+    };
+    this.jobs.set(id, job);
+
+    job.nextRunAt = this.getFirstRunTime(job);
+    this.arm(job);
+
+    const due = job.nextRunAt <= Date.now() ? 'now (missed run)' : new Date(job.nextRunAt).toISOString();
+    logger.info(`Scheduled job ${id} (${job.cron ? `"${job.cron}" ${timeZone}` : `every ${intervalMinutes} min`}), next run ${due}`);
+    return job;
+  }
+
+  /**
+   * Remove a job. A run in progress finishes but is not rescheduled.
+   */
+  removeJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    clearTimeout(job.timer);
+    this.jobs.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove every job whose ID starts with a prefix
+   */
+  removeJobs(prefix) {
+    for (const id of [...this.jobs.keys()]) {
+      if (id.startsWith(prefix)) this.removeJob(id);
+    }
+  }
+
+  stop() {
+    for (const id of [...this.jobs.keys()]) {
+      this.removeJob(id);
+    }
+  }
+
+  /**
+   * When a newly added job should first run, making up a missed run if it is recent enough
+   */
+  getFirstRunTime(job) {
+    const now = Date.now();
+    const lastSuccess = this.stateCache.getJobLastSuccess(job.id);
+    const lastSuccessMs = lastSuccess ? new Date(lastSuccess).getTime() : null;
+
+    if (job.intervalMs) {
+      if (lastSuccessMs === null) return now + job.intervalMs;
+
+      const due = lastSuccessMs + job.intervalMs;
+      if (due > now) return due;
+      if (job.catchUp && now - due <= this.graceMs) return now;
+      return now + job.intervalMs;
+    }
+
+    // Only jobs that have run before can have missed a run
+    if (job.catchUp && lastSuccessMs !== null) {
+      const previous = job.cron.previous(now);
+      if (previous !== null && previous > lastSuccessMs && now - previous <= this.graceMs) {
+        logger.info(`Job ${job.id} missed its run at ${new Date(previous).toISOString()}, running it now`);
+        return now;
+      }
+    }
+    return job.cron.next(now);
+  }
+
+  getNextRunTime(job, after) {
+    return job.intervalMs ? after + job.intervalMs : job.cron.next(after);
+  }
+
+  arm(job) {
+    if (job.nextRunAt === null) {
+      logger.warn(`Job ${job.id} has no upcoming runs`);
+      return;
+    }
+
+    const delay = Math.min(Math.max(job.nextRunAt - Date.now(), 0), MAX_TIMER_MS);
+    // Timers inherit the caller's priority context, which may be an interaction's
+    job.timer = setTimeout(() => withPriority(PRIORITY.BACKGROUND, () => this.tick(job)), delay);
+  }
+
+  async tick(job) {
+    if (this.jobs.get(job.id) !== job) return;
+
+    // Long waits are split into several timers
+    const now = Date.now();
+    if (job.nextRunAt > now) {
+      this.arm(job);
+      return;
+    }
+
+    job.nextRunAt = this.getNextRunTime(job, now);
+    this.arm(job);
+
+    if (job.running) {
+      logger.warn(`Job ${job.id} is still running from last time, skipping this run`);
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.run();
+      this.stateCache.setJobLastSuccess(job.id, new Date().toISOString());
+      await this.stateCache.save();
+    } catch (error) {
+      logger.error(`Job ${job.id} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+}
@@ -1,144 +1,326 @@
 import fs from 'fs/promises';
+import { mkdirSync } from 'fs';
 import path from 'path';
+import Database from 'better-sqlite3';
 import { logger } from '../utils/logger.js';
 
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS player_last_match (
+    account_id INTEGER PRIMARY KEY,
+    match_id INTEGER,
+    start_time INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS player_ranks (
+    rank_key TEXT PRIMARY KEY,
+    rank INTEGER,
+    leaderboard_rank INTEGER,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS detected_multi_kills (
+    match_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    player_name TEXT,
+    detected_at TEXT NOT NULL,
+    PRIMARY KEY (match_id, account_id)
+  );
+  CREATE TABLE IF NOT EXISTS detected_rampages (
+    match_id INTEGER NOT NULL,
+    player_key TEXT NOT NULL,
+    player_name TEXT,
+    detected_at TEXT NOT NULL,
+    PRIMARY KEY (match_id, player_key)
+  );
+  CREATE TABLE IF NOT EXISTS pending_multi_kill_checks (
+    match_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    player_name TEXT,
+    check_count INTEGER NOT NULL DEFAULT 0,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (match_id, account_id)
+  );
+  CREATE TABLE IF NOT EXISTS pending_performance_checks (
+    match_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (match_id, account_id)
+  );
+  CREATE TABLE IF NOT EXISTS daily_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS player_streaks (
+    player_name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS live_trackers (
+    match_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS job_runs (
+    job_id TEXT PRIMARY KEY,
+    last_success TEXT NOT NULL
+  );
+`;
+
 /**
  * State cache manager to track last known state and prevent duplicate notifications
+ *
+ * Backed by SQLite: every change is written straight to the database, so a crash can
+ * no longer leave a half-written state file, and detection history is kept in full.
+ * The first start with an empty database imports the old state-cache.json, which is
+ * then renamed to *.migrated.
  */
 export class StateCache {
-  constructor(cacheFile) {
-    this.cacheFile = cacheFile;
-    this.cache = {
-      lastMatchId: null,
-      lastMatchIdByPlayer: {}, // Track last match ID per player account
-      lastChecked: null,
-      playerStats: null,
-      achievements: null,
-      lastLiveMatchId: null,
-      lastDailySummary: null,
-      dailyMatches: [],
-      detectedRampages: [], // Track detected rampages to avoid duplicates (legacy)
-      detectedMultiKills: [], // Track detected multi-kills (rampages, ultra kills, triple kills)
-      pendingMultiKillChecks: [], // Matches waiting for multi-kill data to become available
-      playerRanks: {} // Track player ranks for rank change notifications
-    };
+  constructor(dbFile, legacyJsonFile = null) {
+    this.dbFile = dbFile;
+    this.legacyJsonFile = legacyJsonFile;
+    this.db = null;
+    this.statements = new Map();
   }
 
   /**
-   * Load cache from file
+   * Open the database, create tables and migrate the legacy JSON file if needed
    */
   async load() {
+    if (this.dbFile !== ':memory:') {
+      mkdirSync(path.dirname(this.dbFile), { recursive: true });
+    }
+
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    if (this.getValue('schemaVersion') === null) {
+      await this.migrateFromJson();
+      this.setValue('schemaVersion', SCHEMA_VERSION);
+    }
+
+    logger.info(`State cache loaded from ${this.dbFile}`);
+  }
+
+  /**
+   * Changes are written as they happen; this only records when state was last checked
+   */
+  async save() {
     try {
-      const dir = path.dirname(this.cacheFile);
-      await fs.mkdir(dir, { recursive: true });
-      
-      const data = await fs.readFile(this.cacheFile, 'utf-8');
-      const loaded = JSON.parse(data);
-      // Merge loaded data with defaults to preserve new fields from code updates
-      this.cache = { ...this.cache, ...loaded };
-      logger.info('State cache loaded from file');
+      this.setValue('lastChecked', new Date().toISOString());
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.info('No existing cache file found, starting fresh');
-      } else {
-        logger.warn('Failed to load cache file:', error.message);
-      }
+      logger.error('Failed to save state cache:', error.message);
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
     }
   }
 
   /**
-   * Save cache to file
+   * Prepared statement for a query (cached)
    */
-  async save() {
+  stmt(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  getValue(key) {
+    const row = this.stmt('SELECT value FROM kv WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setValue(key, value) {
+    this.stmt('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(value ?? null));
+  }
+
+  /**
+   * Import the old state-cache.json into an empty database (one time)
+   */
+  async migrateFromJson() {
+    if (!this.legacyJsonFile) return;
+
+    let legacy;
     try {
-      const dir = path.dirname(this.cacheFile);
-      await fs.mkdir(dir, { recursive: true });
-      
-      this.cache.lastChecked = new Date().toISOString();
-      await fs.writeFile(this.cacheFile, JSON.stringify(this.cache, null, 2));
+      legacy = JSON.parse(await fs.readFile(this.legacyJsonFile, 'utf-8'));
     } catch (error) {
-      logger.error('Failed to save cache file:', error.message);
+      if (error.code === 'ENOENT') {
+        logger.info('No existing cache file found, starting fresh');
+      } else {
+        logger.warn(`Failed to read ${this.legacyJsonFile} for migration:`, error.message);
+      }
+      return;
     }
+
+    const {
+      lastMatchIdByPlayer = {},
+      lastMatchTimeByPlayer = {},
+      playerRanks = {},
+      detectedMultiKills = [],
+      detectedRampages = [],
+      pendingMultiKillChecks = [],
+      dailyMatches = [],
+      playerStreaks = {},
+      liveTrackers = {},
+      jobLastSuccess = {},
+      ...values
+    } = legacy || {};
+
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(values)) {
+        this.setValue(key, value);
+      }
+      for (const [accountId, matchId] of Object.entries(lastMatchIdByPlayer || {})) {
+        this.setLastMatchIdForPlayer(accountId, matchId);
+      }
+      for (const [accountId, startTime] of Object.entries(lastMatchTimeByPlayer || {})) {
+        this.setLastMatchTimeForPlayer(accountId, startTime);
+      }
+      for (const [rankKey, rank] of Object.entries(playerRanks || {})) {
+        this.stmt('INSERT OR REPLACE INTO player_ranks (rank_key, rank, leaderboard_rank, updated_at) VALUES (?, ?, ?, ?)')
+          .run(String(rankKey), rank?.rank ?? null, rank?.leaderboardRank ?? null, rank?.updatedAt || new Date().toISOString());
+      }
+      for (const entry of detectedMultiKills || []) {
+        this.insertDetection('detected_multi_kills', entry.matchId, entry.accountId, entry.playerName, entry.detectedAt);
+      }
+      for (const entry of detectedRampages || []) {
+        this.insertRampage(entry.matchId, entry.accountId, entry.playerName, entry.detectedAt);
+      }
+      for (const check of pendingMultiKillChecks || []) {
+        this.stmt('INSERT OR IGNORE INTO pending_multi_kill_checks (match_id, account_id, player_name, check_count, added_at) VALUES (?, ?, ?, ?, ?)')
+          .run(Number(check.matchId), Number(check.accountId), check.playerName ?? null, check.checkCount || 0, check.addedAt || Date.now());
+      }
+      for (const match of dailyMatches || []) {
+        this.addDailyMatch(match);
+      }
+      for (const [playerName, streak] of Object.entries(playerStreaks || {})) {
+        this.setPlayerStreak(playerName, streak);
+      }
+      for (const [matchId, tracker] of Object.entries(liveTrackers || {})) {
+        this.setLiveTracker(matchId, tracker);
+      }
+      for (const [jobId, timestamp] of Object.entries(jobLastSuccess || {})) {
+        this.setJobLastSuccess(jobId, timestamp);
+      }
+    })();
+
+    const migratedFile = `${this.legacyJsonFile}.migrated`;
+    await fs.rename(this.legacyJsonFile, migratedFile);
+    logger.info(`Migrated ${this.legacyJsonFile} into ${this.dbFile} (old file kept as ${migratedFile})`);
+  }
+
+  insertDetection(table, matchId, accountId, playerName, detectedAt = new Date().toISOString()) {
+    this.stmt(`INSERT OR IGNORE INTO ${table} (match_id, account_id, player_name, detected_at) VALUES (?, ?, ?, ?)`)
+      .run(Number(matchId), Number(accountId), playerName ?? null, detectedAt);
+  }
+
+  insertRampage(matchId, playerKey, playerName, detectedAt = new Date().toISOString()) {
+    this.stmt('INSERT OR IGNORE INTO detected_rampages (match_id, player_key, player_name, detected_at) VALUES (?, ?, ?, ?)')
+      .run(Number(matchId), String(playerKey), playerName ?? null, detectedAt);
   }
 
   /**
    * Get last known match ID
    */
   getLastMatchId() {
-    return this.cache.lastMatchId;
+    return this.getValue('lastMatchId');
   }
 
   /**
    * Update last match ID
    */
   setLastMatchId(matchId) {
-    this.cache.lastMatchId = matchId;
+    this.setValue('lastMatchId', matchId);
   }
 
   /**
    * Get last known match ID for a specific player account
    */
   getLastMatchIdForPlayer(accountId) {
-    if (!this.cache.lastMatchIdByPlayer) {
-      this.cache.lastMatchIdByPlayer = {};
-    }
-    return this.cache.lastMatchIdByPlayer[accountId] || null;
+    const row = this.stmt('SELECT match_id FROM player_last_match WHERE account_id = ?').get(Number(accountId));
+    return row?.match_id || null;
   }
 
   /**
    * Update last match ID for a specific player account
    */
   setLastMatchIdForPlayer(accountId, matchId) {
-    if (!this.cache.lastMatchIdByPlayer) {
-      this.cache.lastMatchIdByPlayer = {};
-    }
-    this.cache.lastMatchIdByPlayer[accountId] = matchId;
+    this.stmt(`INSERT INTO player_last_match (account_id, match_id) VALUES (?, ?)
+      ON CONFLICT(account_id) DO UPDATE SET match_id = excluded.match_id`)
+      .run(Number(accountId), matchId === null ? null : Number(matchId));
+  }
+
+  /**
+   * Get start time (unix seconds) of the last seen match for a player account
+   */
+  getLastMatchTimeForPlayer(accountId) {
+    const row = this.stmt('SELECT start_time FROM player_last_match WHERE account_id = ?').get(Number(accountId));
+    return row?.start_time || null;
+  }
+
+  /**
+   * Update start time of the last seen match for a player account
+   */
+  setLastMatchTimeForPlayer(accountId, startTime) {
+    this.stmt(`INSERT INTO player_last_match (account_id, start_time) VALUES (?, ?)
+      ON CONFLICT(account_id) DO UPDATE SET start_time = excluded.start_time`)
+      .run(Number(accountId), startTime);
   }
 
   /**
    * Get cached player stats
    */
   getPlayerStats() {
-    return this.cache.playerStats;
+    return this.getValue('playerStats');
   }
 
   /**
    * Update cached player stats
    */
   setPlayerStats(stats) {
-    this.cache.playerStats = stats;
+    this.setValue('playerStats', stats);
   }
 
   /**
    * Get cached achievements
    */
   getAchievements() {
-    return this.cache.achievements;
+    return this.getValue('achievements');
   }
 
   /**
    * Update cached achievements
    */
   setAchievements(achievements) {
-    this.cache.achievements = achievements;
+    this.setValue('achievements', achievements);
   }
 
   /**
    * Check if match is new (not in cache)
    */
   isNewMatch(matchId) {
-    return this.cache.lastMatchId === null || matchId > this.cache.lastMatchId;
+    const lastMatchId = this.getLastMatchId();
+    return lastMatchId === null || matchId > lastMatchId;
   }
 
   /**
    * Compare stats and return changes
    */
   compareStats(newStats) {
-    const oldStats = this.cache.playerStats;
+    const oldStats = this.getPlayerStats();
     if (!oldStats) return { changed: true, changes: [] };
 
     const changes = [];
-    
+
     // Compare key stats
     const statKeys = ['wins', 'losses', 'win_rate', 'mmr', 'rank_tier'];
     for (const key of statKeys) {
@@ -161,95 +343,73 @@ export class StateCache {
    * Get last daily summary timestamp
    */
   getLastDailySummary() {
-    return this.cache.lastDailySummary;
+    return this.getValue('lastDailySummary');
   }
 
   /**
    * Set last daily summary timestamp
    */
   setLastDailySummary(timestamp) {
-    this.cache.lastDailySummary = timestamp;
+    this.setValue('lastDailySummary', timestamp);
   }
 
   /**
    * Add match to daily tracking
    */
   addDailyMatch(match) {
-    if (!this.cache.dailyMatches) {
-      this.cache.dailyMatches = [];
-    }
-    this.cache.dailyMatches.push(match);
+    this.stmt('INSERT INTO daily_matches (data) VALUES (?)').run(JSON.stringify(match));
   }
 
   /**
    * Get daily matches
    */
   getDailyMatches() {
-    return this.cache.dailyMatches || [];
+    return this.stmt('SELECT data FROM daily_matches ORDER BY id').all().map(row => JSON.parse(row.data));
   }
 
   /**
    * Clear daily matches (after summary sent)
    */
   clearDailyMatches() {
-    this.cache.dailyMatches = [];
+    this.stmt('DELETE FROM daily_matches').run();
   }
 
   /**
    * Generic getter
    */
   get(key) {
-    return this.cache[key];
+    return this.getValue(key);
   }
 
   /**
    * Generic setter
    */
   set(key, value) {
-    this.cache[key] = value;
+    this.setValue(key, value);
   }
 
   /**
-   * Check if rampage was already detected
+   * Check if rampage was already detected (keyed by player name or account ID)
    */
-  isRampageDetected(matchId, accountId) {
-    if (!this.cache.detectedRampages) {
-      this.cache.detectedRampages = [];
-    }
-    return this.cache.detectedRampages.some(
-      r => r.matchId === matchId && r.accountId === accountId
+  isRampageDetected(matchId, playerKey) {
+    return Boolean(
+      this.stmt('SELECT 1 FROM detected_rampages WHERE match_id = ? AND player_key = ?').get(Number(matchId), String(playerKey))
     );
   }
 
   /**
    * Mark rampage as detected
    */
-  markRampageDetected(matchId, accountId, playerName) {
-    if (!this.cache.detectedRampages) {
-      this.cache.detectedRampages = [];
-    }
-    this.cache.detectedRampages.push({
-      matchId,
-      accountId,
-      playerName,
-      detectedAt: new Date().toISOString()
-    });
-    
-    // Keep only last 100 rampages to prevent cache from growing too large
-    if (this.cache.detectedRampages.length > 100) {
-      this.cache.detectedRampages = this.cache.detectedRampages.slice(-100);
-    }
+  markRampageDetected(matchId, playerKey, playerName) {
+    this.insertRampage(matchId, playerKey, playerName);
   }
 
   /**
    * Check if multi-kill was already detected for a match
    */
   isMultiKillDetected(matchId, accountId) {
-    if (!this.cache.detectedMultiKills) {
-      this.cache.detectedMultiKills = [];
-    }
-    return this.cache.detectedMultiKills.some(
-      m => m.matchId === matchId && m.accountId === accountId
+    return Boolean(
+      this.stmt('SELECT 1 FROM detected_multi_kills WHERE match_id = ? AND account_id = ?').get(Number(matchId), Number(accountId))
     );
   }
 
@@ -257,57 +417,40 @@ export class StateCache {
    * Mark multi-kill as detected for a match
    */
   markMultiKillDetected(matchId, accountId, playerName) {
-    if (!this.cache.detectedMultiKills) {
-      this.cache.detectedMultiKills = [];
-    }
-    this.cache.detectedMultiKills.push({
-      matchId,
-      accountId,
-      playerName,
-      detectedAt: new Date().toISOString()
-    });
-    
-    // Keep only last 200 entries to prevent cache from growing too large
-    if (this.cache.detectedMultiKills.length > 200) {
-      this.cache.detectedMultiKills = this.cache.detectedMultiKills.slice(-200);
-    }
+    this.insertDetection('detected_multi_kills', matchId, accountId, playerName);
   }
 
   /**
-   * Get stored rank for a player
+   * Get stored rank for a player (keyed by account ID or player_<name>)
    */
-  getPlayerRank(accountId) {
-    if (!this.cache.playerRanks) {
-      this.cache.playerRanks = {};
-    }
-    return this.cache.playerRanks[accountId] || null;
+  getPlayerRank(rankKey) {
+    const row = this.stmt('SELECT rank, leaderboard_rank, updated_at FROM player_ranks WHERE rank_key = ?').get(String(rankKey));
+    if (!row) return null;
+    return {
+      rank: row.rank,
+      leaderboardRank: row.leaderboard_rank,
+      updatedAt: row.updated_at
+    };
   }
 
   /**
    * Update stored rank for a player
    * Returns the old rank if it changed, null otherwise
    */
-  updatePlayerRank(accountId, newRank, newLeaderboardRank = null) {
-    if (!this.cache.playerRanks) {
-      this.cache.playerRanks = {};
-    }
-    
-    const oldRankData = this.cache.playerRanks[accountId];
+  updatePlayerRank(rankKey, newRank, newLeaderboardRank = null) {
+    const oldRankData = this.getPlayerRank(rankKey);
     const oldRank = oldRankData?.rank || null;
     const oldLeaderboardRank = oldRankData?.leaderboardRank || null;
-    
+
     // Update the stored rank
-    this.cache.playerRanks[accountId] = {
-      rank: newRank,
-      leaderboardRank: newLeaderboardRank,
-      updatedAt: new Date().toISOString()
-    };
-    
+    this.stmt('INSERT OR REPLACE INTO player_ranks (rank_key, rank, leaderboard_rank, updated_at) VALUES (?, ?, ?, ?)')
+      .run(String(rankKey), newRank, newLeaderboardRank, new Date().toISOString());
+
     // Return old data if rank changed
     if (oldRank !== null && oldRank !== newRank) {
       return { oldRank, oldLeaderboardRank };
     }
-    
+
     // Check if leaderboard rank changed significantly
     if (oldLeaderboardRank !== null && newLeaderboardRank !== null && oldLeaderboardRank !== newLeaderboardRank) {
       return { oldRank, oldLeaderboardRank };
@@ -316,74 +459,158 @@ export class StateCache {
     return null;
   }
 
+  /**
+   * Get the current win/loss streak of a player
+   */
+  getPlayerStreak(playerName) {
+    const row = this.stmt('SELECT data FROM player_streaks WHERE player_name = ?').get(playerName);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Store the current win/loss streak of a player
+   */
+  setPlayerStreak(playerName, streak) {
+    this.stmt('INSERT OR REPLACE INTO player_streaks (player_name, data) VALUES (?, ?)').run(playerName, JSON.stringify(streak));
+  }
+
+  /**
+   * Get all player streaks (playerName -> streak)
+   */
+  getAllPlayerStreaks() {
+    const streaks = {};
+    for (const row of this.stmt('SELECT player_name, data FROM player_streaks').all()) {
+      streaks[row.player_name] = JSON.parse(row.data);
+    }
+    return streaks;
+  }
+
+  /**
+   * Get the last successful run (ISO string) of a scheduled job
+   */
+  getJobLastSuccess(jobId) {
+    return this.stmt('SELECT last_success FROM job_runs WHERE job_id = ?').get(jobId)?.last_success || null;
+  }
+
+  /**
+   * Record a successful run of a scheduled job
+   */
+  setJobLastSuccess(jobId, timestamp) {
+    this.stmt('INSERT OR REPLACE INTO job_runs (job_id, last_success) VALUES (?, ?)').run(jobId, timestamp);
+  }
+
+  /**
+   * Get all live match trackers
+   */
+  getLiveTrackers() {
+    return this.stmt('SELECT data FROM live_trackers').all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Get the live match tracker for a match
+   */
+  getLiveTracker(matchId) {
+    const row = this.stmt('SELECT data FROM live_trackers WHERE match_id = ?').get(String(matchId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Store the live match tracker for a match
+   */
+  setLiveTracker(matchId, tracker) {
+    this.stmt('INSERT OR REPLACE INTO live_trackers (match_id, data) VALUES (?, ?)').run(String(matchId), JSON.stringify(tracker));
+  }
+
+  /**
+   * Remove the live match tracker once the match is finished
+   */
+  removeLiveTracker(matchId) {
+    this.stmt('DELETE FROM live_trackers WHERE match_id = ?').run(String(matchId));
+  }
+
   /**
    * Add a match to the pending multi-kill check queue
    * These matches will be re-checked on subsequent poll cycles until data is available
    */
   addPendingMultiKillCheck(matchId, accountId, playerName) {
-    if (!this.cache.pendingMultiKillChecks) {
-      this.cache.pendingMultiKillChecks = [];
-    }
-
-    // Don't add if already pending or already detected
-    const alreadyPending = this.cache.pendingMultiKillChecks.some(
-      p => p.matchId === matchId && p.accountId === accountId
-    );
-    if (alreadyPending || this.isMultiKillDetected(matchId, accountId)) {
+    // Don't add if already detected (already pending is ignored by the primary key)
+    if (this.isMultiKillDetected(matchId, accountId)) {
       return;
     }
 
-    this.cache.pendingMultiKillChecks.push({
-      matchId,
-      accountId,
-      playerName,
-      checkCount: 0,
-      addedAt: Date.now()
-    });
+    this.stmt('INSERT OR IGNORE INTO pending_multi_kill_checks (match_id, account_id, player_name, check_count, added_at) VALUES (?, ?, ?, 0, ?)')
+      .run(Number(matchId), Number(accountId), playerName, Date.now());
   }
 
   /**
    * Get all pending multi-kill checks
    */
   getPendingMultiKillChecks() {
-    if (!this.cache.pendingMultiKillChecks) {
-      this.cache.pendingMultiKillChecks = [];
-    }
-    return this.cache.pendingMultiKillChecks;
+    return this.stmt('SELECT match_id, account_id, player_name, check_count, added_at FROM pending_multi_kill_checks ORDER BY added_at').all()
+      .map(row => ({
+        matchId: row.match_id,
+        accountId: row.account_id,
+        playerName: row.player_name,
+        checkCount: row.check_count,
+        addedAt: row.added_at
+      }));
   }
 
   /**
    * Remove a match from the pending multi-kill check queue
    */
   removePendingMultiKillCheck(matchId, accountId) {
-    if (!this.cache.pendingMultiKillChecks) return;
-    this.cache.pendingMultiKillChecks = this.cache.pendingMultiKillChecks.filter(
-      p => !(p.matchId === matchId && p.accountId === accountId)
-    );
+    this.stmt('DELETE FROM pending_multi_kill_checks WHERE match_id = ? AND account_id = ?').run(Number(matchId), Number(accountId));
   }
 
   /**
    * Increment the check count for a pending multi-kill check
    */
   incrementMultiKillCheckCount(matchId, accountId) {
-    if (!this.cache.pendingMultiKillChecks) return;
-    const pending = this.cache.pendingMultiKillChecks.find(
-      p => p.matchId === matchId && p.accountId === accountId
-    );
-    if (pending) {
-      pending.checkCount++;
-    }
+    this.stmt('UPDATE pending_multi_kill_checks SET check_count = check_count + 1 WHERE match_id = ? AND account_id = ?')
+      .run(Number(matchId), Number(accountId));
   }
 
   /**
    * Clean up old pending checks (older than 1 hour)
+   * @param {Function} [keep] - (matchId) => true to keep an old check that is still waiting, e.g. on a parse
+   */
+  /**
+   * Remember performance rules to evaluate again once a match has been parsed
+   * data: { playerName, match, ruleIds }
    */
-  cleanupPendingMultiKillChecks() {
-    if (!this.cache.pendingMultiKillChecks) return;
+  setPendingPerformanceCheck(matchId, accountId, data, addedAt = Date.now()) {
+    this.stmt('INSERT OR REPLACE INTO pending_performance_checks (match_id, account_id, data, added_at) VALUES (?, ?, ?, ?)')
+      .run(Number(matchId), Number(accountId), JSON.stringify(data), addedAt);
+  }
+
+  /**
+   * Get all pending performance checks, oldest first
+   */
+  getPendingPerformanceChecks() {
+    return this.stmt('SELECT match_id, account_id, data, added_at FROM pending_performance_checks ORDER BY added_at').all()
+      .map(row => ({
+        ...JSON.parse(row.data),
+        matchId: row.match_id,
+        accountId: row.account_id,
+        addedAt: row.added_at
+      }));
+  }
+
+  removePendingPerformanceCheck(matchId, accountId) {
+    this.stmt('DELETE FROM pending_performance_checks WHERE match_id = ? AND account_id = ?').run(Number(matchId), Number(accountId));
+  }
+
+  cleanupPendingMultiKillChecks(keep = null) {
     const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    this.cache.pendingMultiKillChecks = this.cache.pendingMultiKillChecks.filter(
-      p => p.addedAt > oneHourAgo
-    );
+    if (!keep) {
+      this.stmt('DELETE FROM pending_multi_kill_checks WHERE added_at <= ?').run(oneHourAgo);
+      return;
+    }
+
+    const expired = this.stmt('SELECT match_id, account_id FROM pending_multi_kill_checks WHERE added_at <= ?').all(oneHourAgo);
+    for (const check of expired) {
+      if (!keep(check.match_id)) this.removePendingMultiKillCheck(check.match_id, check.account_id);
+    }
   }
 }
-
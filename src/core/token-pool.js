@@ -0,0 +1,181 @@
+import { logger } from '../utils/logger.js';
+
+// How long a rejected (401) token is benched before it is tried again
+const UNAUTHORIZED_BENCH_MS = 60 * 60 * 1000;
+
+// When every token is benched, wait for the first one back if it's this close (e.g. a used-up second)
+const MAX_BENCH_WAIT_MS = 5000;
+
+/**
+ * When the current quota window of this size ends (windows reset on the clock: next second,
+ * minute, hour or UTC day)
+ */
+function windowResetAt(window, now = Date.now()) {
+  const date = new Date(now);
+  switch (window) {
+    case 'second': return Math.floor(now / 1000) * 1000 + 1000;
+    case 'minute': return Math.floor(now / 60000) * 60000 + 60000;
+    case 'hour': return Math.floor(now / 3600000) * 3600000 + 3600000;
+    case 'day': return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    default: return now + 60 * 1000;
+  }
+}
+
+/**
+ * Last 4 characters of a token, for logs and /status
+ */
+function maskToken(token) {
+  return `…${token.slice(-4)}`;
+}
+
+/**
+ * Pool of API tokens used in rotation
+ *
+ * - Requests are spread round-robin across tokens that aren't benched
+ * - Remaining quota is tracked per token from x-ratelimit-remaining-* headers; a token with
+ *   nothing left in a window is benched until that window resets
+ * - A token rejected with 401 (or rate limited with 429) is benched too
+ */
+export class TokenPool {
+  /**
+   * @param {string} name - Provider name for logs
+   * @param {string[]} tokens
+   */
+  constructor(name, tokens) {
+    this.name = name;
+    this.tokens = tokens.map((token, index) => ({
+      token,
+      index,
+      label: `#${index + 1} (${maskToken(token)})`,
+      remaining: {}, // window -> requests left, from the last response
+      benchedUntil: 0,
+      benchReason: null,
+      requests: 0
+    }));
+    this.nextIndex = 0;
+  }
+
+  get size() {
+    return this.tokens.length;
+  }
+
+  isAvailable(entry, now = Date.now()) {
+    return entry.benchedUntil <= now;
+  }
+
+  /**
+   * Next token to use, round-robin over the available ones
+   * Waits briefly if every token is benched but one comes back within a few seconds.
+   * @param {Function} [isUsable] - (index) => whether a token can be used (e.g. has a proxy)
+   * @throws {Error} If every usable token is benched for longer than that
+   */
+  async next(isUsable = () => true) {
+    const entry = this.pick(isUsable);
+    if (entry) return entry;
+
+    const usable = this.tokens.filter(e => isUsable(e.index));
+    if (usable.length === 0) {
+      throw new Error(`No ${this.name} API token can be used (no enabled proxy may carry one)`);
+    }
+    const soonest = Math.min(...usable.map(e => e.benchedUntil));
+    const wait = soonest - Date.now();
+    if (wait <= MAX_BENCH_WAIT_MS) {
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+      const retry = this.pick(isUsable);
+      if (retry) return retry;
+    }
+    throw new Error(`All ${this.name} API tokens are benched until ${new Date(soonest).toISOString()}`);
+  }
+
+  pick(isUsable) {
+    const now = Date.now();
+    for (let i = 0; i < this.tokens.length; i++) {
+      const entry = this.tokens[(this.nextIndex + i) % this.tokens.length];
+      if (!isUsable(entry.index) || !this.isAvailable(entry, now)) continue;
+
+      if (entry.benchReason) {
+        logger.info(`${this.name} token ${entry.label} is back in rotation`);
+        entry.benchReason = null;
+      }
+      this.nextIndex = (entry.index + 1) % this.tokens.length;
+      entry.requests++;
+      return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a token other than this one could take the request
+   */
+  hasAlternative(entry, isUsable = () => true) {
+    const now = Date.now();
+    return this.tokens.some(e => e !== entry && isUsable(e.index) && this.isAvailable(e, now));
+  }
+
+  bench(entry, until, reason) {
+    entry.benchedUntil = Math.max(entry.benchedUntil, until);
+    entry.benchReason = reason;
+    logger.warn(`${this.name} token ${entry.label} benched until ${new Date(entry.benchedUntil).toISOString()}: ${reason}`);
+  }
+
+  /**
+   * Track remaining quota from a response; bench the token if a window is used up
+   */
+  recordHeaders(entry, headers) {
+    if (!headers) return;
+
+    for (const [name, value] of Object.entries(headers)) {
+      const match = name.toLowerCase().match(/^x-rate-?limit-remaining-(\w+)$/);
+      const count = match ? parseInt(value, 10) : NaN;
+      if (Number.isNaN(count)) continue;
+      entry.remaining[match[1]] = count;
+    }
+
+    // Bench until the longest exhausted window resets (a used-up day outlasts a used-up minute)
+    let until = 0;
+    let exhausted = null;
+    for (const [window, count] of Object.entries(entry.remaining)) {
+      if (count > 0) continue;
+      const resetAt = windowResetAt(window);
+      if (resetAt > until) {
+        until = resetAt;
+        exhausted = window;
+      }
+    }
+    if (exhausted) {
+      this.bench(entry, until, `${exhausted} quota used up`);
+    }
+  }
+
+  /**
+   * A 401: the token is invalid or revoked
+   */
+  recordUnauthorized(entry) {
+    this.bench(entry, Date.now() + UNAUTHORIZED_BENCH_MS, 'rejected (401)');
+  }
+
+  /**
+   * A 429: bench until the shortest window we know is low resets (a minute if unknown)
+   */
+  recordRateLimited(entry) {
+    const low = Object.entries(entry.remaining)
+      .filter(([, count]) => count <= 1)
+      .map(([window]) => windowResetAt(window));
+    this.bench(entry, low.length > 0 ? Math.min(...low) : windowResetAt('minute'), 'rate limited (429)');
+  }
+
+  /**
+   * Per-token state, for /status
+   */
+  getStats() {
+    const now = Date.now();
+    return this.tokens.map(entry => ({
+      label: entry.label,
+      available: this.isAvailable(entry, now),
+      benchedUntil: this.isAvailable(entry, now) ? null : entry.benchedUntil,
+      benchReason: this.isAvailable(entry, now) ? null : entry.benchReason,
+      remaining: { ...entry.remaining },
+      requests: entry.requests
+    }));
+  }
+}
@@ -1,16 +1,28 @@
 import { loadConfig } from './utils/config.js';
 import { logger } from './utils/logger.js';
 import { DiscordBot } from './bot/discord-bot.js';
-import { StratzClient } from './services/stratz-client.js';
-import { OpenDotaClient } from './services/opendota-client.js';
+import { StratzClient, STRATZ_RATE_LIMITS } from './services/stratz-client.js';
+import { OpenDotaClient, OPENDOTA_RATE_LIMITS } from './services/opendota-client.js';
+import { DotabuffClient, DOTABUFF_RATE_LIMITS } from './services/dotabuff-client.js';
+import { DataSource } from './services/data-source.js';
 import { DataProcessor } from './core/data-processor.js';
 import { StateCache } from './core/state-cache.js';
+import { MatchArchive } from './core/match-archive.js';
+import { ResponseCache } from './core/response-cache.js';
+import { RateLimiter } from './core/rate-limiter.js';
+import { ProxyPool } from './core/proxy-pool.js';
+import { ParseTracker } from './core/parse-tracker.js';
 import { MessageFormatter } from './utils/message-formatter.js';
 import { loadHeroesFromAPI } from './utils/hero-loader.js';
 import { CommandHandler } from './commands/command-handler.js';
 import { PollingService } from './services/polling-service.js';
+import { PeriodSummaryService } from './services/period-summary-service.js';
 import { FriendsManager } from './utils/friends-manager.js';
 import { EntranceSoundStore } from './utils/entrance-sound-store.js';
+import { GuildSettingsStore } from './utils/guild-settings-store.js';
+import { NotificationOutbox } from './core/notification-outbox.js';
+import { RulesEngine } from './core/rules-engine.js';
+import { Scheduler } from './core/scheduler.js';
 import { EntranceVoiceService } from './services/entrance-voice-service.js';
 import { registerEntranceVoiceHandler } from './bot/entrance-voice-handler.js';
 import { getVoiceConnection } from '@discordjs/voice';
@@ -26,22 +38,59 @@ async function main() {
     const config = loadConfig();
 
     // Validate STRATZ API token
-    if (!config.stratz.apiToken) {
+    if (config.stratz.apiTokens.length === 0) {
       throw new Error('STRATZ_API_TOKEN is required. Get your token at https://stratz.com/api');
     }
 
     // Initialize state cache
-    const stateCache = new StateCache(config.cache.file);
+    const stateCache = new StateCache(config.cache.dbFile, config.cache.file);
     await stateCache.load();
 
-    // Initialize STRATZ client (with residential proxies for datacenter IP bypass)
-    const stratzClient = new StratzClient(config.stratz.apiToken, config.stratz.proxies);
+    // Every match fetched from STRATZ/OpenDota is kept here for /history
+    const matchArchive = new MatchArchive(config.archive.file);
+    await matchArchive.load();
+
+    // Repeated STRATZ queries are answered from here (see CACHE_TTLS in stratz-client.js)
+    let responseCache = null;
+    if (config.responseCache.enabled) {
+      responseCache = new ResponseCache({ file: config.responseCache.file, maxEntries: config.responseCache.maxEntries });
+      await responseCache.load();
+    }
+
+    // One limiter per provider; slash commands are served ahead of polling
+    const rateLimiterOptions = { backgroundReserve: config.rateLimits.backgroundReserve };
+    // Each STRATZ token has its own quota, so the shared limiter allows the sum of them
+    const stratzLimits = Object.fromEntries(
+      Object.entries(STRATZ_RATE_LIMITS).map(([window, limit]) => [window, limit * config.stratz.apiTokens.length])
+    );
+    const stratzRateLimiter = new RateLimiter('STRATZ', stratzLimits, rateLimiterOptions);
+    const openDotaRateLimiter = new RateLimiter('OpenDota', OPENDOTA_RATE_LIMITS, rateLimiterOptions);
+
+    // Residential proxies for datacenter IP bypass, scored by health checks and real requests
+    const proxyPool = new ProxyPool(config.stratz.proxies, { file: config.proxyHealth.file });
+    await proxyPool.load();
+
+    // Initialize STRATZ client
+    const stratzClient = new StratzClient(config.stratz.apiTokens, proxyPool, matchArchive, responseCache, stratzRateLimiter, config.circuitBreaker, config.stratz.apiUrl);
     const dataProcessor = new DataProcessor(stateCache, config.steam.accountId);
     
     // Initialize OpenDota client (for multi-kill detection)
-    const openDotaClient = new OpenDotaClient(config.opendota.apiKey);
+    const openDotaClient = new OpenDotaClient(config.opendota.apiKey, matchArchive, openDotaRateLimiter, config.circuitBreaker, config.opendota.apiUrl);
     logger.info(`OpenDota client initialized${config.opendota.apiKey ? ' (with API key)' : ' (no API key - using free tier)'}`);
 
+    // Follows requested OpenDota parses until the parsed match is available
+    const parseTracker = new ParseTracker(config.parseJobs.file, openDotaClient);
+    await parseTracker.load();
+
+    // Commands and polling go through this: STRATZ first, OpenDota when STRATZ fails
+    // Optional last resort: Dotabuff's player pages
+    const dotabuffClient = config.dotabuff.enabled
+      ? new DotabuffClient(new RateLimiter('Dotabuff', DOTABUFF_RATE_LIMITS, rateLimiterOptions), config.circuitBreaker, config.dotabuff.url)
+      : null;
+    if (dotabuffClient) logger.info('Dotabuff fallback enabled');
+
+    const dataSource = new DataSource(stratzClient, openDotaClient, dotabuffClient);
+
     // Initialize friends manager
     const friendsManager = new FriendsManager(config.friends);
     
@@ -87,7 +136,7 @@ async function main() {
     const heroMap = await loadHeroesFromAPI(stratzClient);
     logger.info('Heroes loaded successfully');
     
-    const messageFormatter = new MessageFormatter(heroMap, config.dailySummary.mainAccountName);
+    const messageFormatter = new MessageFormatter(heroMap, config.dailySummary.mainAccountName, config.timeZone);
 
     // Initialize Discord bot
     logger.info('Initializing Discord bot...');
@@ -110,11 +159,32 @@ async function main() {
     entranceVoice.logDependencyReport();
     registerEntranceVoiceHandler(discordBot.getClient(), entranceStore, entranceVoice);
 
+    const guildSettings = new GuildSettingsStore(config.guildSettings.file, config.timeZone);
+    await guildSettings.load();
+
+    // Notifications are persisted before delivery and retried with backoff
+    const outbox = new NotificationOutbox(config.outbox.file, discordBot, {
+      maxAttempts: config.outbox.maxAttempts
+    });
+    await outbox.load();
+    outbox.start();
+
+    // Weekly/monthly recaps (shared by the scheduler and the /weekly and /monthly commands)
+    const periodSummaryService = new PeriodSummaryService(
+      dataSource,
+      dataProcessor,
+      messageFormatter,
+      friendsManager,
+      config.steam.accountId,
+      openDotaClient,
+      config.timeZone
+    );
+
     // Initialize command handler
     logger.info('Initializing command handler...');
     const commandHandler = new CommandHandler(
       discordBot,
-      stratzClient,
+      dataSource,
       dataProcessor,
       messageFormatter,
       config.steam.accountId,
@@ -122,17 +192,42 @@ async function main() {
       heroMap,
       openDotaClient,
       entranceStore,
-      entranceVoice
+      entranceVoice,
+      guildSettings,
+      outbox,
+      stateCache,
+      periodSummaryService,
+      config.timeZone,
+      matchArchive,
+      responseCache,
+      proxyPool,
+      parseTracker
     );
 
     // Register slash commands with Discord
     logger.info('Registering slash commands with Discord...');
     await commandHandler.registerSlashCommands();
 
+    // Load notable performance rules
+    const rulesEngine = new RulesEngine(config.performanceRules.file);
+    await rulesEngine.load();
+
+    // Polling and summaries run on the persistent scheduler
+    const scheduler = new Scheduler(stateCache, { graceMinutes: config.scheduler.graceMinutes });
+
+    if (proxyPool.size > 0) {
+      scheduler.addJob({
+        id: 'proxy-health',
+        intervalMinutes: config.proxyHealth.intervalMinutes,
+        catchUp: true,
+        run: () => stratzClient.checkProxyHealth()
+      });
+    }
+
     // Initialize polling service
     logger.info('Initializing polling service...');
     const pollingService = new PollingService(
-      stratzClient,
+      dataSource,
       dataProcessor,
       stateCache,
       discordBot,
@@ -141,12 +236,24 @@ async function main() {
       config.polling.interval,
       friendsManager,
       config.dailySummary,
-      openDotaClient
+      openDotaClient,
+      guildSettings,
+      outbox,
+      config.backfill,
+      config.streaks,
+      rulesEngine,
+      periodSummaryService,
+      config.periodSummaries,
+      config.timeZone,
+      scheduler,
+      matchArchive,
+      parseTracker
     );
 
     // Start polling service
     logger.info('Starting polling service...');
     pollingService.start();
+    parseTracker.start();
 
     logger.info('Bot is ready and running!');
 
@@ -155,6 +262,9 @@ async function main() {
       logger.info(`Received ${signal}, shutting down gracefully...`);
       
       pollingService.stop();
+      parseTracker.stop();
+      scheduler.stop();
+      outbox.stop();
       entranceVoice.destroyAll();
       for (const guildId of discordBot.getClient().guilds.cache.keys()) {
         const vc = getVoiceConnection(guildId);
@@ -167,6 +277,23 @@ async function main() {
         }
       }
       await stateCache.save();
+      stateCache.close();
+      matchArchive.close();
+      stratzRateLimiter.stop();
+      openDotaRateLimiter.stop();
+      if (dotabuffClient) {
+        dotabuffClient.rateLimiter.stop();
+        dotabuffClient.circuitBreaker.stopProbing();
+      }
+      stratzClient.circuitBreaker.stopProbing();
+      openDotaClient.circuitBreaker.stopProbing();
+      await proxyPool.save();
+      await parseTracker.save();
+      if (responseCache) {
+        responseCache.stop();
+        await responseCache.save();
+      }
+      await outbox.save();
       await discordBot.destroy();
       
       logger.info('Shutdown complete');
@@ -0,0 +1,325 @@
+import { logger } from '../utils/logger.js';
+import { CircuitOpenError } from '../core/circuit-breaker.js';
+
+export const PROVIDERS = {
+  STRATZ: 'STRATZ',
+  OPENDOTA: 'OpenDota',
+  DOTABUFF: 'Dotabuff'
+};
+
+/**
+ * Which provider answered a DataSource call (read from a returned object or array)
+ */
+export function getProvider(data) {
+  if (Array.isArray(data)) return data[0]?.provider ?? null;
+  return data?.provider ?? null;
+}
+
+/**
+ * Unified data source used by commands and the polling service
+ *
+ * Every call goes to STRATZ first. Operations OpenDota can also serve fall back to it
+ * when STRATZ fails (down, Cloudflare-blocked, rate limited) or has no data, and the
+ * OpenDota response is converted to the STRATZ shape. When a Dotabuff client is given,
+ * player pages (profile, record, rank, recent matches, heroes) are scraped from Dotabuff
+ * as a last resort after OpenDota. OpenDota's list calls are made with `rethrow`, so a
+ * failure moves on to Dotabuff instead of looking like an empty list. Each returned object
+ * (or each element of a returned array) carries a `provider` field naming who answered.
+ *
+ * STRATZ-only operations (feats, live matches, meta, kill events) are passed straight through.
+ */
+export class DataSource {
+  constructor(stratzClient, openDotaClient = null, dotabuffClient = null) {
+    this.stratz = stratzClient;
+    this.openDota = openDotaClient;
+    this.dotabuff = dotabuffClient;
+  }
+
+  /**
+   * Mark which provider a result came from
+   */
+  tag(data, provider) {
+    if (Array.isArray(data)) {
+      for (const item of data) {
+        if (item && typeof item === 'object') item.provider = provider;
+      }
+    } else if (data && typeof data === 'object') {
+      data.provider = provider;
+    }
+    return data;
+  }
+
+  /**
+   * The configured fallbacks for an operation, in the order they are tried
+   * @returns {Array<[string, Function]>} [provider, fetch] pairs
+   */
+  fallbacks(fromOpenDota, fromDotabuff = null) {
+    return [
+      this.openDota && fromOpenDota ? [PROVIDERS.OPENDOTA, fromOpenDota] : null,
+      this.dotabuff && fromDotabuff ? [PROVIDERS.DOTABUFF, fromDotabuff] : null
+    ].filter(Boolean);
+  }
+
+  /**
+   * Run an operation on STRATZ, falling back to OpenDota (then Dotabuff)
+   * @param {string} operation - Name for logs
+   * @param {Function} fromStratz - Returns the STRATZ result
+   * @param {Function} fromOpenDota - Returns the OpenDota result, already in the STRATZ shape
+   * @param {Object} [options]
+   * @param {boolean} [options.fallbackOnEmpty=false] - Also fall back when STRATZ returns null
+   * @param {Function} [options.fromDotabuff] - Returns the Dotabuff result, already in the STRATZ shape
+   */
+  async withFallback(operation, fromStratz, fromOpenDota, { fallbackOnEmpty = false, fromDotabuff = null } = {}) {
+    const fallbacks = this.fallbacks(fromOpenDota, fromDotabuff);
+    let stratzError = null;
+    try {
+      const result = await fromStratz();
+      if (result != null || !fallbackOnEmpty || fallbacks.length === 0) {
+        return this.tag(result, PROVIDERS.STRATZ);
+      }
+      logger.debug(`${operation}: no data from STRATZ, trying ${fallbacks[0][0]}`);
+    } catch (error) {
+      if (fallbacks.length === 0) throw error;
+      stratzError = error;
+      // An open circuit was already logged when it opened
+      const log = error instanceof CircuitOpenError ? logger.debug : logger.warn;
+      log(`${operation}: STRATZ failed (${error.message}), falling back to ${fallbacks[0][0]}`);
+    }
+
+    return this.runFallbacks(operation, fallbacks, stratzError);
+  }
+
+  /**
+   * Try each fallback in turn until one returns data
+   * @param {Error|null} stratzError - Why STRATZ didn't answer (null when it had no data)
+   */
+  async runFallbacks(operation, fallbacks, stratzError = null) {
+    let fallbackError = null;
+    for (const [provider, fetch] of fallbacks) {
+      try {
+        const result = await fetch();
+        if (result != null) return this.tag(result, provider);
+        logger.debug(`${operation}: no data from ${provider}`);
+      } catch (error) {
+        fallbackError = error;
+        logger.debug(`${operation}: ${provider} failed (${error.message})`);
+      }
+    }
+
+    // "STRATZ is currently unavailable" explains more than the fallbacks' own failures
+    if (stratzError instanceof CircuitOpenError) throw stratzError;
+    if (fallbackError) throw fallbackError;
+    if (stratzError) throw stratzError;
+    return null;
+  }
+
+  // ==================== With OpenDota (then Dotabuff) fallback ====================
+
+  async getPlayer(accountId) {
+    return this.withFallback(
+      `getPlayer(${accountId})`,
+      () => this.stratz.getPlayer(accountId),
+      async () => {
+        const [player, winLoss] = await Promise.all([
+          this.openDota.getPlayer(accountId),
+          this.openDota.getPlayerWinLoss(accountId)
+        ]);
+        return this.openDota.convertPlayerToStratzFormat(player, accountId, winLoss);
+      },
+      { fallbackOnEmpty: true, fromDotabuff: () => this.dotabuff.getPlayer(accountId) }
+    );
+  }
+
+  async getRecentMatches(accountId, limit = 10) {
+    return this.withFallback(
+      `getRecentMatches(${accountId})`,
+      () => this.stratz.getRecentMatches(accountId, limit),
+      async () => this.openDota.convertToStratzFormat(await this.openDota.getPlayerMatches(accountId, limit, { rethrow: true }), accountId),
+      { fromDotabuff: () => this.dotabuff.getRecentMatches(accountId, limit) }
+    );
+  }
+
+  async getPlayerMatchesSince(accountId, sinceTimestamp, limit = 50, skip = 0) {
+    return this.withFallback(
+      `getPlayerMatchesSince(${accountId})`,
+      () => this.stratz.getPlayerMatchesSince(accountId, sinceTimestamp, limit, skip),
+      async () => {
+        const matches = await this.openDota.getRecentMatches(accountId, sinceTimestamp || null, { rethrow: true });
+        const inRange = matches.filter(m => m.start_time >= sinceTimestamp).slice(skip, skip + limit);
+        return this.openDota.convertToStratzFormat(inRange, accountId);
+      },
+      {
+        fromDotabuff: async () => {
+          const matches = await this.dotabuff.getRecentMatches(accountId, 50);
+          return matches.filter(m => m.startDateTime >= sinceTimestamp).slice(skip, skip + limit);
+        }
+      }
+    );
+  }
+
+  async getPlayerTotals(accountId) {
+    return this.withFallback(
+      `getPlayerTotals(${accountId})`,
+      () => this.stratz.getPlayerTotals(accountId),
+      async () => {
+        const winLoss = await this.openDota.getPlayerWinLoss(accountId);
+        return winLoss ? { matchCount: winLoss.win + winLoss.lose, winCount: winLoss.win } : null;
+      },
+      {
+        fallbackOnEmpty: true,
+        fromDotabuff: async () => {
+          const winLoss = await this.dotabuff.getPlayerWinLoss(accountId);
+          return winLoss ? { matchCount: winLoss.win + winLoss.lose, winCount: winLoss.win } : null;
+        }
+      }
+    );
+  }
+
+  async getPlayerWinLoss(accountId) {
+    return this.withFallback(
+      `getPlayerWinLoss(${accountId})`,
+      () => this.stratz.getPlayerWinLoss(accountId),
+      async () => {
+        const winLoss = await this.openDota.getPlayerWinLoss(accountId);
+        return winLoss ? { win: winLoss.win, lose: winLoss.lose } : null;
+      },
+      { fallbackOnEmpty: true, fromDotabuff: () => this.dotabuff.getPlayerWinLoss(accountId) }
+    );
+  }
+
+  async getPlayerHeroes(accountId) {
+    return this.withFallback(
+      `getPlayerHeroes(${accountId})`,
+      () => this.stratz.getPlayerHeroes(accountId),
+      async () => this.openDota.convertHeroesToStratzFormat(await this.openDota.getPlayerHeroes(accountId, { rethrow: true })),
+      { fromDotabuff: () => this.dotabuff.getPlayerHeroes(accountId) }
+    );
+  }
+
+  async getPlayerRank(accountId) {
+    return this.withFallback(
+      `getPlayerRank(${accountId})`,
+      () => this.stratz.getPlayerRank(accountId),
+      () => this.openDota.getPlayerRank(accountId),
+      { fallbackOnEmpty: true, fromDotabuff: () => this.dotabuff.getPlayerRank(accountId) }
+    );
+  }
+
+  /**
+   * Run a batched STRATZ call, then fetch any account it didn't answer one at a time
+   * @param {string} operation - Name for logs
+   * @param {string[]} accountIds
+   * @param {Function} fromStratz - (accountIds) => Map of account ID -> result
+   * @param {Function} fromSingle - (accountId) => result for one account, with fallback
+   * @returns {Promise<Map<string, *>>}
+   */
+  async withBatchFallback(operation, accountIds, fromStratz, fromSingle) {
+    let results = new Map();
+    try {
+      results = await fromStratz(accountIds);
+      for (const result of results.values()) this.tag(result, PROVIDERS.STRATZ);
+    } catch (error) {
+      if (!this.openDota && !this.dotabuff) throw error;
+      logger.warn(`${operation}: STRATZ batch failed (${error.message}), fetching accounts one at a time`);
+    }
+
+    const missing = accountIds.filter(id => !results.has(String(id)));
+    for (const accountId of missing) {
+      try {
+        results.set(String(accountId), await fromSingle(accountId));
+      } catch (error) {
+        logger.warn(`${operation}: ${accountId} failed: ${error.message}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Recent matches for many accounts (one STRATZ request per chunk of accounts)
+   * @returns {Promise<Map<string, Array>>} Account ID -> matches; failed accounts are left out
+   */
+  async getRecentMatchesBatch(accountIds, limit = 5) {
+    return this.withBatchFallback(
+      'getRecentMatchesBatch',
+      accountIds,
+      (ids) => this.stratz.getRecentMatchesBatch(ids, limit),
+      (accountId) => this.openDota || this.dotabuff
+        ? this.runFallbacks(`getRecentMatches(${accountId})`, this.fallbacks(
+          async () => this.openDota.convertToStratzFormat(await this.openDota.getPlayerMatches(accountId, limit, { rethrow: true }), accountId),
+          () => this.dotabuff.getRecentMatches(accountId, limit)
+        ))
+        : this.getRecentMatches(accountId, limit)
+    );
+  }
+
+  /**
+   * Ranks for many accounts (one STRATZ request per chunk of accounts)
+   * @returns {Promise<Map<string, Object|null>>} Account ID -> rank; failed accounts are left out
+   */
+  async getPlayerRanksBatch(accountIds) {
+    return this.withBatchFallback(
+      'getPlayerRanksBatch',
+      accountIds,
+      (ids) => this.stratz.getPlayerRanksBatch(ids),
+      (accountId) => this.openDota || this.dotabuff
+        ? this.runFallbacks(`getPlayerRank(${accountId})`, this.fallbacks(
+          () => this.openDota.getPlayerRank(accountId),
+          () => this.dotabuff.getPlayerRank(accountId)
+        ))
+        : this.getPlayerRank(accountId)
+    );
+  }
+
+  async getMatch(matchId) {
+    return this.withFallback(
+      `getMatch(${matchId})`,
+      () => this.stratz.getMatch(matchId),
+      async () => this.openDota.convertMatchToStratzFormat(await this.openDota.getMatch(matchId)),
+      { fallbackOnEmpty: true }
+    );
+  }
+
+  // ==================== STRATZ only ====================
+
+  getMatchWithKillEvents(matchId) {
+    return this.stratz.getMatchWithKillEvents(matchId);
+  }
+
+  getPlayerAchievements(accountId, take) {
+    return this.stratz.getPlayerAchievements(accountId, take);
+  }
+
+  getLiveMatches() {
+    return this.stratz.getLiveMatches();
+  }
+
+  getPlayerLiveMatch(accountId) {
+    return this.stratz.getPlayerLiveMatch(accountId);
+  }
+
+  getHeroes() {
+    return this.stratz.getHeroes();
+  }
+
+  getHeroMetaStats(bracket) {
+    return this.stratz.getHeroMetaStats(bracket);
+  }
+
+  // Helpers that work on data already fetched
+
+  getMultiKillsFromFeats(feats, matchIds) {
+    return this.stratz.getMultiKillsFromFeats(feats, matchIds);
+  }
+
+  getRampageFeatsFromMatches(feats, matchIds) {
+    return this.stratz.getRampageFeatsFromMatches(feats, matchIds);
+  }
+
+  getMultiKillFeatsFromMatches(feats, matchIds) {
+    return this.stratz.getMultiKillFeatsFromMatches(feats, matchIds);
+  }
+
+  detectMultiKillsFromKillEvents(killEvents) {
+    return this.stratz.detectMultiKillsFromKillEvents(killEvents);
+  }
+}
@@ -0,0 +1,267 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { logger } from '../utils/logger.js';
+import { HERO_NAMES } from '../utils/hero-names.js';
+import { RateLimiter } from '../core/rate-limiter.js';
+import { CircuitBreaker } from '../core/circuit-breaker.js';
+
+export const DOTABUFF_URL = 'https://www.dotabuff.com';
+
+// Dotabuff has no API quota; keep page loads well below anything that looks like a crawl
+export const DOTABUFF_RATE_LIMITS = { minute: 20 };
+
+// Dotabuff serves a challenge page to non-browser user agents
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+/**
+ * Dotabuff URL slug for a hero name ("Nature's Prophet" -> "natures-prophet")
+ */
+function heroSlug(name) {
+  return name.toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+const HERO_IDS_BY_SLUG = new Map();
+for (const [id, name] of Object.entries(HERO_NAMES)) {
+  if (!HERO_IDS_BY_SLUG.has(heroSlug(name))) HERO_IDS_BY_SLUG.set(heroSlug(name), parseInt(id, 10));
+}
+
+/**
+ * Number from Dotabuff's formatted text ("1,234", "52.34%")
+ */
+function toNumber(text) {
+  const value = parseFloat(String(text ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Seconds from "35:55" or "1:02:10"
+ */
+function toSeconds(text) {
+  const parts = String(text ?? '').trim().split(':').map(part => parseInt(part, 10));
+  if (parts.length < 2 || parts.some(Number.isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * "All Pick" -> "ALL_PICK", the STRATZ enum names used everywhere else
+ */
+function toEnumName(text) {
+  const name = String(text ?? '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return name || null;
+}
+
+/**
+ * Dotabuff web scraper, the last-resort data source when STRATZ and OpenDota both fail
+ *
+ * Reads the public player pages (overview, matches, heroes) and returns them in the same
+ * STRATZ shapes as OpenDotaClient's converters, so DataProcessor doesn't care who answered.
+ * Dotabuff pages only cover what they show: no match details, GPM/XPM or parsed data.
+ */
+export class DotabuffClient {
+  constructor(rateLimiter = null, circuitBreakerOptions = {}, baseUrl = DOTABUFF_URL) {
+    this.baseUrl = baseUrl;
+    // Token buckets shared by all Dotabuff page loads (commands go ahead of polling)
+    this.rateLimiter = rateLimiter || new RateLimiter('Dotabuff', DOTABUFF_RATE_LIMITS);
+    // Fails fast after repeated errors and probes with testConnection
+    this.circuitBreaker = new CircuitBreaker('Dotabuff', { ...circuitBreakerOptions, probe: () => this.testConnection() });
+  }
+
+  /**
+   * Load a page through the circuit breaker
+   * @returns {Promise<string|null>} The HTML, or null for a page that doesn't exist
+   */
+  async fetchPage(path) {
+    return this.circuitBreaker.execute(async () => {
+      await this.rateLimiter.acquire();
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          timeout: 15000,
+          responseType: 'text',
+          headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' }
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    });
+  }
+
+  async testConnection() {
+    try {
+      return Boolean(await this.fetchPage('/heroes'));
+    } catch {
+      return false;
+    }
+  }
+
+  // ==================== Player overview ====================
+
+  /**
+   * Name, avatar, rank medal and win/loss record from a player's overview page
+   */
+  parsePlayerOverview(html) {
+    const $ = cheerio.load(html);
+    const title = $('.header-content-title h1').first();
+    if (title.length === 0) return null;
+    title.find('small').remove();
+
+    // Medal image rank_icon_5.png + rank_star_4.png = Legend 4 = rank tier 54
+    const medal = toNumber($('.rank-tier-wrapper img.rank-tier-base').attr('src')?.match(/rank_icon_(\d+)/)?.[1]);
+    const stars = toNumber($('.rank-tier-wrapper img.rank-tier-pip').attr('src')?.match(/rank_star_(\d+)/)?.[1]);
+    const record = $('.header-content-secondary .game-record').first();
+
+    return {
+      name: title.text().trim(),
+      avatar: $('.header-content-avatar img').attr('src') || null,
+      rankTier: medal ? medal * 10 + (stars || 0) : null,
+      leaderboardRank: toNumber($('.rank-tier-wrapper .leaderboard-rank-value').text()),
+      wins: toNumber(record.find('.wins').text()),
+      losses: toNumber(record.find('.losses').text())
+    };
+  }
+
+  async getPlayerOverview(accountId) {
+    logger.debug(`Dotabuff: Fetching overview for account ${accountId}`);
+    const html = await this.fetchPage(`/players/${accountId}`);
+    return html ? this.parsePlayerOverview(html) : null;
+  }
+
+  /**
+   * Player profile in the STRATZ shape
+   */
+  async getPlayer(accountId) {
+    const overview = await this.getPlayerOverview(accountId);
+    if (!overview) return null;
+
+    const hasRecord = overview.wins !== null && overview.losses !== null;
+    return {
+      steamAccountId: parseInt(accountId, 10),
+      steamAccount: {
+        id: parseInt(accountId, 10),
+        name: overview.name,
+        avatar: overview.avatar,
+        profileUri: `${DOTABUFF_URL}/players/${accountId}`,
+        seasonRank: overview.rankTier,
+        seasonLeaderboardRank: overview.leaderboardRank
+      },
+      matchCount: hasRecord ? overview.wins + overview.losses : null,
+      winCount: hasRecord ? overview.wins : null
+    };
+  }
+
+  async getPlayerWinLoss(accountId) {
+    const overview = await this.getPlayerOverview(accountId);
+    if (overview?.wins == null || overview.losses == null) return null;
+    return { win: overview.wins, lose: overview.losses };
+  }
+
+  async getPlayerRank(accountId) {
+    const overview = await this.getPlayerOverview(accountId);
+    if (!overview) return null;
+    return {
+      accountId: parseInt(accountId, 10),
+      name: overview.name,
+      rank: overview.rankTier,
+      leaderboardRank: overview.leaderboardRank
+    };
+  }
+
+  // ==================== Matches ====================
+
+  /**
+   * Matches from a player's matches page, in the STRATZ shape
+   *
+   * The list doesn't say which side the player was on, so isRadiant and didRadiantWin are
+   * null and the player's isVictory carries their result.
+   */
+  parseMatches(html, accountId) {
+    const $ = cheerio.load(html);
+    const accountIdNum = parseInt(accountId, 10);
+    const matches = [];
+
+    $('table tbody tr').each((_, row) => {
+      const cells = $(row).find('td');
+      const matchId = toNumber($(row).find('a[href^="/matches/"]').first().attr('href')?.split('/')[2]);
+      if (!matchId || cells.length < 6) return;
+
+      const result = $(row).find('a.won, a.lost').first();
+      const kda = $(row).find('.kda-record .value').map((_, el) => toNumber($(el).text())).get();
+      const modeCell = cells.eq(3).clone();
+      const lobby = toEnumName(modeCell.find('.subtext').text());
+      modeCell.find('.subtext').remove();
+      const mode = toEnumName(modeCell.text());
+      const startedAt = Date.parse($(row).find('time').attr('datetime'));
+
+      matches.push({
+        id: matchId,
+        didRadiantWin: null,
+        durationSeconds: toSeconds(cells.eq(4).clone().children().remove().end().text()),
+        startDateTime: Number.isNaN(startedAt) ? null : Math.floor(startedAt / 1000),
+        gameMode: mode === 'ALL_PICK' && lobby === 'RANKED' ? 'ALL_PICK_RANKED' : mode,
+        lobbyType: lobby === 'NORMAL' ? 'UNRANKED' : lobby,
+        players: [{
+          steamAccountId: accountIdNum,
+          heroId: HERO_IDS_BY_SLUG.get($(row).find('a[href^="/heroes/"]').first().attr('href')?.split('/')[2]) ?? null,
+          isRadiant: null,
+          isVictory: result.hasClass('won'),
+          kills: kda[0] ?? 0,
+          deaths: kda[1] ?? 0,
+          assists: kda[2] ?? 0,
+          goldPerMinute: 0,
+          experiencePerMinute: 0,
+          numLastHits: 0,
+          numDenies: 0,
+          imp: null,
+          award: null
+        }]
+      });
+    });
+    return matches;
+  }
+
+  /**
+   * Most recent matches first (Dotabuff lists up to 50 per page)
+   */
+  async getRecentMatches(accountId, limit = 10) {
+    logger.debug(`Dotabuff: Fetching matches for account ${accountId}`);
+    const html = await this.fetchPage(`/players/${accountId}/matches`);
+    return html ? this.parseMatches(html, accountId).slice(0, limit) : [];
+  }
+
+  // ==================== Heroes ====================
+
+  /**
+   * Per-hero totals from a player's heroes page, in the STRATZ shape
+   */
+  parseHeroes(html) {
+    const $ = cheerio.load(html);
+    const heroes = [];
+
+    $('table tbody tr').each((_, row) => {
+      const heroId = HERO_IDS_BY_SLUG.get($(row).find('a[href^="/heroes/"]').first().attr('href')?.split('/')[2]);
+      const cells = $(row).find('td');
+      // Sortable columns carry the raw number in data-value
+      const value = (index) => toNumber(cells.eq(index).attr('data-value') ?? cells.eq(index).text());
+      const matchCount = value(2);
+      const winRate = value(3);
+      if (!heroId || !matchCount) return;
+      const lastPlayed = Date.parse($(row).find('time').attr('datetime'));
+
+      heroes.push({
+        heroId,
+        matchCount,
+        winCount: Math.round(matchCount * (winRate || 0) / 100),
+        imp: null,
+        lastPlayedDateTime: Number.isNaN(lastPlayed) ? null : Math.floor(lastPlayed / 1000)
+      });
+    });
+    return heroes;
+  }
+
+  async getPlayerHeroes(accountId) {
+    logger.debug(`Dotabuff: Fetching heroes for account ${accountId}`);
+    const html = await this.fetchPage(`/players/${accountId}/heroes`);
+    return html ? this.parseHeroes(html) : [];
+  }
+}
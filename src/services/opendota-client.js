@@ -1,5 +1,33 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { RateLimiter } from '../core/rate-limiter.js';
+import { CircuitBreaker } from '../core/circuit-breaker.js';
+
+export const OPENDOTA_API_URL = 'https://api.opendota.com/api';
+
+// Free tier quota, used until OpenDota reports the remaining quota in its response headers
+export const OPENDOTA_RATE_LIMITS = { minute: 60 };
+
+// OpenDota game_mode / lobby_type IDs -> the STRATZ enum names used everywhere else
+const GAME_MODES = {
+  0: 'UNKNOWN', 1: 'ALL_PICK', 2: 'CAPTAINS_MODE', 3: 'RANDOM_DRAFT', 4: 'SINGLE_DRAFT',
+  5: 'ALL_RANDOM', 7: 'THE_DIRETIDE', 8: 'REVERSE_CAPTAINS_MODE', 9: 'THE_GREEVILING',
+  10: 'TUTORIAL', 11: 'MID_ONLY', 12: 'LEAST_PLAYED', 13: 'NEW_PLAYER_POOL', 14: 'COMPENDIUM_MATCHMAKING',
+  15: 'CUSTOM', 16: 'CAPTAINS_DRAFT', 17: 'BALANCED_DRAFT', 18: 'ABILITY_DRAFT', 19: 'EVENT',
+  20: 'ALL_RANDOM_DEATH_MATCH', 21: 'SOLO_MID', 22: 'ALL_PICK_RANKED', 23: 'TURBO', 24: 'MUTATION'
+};
+const LOBBY_TYPES = {
+  0: 'UNRANKED', 1: 'PRACTICE', 2: 'TOURNAMENT', 3: 'TUTORIAL', 4: 'COOP_VS_BOTS',
+  5: 'TEAM_MATCH', 6: 'SOLO_QUEUE', 7: 'RANKED', 8: 'SOLO_MID', 9: 'BATTLE_CUP', 12: 'EVENT'
+};
+
+export function toGameMode(id) {
+  return id == null ? null : (GAME_MODES[id] ?? String(id));
+}
+
+export function toLobbyType(id) {
+  return id == null ? null : (LOBBY_TYPES[id] ?? String(id));
+}
 
 /**
  * OpenDota REST API client
@@ -12,40 +40,41 @@ import { logger } from '../utils/logger.js';
  * Parse requests count as 10 API calls for rate limiting
  */
 export class OpenDotaClient {
-  constructor(apiKey = null) {
-    this.baseUrl = 'https://api.opendota.com/api';
+  constructor(apiKey = null, matchArchive = null, rateLimiter = null, circuitBreakerOptions = {}, baseUrl = OPENDOTA_API_URL) {
+    this.baseUrl = baseUrl;
     this.apiKey = apiKey;
-    // 60 req/min = 1 req/sec, use 1.1s to be safe
-    this.rateLimitDelay = 1100;
-    this.lastRequestTime = 0;
+    this.matchArchive = matchArchive;
+    // Token buckets shared by all OpenDota requests (commands go ahead of polling)
+    this.rateLimiter = rateLimiter || new RateLimiter('OpenDota', OPENDOTA_RATE_LIMITS);
+    // Fails fast after repeated errors and probes with testConnection
+    this.circuitBreaker = new CircuitBreaker('OpenDota', { ...circuitBreakerOptions, probe: () => this.testConnection() });
   }
 
   /**
-   * Rate limiting helper
+   * Rate limiting helper - waits for `cost` tokens in the caller's priority lane
    */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+  async waitForRateLimit(cost = 1) {
+    await this.rateLimiter.acquire({ cost });
+  }
 
-    this.lastRequestTime = Date.now();
+  /**
+   * Make an API request through the circuit breaker
+   * @param {number} [cost=1] - Rate limit tokens per attempt (parse requests count as 10)
+   */
+  async request(method, endpoint, retries = 2, cost = 1) {
+    return this.circuitBreaker.execute(() => this.fetchRequest(method, endpoint, retries, cost));
   }
 
   /**
    * Make an API request with rate limiting and retries
    */
-  async request(method, endpoint, retries = 2) {
-    await this.waitForRateLimit();
-
+  async fetchRequest(method, endpoint, retries = 2, cost = 1) {
     const url = `${this.baseUrl}${endpoint}`;
     const params = this.apiKey ? { api_key: this.apiKey } : {};
 
     for (let i = 0; i < retries; i++) {
       try {
+        await this.waitForRateLimit(cost);
         const response = await axios({
           method,
           url,
@@ -53,8 +82,10 @@ export class OpenDotaClient {
           timeout: 15000,
           headers: { 'Accept': 'application/json' }
         });
+        this.rateLimiter.updateFromHeaders(response.headers);
         return response.data;
       } catch (error) {
+        this.rateLimiter.updateFromHeaders(error.response?.headers);
         if (error.response?.status === 429) {
           logger.warn('OpenDota rate limited, waiting 5s...');
           await new Promise(resolve => setTimeout(resolve, 5000));
@@ -69,6 +100,18 @@ export class OpenDotaClient {
     }
   }
 
+  /**
+   * Keep a copy of fetched data in the local archive (never fails the request)
+   */
+  archive(store, description) {
+    if (!this.matchArchive) return;
+    try {
+      store(this.matchArchive);
+    } catch (error) {
+      logger.warn(`Failed to archive OpenDota ${description}: ${error.message}`);
+    }
+  }
+
   /**
    * Get match details from OpenDota
    * Returns full match data including multi_kills for parsed matches
@@ -79,6 +122,7 @@ export class OpenDotaClient {
       const data = await this.request('get', `/matches/${matchId}`);
       if (data) {
         const parsed = this.isMatchParsed(data);
+        this.archive(archive => archive.storeOpenDotaMatch(data), `match ${matchId}`);
         logger.debug(`OpenDota: getMatch(${matchId}): found, parsed=${parsed}, players=${data.players?.length}`);
       } else {
         logger.debug(`OpenDota: getMatch(${matchId}): not found (null)`);
@@ -98,7 +142,7 @@ export class OpenDotaClient {
   async requestParse(matchId) {
     try {
       logger.debug(`OpenDota: Requesting parse for match ${matchId}`);
-      const result = await this.request('post', `/request/${matchId}`);
+      const result = await this.request('post', `/request/${matchId}`, 2, 10);
       if (result) {
         logger.info(`OpenDota: Parse requested for match ${matchId}`);
       }
@@ -109,6 +153,17 @@ export class OpenDotaClient {
     }
   }
 
+  /**
+   * State of a parse request: the queued job while OpenDota is still working on it,
+   * null once it has finished (or if the job ID is unknown)
+   * Throws on request failures, so a failed check isn't mistaken for a finished job
+   */
+  async getParseStatus(jobId) {
+    const data = await this.request('get', `/request/${jobId}`);
+    logger.debug(`OpenDota: getParseStatus(${jobId}): ${data ? 'queued' : 'finished'}`);
+    return data || null;
+  }
+
   /**
    * Check if a match is parsed on OpenDota
    * A match is considered parsed if the version field exists or players have multi_kills data
@@ -178,8 +233,9 @@ export class OpenDotaClient {
    * Returns array of match objects with: match_id, start_time, hero_id, kills, deaths, assists, etc.
    * OpenDota's /recentMatches returns the last 20 matches.
    * For more matches, use /matches with date filter.
+   * Errors give an empty list, unless options.rethrow is set (DataSource needs them to fall back).
    */
-  async getRecentMatches(accountId, sinceTimestamp = null) {
+  async getRecentMatches(accountId, sinceTimestamp = null, { rethrow = false } = {}) {
     try {
       logger.debug(`OpenDota: Fetching recent matches for account ${accountId}`);
 
@@ -187,6 +243,7 @@ export class OpenDotaClient {
       if (sinceTimestamp) {
         const data = await this.request('get', `/players/${accountId}/matches?date=${Math.ceil((Date.now() / 1000 - sinceTimestamp) / 86400)}&significant=0`);
         const matches = data || [];
+        this.archive(archive => archive.storeOpenDotaPlayerMatches(matches, accountId), `matches for ${accountId}`);
         logger.info(`OpenDota: getRecentMatches(${accountId}): returned ${matches.length} match(es) since ${new Date(sinceTimestamp * 1000).toISOString()}`);
         return matches;
       }
@@ -194,10 +251,12 @@ export class OpenDotaClient {
       // Default: /recentMatches (last 20)
       const data = await this.request('get', `/players/${accountId}/recentMatches`);
       const matches = data || [];
+      this.archive(archive => archive.storeOpenDotaPlayerMatches(matches, accountId), `matches for ${accountId}`);
       logger.info(`OpenDota: getRecentMatches(${accountId}): returned ${matches.length} match(es)`);
       return matches;
     } catch (error) {
       logger.warn(`OpenDota getRecentMatches failed for ${accountId}: ${error.message}`);
+      if (rethrow) throw error;
       return [];
     }
   }
@@ -215,8 +274,8 @@ export class OpenDotaClient {
         didRadiantWin: m.radiant_win,
         durationSeconds: m.duration,
         startDateTime: m.start_time,
-        gameMode: m.game_mode,
-        lobbyType: m.lobby_type,
+        gameMode: toGameMode(m.game_mode),
+        lobbyType: toLobbyType(m.lobby_type),
         players: [{
           steamAccountId: accountIdNum,
           heroId: m.hero_id,
@@ -235,6 +294,141 @@ export class OpenDotaClient {
     });
   }
 
+  /**
+   * Get a player's latest matches (any number, unlike /recentMatches)
+   * Errors give an empty list, unless options.rethrow is set.
+   */
+  async getPlayerMatches(accountId, limit = 20, { rethrow = false } = {}) {
+    try {
+      logger.debug(`OpenDota: Fetching ${limit} matches for account ${accountId}`);
+      const matches = await this.request('get', `/players/${accountId}/matches?limit=${limit}&significant=0`) || [];
+      this.archive(archive => archive.storeOpenDotaPlayerMatches(matches, accountId), `matches for ${accountId}`);
+      logger.debug(`OpenDota: getPlayerMatches(${accountId}): returned ${matches.length} match(es)`);
+      return matches;
+    } catch (error) {
+      logger.warn(`OpenDota getPlayerMatches failed for ${accountId}: ${error.message}`);
+      if (rethrow) throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Get a player's profile (/players/{id}), or null
+   */
+  async getPlayer(accountId) {
+    try {
+      logger.debug(`OpenDota: Fetching player ${accountId}`);
+      return await this.request('get', `/players/${accountId}`);
+    } catch (error) {
+      logger.warn(`OpenDota getPlayer failed for ${accountId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get a player's win/loss record: { win, lose }, or null
+   */
+  async getPlayerWinLoss(accountId) {
+    try {
+      logger.debug(`OpenDota: Fetching win/loss for account ${accountId}`);
+      return await this.request('get', `/players/${accountId}/wl`);
+    } catch (error) {
+      logger.warn(`OpenDota getPlayerWinLoss failed for ${accountId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get a player's per-hero record (/players/{id}/heroes)
+   * Errors give an empty list, unless options.rethrow is set.
+   */
+  async getPlayerHeroes(accountId, { rethrow = false } = {}) {
+    try {
+      logger.debug(`OpenDota: Fetching hero stats for account ${accountId}`);
+      return await this.request('get', `/players/${accountId}/heroes`) || [];
+    } catch (error) {
+      logger.warn(`OpenDota getPlayerHeroes failed for ${accountId}: ${error.message}`);
+      if (rethrow) throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Convert an OpenDota profile to the STRATZ player shape
+   */
+  convertPlayerToStratzFormat(data, accountId, winLoss = null) {
+    if (!data?.profile) return null;
+    return {
+      steamAccountId: parseInt(accountId, 10),
+      steamAccount: {
+        id: parseInt(accountId, 10),
+        name: data.profile.personaname,
+        avatar: data.profile.avatarfull || data.profile.avatar,
+        profileUri: data.profile.profileurl,
+        seasonRank: data.rank_tier,
+        seasonLeaderboardRank: data.leaderboard_rank || null
+      },
+      matchCount: winLoss ? winLoss.win + winLoss.lose : null,
+      winCount: winLoss ? winLoss.win : null
+    };
+  }
+
+  /**
+   * Convert OpenDota per-hero records to the STRATZ heroesPerformance shape
+   */
+  convertHeroesToStratzFormat(heroes) {
+    return (heroes || [])
+      .filter(h => h.games > 0)
+      .map(h => ({
+        heroId: parseInt(h.hero_id, 10),
+        matchCount: h.games,
+        winCount: h.win,
+        imp: null,
+        lastPlayedDateTime: h.last_played || null
+      }));
+  }
+
+  /**
+   * Convert a full OpenDota match to the STRATZ match shape
+   */
+  convertMatchToStratzFormat(match) {
+    if (!match) return null;
+    return {
+      id: match.match_id,
+      didRadiantWin: match.radiant_win,
+      durationSeconds: match.duration,
+      startDateTime: match.start_time,
+      endDateTime: match.start_time != null && match.duration != null ? match.start_time + match.duration : null,
+      gameMode: toGameMode(match.game_mode),
+      lobbyType: toLobbyType(match.lobby_type),
+      regionId: match.region ?? null,
+      players: (match.players || []).map(p => ({
+        steamAccountId: p.account_id ?? null,
+        heroId: p.hero_id,
+        isRadiant: p.player_slot < 128,
+        playerSlot: p.player_slot,
+        kills: p.kills,
+        deaths: p.deaths,
+        assists: p.assists,
+        goldPerMinute: p.gold_per_min,
+        experiencePerMinute: p.xp_per_min,
+        numLastHits: p.last_hits,
+        numDenies: p.denies,
+        heroDamage: p.hero_damage,
+        towerDamage: p.tower_damage,
+        heroHealing: p.hero_healing,
+        gold: p.gold,
+        networth: p.net_worth,
+        level: p.level,
+        imp: null,
+        award: null,
+        stats: p.kills_log
+          ? { killEvents: p.kills_log.map(k => ({ time: k.time, target: k.key })) }
+          : null
+      }))
+    };
+  }
+
   /**
    * Get player rank from OpenDota as fallback for stale STRATZ data
    */
@@ -245,6 +439,8 @@ export class OpenDotaClient {
       if (!data) return null;
 
       return {
+        accountId: parseInt(accountId, 10),
+        name: data.profile?.personaname || null,
         rank: data.rank_tier,
         leaderboardRank: data.leaderboard_rank || null
       };
@@ -0,0 +1,195 @@
+import { logger } from '../utils/logger.js';
+import { DEFAULT_TIMEZONE, getZonedParts, startOfZonedDay, formatDateLabel } from '../utils/timezone.js';
+
+/**
+ * Recap periods
+ */
+export const SUMMARY_PERIODS = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Builds weekly and monthly recaps for all tracked players
+ * Each player's summary is compared with the period before it (week-over-week / month-over-month).
+ * Shared by the scheduled recaps in PollingService and the /weekly and /monthly commands.
+ */
+export class PeriodSummaryService {
+  constructor(dataSource, dataProcessor, messageFormatter, friendsManager = null, accountId = null, openDotaClient = null, timeZone = DEFAULT_TIMEZONE) {
+    this.dataSource = dataSource;
+    this.dataProcessor = dataProcessor;
+    this.messageFormatter = messageFormatter;
+    this.friendsManager = friendsManager;
+    this.accountId = accountId;
+    this.openDotaClient = openDotaClient;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Time ranges for a recap (unix seconds, end exclusive)
+   * By default the last complete week (Monday-Sunday) or calendar month in the given
+   * timezone; with current=true, the week or month so far.
+   * Returns { start, end, previousStart, previousEnd, label, key }
+   */
+  getPeriodRange(period, { current = false, now = new Date(), timeZone = this.timeZone } = {}) {
+    const today = getZonedParts(now, timeZone);
+    const midnight = (year, month, day) => startOfZonedDay(year, month, day, timeZone);
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+
+    if (period === SUMMARY_PERIODS.MONTHLY) {
+      const offset = current ? 0 : -1;
+      const start = midnight(today.year, today.month + offset, 1);
+      const end = current ? nowSeconds : midnight(today.year, today.month, 1);
+      const previousStart = midnight(today.year, today.month + offset - 1, 1);
+      const { year, month } = getZonedParts(new Date(start * 1000), timeZone);
+
+      return {
+        start,
+        end,
+        previousStart,
+        previousEnd: start,
+        label: `${MONTH_NAMES[month]} ${year}${current ? ' (so far)' : ''}`,
+        key: `${year}-${String(month + 1).padStart(2, '0')}`
+      };
+    }
+
+    // Weeks start on Monday
+    const daysSinceMonday = (today.weekday + 6) % 7;
+    const thisMonday = today.day - daysSinceMonday;
+    const startDay = current ? thisMonday : thisMonday - 7;
+    const start = midnight(today.year, today.month, startDay);
+    const end = current ? nowSeconds : midnight(today.year, today.month, thisMonday);
+    const previousStart = midnight(today.year, today.month, startDay - 7);
+    const lastDay = current ? end : midnight(today.year, today.month, startDay + 6);
+    const startDate = getZonedParts(new Date(start * 1000), timeZone);
+
+    return {
+      start,
+      end,
+      previousStart,
+      previousEnd: start,
+      label: `${formatDateLabel(start, timeZone)} to ${formatDateLabel(lastDay, timeZone)}${current ? ' (so far)' : ''}`,
+      key: `${startDate.year}-${String(startDate.month + 1).padStart(2, '0')}-${String(startDate.day).padStart(2, '0')}`
+    };
+  }
+
+  /**
+   * Build the recap for every tracked player
+   * Returns { range, playerSummaries: [{ name, summary, previous, deltas }], failedPlayers } -
+   * players without matches in the period are left out, players whose matches couldn't be
+   * fetched are listed in failedPlayers. Throws if no player's matches could be fetched.
+   */
+  async buildSummary(period, options = {}) {
+    const range = this.getPeriodRange(period, options);
+    const players = this.friendsManager
+      ? this.friendsManager.getAllFriends()
+      : [{ name: 'You', ids: [this.accountId] }];
+
+    logger.info(`${period} summary: ${range.label} (${new Date(range.start * 1000).toISOString()} to ${new Date(range.end * 1000).toISOString()}) for ${players.length} player(s)`);
+
+    const playerSummaries = [];
+    const failedPlayers = [];
+    let lastError = null;
+    for (const player of players) {
+      try {
+        const matchesByAccount = await this.fetchPlayerMatches(player, range.previousStart, range.end);
+        const inRange = (from, to) => Object.values(matchesByAccount)
+          .flat()
+          .filter(m => m.startDateTime >= from && m.startDateTime < to);
+
+        const currentMatches = inRange(range.start, range.end);
+        if (currentMatches.length === 0) {
+          logger.debug(`${period} summary: ${player.name} has no matches in ${range.label}`);
+          continue;
+        }
+
+        const summary = this.dataProcessor.processDailySummary(currentMatches);
+        const previous = this.dataProcessor.processDailySummary(inRange(range.previousStart, range.previousEnd));
+        await this.addMultiKillCounts(player, matchesByAccount, currentMatches, summary);
+
+        playerSummaries.push({
+          name: player.name,
+          summary,
+          previous,
+          deltas: this.dataProcessor.compareSummaries(summary, previous)
+        });
+        logger.debug(`${period} summary: ${player.name} -> ${summary.totalMatches} matches (${previous.totalMatches} in previous period)`);
+      } catch (error) {
+        logger.error(`${period} summary: failed for ${player.name}: ${error.message}`);
+        failedPlayers.push(player.name);
+        lastError = error;
+      }
+    }
+
+    if (lastError && failedPlayers.length === players.length) throw lastError;
+    return { range, playerSummaries, failedPlayers };
+  }
+
+  /**
+   * Build the recap embed
+   */
+  async buildEmbed(period, options = {}) {
+    const { range, playerSummaries, failedPlayers } = await this.buildSummary(period, options);
+    const embed = this.messageFormatter.formatPeriodSummary(period, playerSummaries, range.label, failedPlayers);
+    return { embed, range, playerCount: playerSummaries.length };
+  }
+
+  /**
+   * Fetch a player's matches in [since, until) for every account (STRATZ match format)
+   * Returns accountId -> matches. OpenDota is used when available since it has no page limit;
+   * when it fails the DataSource (STRATZ, then its fallbacks) is used. Throws if neither answers,
+   * so an outage isn't mistaken for a player without matches.
+   */
+  async fetchPlayerMatches(player, since, until) {
+    const matchesByAccount = {};
+
+    for (const accountId of player.ids) {
+      let matches = null;
+      if (this.openDotaClient) {
+        try {
+          const odMatches = await this.openDotaClient.getRecentMatches(accountId, since, { rethrow: true });
+          const filtered = odMatches.filter(m => m.start_time >= since && m.start_time < until);
+          matches = this.openDotaClient.convertToStratzFormat(filtered, accountId);
+        } catch (error) {
+          logger.warn(`OpenDota matches for ${player.name} (account ${accountId}) failed (${error.message}), trying the data source`);
+        }
+      }
+      if (!matches) {
+        const stratzMatches = await this.dataSource.getPlayerMatchesSince(accountId, since, 100) || [];
+        if (stratzMatches.length >= 100) {
+          logger.warn(`${player.name} (account ${accountId}): 100+ matches in range, recap may be incomplete`);
+        }
+        matches = stratzMatches.filter(m => m.startDateTime >= since && m.startDateTime < until);
+      }
+      matchesByAccount[accountId] = matches;
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return matchesByAccount;
+  }
+
+  /**
+   * Count multi-kills in the period from STRATZ feats, per account
+   */
+  async addMultiKillCounts(player, matchesByAccount, currentMatches, summary) {
+    const currentIds = new Set(currentMatches.map(m => m.id));
+
+    for (const [accountId, matches] of Object.entries(matchesByAccount)) {
+      const matchIds = matches.map(m => m.id).filter(id => currentIds.has(id));
+      if (matchIds.length === 0) continue;
+
+      try {
+        const feats = await this.dataSource.getPlayerAchievements(accountId, 200);
+        const multiKillFeats = this.dataSource.getMultiKillFeatsFromMatches(feats, matchIds);
+        summary.rampages += multiKillFeats.filter(f => f.type === 'RAMPAGE').length;
+        summary.ultraKills += multiKillFeats.filter(f => f.type === 'ULTRA_KILL').length;
+        summary.tripleKills += multiKillFeats.filter(f => f.type === 'TRIPLE_KILL').length;
+      } catch (error) {
+        logger.warn(`Error fetching feats for ${player.name} (account ${accountId}): ${error.message}`);
+      }
+    }
+  }
+}
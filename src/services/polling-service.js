@@ -1,5 +1,22 @@
-import cron from 'node-cron';
 import { logger } from '../utils/logger.js';
+import { NOTIFICATION_KINDS } from '../utils/guild-settings-store.js';
+import { SUMMARY_PERIODS } from './period-summary-service.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { Scheduler } from '../core/scheduler.js';
+import { CronExpression } from '../utils/cron-expression.js';
+
+// Polls to wait for a finished live match's result before closing its tracker
+const LIVE_RESULT_MAX_CHECKS = 12;
+
+// How long performance rules wait for STRATZ to parse a match before they are dropped
+const PERFORMANCE_RECHECK_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// Discord API error codes meaning a tracked message can no longer be edited
+const MESSAGE_GONE_ERRORS = new Set([
+  10003, // Unknown Channel
+  10008, // Unknown Message
+  50001  // Missing Access
+]);
 
 /**
  * Polling service to check for updates at regular intervals
@@ -7,9 +24,21 @@ import { logger } from '../utils/logger.js';
  * Uses OpenDota API as additional source for multi-kill detection
  */
 export class PollingService {
-  constructor(stratzClient, dataProcessor, stateCache, discordBot, messageFormatter, accountId, intervalMinutes, friendsManager = null, dailySummaryConfig = null, openDotaClient = null) {
-    this.stratzClient = stratzClient;
+  constructor(dataSource, dataProcessor, stateCache, discordBot, messageFormatter, accountId, intervalMinutes, friendsManager = null, dailySummaryConfig = null, openDotaClient = null, guildSettings = null, outbox = null, backfillConfig = null, streakConfig = null, rulesEngine = null, periodSummaryService = null, periodSummaryConfig = null, timeZone = DEFAULT_TIMEZONE, scheduler = null, matchArchive = null, parseTracker = null) {
+    this.dataSource = dataSource;
     this.openDotaClient = openDotaClient;
+    this.guildSettings = guildSettings;
+    this.outbox = outbox;
+    this.rulesEngine = rulesEngine;
+    this.periodSummaryService = periodSummaryService;
+    this.timeZone = timeZone;
+    this.scheduler = scheduler || new Scheduler(stateCache);
+    this.matchArchive = matchArchive;
+    this.parseTracker = parseTracker;
+    this.periodSummaryConfig = periodSummaryConfig || {
+      weeklyCron: '0 10 * * 1',
+      monthlyCron: '0 10 1 * *'
+    };
     this.dataProcessor = dataProcessor;
     this.stateCache = stateCache;
     this.discordBot = discordBot;
@@ -21,11 +50,26 @@ export class PollingService {
       weekdayTime: { hour: 3, minute: 0 },
       weekendTime: { hour: 22, minute: 0 }
     };
+    this.backfillConfig = backfillConfig || {
+      enabled: true,
+      maxHours: 72,
+      newPlayerHours: 24
+    };
+    this.streakConfig = streakConfig || {
+      thresholds: [3, 5, 8, 10],
+      breakMinimum: 5
+    };
+    this.backfillPromise = null;
     this.isRunning = false;
-    this.cronJob = null;
-    this.dailySummaryJobs = [];
     // Max re-checks for pending multi-kill detection (6 checks * 5 min = 30 min window)
     this.maxMultiKillChecks = 6;
+
+    // Parsed matches resolve their pending multi-kill checks as soon as OpenDota finishes;
+    // matches OpenDota never parses fall back to STRATZ kill events
+    if (this.parseTracker) {
+      this.parseTracker.onParsed((matchId, matchData) => this.handleParsedMatch(matchId, matchData));
+      this.parseTracker.onGiveUp((matchId) => this.handleUnparsedMatch(matchId));
+    }
   }
 
   /**
@@ -37,66 +81,190 @@ export class PollingService {
       return;
     }
 
-    // Convert minutes to cron expression (every X minutes)
-    const cronExpression = `*/${this.intervalMinutes} * * * *`;
-    
-    this.cronJob = cron.schedule(cronExpression, async () => {
-      await this.checkForUpdates();
-    }, {
-      scheduled: true,
-      timezone: 'UTC'
+    // Skip the immediate poll to avoid overwhelming the API on startup - backfill covers the gap
+    this.scheduler.addJob({
+      id: 'poll',
+      intervalMinutes: this.intervalMinutes,
+      catchUp: false,
+      run: () => this.checkForUpdates()
     });
 
     this.isRunning = true;
     logger.info(`Polling service started (checking every ${this.intervalMinutes} minutes)`);
-    
-    // Skip immediate poll - let the cron job handle it to avoid overwhelming API on startup
-    logger.info('Skipping initial poll - first check will run in ' + this.intervalMinutes + ' minutes');
 
-    // Setup daily summary with configurable times
-    // node-cron: 0=Sunday, 1=Monday, ..., 6=Saturday
+    // Catch up on matches played while the bot was offline
+    if (this.backfillConfig.enabled) {
+      this.backfillPromise = this.backfillMissedMatches()
+        .catch(error => logger.error('Error backfilling missed matches:', error))
+        .finally(() => {
+          this.backfillPromise = null;
+        });
+    }
+
+    // Summaries run in the global timezone and in every server's own timezone
+    this.scheduleSummaries();
+    if (this.guildSettings) {
+      this.guildSettings.onTimezoneChange(() => {
+        if (this.isRunning) this.scheduleSummaries();
+      });
+    }
+  }
+
+  /**
+   * (Re)schedule the daily, weekly and monthly summaries
+   * One set of jobs per timezone in use; each only posts to the servers in that timezone.
+   */
+  scheduleSummaries() {
+    this.stopSummaryJobs();
+
+    const timeZones = this.guildSettings ? this.guildSettings.getTimezones() : [this.timeZone];
+    for (const timeZone of timeZones) {
+      this.scheduleDailySummary(timeZone);
+      this.schedulePeriodSummaries(timeZone);
+    }
+  }
+
+  /**
+   * Schedule the daily summary at the configured weekday/weekend times in a timezone
+   */
+  scheduleDailySummary(timeZone) {
     const weekdayHour = this.dailySummaryConfig.weekdayTime.hour;
     const weekdayMinute = this.dailySummaryConfig.weekdayTime.minute;
     const weekendHour = this.dailySummaryConfig.weekendTime.hour;
     const weekendMinute = this.dailySummaryConfig.weekendTime.minute;
-    
-    // Weekdays: Monday-Friday
-    this.dailySummaryJobs.push(cron.schedule(`${weekdayMinute} ${weekdayHour} * * 1-5`, async () => {
-      logger.info('Daily summary cron triggered (weekday)');
-      await this.sendDailySummary();
-    }, {
-      scheduled: true,
-      timezone: 'Europe/London'
-    }));
-
-    // Weekends: Saturday-Sunday
-    this.dailySummaryJobs.push(cron.schedule(`${weekendMinute} ${weekendHour} * * 0,6`, async () => {
-      logger.info('Daily summary cron triggered (weekend)');
-      await this.sendDailySummary();
-    }, {
-      scheduled: true,
-      timezone: 'Europe/London'
-    }));
-    
-    logger.info(`Daily summary scheduled: ${weekdayHour.toString().padStart(2, '0')}:${weekdayMinute.toString().padStart(2, '0')} UK time (Mon-Fri), ${weekendHour.toString().padStart(2, '0')}:${weekendMinute.toString().padStart(2, '0')} UK time (Sat-Sun)`);
+
+    // Cron weekdays: 0=Sunday, 1=Monday, ..., 6=Saturday
+    const schedules = [
+      { days: 'weekday', cron: `${weekdayMinute} ${weekdayHour} * * 1-5` },
+      { days: 'weekend', cron: `${weekendMinute} ${weekendHour} * * 0,6` }
+    ];
+
+    for (const { days, cron } of schedules) {
+      this.scheduler.addJob({
+        id: `summary:daily:${days}:${timeZone}`,
+        cron,
+        timeZone,
+        run: async () => {
+          logger.info(`Daily summary triggered (${days}, ${timeZone})`);
+          await this.sendDailySummary(timeZone);
+        }
+      });
+    }
+
+    logger.info(`Daily summary scheduled: ${weekdayHour.toString().padStart(2, '0')}:${weekdayMinute.toString().padStart(2, '0')} (Mon-Fri), ${weekendHour.toString().padStart(2, '0')}:${weekendMinute.toString().padStart(2, '0')} (Sat-Sun) ${timeZone}`);
+  }
+
+  /**
+   * Schedule the weekly and monthly recaps in a timezone
+   */
+  schedulePeriodSummaries(timeZone) {
+    if (!this.periodSummaryService) return;
+
+    const schedules = [
+      { period: SUMMARY_PERIODS.WEEKLY, expression: this.periodSummaryConfig.weeklyCron },
+      { period: SUMMARY_PERIODS.MONTHLY, expression: this.periodSummaryConfig.monthlyCron }
+    ];
+
+    for (const { period, expression } of schedules) {
+      if (!expression || expression === 'off') {
+        logger.info(`${period} recap disabled`);
+        continue;
+      }
+      if (!CronExpression.isValid(expression)) {
+        logger.error(`Invalid cron expression for ${period} recap: "${expression}" - recap not scheduled`);
+        continue;
+      }
+
+      this.scheduler.addJob({
+        id: `summary:${period}:${timeZone}`,
+        cron: expression,
+        timeZone,
+        run: async () => {
+          logger.info(`${period} recap triggered (${timeZone})`);
+          await this.sendPeriodSummary(period, timeZone);
+        }
+      });
+    }
+  }
+
+  stopSummaryJobs() {
+    this.scheduler.removeJobs('summary:');
   }
 
   /**
    * Stop polling service
    */
   stop() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
+    this.scheduler.removeJob('poll');
+    this.stopSummaryJobs();
+    this.isRunning = false;
+    logger.info('Polling service stopped');
+  }
+
+  /**
+   * Get every channel subscribed to a notification kind
+   * Falls back to the default notification channel when no guild routes the kind.
+   * With a timeZone, only channels of servers in that timezone (the default channel
+   * uses the timezone of the server it belongs to).
+   */
+  getNotificationChannels(kind, timeZone = null) {
+    const channelIds = this.guildSettings ? this.guildSettings.getChannelsForKind(kind) : [];
+    if (channelIds.length === 0) {
+      const inTimeZone = !timeZone || timeZone === this.getDefaultChannelTimezone();
+      return this.discordBot.channelId && inTimeZone ? [this.discordBot.channelId] : [];
+    }
+    return timeZone ? this.guildSettings.getChannelsForKind(kind, timeZone) : channelIds;
+  }
+
+  /**
+   * Timezone of the server owning the default notification channel
+   * (the global timezone until the channel is in Discord's cache)
+   */
+  getDefaultChannelTimezone() {
+    if (!this.guildSettings) return this.timeZone;
+    const guildId = this.discordBot.getNotificationChannel()?.guildId;
+    return guildId ? this.guildSettings.getEffectiveTimezone(guildId) : this.timeZone;
+  }
+
+  /**
+   * Fan a notification out to every channel subscribed to its kind
+   * Notifications go through the outbox (persisted, retried) when one is configured.
+   * dedupeKey identifies the event so it is never posted twice to the same channel.
+   * timeZone limits delivery to servers in that timezone (for scheduled summaries).
+   * Returns true if every channel received the message right away
+   */
+  async notify(kind, embed, dedupeKey = null, timeZone = null) {
+    const channelIds = this.getNotificationChannels(kind, timeZone);
+    if (channelIds.length === 0) {
+      logger.warn(`notify(${kind}): no channel configured for this notification type`);
+      return false;
     }
-    if (this.dailySummaryJobs && this.dailySummaryJobs.length > 0) {
-      for (const job of this.dailySummaryJobs) {
-        job.stop();
+
+    logger.debug(`notify(${kind}): fanning out to ${channelIds.length} channel(s)`);
+
+    if (!this.outbox) {
+      let allSent = true;
+      for (const channelId of channelIds) {
+        const sent = await this.discordBot.sendToChannel(channelId, null, embed);
+        allSent = allSent && sent;
       }
-      this.dailySummaryJobs = [];
+      return allSent;
     }
-    this.isRunning = false;
-    logger.info('Polling service stopped');
+
+    const entries = [];
+    for (const channelId of channelIds) {
+      const entry = await this.outbox.enqueue(kind, channelId, null, embed, dedupeKey);
+      if (entry) entries.push(entry);
+    }
+    await this.outbox.flush();
+    return entries.every(entry => this.outbox.getDelivery(entry.id) !== null);
+  }
+
+  /**
+   * Dedupe key for a multi-kill notification
+   */
+  multiKillKey(matchId, accountId, type) {
+    return `multi_kill:${matchId}:${accountId}:${type}`;
   }
 
   /**
@@ -104,14 +272,21 @@ export class PollingService {
    */
   async checkForUpdates() {
     try {
+      if (this.backfillPromise) {
+        logger.debug('Waiting for startup backfill to finish before polling');
+        await this.backfillPromise;
+      }
+
       logger.debug('=== Poll cycle starting ===');
 
       await this.checkNewMatches();
       await this.checkPendingMultiKills();
+      await this.checkPendingPerformanceRules();
       await this.checkStatChanges();
       await this.checkRankChanges();
+      await this.checkLiveMatches();
 
-      this.stateCache.cleanupPendingMultiKillChecks();
+      this.cleanupPendingMultiKillChecks();
       await this.stateCache.save();
       logger.debug('=== Poll cycle complete ===');
     } catch (error) {
@@ -122,6 +297,8 @@ export class PollingService {
   /**
    * Check for new matches using STRATZ API
    * Checks main account and all friends for new matches
+   * New matches are grouped by match ID across all tracked players, so a party of
+   * friends produces one combined notification instead of one per player.
    * New matches are added to pending multi-kill checks for reliable detection
    */
   async checkNewMatches() {
@@ -132,14 +309,24 @@ export class PollingService {
 
       logger.debug(`checkNewMatches: checking ${playersToCheck.length} player(s)`);
 
+      // Every account of every player, fetched in a few batched requests
+      const accountIds = [...new Set(playersToCheck.flatMap(player => player.ids.map(String)))];
+      const recentMatches = await this.dataSource.getRecentMatchesBatch(accountIds, 5);
+
+      // matchId -> [{ playerName, accountId, match }]
+      const matchGroups = new Map();
+
       for (const player of playersToCheck) {
         const playerName = player.name;
 
         // Check ALL accounts for this player (not just the first)
         for (const accountId of player.ids) {
           try {
-            logger.debug(`checkNewMatches: fetching for ${playerName} (account ${accountId})`);
-            const matchesData = await this.stratzClient.getRecentMatches(accountId, 5);
+            if (!recentMatches.has(String(accountId))) {
+              logger.debug(`checkNewMatches: no response for ${playerName} (account ${accountId}), will retry next poll`);
+              continue;
+            }
+            const matchesData = recentMatches.get(String(accountId));
 
             if (!matchesData || matchesData.length === 0) {
               logger.debug(`checkNewMatches: no matches returned for ${playerName} (account ${accountId})`);
@@ -147,6 +334,7 @@ export class PollingService {
             }
 
             const processed = this.dataProcessor.processRecentMatches(matchesData, accountId);
+            this.seedStreak(playerName, processed);
             const newMatches = this.dataProcessor.detectNewMatches(processed, accountId);
 
             logger.debug(`checkNewMatches: ${playerName} (${accountId}): ${matchesData.length} fetched, ${processed.length} processed, ${newMatches.length} new`);
@@ -155,25 +343,343 @@ export class PollingService {
               logger.info(`Found ${newMatches.length} new match(es) for ${playerName} (account ${accountId}): [${newMatches.map(m => m.matchId).join(', ')}]`);
 
               for (const match of newMatches) {
-                this.stateCache.addPendingMultiKillCheck(match.matchId, accountId, playerName);
-
-                if (this.openDotaClient) {
-                  this.openDotaClient.requestParse(match.matchId).catch(() => {});
+                if (!matchGroups.has(match.matchId)) {
+                  matchGroups.set(match.matchId, []);
                 }
+                matchGroups.get(match.matchId).push({ playerName, accountId, match });
               }
             }
-
-            await new Promise(resolve => setTimeout(resolve, 200));
           } catch (error) {
             logger.warn(`Error checking matches for ${playerName} (account ${accountId}):`, error.message);
           }
         }
       }
+
+      // Oldest match first so notifications follow play order
+      const matchIds = [...matchGroups.keys()].sort((a, b) => a - b);
+      const matchCache = new Map();
+      for (const matchId of matchIds) {
+        const participants = matchGroups.get(matchId);
+        await this.announceNewMatch(matchId, participants);
+
+        for (const { playerName, accountId, match } of participants) {
+          this.stateCache.addPendingMultiKillCheck(matchId, accountId, playerName);
+          await this.recordStreakResult(playerName, match);
+          await this.checkPerformanceRules(playerName, accountId, match, matchCache);
+        }
+
+        // One parse request per match, no matter how many friends played it
+        this.requestParse(matchId);
+      }
     } catch (error) {
       logger.error('Error checking for new matches:', error);
     }
   }
 
+  /**
+   * Send the new match notification - a combined party embed when several tracked players were in it
+   */
+  async announceNewMatch(matchId, participants) {
+    let embed;
+    if (participants.length > 1) {
+      logger.info(`Party match ${matchId}: ${participants.map(p => p.playerName).join(', ')}`);
+      embed = this.messageFormatter.formatPartyMatch(matchId, participants);
+    } else {
+      const { playerName, match } = participants[0];
+      embed = this.messageFormatter.formatNewMatch(match, playerName);
+    }
+    this.messageFormatter.addProviderFooter(embed, participants[0].match.provider);
+
+    await this.notify(NOTIFICATION_KINDS.NEW_MATCH, embed, `new_match:${matchId}`);
+  }
+
+  /**
+   * Ask OpenDota to parse a match - followed to completion by the parse tracker when there is one
+   */
+  requestParse(matchId) {
+    if (this.parseTracker) {
+      this.parseTracker.request(matchId).catch(error => logger.warn(`Parse request for match ${matchId} failed: ${error.message}`));
+    } else if (this.openDotaClient) {
+      this.openDotaClient.requestParse(matchId).catch(() => {});
+    }
+  }
+
+  /**
+   * Resolve the pending multi-kill checks for a match the parse tracker saw get parsed
+   */
+  async handleParsedMatch(matchId, matchData) {
+    const checks = this.stateCache.getPendingMultiKillChecks().filter(check => Number(check.matchId) === Number(matchId));
+    if (checks.length === 0) return;
+
+    const matchCache = new Map([[`opendota:${matchId}`, matchData]]);
+    for (const check of checks) {
+      if (this.stateCache.isMultiKillDetected(check.matchId, check.accountId)) {
+        this.stateCache.removePendingMultiKillCheck(check.matchId, check.accountId);
+        continue;
+      }
+      if (await this.checkMultiKillsViaOpenDota(check.matchId, check.accountId, check.playerName, matchCache)) {
+        this.stateCache.markMultiKillDetected(check.matchId, check.accountId, check.playerName);
+        this.stateCache.removePendingMultiKillCheck(check.matchId, check.accountId);
+      }
+    }
+  }
+
+  /**
+   * ParseTracker gave up on a match: its pending multi-kill checks skipped the STRATZ kill
+   * events fallback while they waited, so run it now before the checks are dropped
+   */
+  async handleUnparsedMatch(matchId) {
+    const checks = this.stateCache.getPendingMultiKillChecks().filter(check => Number(check.matchId) === Number(matchId));
+    if (checks.length === 0) return;
+
+    const matchCache = new Map();
+    for (const check of checks) {
+      if (!this.stateCache.isMultiKillDetected(check.matchId, check.accountId)) {
+        if (!await this.checkMultiKillsViaKillEvents(check.matchId, check.accountId, check.playerName, matchCache)) {
+          logger.debug(`No kill events for unparsed match ${check.matchId} (${check.playerName}), giving up`);
+        }
+        this.stateCache.markMultiKillDetected(check.matchId, check.accountId, check.playerName);
+      }
+      this.stateCache.removePendingMultiKillCheck(check.matchId, check.accountId);
+    }
+  }
+
+  /**
+   * Drop pending multi-kill checks older than an hour, except those whose match is still
+   * being parsed: ParseTracker can follow a parse for hours, and handleParsedMatch needs them
+   */
+  cleanupPendingMultiKillChecks() {
+    this.stateCache.cleanupPendingMultiKillChecks(matchId => this.parseTracker?.isTracking(matchId) ?? false);
+  }
+
+  /**
+   * Start a player's streak from their recent matches the first time they are seen
+   */
+  seedStreak(playerName, processedMatches) {
+    if (this.stateCache.getPlayerStreak(playerName) || processedMatches.length === 0) return;
+
+    const streak = this.dataProcessor.calculateStreak(processedMatches);
+    this.stateCache.setPlayerStreak(playerName, streak);
+    logger.debug(`seedStreak: ${playerName} starts on a ${streak.count}-game ${streak.type} streak`);
+  }
+
+  /**
+   * Count a match towards a player's win/loss streak
+   * Announces the streak when it reaches a threshold and when a notable streak is broken
+   */
+  async recordStreakResult(playerName, match, announce = true) {
+    const previous = this.stateCache.getPlayerStreak(playerName);
+    const { streak, broken, counted } = this.dataProcessor.advanceStreak(previous, match);
+    if (!counted) return;
+
+    this.stateCache.setPlayerStreak(playerName, streak);
+    if (!announce) return;
+
+    if (broken && broken.count >= this.streakConfig.breakMinimum) {
+      logger.info(`${playerName}'s ${broken.count}-game ${broken.type} streak ended in match ${match.matchId}`);
+      const embed = this.messageFormatter.formatStreakBroken(playerName, broken, match);
+      await this.notify(NOTIFICATION_KINDS.STREAK, embed, `streak_broken:${playerName}:${match.matchId}`);
+    }
+
+    if (this.streakConfig.thresholds.includes(streak.count)) {
+      logger.info(`${playerName} is on a ${streak.count}-game ${streak.type} streak`);
+      const embed = this.messageFormatter.formatStreak(playerName, streak, match);
+      await this.notify(NOTIFICATION_KINDS.STREAK, embed, `streak:${playerName}:${streak.type}:${streak.count}:${match.matchId}`);
+    }
+  }
+
+  /**
+   * Evaluate the notable performance rules against a new match and post an alert per matching rule
+   * The full match is only fetched when an applicable rule needs a field that isn't in the recent match list.
+   * Rules that need data STRATZ doesn't have until it parses the match are evaluated again later
+   * by checkPendingPerformanceRules.
+   */
+  async checkPerformanceRules(playerName, accountId, match, matchCache = null) {
+    if (!this.rulesEngine || this.rulesEngine.getRules().length === 0) return;
+
+    try {
+      let player = null;
+      if (this.rulesEngine.needsMatchDetails(match)) {
+        const matchData = await this.fetchOnce(matchCache, `stratz-match:${match.matchId}`, () => this.dataSource.getMatch(match.matchId));
+        player = matchData?.players?.find(p => p.steamAccountId === parseInt(accountId)) || null;
+        if (!player) {
+          logger.debug(`checkPerformanceRules: no match details for ${playerName} in match ${match.matchId}, detail rules wait for a later poll`);
+        }
+      }
+
+      const undecided = this.rulesEngine.undecidedRules(match, player).map(rule => rule.id);
+      const decided = this.rulesEngine.getRules().map(rule => rule.id).filter(id => !undecided.includes(id));
+      await this.notifyPerformance(playerName, accountId, match, this.rulesEngine.evaluate(match, player, this.performanceNames(playerName, match), decided));
+
+      if (undecided.length > 0) {
+        logger.debug(`checkPerformanceRules: ${undecided.join(', ')} wait for match ${match.matchId} to be parsed`);
+        this.stateCache.setPendingPerformanceCheck(match.matchId, accountId, { playerName, match, ruleIds: undecided });
+      }
+    } catch (error) {
+      logger.warn(`Error checking performance rules for ${playerName} in match ${match.matchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Evaluate the performance rules that were waiting for STRATZ to parse their match
+   * The match is fetched again each poll (it is cached for a few minutes until it is parsed).
+   */
+  async checkPendingPerformanceRules() {
+    if (!this.rulesEngine) return;
+
+    const matchCache = new Map();
+    for (const check of this.stateCache.getPendingPerformanceChecks()) {
+      const { matchId, accountId, playerName, match, ruleIds } = check;
+      if (Date.now() - check.addedAt > PERFORMANCE_RECHECK_MAX_AGE_MS) {
+        logger.debug(`Match ${matchId} was never parsed, dropping performance rules ${ruleIds.join(', ')} for ${playerName}`);
+        this.stateCache.removePendingPerformanceCheck(matchId, accountId);
+        continue;
+      }
+
+      try {
+        const matchData = await this.fetchOnce(matchCache, `stratz-match:${matchId}`, () => this.dataSource.getMatch(matchId));
+        const player = matchData?.players?.find(p => p.steamAccountId === parseInt(accountId));
+        if (!player) continue;
+
+        const undecided = this.rulesEngine.undecidedRules(match, player).map(rule => rule.id);
+        const ready = ruleIds.filter(id => !undecided.includes(id));
+        if (ready.length === 0) continue;
+
+        await this.notifyPerformance(playerName, accountId, match, this.rulesEngine.evaluate(match, player, this.performanceNames(playerName, match), ready));
+        const waiting = ruleIds.filter(id => undecided.includes(id));
+        if (waiting.length > 0) {
+          this.stateCache.setPendingPerformanceCheck(matchId, accountId, { playerName, match, ruleIds: waiting }, check.addedAt);
+        } else {
+          this.stateCache.removePendingPerformanceCheck(matchId, accountId);
+        }
+      } catch (error) {
+        logger.warn(`Error re-checking performance rules for ${playerName} in match ${matchId}:`, error.message);
+      }
+    }
+  }
+
+  performanceNames(playerName, match) {
+    return { player: playerName, hero: this.messageFormatter.getHeroName(match.heroId) };
+  }
+
+  /**
+   * Post an alert per matched performance rule
+   */
+  async notifyPerformance(playerName, accountId, match, results) {
+    for (const { rule, message } of results) {
+      logger.info(`Performance rule "${rule.id}" matched for ${playerName} in match ${match.matchId}`);
+      const embed = this.messageFormatter.formatPerformanceAlert(playerName, rule, message, match);
+      await this.notify(NOTIFICATION_KINDS.PERFORMANCE, embed, `performance:${match.matchId}:${accountId}:${rule.id}`);
+    }
+  }
+
+  /**
+   * Run a fetch once per key within a poll cycle (shares results between players in the same match)
+   */
+  fetchOnce(cache, key, fetcher) {
+    if (!cache) return fetcher();
+    if (!cache.has(key)) {
+      cache.set(key, fetcher());
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Catch up on matches played while the bot was offline
+   * For each tracked account, fetches matches since the last seen match time
+   * (capped at backfillConfig.maxHours, or newPlayerHours for accounts with no baseline)
+   * and replays them oldest first. The missed matches are announced as one digest embed
+   * instead of a post per match; multi-kill checks are queued as for live polling.
+   */
+  async backfillMissedMatches() {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const oldestAllowed = nowSeconds - this.backfillConfig.maxHours * 3600;
+    const playersToCheck = this.friendsManager
+      ? this.friendsManager.getAllFriends()
+      : [{ name: 'You', ids: [this.accountId] }];
+
+    logger.info(`Backfill: checking ${playersToCheck.length} player(s) for matches missed while offline`);
+
+    const missedEntries = [];
+    let earliestSince = nowSeconds;
+
+    for (const player of playersToCheck) {
+      for (const accountId of player.ids) {
+        try {
+          const since = await this.getBackfillStartTime(accountId, nowSeconds, oldestAllowed);
+          earliestSince = Math.min(earliestSince, since);
+
+          const matchesData = await this.dataSource.getPlayerMatchesSince(accountId, since, 100);
+          const processed = this.dataProcessor.processRecentMatches(matchesData, accountId);
+          const missed = this.dataProcessor.detectMissedMatches(processed, accountId);
+
+          if (missed.length > 0) {
+            logger.info(`Backfill: ${player.name} (account ${accountId}) missed ${missed.length} match(es): [${missed.map(m => m.matchId).join(', ')}]`);
+          }
+
+          for (const match of missed) {
+            missedEntries.push({ playerName: player.name, accountId, match });
+            this.stateCache.addPendingMultiKillCheck(match.matchId, accountId, player.name);
+
+            this.requestParse(match.matchId);
+          }
+
+          await new Promise(resolve => setTimeout(resolve, 200));
+        } catch (error) {
+          logger.warn(`Backfill failed for ${player.name} (account ${accountId}):`, error.message);
+        }
+      }
+    }
+
+    await this.stateCache.save();
+
+    if (missedEntries.length === 0) {
+      logger.info('Backfill: no missed matches');
+      return;
+    }
+
+    // Replay in the order the matches were played
+    missedEntries.sort((a, b) => a.match.startTime - b.match.startTime || a.match.matchId - b.match.matchId);
+
+    // Keep streaks up to date; the digest covers these matches, so no separate streak posts
+    for (const { playerName, match } of missedEntries) {
+      await this.recordStreakResult(playerName, match, false);
+    }
+
+    const embed = this.messageFormatter.formatBackfillDigest(missedEntries, earliestSince);
+    const first = missedEntries[0].match.matchId;
+    const last = missedEntries[missedEntries.length - 1].match.matchId;
+    await this.notify(NOTIFICATION_KINDS.NEW_MATCH, embed, `backfill:${first}:${last}`);
+    logger.info(`Backfill: sent digest for ${missedEntries.length} missed match(es)`);
+  }
+
+  /**
+   * Work out where backfill should start for an account (unix seconds)
+   * Uses the last seen match time; older state files only have the match ID,
+   * so its start time is looked up once.
+   */
+  async getBackfillStartTime(accountId, nowSeconds, oldestAllowed) {
+    const lastMatchId = this.stateCache.getLastMatchIdForPlayer(accountId);
+    if (!lastMatchId) {
+      return nowSeconds - this.backfillConfig.newPlayerHours * 3600;
+    }
+
+    let lastTime = this.stateCache.getLastMatchTimeForPlayer(accountId);
+    if (!lastTime) {
+      try {
+        const lastMatch = await this.dataSource.getMatch(lastMatchId);
+        lastTime = lastMatch?.startDateTime || null;
+        if (lastTime) {
+          this.stateCache.setLastMatchTimeForPlayer(accountId, lastTime);
+        }
+      } catch (error) {
+        logger.debug(`Backfill: could not look up start time of match ${lastMatchId}: ${error.message}`);
+      }
+    }
+
+    return Math.max(lastTime || oldestAllowed, oldestAllowed);
+  }
+
   /**
    * Process pending multi-kill checks across multiple data sources
    * Retries across poll cycles until data is available or max checks reached
@@ -182,6 +688,9 @@ export class PollingService {
    * 1. OpenDota match details - direct multi_kills field (most reliable when parsed)
    * 2. STRATZ feats API - pre-calculated achievements (rampages, ultra kills, triple kills)
    * 3. STRATZ kill events - timestamp analysis fallback (only on final check)
+   *
+   * Matches the parse tracker is still following skip OpenDota and don't use up checks:
+   * the tracker resolves them through handleParsedMatch once the parse is done.
    */
   async checkPendingMultiKills() {
     const pendingChecks = this.stateCache.getPendingMultiKillChecks();
@@ -189,6 +698,9 @@ export class PollingService {
 
     logger.debug(`Processing ${pendingChecks.length} pending multi-kill check(s)`);
 
+    // Match data fetched during this cycle, shared by tracked players in the same match
+    const matchCache = new Map();
+
     // Group pending checks by accountId for efficient STRATZ feats batching
     const checksByAccount = new Map();
     for (const check of [...pendingChecks]) {
@@ -205,8 +717,8 @@ export class PollingService {
       // Batch fetch STRATZ feats once per player
       let stratzFeats = [];
       try {
-        const feats = await this.stratzClient.getPlayerAchievements(accountId, 200);
-        stratzFeats = feats ? this.stratzClient.getMultiKillFeatsFromMatches(feats, matchIds) : [];
+        const feats = await this.dataSource.getPlayerAchievements(accountId, 200);
+        stratzFeats = feats ? this.dataSource.getMultiKillFeatsFromMatches(feats, matchIds) : [];
         if (stratzFeats.length > 0) {
           logger.info(`STRATZ feats found for ${playerName}: ${stratzFeats.length} multi-kill(s) in pending matches`);
           stratzFeats.forEach(f => logger.debug(`  Feat: type=${f.type}, matchId=${f.matchId}, heroId=${f.heroId}`));
@@ -223,10 +735,11 @@ export class PollingService {
         }
 
         let resolved = false;
+        const awaitingParse = this.parseTracker?.isTracking(check.matchId) ?? false;
 
         // Source 1: OpenDota multi_kills (direct, most reliable when parsed)
-        if (this.openDotaClient && !resolved) {
-          resolved = await this.checkMultiKillsViaOpenDota(check.matchId, accountId, playerName);
+        if (this.openDotaClient && !resolved && !awaitingParse) {
+          resolved = await this.checkMultiKillsViaOpenDota(check.matchId, accountId, playerName, matchCache);
         }
 
         // Source 2: STRATZ feats (pre-calculated achievements)
@@ -234,18 +747,21 @@ export class PollingService {
           const matchFeats = stratzFeats.filter(f => f.matchId === check.matchId || f.matchId === parseInt(check.matchId));
           if (matchFeats.length > 0) {
             resolved = true;
+            this.archiveMultiKills(check.matchId, accountId, this.dataSource.getMultiKillsFromFeats(matchFeats, [check.matchId]), 'stratz-feats');
             await this.notifyMultiKillsFromFeats(matchFeats, accountId, playerName);
           }
         }
 
         // Source 3: STRATZ kill events (only on final check as last resort)
-        if (!resolved && check.checkCount >= this.maxMultiKillChecks - 1) {
-          resolved = await this.checkMultiKillsViaKillEvents(check.matchId, accountId, playerName);
+        if (!resolved && !awaitingParse && check.checkCount >= this.maxMultiKillChecks - 1) {
+          resolved = await this.checkMultiKillsViaKillEvents(check.matchId, accountId, playerName, matchCache);
         }
 
         if (resolved) {
           this.stateCache.markMultiKillDetected(check.matchId, accountId, playerName);
           this.stateCache.removePendingMultiKillCheck(check.matchId, accountId);
+        } else if (awaitingParse) {
+          logger.debug(`Match ${check.matchId} (${playerName}) is waiting on its OpenDota parse`);
         } else if (check.checkCount >= this.maxMultiKillChecks) {
           // Give up after max checks - mark as done to prevent infinite retries
           logger.debug(`Max checks reached for match ${check.matchId} (${playerName}), giving up`);
@@ -262,19 +778,32 @@ export class PollingService {
     }
   }
 
+  /**
+   * Record a resolved multi-kill check in the match archive
+   */
+  archiveMultiKills(matchId, accountId, counts, source) {
+    if (!this.matchArchive) return;
+    try {
+      this.matchArchive.recordMultiKills(matchId, accountId, counts, source);
+    } catch (error) {
+      logger.warn(`Failed to archive multi-kills for match ${matchId}: ${error.message}`);
+    }
+  }
+
   /**
    * Check multi-kills via OpenDota's parsed match multi_kills field
    * Returns true if the match was parsed (regardless of whether multi-kills were found)
    */
-  async checkMultiKillsViaOpenDota(matchId, accountId, playerName) {
+  async checkMultiKillsViaOpenDota(matchId, accountId, playerName, matchCache = null) {
     if (!this.openDotaClient) return false;
 
     try {
-      const matchData = await this.openDotaClient.getMatch(matchId);
+      const matchData = await this.fetchOnce(matchCache, `opendota:${matchId}`, () => this.openDotaClient.getMatch(matchId));
       if (!matchData) return false;
 
       const result = this.openDotaClient.getMultiKillsForPlayer(matchData, accountId);
       if (!result) return false; // Match not parsed yet
+      // No need to archive the result here: OpenDotaClient.getMatch already stored the parsed multi_kills
 
       // Match is parsed - send notifications for any multi-kills found
       if (result.rampages > 0) {
@@ -283,7 +812,7 @@ export class PollingService {
           playerName, result.heroId, matchId,
           result.kills, result.deaths, result.assists, result.win, null
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(matchId, accountId, 'RAMPAGE'));
         await new Promise(resolve => setTimeout(resolve, 500));
       }
       if (result.ultraKills > 0) {
@@ -292,7 +821,7 @@ export class PollingService {
           playerName, result.heroId, matchId,
           result.kills, result.deaths, result.assists, result.win, result.ultraKills, null
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(matchId, accountId, 'ULTRA_KILL'));
         await new Promise(resolve => setTimeout(resolve, 500));
       }
       if (result.tripleKills > 0) {
@@ -301,7 +830,7 @@ export class PollingService {
           playerName, result.heroId, matchId,
           result.kills, result.deaths, result.assists, result.win, result.tripleKills, null
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(matchId, accountId, 'TRIPLE_KILL'));
       }
 
       return true; // Match was parsed, check is resolved
@@ -321,19 +850,19 @@ export class PollingService {
         const embed = this.messageFormatter.formatRampageNotification(
           playerName, feat.heroId, feat.matchId, 0, 0, 0, false, null
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(feat.matchId, accountId, feat.type));
       } else if (feat.type === 'ULTRA_KILL') {
         logger.info(`⚡ ULTRA KILL detected for ${playerName} in match ${feat.matchId} (via STRATZ feats)`);
         const embed = this.messageFormatter.formatUltraKillNotification(
           playerName, feat.heroId, feat.matchId, 0, 0, 0, false, 1, null
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(feat.matchId, accountId, feat.type));
       } else if (feat.type === 'TRIPLE_KILL') {
         logger.info(`💥 TRIPLE KILL detected for ${playerName} in match ${feat.matchId} (via STRATZ feats)`);
         const embed = this.messageFormatter.formatTripleKillNotification(
           playerName, feat.heroId, feat.matchId, 0, 0, 0, false, 1, null
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(feat.matchId, accountId, feat.type));
       }
       await new Promise(resolve => setTimeout(resolve, 500));
     }
@@ -343,17 +872,18 @@ export class PollingService {
    * Check multi-kills via STRATZ kill event timestamp analysis (last resort fallback)
    * Returns true if kill event data was available (regardless of whether multi-kills found)
    */
-  async checkMultiKillsViaKillEvents(matchId, accountId, playerName) {
+  async checkMultiKillsViaKillEvents(matchId, accountId, playerName, matchCache = null) {
     try {
-      const matchData = await this.stratzClient.getMatchWithKillEvents(matchId);
+      const matchData = await this.fetchOnce(matchCache, `stratz-kills:${matchId}`, () => this.dataSource.getMatchWithKillEvents(matchId));
       if (!matchData?.players) return false;
 
       const accountIdNum = parseInt(accountId);
       const player = matchData.players.find(p => p.steamAccountId === accountIdNum);
       if (!player?.stats?.killEvents || player.stats.killEvents.length === 0) return false;
 
-      const multiKills = this.stratzClient.detectMultiKillsFromKillEvents(player.stats.killEvents);
+      const multiKills = this.dataSource.detectMultiKillsFromKillEvents(player.stats.killEvents);
       const win = player.isRadiant === matchData.didRadiantWin;
+      this.archiveMultiKills(matchId, accountId, multiKills, 'stratz-kill-events');
 
       if (multiKills.rampages > 0) {
         logger.info(`🔥 RAMPAGE detected for ${playerName} in match ${matchId} (via STRATZ kill events)`);
@@ -361,7 +891,7 @@ export class PollingService {
           playerName, player.heroId, matchId,
           player.kills || 0, player.deaths || 0, player.assists || 0, win, matchData
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(matchId, accountId, 'RAMPAGE'));
         await new Promise(resolve => setTimeout(resolve, 500));
       }
       if (multiKills.ultraKills > 0) {
@@ -370,7 +900,7 @@ export class PollingService {
           playerName, player.heroId, matchId,
           player.kills || 0, player.deaths || 0, player.assists || 0, win, multiKills.ultraKills, matchData
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(matchId, accountId, 'ULTRA_KILL'));
         await new Promise(resolve => setTimeout(resolve, 500));
       }
       if (multiKills.tripleKills > 0) {
@@ -379,7 +909,7 @@ export class PollingService {
           playerName, player.heroId, matchId,
           player.kills || 0, player.deaths || 0, player.assists || 0, win, multiKills.tripleKills, matchData
         );
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(matchId, accountId, 'TRIPLE_KILL'));
       }
 
       return true; // Kill event data was available
@@ -394,8 +924,8 @@ export class PollingService {
    */
   async checkStatChanges() {
     try {
-      const playerData = await this.stratzClient.getPlayerTotals(this.accountId);
-      const winLossData = await this.stratzClient.getPlayerWinLoss(this.accountId);
+      const playerData = await this.dataSource.getPlayerTotals(this.accountId);
+      const winLossData = await this.dataSource.getPlayerWinLoss(this.accountId);
 
       const newStats = this.dataProcessor.processPlayerStats(playerData, winLossData);
       const comparison = this.dataProcessor.detectStatChanges(newStats);
@@ -411,7 +941,7 @@ export class PollingService {
         if (significantChanges.length > 0) {
           const embed = this.messageFormatter.formatStats(newStats);
           embed.setTitle('📊 Statistics Updated');
-          await this.discordBot.sendNotification(null, embed);
+          await this.notify(NOTIFICATION_KINDS.RANK_CHANGE, embed);
         }
       }
     } catch (error) {
@@ -430,6 +960,10 @@ export class PollingService {
 
       logger.debug(`checkRankChanges: checking ${playersToCheck.length} player(s)`);
 
+      // Every account of every player, fetched in a few batched requests
+      const accountIds = [...new Set(playersToCheck.flatMap(player => player.ids.map(String)))];
+      const ranks = await this.dataSource.getPlayerRanksBatch(accountIds);
+
       for (const player of playersToCheck) {
         const playerName = player.name;
 
@@ -437,17 +971,12 @@ export class PollingService {
           let bestRankData = null;
 
           for (const accountId of player.ids) {
-            try {
-              const rankData = await this.stratzClient.getPlayerRank(accountId);
-              logger.debug(`checkRankChanges: ${playerName} account ${accountId} -> rank=${rankData?.rank}, leaderboard=${rankData?.leaderboardRank}`);
-              if (rankData && rankData.rank) {
-                if (!bestRankData || rankData.rank > bestRankData.rank) {
-                  bestRankData = rankData;
-                }
+            const rankData = ranks.get(String(accountId));
+            logger.debug(`checkRankChanges: ${playerName} account ${accountId} -> rank=${rankData?.rank}, leaderboard=${rankData?.leaderboardRank}`);
+            if (rankData && rankData.rank) {
+              if (!bestRankData || rankData.rank > bestRankData.rank) {
+                bestRankData = rankData;
               }
-              await new Promise(resolve => setTimeout(resolve, 200));
-            } catch (error) {
-              logger.warn(`Error checking rank for ${playerName} (account ${accountId}):`, error.message);
             }
           }
 
@@ -475,7 +1004,7 @@ export class PollingService {
               bestRankData.leaderboardRank
             );
 
-            await this.discordBot.sendNotification(null, embed);
+            await this.notify(NOTIFICATION_KINDS.RANK_CHANGE, embed, `rank_change:${playerName}:${oldRankData.oldRank}:${bestRankData.rank}:${new Date().toISOString().slice(0, 10)}`);
           }
         } catch (error) {
           logger.warn(`Error checking rank for ${playerName}:`, error.message);
@@ -487,27 +1016,214 @@ export class PollingService {
   }
 
   /**
-   * Check for live matches using STRATZ API
+   * Track live matches of every tracked player
+   * Posts one message per match, edits it on every poll while the match is live and
+   * switches it to the final result once the match ends. Message IDs are kept in the
+   * state cache so edits continue after a restart.
    */
   async checkLiveMatches() {
+    let liveMatches;
     try {
-      const liveMatch = await this.stratzClient.getPlayerLiveMatch(this.accountId);
+      liveMatches = await this.dataSource.getLiveMatches();
+    } catch (error) {
+      // Without the live list we can't tell which matches ended - leave trackers alone
+      logger.error('Error checking for live matches:', error);
+      return;
+    }
 
-      if (liveMatch) {
-        // Check if we've already notified about this live match
-        const lastLiveMatchId = this.stateCache.cache.lastLiveMatchId;
-        
-        if (lastLiveMatchId !== liveMatch.matchId) {
-          logger.info('Player is in a live match');
-          const embed = this.messageFormatter.formatLiveMatch(liveMatch);
-          await this.discordBot.sendNotification(null, embed);
-          
-          this.stateCache.cache.lastLiveMatchId = liveMatch.matchId;
-        }
+    const trackedAccounts = this.getTrackedAccounts();
+    const stillLive = new Set();
+
+    for (const liveMatch of liveMatches) {
+      const participants = (liveMatch.players || [])
+        .filter(p => trackedAccounts.has(p.steamAccountId))
+        .map(p => ({ playerName: trackedAccounts.get(p.steamAccountId), accountId: p.steamAccountId }));
+
+      if (participants.length === 0) continue;
+
+      stillLive.add(String(liveMatch.matchId));
+      try {
+        await this.updateLiveTracker(liveMatch, participants);
+      } catch (error) {
+        logger.error(`Error updating live tracker for match ${liveMatch.matchId}:`, error);
+      }
+    }
+
+    for (const tracker of this.stateCache.getLiveTrackers()) {
+      if (stillLive.has(String(tracker.matchId))) continue;
+      try {
+        await this.finishLiveTracker(tracker);
+      } catch (error) {
+        logger.error(`Error finishing live tracker for match ${tracker.matchId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Numeric account ID -> player name for every tracked account
+   */
+  getTrackedAccounts() {
+    const players = this.friendsManager
+      ? this.friendsManager.getAllFriends()
+      : [{ name: 'You', ids: [this.accountId] }];
+
+    const accounts = new Map();
+    for (const player of players) {
+      for (const id of player.ids) {
+        accounts.set(parseInt(id), player.name);
       }
+    }
+    return accounts;
+  }
+
+  /**
+   * Post the tracker message for a newly seen live match, or edit it with the latest state
+   */
+  async updateLiveTracker(liveMatch, participants) {
+    const matchId = String(liveMatch.matchId);
+    const embed = this.messageFormatter.formatLiveMatch(liveMatch, participants);
+    const tracker = this.stateCache.getLiveTracker(matchId);
+
+    if (!tracker) {
+      logger.info(`Live match ${matchId} started: ${participants.map(p => p.playerName).join(', ')}`);
+      const messages = await this.postTrackedMessage(NOTIFICATION_KINDS.LIVE_MATCH, embed, `live_match:${matchId}`);
+      this.stateCache.setLiveTracker(matchId, {
+        matchId,
+        participants,
+        messages,
+        gameTime: liveMatch.gameTime ?? null,
+        startedAt: new Date().toISOString(),
+        resultChecks: 0
+      });
+      // Save right away so a restart edits this message instead of posting a new one
+      await this.stateCache.save();
+      return;
+    }
+
+    tracker.participants = participants;
+    tracker.gameTime = liveMatch.gameTime ?? tracker.gameTime;
+    tracker.resultChecks = 0;
+    await this.editTrackedMessages(tracker, embed);
+    this.stateCache.setLiveTracker(matchId, tracker);
+  }
+
+  /**
+   * Switch the tracker message to the final result once the match has left the live list
+   * The result can lag behind the end of the match, so keep trying for a while before giving up
+   */
+  async finishLiveTracker(tracker) {
+    let matchData = null;
+    try {
+      matchData = await this.dataSource.getMatch(tracker.matchId);
     } catch (error) {
-      logger.error('Error checking for live matches:', error);
+      logger.debug(`finishLiveTracker: match ${tracker.matchId} not available yet: ${error.message}`);
     }
+
+    let embed;
+    if (matchData && matchData.didRadiantWin != null && matchData.durationSeconds) {
+      logger.info(`Live match ${tracker.matchId} finished (${matchData.didRadiantWin ? 'Radiant' : 'Dire'} victory)`);
+      embed = this.messageFormatter.formatLiveMatchResult(matchData, tracker.participants);
+    } else {
+      tracker.resultChecks = (tracker.resultChecks || 0) + 1;
+      if (tracker.resultChecks < LIVE_RESULT_MAX_CHECKS) {
+        logger.debug(`finishLiveTracker: no result for match ${tracker.matchId} yet (check ${tracker.resultChecks}/${LIVE_RESULT_MAX_CHECKS})`);
+        this.stateCache.setLiveTracker(tracker.matchId, tracker);
+        return;
+      }
+      logger.warn(`Live match ${tracker.matchId} ended but no result became available - closing tracker`);
+      embed = this.messageFormatter.formatLiveMatchEnded(tracker.matchId, tracker.participants);
+    }
+
+    await this.editTrackedMessages(tracker, embed);
+    this.stateCache.removeLiveTracker(tracker.matchId);
+  }
+
+  /**
+   * Post a message that will be edited later, one per subscribed channel
+   * Returns [{ channelId, outboxId, messageId }] - with the outbox, messageId is filled in
+   * once the entry is delivered (see resolveTrackedMessage)
+   */
+  async postTrackedMessage(kind, embed, dedupeKey) {
+    const channelIds = this.getNotificationChannels(kind);
+    if (channelIds.length === 0) {
+      logger.warn(`postTrackedMessage(${kind}): no channel configured for this notification type`);
+      return [];
+    }
+
+    const messages = [];
+
+    if (!this.outbox) {
+      for (const channelId of channelIds) {
+        try {
+          const message = await this.discordBot.deliverToChannel(channelId, { embeds: [embed] });
+          messages.push({ channelId, outboxId: null, messageId: message.id });
+        } catch (error) {
+          logger.warn(`postTrackedMessage(${kind}): failed to post to channel ${channelId}: ${error.message}`);
+        }
+      }
+      return messages;
+    }
+
+    for (const channelId of channelIds) {
+      // Already queued/delivered (e.g. tracker state lost in a crash) - reuse that message
+      const entry = await this.outbox.enqueue(kind, channelId, null, embed, dedupeKey);
+      const queued = entry ? { id: entry.id, messageId: null } : this.outbox.lookup(dedupeKey, channelId);
+      if (queued) {
+        messages.push({ channelId, outboxId: queued.id, messageId: queued.messageId });
+      }
+    }
+
+    await this.outbox.flush();
+    for (const message of messages) {
+      this.resolveTrackedMessage(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Fill in the Discord message ID once the outbox has delivered the message
+   */
+  resolveTrackedMessage(message) {
+    if (message.messageId || !message.outboxId || !this.outbox) return;
+    const delivery = this.outbox.getDelivery(message.outboxId);
+    if (delivery?.messageId) {
+      message.messageId = delivery.messageId;
+    }
+  }
+
+  /**
+   * Edit every message of a tracker
+   * Messages still waiting in the outbox get their queued embed replaced instead.
+   * Messages that were deleted in Discord are dropped from the tracker.
+   */
+  async editTrackedMessages(tracker, embed) {
+    const remaining = [];
+
+    for (const message of tracker.messages) {
+      this.resolveTrackedMessage(message);
+
+      if (!message.messageId) {
+        if (message.outboxId) {
+          await this.outbox?.updatePayload(message.outboxId, embed);
+        }
+        remaining.push(message);
+        continue;
+      }
+
+      try {
+        await this.discordBot.editMessage(message.channelId, message.messageId, { embeds: [embed] });
+        remaining.push(message);
+      } catch (error) {
+        if (MESSAGE_GONE_ERRORS.has(error.code)) {
+          logger.warn(`Live tracker message ${message.messageId} in channel ${message.channelId} is gone (${error.code}) - no longer updating it`);
+        } else {
+          logger.warn(`Failed to edit live tracker message ${message.messageId} in channel ${message.channelId}: ${error.message}`);
+          remaining.push(message);
+        }
+      }
+    }
+
+    tracker.messages = remaining;
   }
 
   /**
@@ -518,15 +1234,15 @@ export class PollingService {
   }
 
   /**
-   * Get the time range for the last 24 hours from current UK time
+   * Get the time range for the last 24 hours, labelled in a timezone
    * Returns { startTimestamp, endTimestamp, dateString } in Unix seconds
    */
-  getLast24HoursRange() {
+  getLast24HoursRange(timeZone = this.timeZone) {
     const now = new Date();
     const endTimestamp = Math.floor(now.getTime() / 1000);
     const startTimestamp = endTimestamp - (24 * 60 * 60); // 24 hours ago
 
-    const dateString = 'Last 24 hours';
+    const dateString = this.messageFormatter.formatRollingDayLabel(endTimestamp, timeZone);
 
     return {
       startTimestamp,
@@ -536,35 +1252,32 @@ export class PollingService {
   }
 
   /**
-   * Format date as "11-Jan-2026"
-   */
-  formatDateString(day, month, year) {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    return `${day}-${months[month]}-${year}`;
-  }
-
-  /**
-   * Get UK timezone offset in minutes for a given date
+   * Send the weekly or monthly recap for the last complete period
    */
-  getUKOffset(date) {
-    // Create a date string in UK timezone and parse the offset
-    const ukString = date.toLocaleString('en-GB', { timeZone: 'Europe/London', timeZoneName: 'short' });
-    // BST = British Summer Time (UTC+1), GMT = Greenwich Mean Time (UTC+0)
-    if (ukString.includes('BST')) {
-      return 60; // UTC+1
+  async sendPeriodSummary(period, timeZone = this.timeZone) {
+    if (this.getNotificationChannels(NOTIFICATION_KINDS.PERIOD_SUMMARY, timeZone).length === 0) {
+      logger.debug(`${period} recap: no channels in ${timeZone}, skipping`);
+      return;
     }
-    return 0; // GMT = UTC+0
+
+    const { embed, range, playerCount } = await this.periodSummaryService.buildEmbed(period, { timeZone });
+    const sent = await this.notify(NOTIFICATION_KINDS.PERIOD_SUMMARY, embed, `${period}_summary:${range.key}`, timeZone);
+    logger.info(`${period} recap for ${range.label} sent: ${sent ? 'SUCCESS' : 'FAILED'} for ${playerCount} player(s)`);
   }
 
   /**
-   * Send daily summary for the previous day (UK time) for all friends
+   * Send the daily summary (last 24 hours) for all friends to the servers in a timezone
    */
-  async sendDailySummary() {
+  async sendDailySummary(timeZone = this.timeZone) {
     try {
-      logger.info('=== DAILY SUMMARY START ===');
+      if (this.getNotificationChannels(NOTIFICATION_KINDS.DAILY_SUMMARY, timeZone).length === 0) {
+        logger.debug(`Daily summary: no channels in ${timeZone}, skipping`);
+        return;
+      }
+
+      logger.info(`=== DAILY SUMMARY START (${timeZone}) ===`);
 
-      // Get last 24 hours range from current UK time
-      const { startTimestamp, endTimestamp, dateString } = this.getLast24HoursRange();
+      const { startTimestamp, endTimestamp, dateString } = this.getLast24HoursRange(timeZone);
       logger.info(`Daily summary for: ${dateString}`);
       logger.info(`Time range: ${new Date(startTimestamp * 1000).toISOString()} to ${new Date(endTimestamp * 1000).toISOString()}`);
 
@@ -599,7 +1312,7 @@ export class PollingService {
                 logger.debug(`${friend.name}: account ${accountId} -> OpenDota returned ${odMatches.length}, ${accountMatches.length} in range`);
               } else {
                 // STRATZ fallback
-                const stratzMatches = await this.stratzClient.getPlayerMatchesSince(accountId, startTimestamp, 50);
+                const stratzMatches = await this.dataSource.getPlayerMatchesSince(accountId, startTimestamp, 50);
                 accountMatches = stratzMatches.filter(m => m.startDateTime >= startTimestamp && m.startDateTime <= endTimestamp);
                 logger.debug(`${friend.name}: account ${accountId} -> STRATZ returned ${stratzMatches.length}, ${accountMatches.length} in range`);
               }
@@ -636,8 +1349,8 @@ export class PollingService {
           try {
             // Source 1: STRATZ feats
             logger.debug(`${friend.name}: fetching STRATZ feats for account ${bestAccountId}`);
-            const feats = await this.stratzClient.getPlayerAchievements(bestAccountId, 200);
-            const multiKillFeats = this.stratzClient.getMultiKillFeatsFromMatches(feats, matchIds);
+            const feats = await this.dataSource.getPlayerAchievements(bestAccountId, 200);
+            const multiKillFeats = this.dataSource.getMultiKillFeatsFromMatches(feats, matchIds);
 
             summary.rampages = multiKillFeats.filter(f => f.type === 'RAMPAGE').length;
             summary.ultraKills = multiKillFeats.filter(f => f.type === 'ULTRA_KILL').length;
@@ -666,9 +1379,10 @@ export class PollingService {
               const matchData = recentMatches.find(m => m.id === feat.matchId);
               if (matchData) {
                 const player = matchData.players?.[0];
-                const win = player?.isRadiant === matchData.didRadiantWin;
+                const win = player?.isVictory ?? (player?.isRadiant === matchData.didRadiantWin);
                 allRampages.push({
                   playerName: friend.name,
+                  accountId: bestAccountId,
                   heroId: feat.heroId,
                   matchId: feat.matchId,
                   kills: player?.kills || 0,
@@ -718,7 +1432,7 @@ export class PollingService {
               rampage.matchData
             );
             
-            await this.discordBot.sendNotification(null, embed);
+            await this.notify(NOTIFICATION_KINDS.MULTI_KILL, embed, this.multiKillKey(rampage.matchId, rampage.accountId, 'RAMPAGE'));
             this.stateCache.markRampageDetected(rampage.matchId, rampage.playerName, rampage.playerName);
             
             // Small delay between notifications
@@ -739,11 +1453,11 @@ export class PollingService {
 
       if (playerSummaries.length === 0) {
         const embed = this.messageFormatter.formatMultiPlayerDailySummary([], dateString);
-        await this.discordBot.sendNotification(null, embed);
+        await this.notify(NOTIFICATION_KINDS.DAILY_SUMMARY, embed, `daily_summary:${new Date().toISOString().slice(0, 13)}`, timeZone);
         logger.info('Sent empty daily summary (no matches)');
       } else {
         const embed = this.messageFormatter.formatMultiPlayerDailySummary(playerSummaries, dateString);
-        const sent = await this.discordBot.sendNotification(null, embed);
+        const sent = await this.notify(NOTIFICATION_KINDS.DAILY_SUMMARY, embed, `daily_summary:${new Date().toISOString().slice(0, 13)}`, timeZone);
         logger.info(`Daily summary sent: ${sent ? 'SUCCESS' : 'FAILED'} for ${playerSummaries.length} player(s)`);
       }
 
@@ -760,10 +1474,12 @@ export class PollingService {
           .setDescription(`The automated daily summary failed to generate.\n\n**Error:** ${error.message}`)
           .setColor(0xFF0000)
           .setTimestamp();
-        await this.discordBot.sendNotification(null, errorEmbed);
+        await this.notify(NOTIFICATION_KINDS.DAILY_SUMMARY, errorEmbed, null, timeZone);
       } catch (notifyError) {
         logger.error('Failed to send error notification:', notifyError.message);
       }
+      // Let the scheduler know the run failed
+      throw error;
     }
   }
 }
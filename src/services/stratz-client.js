@@ -1,6 +1,59 @@
 import axios from 'axios';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import { logger } from '../utils/logger.js';
+import { RateLimiter } from '../core/rate-limiter.js';
+import { CircuitBreaker } from '../core/circuit-breaker.js';
+import { TokenPool } from '../core/token-pool.js';
+import { ProxyPool } from '../core/proxy-pool.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Players per aliased batch query (keeps each request well within STRATZ's query complexity limit)
+const PLAYER_BATCH_SIZE = 10;
+
+export const STRATZ_API_URL = 'https://api.stratz.com/graphql';
+
+// Free tier quota, used until STRATZ reports the real limits in its response headers
+export const STRATZ_RATE_LIMITS = { second: 20, minute: 250, hour: 2000, day: 10000 };
+
+/**
+ * Whether STRATZ has parsed a match: per-player stats (kill events, last hits per minute)
+ * and IMP are only filled in once it has
+ */
+function isParsedMatch(match) {
+  return Boolean(match?.players?.some(p => p.stats?.killEvents?.length || p.stats?.lastHitsPerMinute?.length));
+}
+
+/**
+ * How long each query's response may be served from the response cache, by operation name
+ * Each entry returns a TTL in ms for a response (0 = don't cache it). Operations not
+ * listed here (live matches, connection test) are never cached.
+ */
+const CACHE_TTLS = {
+  // Constants barely change
+  GetHeroes: () => 3 * DAY,
+  GetGameModes: () => 3 * DAY,
+  GetLobbyTypes: () => 3 * DAY,
+  GetHeroMetaStats: (data) => (data?.heroStats ? 60 * MINUTE : 0),
+  // A finished match never changes once STRATZ has parsed it; until then its stats are still to come
+  GetMatch: (data) => (data?.match?.didRadiantWin == null ? 0 : isParsedMatch(data.match) ? Infinity : 5 * MINUTE),
+  GetMatches: (data) => (data?.matches?.length && data.matches.every(m => m?.didRadiantWin != null) ? Infinity : 0),
+  GetMatchKillEvents: (data) => (data?.match?.players?.some(p => p.stats?.killEvents?.length) ? Infinity : 0),
+  // Player summaries
+  GetPlayer: (data) => (data?.player ? 5 * MINUTE : 0),
+  GetPlayerTotals: (data) => (data?.player ? 5 * MINUTE : 0),
+  GetWinLoss: (data) => (data?.player ? 5 * MINUTE : 0),
+  GetPlayerHeroes: (data) => (data?.player ? 5 * MINUTE : 0),
+  GetPlayerRankings: (data) => (data?.player ? 5 * MINUTE : 0),
+  GetPlayerRank: (data) => (data?.player ? 5 * MINUTE : 0),
+  GetPlayerRanksBatch: () => 5 * MINUTE,
+  // Match lists and feats must stay fresh enough for new match detection
+  GetRecentMatches: (data) => (data?.player ? MINUTE : 0),
+  GetMatchesSince: (data) => (data?.player ? MINUTE : 0),
+  GetRecentMatchesBatch: () => MINUTE,
+  GetPlayerAchievements: (data) => (data?.player ? MINUTE : 0)
+};
 
 /**
  * STRATZ GraphQL API client
@@ -16,112 +69,129 @@ import { logger } from '../utils/logger.js';
  * - Supports multiple residential proxies for reliability
  * - Automatically switches to next proxy on failure (403, timeout, connection error)
  * - Failed proxies are temporarily marked as bad and retried after cooldown
+ * - Proxies are scored on success rate and latency, and healthy ones are preferred (see ProxyPool)
+ *
+ * Multiple API tokens:
+ * - Requests rotate across tokens; quota is tracked per token (see TokenPool)
+ * - A proxy can be pinned to one token, so that token always uses the same IPs
  */
 export class StratzClient {
-  constructor(apiToken, proxies = []) {
-    this.baseUrl = 'https://api.stratz.com/graphql';
-    this.apiToken = apiToken;
+  /**
+   * @param {string|string[]} apiTokens - One token or several to rotate through
+   * @param {ProxyPool|Array<string|{url: string, tokenIndex: number|null}>} [proxies] - Proxy pool, or proxy URLs optionally pinned to a token (0-based)
+   * @param {string} [baseUrl] - GraphQL endpoint (overridden to use the offline mock server)
+   */
+  constructor(apiTokens, proxies = [], matchArchive = null, responseCache = null, rateLimiter = null, circuitBreakerOptions = {}, baseUrl = STRATZ_API_URL) {
+    this.baseUrl = baseUrl;
+    this.tokenPool = new TokenPool('STRATZ', (Array.isArray(apiTokens) ? apiTokens : [apiTokens]).filter(Boolean));
+    this.matchArchive = matchArchive;
+    this.responseCache = responseCache;
     
     // Proxy configuration
-    this.proxies = Array.isArray(proxies) ? proxies : (proxies ? [proxies] : []);
-    this.currentProxyIndex = 0;
-    this.badProxies = new Map(); // Map<proxyUrl, timestamp when marked bad>
-    this.proxyCooldown = 5 * 60 * 1000; // 5 minutes before retrying a bad proxy
+    this.proxyPool = proxies instanceof ProxyPool
+      ? proxies
+      : new ProxyPool(Array.isArray(proxies) ? proxies : (proxies ? [proxies] : []));
     
-    // Rate limiting: 20 req/sec = 50ms between requests (being conservative)
-    this.rateLimitDelay = 50;
-    this.lastRequestTime = 0;
+    // Token buckets shared by all STRATZ requests (commands go ahead of polling)
+    this.rateLimiter = rateLimiter || new RateLimiter('STRATZ', STRATZ_RATE_LIMITS);
+
+    // Fails fast after repeated errors (Cloudflare pages, 5xx, timeouts) and probes with testConnection
+    this.circuitBreaker = new CircuitBreaker('STRATZ', { ...circuitBreakerOptions, probe: () => this.testConnection() });
 
-    // Base axios config (without proxy - added per-request)
+    // Base axios config (without token and proxy - added per-request)
     this.baseAxiosConfig = {
       baseURL: this.baseUrl,
       timeout: 15000,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiToken}`,
         'User-Agent': 'STRATZ_API'
       }
     };
 
-    if (this.proxies.length > 0) {
-      logger.info(`STRATZ client configured with ${this.proxies.length} residential proxies (failover enabled)`);
+    // A token can only be used if some enabled proxy may carry it (requests only go direct with no proxies configured)
+    this.canUseToken = (tokenIndex) => this.proxyPool.size === 0 ||
+      this.proxyPool.proxies.some(proxy => !proxy.disabled && this.proxyPool.isAllowed(proxy, tokenIndex));
+
+    if (this.tokenPool.size > 1) {
+      const pinned = this.proxyPool.proxies.filter(proxy => proxy.tokenIndex !== null).length;
+      logger.info(`STRATZ client rotating ${this.tokenPool.size} API tokens${pinned > 0 ? ` (${pinned} pinned proxies)` : ''}`);
+    }
+
+    if (this.proxyPool.size > 0) {
+      logger.info(`STRATZ client configured with ${this.proxyPool.size} residential proxies (failover enabled)`);
     } else {
       logger.warn('STRATZ client running without proxy - may be blocked on datacenter IPs');
     }
   }
 
   /**
-   * Get the next available proxy URL, skipping bad ones
+   * Get the proxy URL to use for a token - a healthy one that isn't pinned to another token
    * Returns null if no proxies available
    */
-  getNextProxy() {
-    if (this.proxies.length === 0) return null;
+  getNextProxy(tokenIndex = null) {
+    return this.proxyPool.choose(tokenIndex);
+  }
 
-    const now = Date.now();
-    let attempts = 0;
-    
-    while (attempts < this.proxies.length) {
-      const proxyUrl = this.proxies[this.currentProxyIndex];
-      const badSince = this.badProxies.get(proxyUrl);
-      
-      // Check if proxy was marked bad but cooldown has passed
-      if (badSince && (now - badSince) > this.proxyCooldown) {
-        this.badProxies.delete(proxyUrl);
-        logger.debug(`Proxy ${this.currentProxyIndex + 1} cooldown expired, retrying`);
-      }
-      
-      // If proxy is not bad, use it
-      if (!this.badProxies.has(proxyUrl)) {
-        return proxyUrl;
-      }
-      
-      // Move to next proxy
-      this.currentProxyIndex = (this.currentProxyIndex + 1) % this.proxies.length;
-      attempts++;
-    }
-    
-    // All proxies are bad, clear the oldest one and use it
-    logger.warn('All proxies marked as bad, clearing oldest and retrying');
-    let oldestProxy = null;
-    let oldestTime = Infinity;
-    for (const [proxy, time] of this.badProxies) {
-      if (time < oldestTime) {
-        oldestTime = time;
-        oldestProxy = proxy;
-      }
-    }
-    if (oldestProxy) {
-      this.badProxies.delete(oldestProxy);
-      return oldestProxy;
-    }
-    
-    return this.proxies[0];
+  /**
+   * Mark a proxy as bad so requests switch to another one for a while
+   */
+  markProxyBad(proxyUrl, reason) {
+    if (proxyUrl) this.proxyPool.recordFailure(proxyUrl, reason);
   }
 
   /**
-   * Mark current proxy as bad and switch to next
+   * Probe every enabled proxy with a tiny query and update its score (scheduled job)
+   * A proxy that reached STRATZ counts as healthy even if STRATZ answered with an error,
+   * unless that error is a 403 (Cloudflare block).
    */
-  markCurrentProxyBad() {
-    if (this.proxies.length === 0) return;
-    
-    const badProxy = this.proxies[this.currentProxyIndex];
-    this.badProxies.set(badProxy, Date.now());
-    
-    const oldIndex = this.currentProxyIndex;
-    this.currentProxyIndex = (this.currentProxyIndex + 1) % this.proxies.length;
-    
-    // Mask password in logs
-    const maskedProxy = badProxy.replace(/:[^:@]+@/, ':***@');
-    logger.warn(`Proxy ${oldIndex + 1} marked as bad (${maskedProxy}), switching to proxy ${this.currentProxyIndex + 1}`);
+  async checkProxyHealth() {
+    const query = 'query ProxyHealthCheck { constants { gameModes { id } } }';
+
+    for (const proxy of this.proxyPool.proxies) {
+      if (proxy.disabled) continue;
+
+      let token;
+      try {
+        token = await this.tokenPool.next(tokenIndex => this.proxyPool.isAllowed(proxy, tokenIndex));
+      } catch (error) {
+        logger.debug(`Proxy health check: skipping proxy ${proxy.number} (${error.message})`);
+        continue;
+      }
+
+      await this.waitForRateLimit();
+      const startTime = Date.now();
+      try {
+        const client = axios.create({ ...this.createAxiosConfig(token, proxy.url), timeout: 10000 });
+        const response = await client.post('', { query });
+        this.recordQuota(token, response.headers);
+        if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE')) {
+          throw new Error('Cloudflare block page');
+        }
+        this.proxyPool.recordCheck(proxy.url, { latencyMs: Date.now() - startTime });
+      } catch (error) {
+        if (error.response) this.recordQuota(token, error.response.headers);
+        if (error.response && error.response.status !== 403) {
+          this.proxyPool.recordCheck(proxy.url, { latencyMs: Date.now() - startTime });
+        } else {
+          this.proxyPool.recordCheck(proxy.url, { error: error.message });
+        }
+      }
+    }
+
+    await this.proxyPool.save();
+    const stats = this.proxyPool.getStats();
+    logger.info(`Proxy health check: ${stats.filter(p => p.state === 'ok').length} ok, ${stats.filter(p => p.state === 'bad').length} bad, ${stats.filter(p => p.state === 'disabled').length} disabled`);
   }
 
   /**
-   * Create axios config with current proxy
+   * Create axios config for a token, sent through a proxy (if any)
    */
-  createAxiosConfig() {
-    const config = { ...this.baseAxiosConfig };
+  createAxiosConfig(token, proxyUrl = null) {
+    const config = {
+      ...this.baseAxiosConfig,
+      headers: { ...this.baseAxiosConfig.headers, 'Authorization': `Bearer ${token.token}` }
+    };
     
-    const proxyUrl = this.getNextProxy();
     if (proxyUrl) {
       const proxyAgent = new HttpsProxyAgent(proxyUrl);
       config.httpsAgent = proxyAgent;
@@ -133,18 +203,22 @@ export class StratzClient {
   }
 
   /**
-   * Rate limiting helper
+   * Track a response's remaining quota for its API token
+   * The shared rate limiter only learns limits from the headers when there is a single token,
+   * since each token's headers describe that token's quota alone.
    */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  recordQuota(token, headers) {
+    this.tokenPool.recordHeaders(token, headers);
+    if (this.tokenPool.size === 1) {
+      this.rateLimiter.updateFromHeaders(headers);
     }
-    
-    this.lastRequestTime = Date.now();
+  }
+
+  /**
+   * Rate limiting helper - waits for a slot in the caller's priority lane
+   */
+  async waitForRateLimit() {
+    await this.rateLimiter.acquire();
   }
 
   /**
@@ -168,33 +242,61 @@ export class StratzClient {
   }
 
   /**
-   * Execute GraphQL query with proxy failover
+   * Execute GraphQL query, served from the response cache when possible
+   * Identical queries (same text and variables) in flight at the same time share one request.
    */
   async query(queryString, variables = {}, retries = 3) {
-    await this.waitForRateLimit();
+    const fetch = () => this.circuitBreaker.execute(() => this.fetchQuery(queryString, variables, retries));
+    if (!this.responseCache) {
+      return fetch();
+    }
+
+    const operation = queryString.match(/query\s+(\w+)/)?.[1] || 'anonymous';
+    const key = `stratz:${operation}:${queryString.replace(/\s+/g, ' ').trim()}:${JSON.stringify(variables)}`;
+    const ttlFor = CACHE_TTLS[operation] || (() => 0);
+
+    return this.responseCache.getOrFetch(key, operation, fetch, ttlFor);
+  }
+
+  /**
+   * Execute GraphQL query against STRATZ with proxy failover
+   */
+  async fetchQuery(queryString, variables = {}, retries = 3) {
+    if (this.proxyPool.allDisabled()) {
+      throw new Error(`All ${this.proxyPool.size} STRATZ proxies are disabled - enable one with /proxies enable`);
+    }
 
     const startTime = Date.now();
     let proxyAttempts = 0;
-    const maxProxyAttempts = Math.min(this.proxies.length, 5); // Try up to 5 different proxies
+    const maxProxyAttempts = Math.min(this.proxyPool.size, 5); // Try up to 5 different proxies
+    let tokenSwitches = 0;
     
     for (let i = 0; i < retries; i++) {
+      // Throws if every API token is benched
+      const token = await this.tokenPool.next(this.canUseToken);
+      const proxyUrl = this.getNextProxy(token.index);
+
       try {
-        // Create axios instance with current proxy config
-        const axiosConfig = this.createAxiosConfig();
+        // Create axios instance with this token and a proxy allowed to carry it
+        const axiosConfig = this.createAxiosConfig(token, proxyUrl);
         const client = axios.create(axiosConfig);
-        
+
+        // Every attempt (including retries) takes a rate limiter slot
+        await this.waitForRateLimit();
+        const attemptStart = Date.now();
         const response = await client.post('', {
           query: queryString,
           variables
         });
+        this.recordQuota(token, response.headers);
 
         const duration = Date.now() - startTime;
         
         // Check if response is HTML (Cloudflare block page) instead of JSON
         if (typeof response.data === 'string' && response.data.includes('<!DOCTYPE')) {
           logger.warn('Received HTML instead of JSON - likely Cloudflare block');
-          if (this.proxies.length > 0 && proxyAttempts < maxProxyAttempts) {
-            this.markCurrentProxyBad();
+          if (proxyUrl && proxyAttempts < maxProxyAttempts) {
+            this.markProxyBad(proxyUrl, 'Cloudflare block page');
             proxyAttempts++;
             i--; // Don't count this as a regular retry
             continue;
@@ -207,25 +309,43 @@ export class StratzClient {
           logger.warn(`GraphQL errors: ${errorMessages}`);
         }
         
+        if (proxyUrl) this.proxyPool.recordSuccess(proxyUrl, Date.now() - attemptStart);
         logger.debug(`STRATZ query completed (${duration}ms)`);
         return response.data.data;
       } catch (error) {
         // Check if this is a proxy-related error
-        if (this.isProxyError(error) && this.proxies.length > 0 && proxyAttempts < maxProxyAttempts) {
+        if (this.isProxyError(error) && proxyUrl && proxyAttempts < maxProxyAttempts) {
           logger.warn(`Proxy error detected: ${error.message}`);
-          this.markCurrentProxyBad();
+          this.markProxyBad(proxyUrl, error.message);
           proxyAttempts++;
           i--; // Don't count proxy failover as a regular retry
           continue;
         }
         
         if (error.response) {
-          if (error.response.status === 429) {
+          this.recordQuota(token, error.response.headers);
+          const status = error.response.status;
+          // With a single token, a 429 is left to the wait-and-retry below
+          if (status === 401 || (status === 429 && this.tokenPool.size > 1)) {
+            if (status === 429) {
+              this.tokenPool.recordRateLimited(token);
+            } else {
+              this.tokenPool.recordUnauthorized(token);
+            }
+
+            // Another token can take the request right away
+            if (this.tokenPool.hasAlternative(token, this.canUseToken) && tokenSwitches < this.tokenPool.size) {
+              tokenSwitches++;
+              i--; // Don't count a token switch as a regular retry
+              continue;
+            }
+          }
+          if (status === 429) {
             logger.warn('Rate limited by STRATZ, waiting...');
             await new Promise(resolve => setTimeout(resolve, 5000));
             continue;
           }
-          if (error.response.status === 401) {
+          if (status === 401) {
             logger.error('STRATZ API authentication failed - check your API token');
             throw error;
           }
@@ -248,6 +368,18 @@ export class StratzClient {
     }
   }
 
+  /**
+   * Keep a copy of fetched matches in the local archive (never fails the request)
+   */
+  archiveMatches(matches) {
+    if (!this.matchArchive || !matches?.length) return;
+    try {
+      this.matchArchive.storeMatches(matches, 'stratz');
+    } catch (error) {
+      logger.warn(`Failed to archive ${matches.length} STRATZ match(es): ${error.message}`);
+    }
+  }
+
   // ==================== Player Queries ====================
 
   /**
@@ -326,6 +458,7 @@ export class StratzClient {
     });
 
     const matches = data?.player?.matches || [];
+    this.archiveMatches(matches);
     logger.debug(`getRecentMatches(${accountId}, limit=${limit}): returned ${matches.length} matches${matches.length > 0 ? `, IDs: [${matches.map(m => m.id).join(', ')}]` : ''}`);
     return matches;
   }
@@ -334,14 +467,14 @@ export class StratzClient {
    * Get player matches for a specific time range (for daily summaries)
    * Fetches recent matches and filters by timestamp in code for reliability
    */
-  async getPlayerMatchesSince(accountId, sinceTimestamp, limit = 50) {
+  async getPlayerMatchesSince(accountId, sinceTimestamp, limit = 50, skip = 0) {
     logger.debug(`Fetching matches since ${new Date(sinceTimestamp * 1000).toISOString()} for account ${accountId}`);
 
     // Use STRATZ server-side startDateTime filter (verified via schema introspection)
     const query = `
-      query GetMatchesSince($steamAccountId: Long!, $take: Int!, $startDateTime: Long) {
+      query GetMatchesSince($steamAccountId: Long!, $take: Int!, $skip: Int, $startDateTime: Long) {
         player(steamAccountId: $steamAccountId) {
-          matches(request: { take: $take, startDateTime: $startDateTime }) {
+          matches(request: { take: $take, skip: $skip, startDateTime: $startDateTime }) {
             id
             didRadiantWin
             durationSeconds
@@ -370,10 +503,12 @@ export class StratzClient {
     const data = await this.query(query, {
       steamAccountId: parseInt(accountId),
       take: limit,
+      skip,
       startDateTime: sinceTimestamp
     });
 
     const allMatches = data?.player?.matches || [];
+    this.archiveMatches(allMatches);
     logger.info(`getPlayerMatchesSince(${accountId}): STRATZ returned ${allMatches.length} match(es) since ${new Date(sinceTimestamp * 1000).toISOString()}`);
     if (allMatches.length > 0) {
       logger.debug(`  Match IDs: [${allMatches.map(m => m.id).join(', ')}]`);
@@ -485,6 +620,128 @@ export class StratzClient {
     return data?.player;
   }
 
+  // ==================== Batched Player Queries ====================
+
+  /**
+   * Query many players in one request using aliases (p0: player(steamAccountId: $id0) { ... })
+   * Accounts are split into chunks of PLAYER_BATCH_SIZE; a chunk that fails is logged and
+   * left out of the result, and the call only throws if every chunk failed.
+   * @param {string} operation - Query name
+   * @param {string[]} accountIds
+   * @param {Function} selection - (idVariable) => fields to select on each player
+   * @param {string} [variableDefs] - Extra variable definitions shared by all aliases, e.g. ", $take: Int!"
+   * @param {Object} [variables] - Values for the extra variables
+   * @returns {Promise<Map<string, Object|null>>} Account ID -> player (null if STRATZ has none)
+   */
+  async queryPlayersBatch(operation, accountIds, selection, variableDefs = '', variables = {}) {
+    const results = new Map();
+    let lastError = null;
+
+    for (let start = 0; start < accountIds.length; start += PLAYER_BATCH_SIZE) {
+      const chunk = accountIds.slice(start, start + PLAYER_BATCH_SIZE);
+      const definitions = chunk.map((_, i) => `$id${i}: Long!`).join(', ');
+      const aliases = chunk.map((_, i) => `p${i}: player(steamAccountId: $id${i}) { ${selection(`$id${i}`)} }`).join('\n        ');
+      const query = `
+      query ${operation}(${definitions}${variableDefs}) {
+        ${aliases}
+      }
+    `;
+
+      const chunkVariables = { ...variables };
+      chunk.forEach((accountId, i) => { chunkVariables[`id${i}`] = parseInt(accountId); });
+
+      try {
+        const data = await this.query(query, chunkVariables);
+        chunk.forEach((accountId, i) => results.set(String(accountId), data?.[`p${i}`] ?? null));
+      } catch (error) {
+        lastError = error;
+        logger.warn(`${operation}: chunk [${chunk.join(', ')}] failed: ${error.message}`);
+      }
+    }
+
+    if (results.size === 0 && lastError) throw lastError;
+    return results;
+  }
+
+  /**
+   * Get recent matches for many accounts in as few requests as possible
+   * @returns {Promise<Map<string, Array>>} Account ID -> matches (same shape as getRecentMatches)
+   */
+  async getRecentMatchesBatch(accountIds, limit = 5) {
+    logger.debug(`Fetching recent matches for ${accountIds.length} account(s) in batches of ${PLAYER_BATCH_SIZE}`);
+
+    const players = await this.queryPlayersBatch(
+      'GetRecentMatchesBatch',
+      accountIds,
+      (idVariable) => `
+          matches(request: { take: $take }) {
+            id
+            didRadiantWin
+            durationSeconds
+            startDateTime
+            gameMode
+            lobbyType
+            players(steamAccountId: ${idVariable}) {
+              steamAccountId
+              heroId
+              isRadiant
+              kills
+              deaths
+              assists
+              goldPerMinute
+              experiencePerMinute
+              numLastHits
+              numDenies
+              imp
+              award
+            }
+          }`,
+      ', $take: Int!',
+      { take: limit }
+    );
+
+    const results = new Map();
+    for (const [accountId, player] of players) {
+      const matches = player?.matches || [];
+      this.archiveMatches(matches);
+      results.set(accountId, matches);
+    }
+    logger.debug(`getRecentMatchesBatch: ${results.size}/${accountIds.length} account(s) answered, ${[...results.values()].reduce((sum, m) => sum + m.length, 0)} match(es)`);
+    return results;
+  }
+
+  /**
+   * Get ranks for many accounts in as few requests as possible
+   * @returns {Promise<Map<string, Object|null>>} Account ID -> same shape as getPlayerRank
+   */
+  async getPlayerRanksBatch(accountIds) {
+    logger.debug(`Fetching ranks for ${accountIds.length} account(s) in batches of ${PLAYER_BATCH_SIZE}`);
+
+    const players = await this.queryPlayersBatch(
+      'GetPlayerRanksBatch',
+      accountIds,
+      () => `
+          steamAccountId
+          steamAccount {
+            seasonRank
+            seasonLeaderboardRank
+            name
+          }`
+    );
+
+    const results = new Map();
+    for (const [accountId, player] of players) {
+      results.set(accountId, player?.steamAccount ? {
+        accountId: player.steamAccountId,
+        name: player.steamAccount.name,
+        rank: player.steamAccount.seasonRank,
+        leaderboardRank: player.steamAccount.seasonLeaderboardRank
+      } : null);
+    }
+    logger.debug(`getPlayerRanksBatch: ${results.size}/${accountIds.length} account(s) answered`);
+    return results;
+  }
+
   // ==================== Match Queries ====================
 
   /**
@@ -521,15 +778,24 @@ export class StratzClient {
             towerDamage
             heroHealing
             gold
+            networth
             level
             imp
             award
+            item0Id
+            item1Id
+            item2Id
+            item3Id
+            item4Id
+            item5Id
+            neutral0Id
             stats {
               killEvents {
                 time
                 target
                 isRadiant
               }
+              lastHitsPerMinute
             }
           }
         }
@@ -538,6 +804,7 @@ export class StratzClient {
 
     const data = await this.query(query, { matchId: parseInt(matchId) });
     const match = data?.match;
+    if (match) this.archiveMatches([match]);
     logger.debug(`getMatch(${matchId}): ${match ? `found, players=${match.players?.length}, duration=${match.durationSeconds}s` : 'not found'}`);
     return match;
   }
@@ -575,6 +842,7 @@ export class StratzClient {
 
     const data = await this.query(query, { matchIds: matchIds.map(id => parseInt(id)) });
     const matches = data?.matches || [];
+    this.archiveMatches(matches);
     logger.debug(`getMatches(${matchIds.length} IDs): returned ${matches.length} matches`);
     return matches;
   }
@@ -959,6 +1227,7 @@ export class StratzClient {
 
     const data = await this.query(query, { matchId: parseInt(matchId) });
     const match = data?.match;
+    if (match) this.archiveMatches([match]);
     logger.debug(`getMatchWithKillEvents(${matchId}): ${match ? `found, ${match.players?.length} players` : 'not found'}`);
     return match;
   }
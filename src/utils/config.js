@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import { logger } from './logger.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone } from './timezone.js';
 
 dotenv.config();
 
@@ -9,7 +10,6 @@ dotenv.config();
 export function loadConfig() {
   const required = [
     'DISCORD_BOT_TOKEN',
-    'DISCORD_CHANNEL_ID',
     'STEAM_ACCOUNT_ID'
   ];
 
@@ -41,7 +41,21 @@ export function loadConfig() {
     }
   }
 
-  // Parse daily summary times (format: "HH:MM" in 24-hour format, UK timezone)
+  // Any interval works (e.g. 90 or 2.5), not just divisors of an hour
+  let pollingInterval = parseFloat(process.env.POLLING_INTERVAL || '5');
+  if (!(pollingInterval > 0)) {
+    logger.warn(`Invalid POLLING_INTERVAL "${process.env.POLLING_INTERVAL}", using 5 minutes`);
+    pollingInterval = 5;
+  }
+
+  // Global timezone for day boundaries and schedules (servers can override it with /timezone)
+  let timeZone = process.env.TIMEZONE || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    logger.warn(`Invalid TIMEZONE "${timeZone}", using ${DEFAULT_TIMEZONE}`);
+    timeZone = DEFAULT_TIMEZONE;
+  }
+
+  // Parse daily summary times (format: "HH:MM" in 24-hour format, in TIMEZONE)
   const parseTime = (timeStr, defaultHour, defaultMinute) => {
     if (!timeStr) return { hour: defaultHour, minute: defaultMinute };
     const parts = timeStr.split(':');
@@ -75,40 +89,128 @@ export function loadConfig() {
     }).filter(Boolean);
   };
 
-  const proxyList = parseProxies(process.env.STRATZ_PROXIES);
+  // STRATZ API tokens (comma-separated, used in rotation)
+  const stratzTokens = (process.env.STRATZ_API_TOKEN || '').split(',').map(t => t.trim()).filter(Boolean);
+
+  // Optional token number (1-based) for each proxy, in the same order as STRATZ_PROXIES
+  // e.g. "1,1,2" - empty entries mean the proxy can carry any token
+  const proxyTokens = (process.env.STRATZ_PROXY_TOKENS || '').split(',').map(n => parseInt(n.trim(), 10));
+  const proxyList = parseProxies(process.env.STRATZ_PROXIES).map((url, i) => ({
+    url,
+    tokenIndex: proxyTokens[i] >= 1 && proxyTokens[i] <= stratzTokens.length ? proxyTokens[i] - 1 : null
+  }));
+
+  // Parse streak thresholds (comma-separated match counts, e.g. "3,5,8,10")
+  const streakThresholds = (process.env.STREAK_THRESHOLDS || '3,5,8,10')
+    .split(',')
+    .map(n => parseInt(n.trim(), 10))
+    .filter(n => !isNaN(n) && n > 1)
+    .sort((a, b) => a - b);
 
   const config = {
+    timeZone,
     discord: {
       token: process.env.DISCORD_BOT_TOKEN,
-      channelId: process.env.DISCORD_CHANNEL_ID
+      channelId: process.env.DISCORD_CHANNEL_ID || null
     },
     steam: {
       accountId: process.env.STEAM_ACCOUNT_ID
     },
     stratz: {
-      apiToken: process.env.STRATZ_API_TOKEN || null,
-      proxies: proxyList
+      apiTokens: stratzTokens,
+      proxies: proxyList,
+      // Optional: point at the offline mock server (npm run mock-api)
+      apiUrl: process.env.STRATZ_API_URL || undefined
     },
     opendota: {
-      apiKey: process.env.OPENDOTA_API_KEY || null
+      apiKey: process.env.OPENDOTA_API_KEY || null,
+      apiUrl: process.env.OPENDOTA_API_URL || undefined
+    },
+    dotabuff: {
+      // Scrape Dotabuff player pages when STRATZ and OpenDota both fail
+      enabled: process.env.DOTABUFF_FALLBACK === 'true',
+      url: process.env.DOTABUFF_URL || undefined
     },
     polling: {
-      interval: parseInt(process.env.POLLING_INTERVAL || '5', 10) // minutes
+      interval: pollingInterval // minutes
+    },
+    scheduler: {
+      // Missed scheduled jobs (e.g. the daily summary) are run on startup if they were due within this window
+      graceMinutes: parseInt(process.env.SCHEDULER_GRACE_MINUTES || '180', 10)
+    },
+    backfill: {
+      enabled: process.env.BACKFILL_ENABLED !== 'false',
+      maxHours: parseInt(process.env.BACKFILL_MAX_HOURS || '72', 10),
+      newPlayerHours: parseInt(process.env.BACKFILL_NEW_PLAYER_HOURS || '24', 10)
+    },
+    streaks: {
+      thresholds: streakThresholds,
+      breakMinimum: parseInt(process.env.STREAK_BREAK_MINIMUM || '5', 10)
+    },
+    performanceRules: {
+      file: process.env.PERFORMANCE_RULES_FILE || './config/performance-rules.json'
     },
     cache: {
+      dbFile: process.env.STATE_DB_FILE || './data/state.db',
+      // Legacy JSON state, imported into the database on first start
       file: process.env.CACHE_FILE || './data/state-cache.json'
     },
+    archive: {
+      file: process.env.MATCH_ARCHIVE_FILE || './data/match-archive.db'
+    },
+    circuitBreaker: {
+      // Consecutive failed requests before an API is treated as down
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+      // Seconds between connection tests while an API is down
+      probeIntervalMs: parseInt(process.env.CIRCUIT_PROBE_INTERVAL || '60', 10) * 1000
+    },
+    parseJobs: {
+      // OpenDota parse requests still being followed are kept here across restarts
+      file: process.env.PARSE_JOBS_FILE || './data/parse-jobs.json'
+    },
+    proxyHealth: {
+      // Proxy scores and disabled proxies are kept here across restarts
+      file: process.env.PROXY_HEALTH_FILE || './data/proxy-health.json',
+      // Minutes between health checks of every STRATZ proxy
+      intervalMinutes: parseFloat(process.env.PROXY_HEALTH_INTERVAL || '10')
+    },
+    rateLimits: {
+      // Share of each provider's quota kept free for slash commands while polling runs
+      backgroundReserve: parseFloat(process.env.RATE_LIMIT_BACKGROUND_RESERVE || '0.2')
+    },
+    responseCache: {
+      enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+      // Optional: keep cached STRATZ responses across restarts
+      file: process.env.RESPONSE_CACHE_FILE || null,
+      maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '5000', 10)
+    },
     entrance: {
       soundsFile: process.env.ENTRANCE_SOUNDS_FILE || './data/entrance-sounds.json'
     },
+    guildSettings: {
+      file: process.env.GUILD_SETTINGS_FILE || './data/guild-settings.json'
+    },
+    outbox: {
+      file: process.env.OUTBOX_FILE || './data/notification-outbox.json',
+      maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10)
+    },
     friends: friendsList,
     dailySummary: {
       weekdayTime: weekdayTime,
       weekendTime: weekendTime,
       mainAccountName: mainAccountName
+    },
+    periodSummaries: {
+      // Cron expressions in TIMEZONE (or a server's own timezone), "off" disables the scheduled recap
+      weeklyCron: process.env.WEEKLY_SUMMARY_CRON || '0 10 * * 1',
+      monthlyCron: process.env.MONTHLY_SUMMARY_CRON || '0 10 1 * *'
     }
   };
 
+  if (!config.discord.channelId) {
+    logger.warn('DISCORD_CHANNEL_ID not set - notifications are only sent to channels configured with /notifications');
+  }
+
   logger.info('Configuration loaded successfully');
   logger.info(`Loaded ${Object.keys(friendsList).length} friends from configuration`);
   if (proxyList.length > 0) {
@@ -0,0 +1,137 @@
+import { getZonedParts, zonedTimeToUtc } from './timezone.js';
+
+// minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// How far to search for the next/previous occurrence (covers "29 Feb" style expressions)
+const SEARCH_DAYS = 366 * 8;
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0,30", "10-50/20") into a sorted list of values
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+
+    let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (to === undefined) to = match[2] ? max : from;
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`${name} "${part}" is out of range (${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Standard 5-field cron expression evaluated in an IANA timezone
+ *
+ * Times skipped when clocks go forward run at the first minute after the jump;
+ * times repeated when clocks go back run once.
+ */
+export class CronExpression {
+  constructor(expression, timeZone = 'UTC') {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    this.expression = parts.join(' ');
+    this.timeZone = timeZone;
+    this.minutes = minutes;
+    this.hours = hours;
+    this.daysOfMonth = new Set(daysOfMonth);
+    this.months = new Set(months);
+    this.daysOfWeek = new Set(daysOfWeek.map(d => d % 7));
+    // Like Vixie cron, a restricted day-of-month and day-of-week match either one
+    this.anyDayOfMonth = parts[2] === '*';
+    this.anyDayOfWeek = parts[4] === '*';
+  }
+
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  matchesDay(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    if (!this.months.has(date.getUTCMonth() + 1)) return false;
+
+    const domMatch = this.daysOfMonth.has(date.getUTCDate());
+    const dowMatch = this.daysOfWeek.has(date.getUTCDay());
+    if (this.anyDayOfMonth && this.anyDayOfWeek) return true;
+    if (this.anyDayOfMonth) return dowMatch;
+    if (this.anyDayOfWeek) return domMatch;
+    return domMatch || dowMatch;
+  }
+
+  /**
+   * Run times (ms) on a calendar day, in order
+   */
+  timesOnDay(year, month, day) {
+    const times = [];
+    for (const hour of this.hours) {
+      for (const minute of this.minutes) {
+        const time = zonedTimeToUtc(year, month, day, hour, minute, this.timeZone) * 1000;
+        if (times[times.length - 1] !== time) times.push(time);
+      }
+    }
+    return times;
+  }
+
+  /**
+   * First run time (ms) strictly after a moment
+   */
+  next(after = Date.now()) {
+    const afterMs = after instanceof Date ? after.getTime() : after;
+    // Start a day early: a run shifted by a DST jump can land after local midnight
+    const { year, month, day } = getZonedParts(new Date(afterMs), this.timeZone);
+
+    for (let offset = -1; offset <= SEARCH_DAYS; offset++) {
+      if (!this.matchesDay(year, month, day + offset)) continue;
+      const time = this.timesOnDay(year, month, day + offset).find(t => t > afterMs);
+      if (time !== undefined) return time;
+    }
+    return null;
+  }
+
+  /**
+   * Last run time (ms) at or before a moment
+   */
+  previous(before = Date.now()) {
+    const beforeMs = before instanceof Date ? before.getTime() : before;
+    const { year, month, day } = getZonedParts(new Date(beforeMs), this.timeZone);
+
+    for (let offset = 1; offset >= -SEARCH_DAYS; offset--) {
+      if (!this.matchesDay(year, month, day + offset)) continue;
+      const time = this.timesOnDay(year, month, day + offset).filter(t => t <= beforeMs).pop();
+      if (time !== undefined) return time;
+    }
+    return null;
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
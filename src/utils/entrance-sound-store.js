@@ -1,6 +1,22 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from './logger.js';
+import { JsonFile } from './json-file.js';
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades for the stored data: MIGRATIONS[v] turns version v - 1 into version v
+ */
+const MIGRATIONS = {
+  // Unversioned files: make sure guilds is an object of objects
+  1: (data) => ({ guilds: normalizeGuilds(data.guilds) })
+};
+
+function normalizeGuilds(guilds) {
+  if (typeof guilds !== 'object' || guilds === null) return {};
+  return Object.fromEntries(Object.entries(guilds).filter(([, guild]) => typeof guild === 'object' && guild !== null));
+}
 
 /**
  * Per-guild Discord user id -> entrance sound metadata.
@@ -11,33 +27,21 @@ export class EntranceSoundStore {
     this.storePath = storePath;
     this.projectRoot = projectRoot;
     this.data = { guilds: {} };
+    this.file = new JsonFile(storePath, {
+      schemaVersion: SCHEMA_VERSION,
+      migrations: MIGRATIONS,
+      defaults: () => ({ guilds: {} })
+    });
   }
 
   async load() {
-    try {
-      const dir = path.dirname(this.storePath);
-      await fs.mkdir(dir, { recursive: true });
-
-      const raw = await fs.readFile(this.storePath, 'utf-8');
-      const loaded = JSON.parse(raw);
-      this.data = {
-        guilds: typeof loaded?.guilds === 'object' && loaded.guilds !== null ? loaded.guilds : {}
-      };
-      logger.info('Entrance sounds store loaded');
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.info('No entrance sounds file yet, starting empty');
-      } else {
-        logger.warn('Failed to load entrance sounds store:', error.message);
-      }
-    }
+    this.data = await this.file.load();
+    logger.info(`Entrance sounds store loaded (${Object.keys(this.data.guilds).length} guilds)`);
   }
 
   async save() {
     try {
-      const dir = path.dirname(this.storePath);
-      await fs.mkdir(dir, { recursive: true });
-      await fs.writeFile(this.storePath, JSON.stringify(this.data, null, 2));
+      await this.file.save(this.data);
     } catch (error) {
       logger.error('Failed to save entrance sounds store:', error.message);
     }
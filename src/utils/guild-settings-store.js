@@ -0,0 +1,197 @@
+import { logger } from './logger.js';
+import { DEFAULT_TIMEZONE } from './timezone.js';
+import { JsonFile } from './json-file.js';
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades for the stored data: MIGRATIONS[v] turns version v - 1 into version v
+ */
+const MIGRATIONS = {
+  // Unversioned files: make sure guilds is an object of objects
+  1: (data) => ({ guilds: normalizeGuilds(data.guilds) })
+};
+
+function normalizeGuilds(guilds) {
+  if (typeof guilds !== 'object' || guilds === null) return {};
+  return Object.fromEntries(Object.entries(guilds).filter(([, guild]) => typeof guild === 'object' && guild !== null));
+}
+
+/**
+ * Notification kinds that can be routed to a channel
+ */
+export const NOTIFICATION_KINDS = {
+  NEW_MATCH: 'new_match',
+  MULTI_KILL: 'multi_kill',
+  RANK_CHANGE: 'rank_change',
+  DAILY_SUMMARY: 'daily_summary',
+  PERIOD_SUMMARY: 'period_summary',
+  LIVE_MATCH: 'live_match',
+  STREAK: 'streak',
+  PERFORMANCE: 'performance'
+};
+
+/**
+ * Human-readable labels for notification kinds (used in slash command choices and listings)
+ */
+export const NOTIFICATION_KIND_LABELS = {
+  [NOTIFICATION_KINDS.NEW_MATCH]: 'New matches',
+  [NOTIFICATION_KINDS.MULTI_KILL]: 'Multi-kills (rampage, ultra, triple)',
+  [NOTIFICATION_KINDS.RANK_CHANGE]: 'Rank changes',
+  [NOTIFICATION_KINDS.DAILY_SUMMARY]: 'Daily summary',
+  [NOTIFICATION_KINDS.PERIOD_SUMMARY]: 'Weekly and monthly recaps',
+  [NOTIFICATION_KINDS.LIVE_MATCH]: 'Live matches',
+  [NOTIFICATION_KINDS.STREAK]: 'Win/loss streaks',
+  [NOTIFICATION_KINDS.PERFORMANCE]: 'Notable performances'
+};
+
+/**
+ * Per-guild settings:
+ * - routes: notification kind -> channel id
+ * - timezone: IANA timezone for day boundaries and schedules (falls back to the global TIMEZONE)
+ */
+export class GuildSettingsStore {
+  constructor(storePath, defaultTimeZone = DEFAULT_TIMEZONE) {
+    this.storePath = storePath;
+    this.defaultTimeZone = defaultTimeZone;
+    this.data = { guilds: {} };
+    this.timezoneListeners = [];
+    this.file = new JsonFile(storePath, {
+      schemaVersion: SCHEMA_VERSION,
+      migrations: MIGRATIONS,
+      defaults: () => ({ guilds: {} })
+    });
+  }
+
+  async load() {
+    this.data = await this.file.load();
+    logger.info(`Guild settings store loaded (${Object.keys(this.data.guilds).length} guilds)`);
+  }
+
+  async save() {
+    try {
+      await this.file.save(this.data);
+    } catch (error) {
+      logger.error('Failed to save guild settings store:', error.message);
+    }
+  }
+
+  _guildRoutes(guildId) {
+    if (!this.data.guilds[guildId]) this.data.guilds[guildId] = { routes: {} };
+    if (!this.data.guilds[guildId].routes) this.data.guilds[guildId].routes = {};
+    return this.data.guilds[guildId].routes;
+  }
+
+  /**
+   * Get the kind -> channel id routing table for a guild
+   */
+  getRoutes(guildId) {
+    return { ...(this.data.guilds[guildId]?.routes || {}) };
+  }
+
+  /**
+   * Route one notification kind in a guild to a channel
+   */
+  async setRoute(guildId, kind, channelId) {
+    this._guildRoutes(guildId)[kind] = channelId;
+    await this.save();
+  }
+
+  /**
+   * Stop routing a notification kind in a guild. Returns false if nothing was routed.
+   */
+  async removeRoute(guildId, kind) {
+    const routes = this._guildRoutes(guildId);
+    if (!routes[kind]) return false;
+
+    delete routes[kind];
+    if (Object.keys(routes).length === 0) {
+      delete this.data.guilds[guildId].routes;
+    }
+    this._dropIfEmpty(guildId);
+    await this.save();
+    return true;
+  }
+
+  _dropIfEmpty(guildId) {
+    if (this.data.guilds[guildId] && Object.keys(this.data.guilds[guildId]).length === 0) {
+      delete this.data.guilds[guildId];
+    }
+  }
+
+  /**
+   * Timezone override for a guild, or null if it uses the global timezone
+   */
+  getTimezone(guildId) {
+    return this.data.guilds[guildId]?.timezone || null;
+  }
+
+  /**
+   * Timezone a guild uses (its override, or the global timezone)
+   */
+  getEffectiveTimezone(guildId) {
+    return (guildId && this.getTimezone(guildId)) || this.defaultTimeZone;
+  }
+
+  /**
+   * Set or clear (timeZone = null) a guild's timezone override
+   */
+  async setTimezone(guildId, timeZone) {
+    if (timeZone) {
+      if (!this.data.guilds[guildId]) this.data.guilds[guildId] = {};
+      this.data.guilds[guildId].timezone = timeZone;
+    } else if (this.data.guilds[guildId]) {
+      delete this.data.guilds[guildId].timezone;
+      this._dropIfEmpty(guildId);
+    }
+    await this.save();
+
+    for (const listener of this.timezoneListeners) {
+      try {
+        listener(guildId, timeZone);
+      } catch (error) {
+        logger.error('Timezone change listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Register a callback for guild timezone changes (used to reschedule summaries)
+   */
+  onTimezoneChange(listener) {
+    this.timezoneListeners.push(listener);
+  }
+
+  /**
+   * Every timezone in use: the global one plus guild overrides
+   */
+  getTimezones() {
+    const timeZones = new Set([this.defaultTimeZone]);
+    for (const guild of Object.values(this.data.guilds)) {
+      if (guild.timezone) timeZones.add(guild.timezone);
+    }
+    return [...timeZones];
+  }
+
+  /**
+   * Whether any guild has routing configured (otherwise the default channel is used)
+   */
+  hasAnyRoutes() {
+    return Object.values(this.data.guilds).some(g => g.routes && Object.keys(g.routes).length > 0);
+  }
+
+  /**
+   * Get every channel subscribed to a notification kind, across all guilds
+   * With a timeZone, only channels of guilds using that timezone
+   */
+  getChannelsForKind(kind, timeZone = null) {
+    const channels = new Set();
+    for (const guild of Object.values(this.data.guilds)) {
+      const channelId = guild.routes?.[kind];
+      if (!channelId) continue;
+      if (timeZone && (guild.timezone || this.defaultTimeZone) !== timeZone) continue;
+      channels.add(channelId);
+    }
+    return [...channels];
+  }
+}
@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Versioned JSON file with crash-safe writes
+ *
+ * - Saves write to a temp file, flush it to disk and rename it over the target, so a
+ *   crash mid-write leaves the previous file intact
+ * - Previous versions are kept as file.bak.1 (newest) to file.bak.N, taken on the first
+ *   save after startup and then at most once per backupIntervalMs; if the file is missing
+ *   or unreadable on load, the newest readable backup is used
+ * - The file holds a schemaVersion; on load, migrations[v] upgrades data from v - 1 to v,
+ *   for every version between the file's and the current one (unversioned files are 0)
+ *
+ * Data is a plain object; schemaVersion is stored beside its keys and stripped on load.
+ */
+export class JsonFile {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {number} options.schemaVersion - Current version of the data
+   * @param {Object<number, Function>} [options.migrations] - Version -> function(data) returning upgraded data
+   * @param {Function} [options.defaults] - Returns the data for a new file
+   * @param {number} [options.backups=3] - How many previous versions to keep
+   * @param {number} [options.backupIntervalMs=1h] - Minimum time between two backups
+   */
+  constructor(filePath, { schemaVersion, migrations = {}, defaults = () => ({}), backups = 3, backupIntervalMs = 60 * 60 * 1000 }) {
+    this.filePath = filePath;
+    this.schemaVersion = schemaVersion;
+    this.migrations = migrations;
+    this.defaults = defaults;
+    this.backups = backups;
+    this.backupIntervalMs = backupIntervalMs;
+    this.lastBackupAt = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  backupPath(n) {
+    return `${this.filePath}.bak.${n}`;
+  }
+
+  /**
+   * Read, migrate and return the data (defaults if there is no readable file or backup)
+   * Throws if the file is newer than this code understands.
+   */
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const candidates = [this.filePath];
+    for (let n = 1; n <= this.backups; n++) candidates.push(this.backupPath(n));
+
+    for (const file of candidates) {
+      let stored;
+      try {
+        stored = JSON.parse(await fs.readFile(file, 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Failed to read ${file}: ${error.message}`);
+        }
+        continue;
+      }
+
+      if (file !== this.filePath) {
+        logger.warn(`${this.filePath} is missing or unreadable, restored from ${file}`);
+      }
+      const data = this.migrate(stored);
+      if (file !== this.filePath || stored?.schemaVersion !== this.schemaVersion) {
+        await this.save(data);
+      }
+      return data;
+    }
+
+    return this.defaults();
+  }
+
+  /**
+   * Upgrade stored data to the current schema version
+   */
+  migrate(stored) {
+    const { schemaVersion: fromVersion = 0, ...data } = stored && typeof stored === 'object' ? stored : {};
+
+    if (fromVersion > this.schemaVersion) {
+      throw new Error(`${this.filePath} has schema version ${fromVersion}, newer than supported (${this.schemaVersion})`);
+    }
+
+    let migrated = data;
+    for (let version = fromVersion + 1; version <= this.schemaVersion; version++) {
+      if (this.migrations[version]) {
+        migrated = this.migrations[version](migrated);
+      }
+    }
+    if (fromVersion < this.schemaVersion) {
+      logger.info(`Migrated ${this.filePath} from schema version ${fromVersion} to ${this.schemaVersion}`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Write data atomically. Saves are queued, so overlapping calls never interleave.
+   */
+  save(data) {
+    const contents = JSON.stringify({ schemaVersion: this.schemaVersion, ...data }, null, 2);
+    const write = this.writeChain.then(() => this.write(contents));
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  async write(contents) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (this.lastBackupAt === null || Date.now() - this.lastBackupAt >= this.backupIntervalMs) {
+      await this.rotateBackups();
+      this.lastBackupAt = Date.now();
+    }
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Shift file.bak.1..N-1 up by one and copy the current file to file.bak.1
+   */
+  async rotateBackups() {
+    if (this.backups < 1) return;
+
+    for (let n = this.backups - 1; n >= 1; n--) {
+      try {
+        await fs.rename(this.backupPath(n), this.backupPath(n + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    try {
+      await fs.copyFile(this.filePath, this.backupPath(1));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
@@ -1,14 +1,31 @@
 import { EmbedBuilder } from 'discord.js';
-import { getHeroName } from './hero-names.js';
+import { getHeroName, HERO_NAMES } from './hero-names.js';
 import { getHeroNameFromAPI } from './hero-loader.js';
+import { DEFAULT_TIMEZONE, formatDateLabel, formatDateTimeLabel } from './timezone.js';
 
 /**
  * Message formatter utility to convert data into Discord embeds
  */
 export class MessageFormatter {
-  constructor(heroMap = null, mainAccountName = null) {
+  constructor(heroMap = null, mainAccountName = null, timeZone = DEFAULT_TIMEZONE) {
     this.heroMap = heroMap; // Store API-loaded hero map
     this.mainAccountName = mainAccountName; // Store main account name for sorting
+    this.timeZone = timeZone; // Default timezone for date labels
+  }
+
+  /**
+   * Format unix seconds as a date label (e.g. "11-Jan-2026") in a timezone
+   */
+  formatDateLabel(timestamp, timeZone = this.timeZone) {
+    return formatDateLabel(timestamp, timeZone);
+  }
+
+  /**
+   * Label for a rolling 24 hour window ending at a timestamp
+   * e.g. "Last 24 hours to 11-Jan-2026 21:00"
+   */
+  formatRollingDayLabel(endTimestamp, timeZone = this.timeZone) {
+    return `Last 24 hours to ${formatDateTimeLabel(endTimestamp, timeZone)}`;
   }
 
   /**
@@ -22,6 +39,33 @@ export class MessageFormatter {
     return getHeroName(heroId); // Fallback to static mapping
   }
 
+  /**
+   * Note which provider answered in an embed's footer (kept after any existing footer text)
+   */
+  addProviderFooter(embed, provider) {
+    if (!provider) return embed;
+    const existing = embed.data.footer?.text;
+    embed.setFooter({ text: existing ? `${existing} · Data: ${provider}` : `Data: ${provider}` });
+    return embed;
+  }
+
+  /**
+   * Find a hero ID by name (case-insensitive, ignoring spaces and punctuation)
+   * Exact names win over partial matches; returns null if nothing matches
+   */
+  findHeroId(name) {
+    const normalize = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const query = normalize(name);
+    if (!query) return null;
+
+    const entries = [...Object.entries(this.heroMap || {}), ...Object.entries(HERO_NAMES)];
+    const exact = entries.find(([, heroName]) => normalize(heroName) === query);
+    if (exact) return parseInt(exact[0], 10);
+
+    const partial = entries.find(([, heroName]) => normalize(heroName).includes(query));
+    return partial ? parseInt(partial[0], 10) : null;
+  }
+
   /**
    * Calculate KDA ratio
    */
@@ -123,6 +167,60 @@ export class MessageFormatter {
     return embed;
   }
 
+  /**
+   * Format archived match history embed (/history)
+   * @param {Object} history
+   * @param {string} history.playerName
+   * @param {number|null} history.heroId - Hero filter, if any
+   * @param {string} history.periodLabel - e.g. "This year"
+   * @param {Object[]} history.matches - Processed matches, newest first
+   * @param {number} history.limit - How many matches to list
+   * @param {Object} history.multiKills - { tripleKills, ultraKills, rampages }
+   */
+  formatMatchHistory({ playerName, heroId = null, periodLabel, matches, limit = 10, multiKills }) {
+    const heroText = heroId ? ` on ${this.getHeroName(heroId)}` : '';
+    const embed = new EmbedBuilder()
+      .setTitle(`📚 Match History: ${playerName}${heroText}`)
+      .setColor(0x00AE86)
+      .setFooter({ text: `${periodLabel} · from the local match archive` })
+      .setTimestamp();
+
+    if (matches.length === 0) {
+      embed.setDescription('No archived matches found.');
+      return embed;
+    }
+
+    const matchList = matches.slice(0, limit).map(match => {
+      const result = match.win ? '✅' : '❌';
+      const date = match.startTime ? this.formatDateLabel(match.startTime) : '?';
+      const duration = match.duration ? this.formatDuration(match.duration) : '?';
+      return `${result} ${date} · **${this.getHeroName(match.heroId)}** · ${match.kills}/${match.deaths}/${match.assists} · ${duration} · [${match.matchId}](https://stratz.com/matches/${match.matchId})`;
+    });
+    if (matches.length > limit) {
+      matchList.push(`*...and ${matches.length - limit} more*`);
+    }
+    embed.setDescription(matchList.join('\n'));
+
+    const wins = matches.filter(m => m.win).length;
+    const losses = matches.length - wins;
+    const winRate = ((wins / matches.length) * 100).toFixed(1);
+    embed.addFields({
+      name: '📊 Summary',
+      value: `**Games:** ${matches.length} | **Wins:** ${wins} | **Losses:** ${losses} | **Win Rate:** ${winRate}%`,
+      inline: false
+    });
+
+    if (multiKills && (multiKills.rampages || multiKills.ultraKills || multiKills.tripleKills)) {
+      embed.addFields({
+        name: '🔥 Multi-kills',
+        value: `**Rampages:** ${multiKills.rampages} | **Ultra Kills:** ${multiKills.ultraKills} | **Triple Kills:** ${multiKills.tripleKills}`,
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
   /**
    * Format player statistics embed
    */
@@ -194,6 +292,102 @@ export class MessageFormatter {
     return embed;
   }
 
+  /**
+   * One player's column in the /compare embed
+   */
+  formatComparisonColumn(player) {
+    const { stats } = player;
+    const lines = [`**Rank:** ${player.rank?.rank ? this.getRankText(player.rank.rank) : 'Unranked'}${player.rank?.leaderboardRank ? ` (#${player.rank.leaderboardRank})` : ''}`];
+
+    if (stats.totalMatches === 0) {
+      lines.push('No matches in this period.');
+      return lines.join('\n');
+    }
+
+    lines.push(`**Record:** ${stats.wins}W - ${stats.losses}L (${stats.winRate}%)`);
+    if (stats.avgKills) {
+      lines.push(`**Avg KDA:** ${stats.avgKills} / ${stats.avgDeaths} / ${stats.avgAssists}`);
+    }
+    lines.push(`**GPM / XPM:** ${stats.avgGPM ?? '—'} / ${stats.avgXPM ?? '—'}`);
+
+    if (player.heroes.length > 0) {
+      lines.push('**Most played:**');
+      for (const hero of player.heroes) {
+        lines.push(`${this.getHeroName(hero.heroId)} · ${hero.games} (${Math.round(hero.winRate)}%)`);
+      }
+    }
+
+    if (player.multiKills) {
+      const { rampages, ultraKills, tripleKills } = player.multiKills;
+      lines.push(`**Multi-kills:** 🔥 ${rampages} · ⚡ ${ultraKills} · 💥 ${tripleKills}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Format the /compare embed: two players side by side, then their shared matches
+   */
+  formatComparison({ periodLabel, left, right, headToHead, footer = null }) {
+    const embed = new EmbedBuilder()
+      .setTitle(`⚔️ ${left.name} vs ${right.name}`)
+      .setColor(0x00AE86)
+      .setFooter({ text: footer ? `${periodLabel} · ${footer}` : periodLabel })
+      .setTimestamp();
+
+    const { together, against } = headToHead;
+    const togetherLines = [];
+    if (together.wins + together.losses > 0) {
+      const winRate = ((together.wins / (together.wins + together.losses)) * 100).toFixed(1);
+      togetherLines.push(`**Same team:** ${together.wins}W - ${together.losses}L (${winRate}%)`);
+    }
+    if (against.wins + against.losses > 0) {
+      togetherLines.push(`**Head to head:** ${left.name} ${against.wins} - ${against.losses} ${right.name}`);
+    }
+
+    embed.addFields(
+      { name: left.name, value: this.formatComparisonColumn(left), inline: true },
+      { name: right.name, value: this.formatComparisonColumn(right), inline: true },
+      { name: '🤝 Together', value: togetherLines.join('\n') || 'No shared matches in this period.', inline: false }
+    );
+    return embed;
+  }
+
+  /**
+   * Format the /leaderboard embed
+   * Each entry's movement is how many places it went up since the comparison period (null = new)
+   */
+  formatLeaderboard({ metricName, periodLabel, comparisonLabel, entries, unranked = [], minGames = null }) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🏆 Leaderboard: ${metricName}`)
+      .setColor(0xFFD700)
+      .setFooter({ text: `${periodLabel} · arrows compare with ${comparisonLabel} · from the local match archive` })
+      .setTimestamp();
+
+    const medals = ['🥇', '🥈', '🥉'];
+    const movementText = (movement) => {
+      if (movement === null) return '🆕';
+      if (movement > 0) return `🔼 ${movement}`;
+      if (movement < 0) return `🔽 ${-movement}`;
+      return '➖';
+    };
+
+    const lines = entries.map((entry, index) => {
+      const position = medals[index] || `**${index + 1}.**`;
+      return `${position} **${entry.name}** · ${entry.value} · ${entry.wins}W-${entry.losses}L ${movementText(entry.movement)}`;
+    });
+    embed.setDescription(lines.length > 0 ? lines.join('\n') : 'No one qualifies for this period yet.');
+
+    if (unranked.length > 0) {
+      const threshold = minGames ? ` (under ${minGames} games)` : '';
+      embed.addFields({
+        name: `Not ranked${threshold}`,
+        value: unranked.map(entry => `${entry.name} (${entry.games})`).join(', ').slice(0, 1024),
+        inline: false
+      });
+    }
+    return embed;
+  }
+
   /**
    * Format hero statistics embed
    */
@@ -279,22 +473,114 @@ export class MessageFormatter {
   }
 
   /**
-   * Format live match notification
+   * Format live match tracker embed (game time, both teams' heroes, average rank)
+   * @param {Object} liveMatch - Live match from STRATZ getLiveMatches
+   * @param {Array} participants - [{ playerName, accountId }] tracked players in the match
    */
-  formatLiveMatch(liveMatch) {
+  formatLiveMatch(liveMatch, participants = []) {
+    const trackedNames = this.trackedNameMap(participants);
+    const names = [...new Set(trackedNames.values())].join(', ');
+    const gameTime = liveMatch.gameTime != null && liveMatch.gameTime >= 0
+      ? this.formatDuration(liveMatch.gameTime)
+      : 'Drafting';
+    const avgRank = liveMatch.averageRank ? this.getRankText(liveMatch.averageRank) : 'Unknown';
+
     const embed = new EmbedBuilder()
-      .setTitle('🔴 Live Match Detected')
+      .setTitle(names ? `🔴 Live - ${names}` : '🔴 Live Match Detected')
       .setColor(0xFF0000)
+      .setDescription(
+        `⏱️ **${gameTime}** · Avg Rank: **${avgRank}** · ` +
+        `[Match ${liveMatch.matchId}](https://stratz.com/matches/${liveMatch.matchId}/live)`
+      )
+      .setFooter({ text: 'Updates every poll until the match ends' })
       .setTimestamp();
 
-    embed.setDescription('A live match is currently in progress!');
+    const players = liveMatch.players || [];
+    const formatPlayer = (p) => {
+      const hero = p.heroId ? this.getHeroName(p.heroId) : 'Picking...';
+      const name = trackedNames.get(p.steamAccountId);
+      return name ? `**${hero}** (${name})` : hero;
+    };
+
+    embed.addFields(
+      { name: '🟢 Radiant', value: players.filter(p => p.isRadiant).map(formatPlayer).join('\n') || '—', inline: true },
+      { name: '🔴 Dire', value: players.filter(p => !p.isRadiant).map(formatPlayer).join('\n') || '—', inline: true }
+    );
+
     return embed;
   }
 
+  /**
+   * Format the final state of a tracked live match
+   * @param {Object} matchData - Full match from STRATZ getMatch
+   * @param {Array} participants - [{ playerName, accountId }] tracked players in the match
+   */
+  formatLiveMatchResult(matchData, participants = []) {
+    const trackedNames = this.trackedNameMap(participants);
+    const names = [...new Set(trackedNames.values())].join(', ');
+    const players = matchData.players || [];
+    const trackedTeams = new Set(players.filter(p => trackedNames.has(p.steamAccountId)).map(p => p.isRadiant));
+
+    let color = 0x808080;
+    let result = `${matchData.didRadiantWin ? 'Radiant' : 'Dire'} Victory`;
+    if (trackedTeams.size === 1) {
+      const won = [...trackedTeams][0] === matchData.didRadiantWin;
+      color = won ? 0x00FF00 : 0xFF0000;
+      result = won ? '✅ **Victory**' : '❌ **Defeat**';
+    } else if (trackedTeams.size > 1) {
+      color = 0xFFD700;
+      result = `⚔️ **${matchData.didRadiantWin ? 'Radiant' : 'Dire'} Victory** (friends on both teams)`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(names ? `🏁 Match Finished - ${names}` : '🏁 Match Finished')
+      .setColor(color)
+      .setDescription(
+        `${result} · ${this.formatDuration(matchData.durationSeconds)} · ` +
+        `[Match ${matchData.id}](https://stratz.com/matches/${matchData.id})`
+      )
+      .setTimestamp();
+
+    const formatPlayer = (p) => {
+      const hero = this.getHeroName(p.heroId);
+      const kda = `${p.kills}/${p.deaths}/${p.assists}`;
+      const name = trackedNames.get(p.steamAccountId);
+      return name ? `**${hero}** (${name}) · ${kda}` : `${hero} · ${kda}`;
+    };
+
+    embed.addFields(
+      { name: `🟢 Radiant ${matchData.didRadiantWin ? '🏆' : ''}`, value: players.filter(p => p.isRadiant).map(formatPlayer).join('\n') || '—', inline: true },
+      { name: `🔴 Dire ${matchData.didRadiantWin ? '' : '🏆'}`, value: players.filter(p => !p.isRadiant).map(formatPlayer).join('\n') || '—', inline: true }
+    );
+
+    return embed;
+  }
+
+  /**
+   * Format a tracked live match that ended but whose result never became available
+   */
+  formatLiveMatchEnded(matchId, participants = []) {
+    const names = [...new Set(participants.map(p => p.playerName))].join(', ');
+    return new EmbedBuilder()
+      .setTitle(names ? `🏁 Match Finished - ${names}` : '🏁 Match Finished')
+      .setColor(0x808080)
+      .setDescription(`The match has ended but the result is not available yet · [Match ${matchId}](https://stratz.com/matches/${matchId})`)
+      .setTimestamp();
+  }
+
+  /**
+   * Map of numeric account ID -> tracked player name
+   */
+  trackedNameMap(participants) {
+    return new Map(participants.map(p => [parseInt(p.accountId), p.playerName]));
+  }
+
   /**
    * Format new match notification
+   * @param {Object} match - Processed match
+   * @param {string} playerName - Optional tracked player who played it
    */
-  formatNewMatch(match) {
+  formatNewMatch(match, playerName = null) {
     const result = match.win ? '✅ Victory' : '❌ Defeat';
     const duration = this.formatDuration(match.duration);
 
@@ -303,6 +589,10 @@ export class MessageFormatter {
       .setColor(match.win ? 0x00FF00 : 0xFF0000)
       .setTimestamp();
 
+    if (playerName) {
+      embed.setDescription(`**${playerName}** played **${this.getHeroName(match.heroId)}** · [Match ${match.matchId}](https://stratz.com/matches/${match.matchId})`);
+    }
+
     embed.addFields(
       {
         name: 'Result',
@@ -311,7 +601,7 @@ export class MessageFormatter {
       },
       {
         name: 'KDA',
-        value: `${match.kills}/${match.deaths}/${match.assists} (${match.kda})`,
+        value: match.kda,
         inline: true
       },
       {
@@ -324,6 +614,105 @@ export class MessageFormatter {
     return embed;
   }
 
+  /**
+   * Format combined notification for a match several tracked players played together
+   * @param {number} matchId - Match ID
+   * @param {Array} participants - [{ playerName, accountId, match }] where match is a processed match
+   */
+  formatPartyMatch(matchId, participants) {
+    const radiant = participants.filter(p => p.match.isRadiant);
+    const dire = participants.filter(p => !p.match.isRadiant);
+    const sameTeam = radiant.length === 0 || dire.length === 0;
+    const first = participants[0].match;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`👥 Party Match - ${participants.length} Friends`)
+      .setTimestamp();
+
+    if (sameTeam) {
+      embed
+        .setColor(first.win ? 0x00FF00 : 0xFF0000)
+        .setDescription(
+          `${first.win ? '✅ **Victory**' : '❌ **Defeat**'} · ${this.formatDuration(first.duration)} · ` +
+          `[Match ${matchId}](https://stratz.com/matches/${matchId})`
+        );
+    } else {
+      // Tracked friends on opposite teams - someone won, someone lost
+      embed
+        .setColor(0xFFD700)
+        .setDescription(
+          `⚔️ **Friends on opposite teams!** · ${this.formatDuration(first.duration)} · ` +
+          `[Match ${matchId}](https://stratz.com/matches/${matchId})`
+        );
+    }
+
+    const formatTeam = (members) => members.map(({ playerName, match }) =>
+      `**${playerName}** · ${this.getHeroName(match.heroId)} · ${match.kills}/${match.deaths}/${match.assists} (${this.calculateKDA(match.kills, match.deaths, match.assists)})`
+    ).join('\n');
+
+    const teamField = (label, members) => ({
+      name: `${label} ${members[0].match.win ? '✅' : '❌'}`,
+      value: formatTeam(members),
+      inline: false
+    });
+
+    const fields = [];
+    if (radiant.length > 0) fields.push(teamField('🟢 Radiant', radiant));
+    if (dire.length > 0) fields.push(teamField('🔴 Dire', dire));
+    embed.addFields(fields);
+
+    return embed;
+  }
+
+  /**
+   * Format "while I was away" digest for matches missed while the bot was offline
+   * @param {Array} entries - [{ playerName, accountId, match }] in play order, match is a processed match
+   * @param {number} sinceTimestamp - Unix seconds the catch-up started from
+   */
+  formatBackfillDigest(entries, sinceTimestamp) {
+    const embed = new EmbedBuilder()
+      .setTitle('💤 While I Was Away...')
+      .setColor(0x5865F2)
+      .setTimestamp();
+
+    const wins = entries.filter(e => e.match.win).length;
+    embed.setDescription(
+      `**${entries.length}** match${entries.length === 1 ? '' : 'es'} played since <t:${sinceTimestamp}:f> ` +
+      `(${wins}W-${entries.length - wins}L across all players)`
+    );
+
+    // Group by player, keeping play order within each player
+    const byPlayer = new Map();
+    for (const entry of entries) {
+      if (!byPlayer.has(entry.playerName)) byPlayer.set(entry.playerName, []);
+      byPlayer.get(entry.playerName).push(entry.match);
+    }
+
+    const maxLinesPerPlayer = 8;
+    const fields = [];
+    for (const [playerName, matches] of byPlayer) {
+      const playerWins = matches.filter(m => m.win).length;
+      const lines = matches.slice(-maxLinesPerPlayer).map(match => {
+        const result = match.win ? '✅' : '❌';
+        const duration = match.duration ? this.formatDuration(match.duration) : '?:??';
+        return `${result} **${this.getHeroName(match.heroId)}** ${match.kills}/${match.deaths}/${match.assists} · ${duration} · [${match.matchId}](https://stratz.com/matches/${match.matchId})`;
+      });
+      if (matches.length > maxLinesPerPlayer) {
+        lines.unshift(`*...and ${matches.length - maxLinesPerPlayer} earlier*`);
+      }
+
+      fields.push({
+        name: `🎮 ${playerName} (${playerWins}W-${matches.length - playerWins}L)`,
+        value: lines.join('\n'),
+        inline: false
+      });
+    }
+
+    // Discord allows at most 25 fields per embed
+    embed.addFields(fields.slice(0, 25));
+    return embed;
+  }
+
   /**
    * Format achievements embed
    */
@@ -549,6 +938,84 @@ export class MessageFormatter {
     return embed;
   }
 
+  /**
+   * Format weekly or monthly recap embed
+   * @param {string} period - 'weekly' or 'monthly'
+   * @param {Array} playerSummaries - [{ name, summary, previous, deltas }] from PeriodSummaryService
+   * @param {string} label - Human-readable period, e.g. "January 2026"
+   * @param {string[]} [failedPlayers] - Players whose matches couldn't be fetched
+   */
+  formatPeriodSummary(period, playerSummaries, label, failedPlayers = []) {
+    const isWeekly = period === 'weekly';
+    const previousLabel = isWeekly ? 'last week' : 'last month';
+    const failedNote = failedPlayers.length > 0 ? `⚠️ Couldn't fetch matches for ${failedPlayers.join(', ')}` : null;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${isWeekly ? '📅 Weekly' : '🗓️ Monthly'} Recap (${label})`)
+      .setColor(isWeekly ? 0x3498DB : 0x9B59B6)
+      .setTimestamp();
+
+    if (playerSummaries.length === 0) {
+      embed.setDescription(`No matches played by any tracked players in ${label}.`);
+      if (failedNote) embed.setFooter({ text: failedNote });
+      return embed;
+    }
+
+    const totalMatches = playerSummaries.reduce((sum, p) => sum + p.summary.totalMatches, 0);
+    const totalWins = playerSummaries.reduce((sum, p) => sum + p.summary.wins, 0);
+    const totalRampages = playerSummaries.reduce((sum, p) => sum + p.summary.rampages, 0);
+    embed.setDescription(
+      `**${totalMatches}** matches across **${playerSummaries.length}** player${playerSummaries.length === 1 ? '' : 's'} · ` +
+      `${totalWins}W-${totalMatches - totalWins}L` +
+      (totalRampages > 0 ? ` · 🔥 ${totalRampages} rampage${totalRampages === 1 ? '' : 's'}` : '')
+    );
+
+    const delta = (value, decimals = 0, suffix = '') => {
+      if (value === null || value === undefined) return '';
+      const rounded = Number(value.toFixed(decimals));
+      if (rounded === 0) return ' (=)';
+      return ` (${rounded > 0 ? '▲' : '▼'}${Math.abs(rounded).toFixed(decimals)}${suffix})`;
+    };
+
+    const mainAccountName = this.mainAccountName || 'Blur';
+    const sorted = [...playerSummaries].sort((a, b) => {
+      if (a.name === mainAccountName) return -1;
+      if (b.name === mainAccountName) return 1;
+      return b.summary.totalMatches - a.summary.totalMatches;
+    });
+
+    const fields = sorted.slice(0, 25).map(({ name, summary, deltas }) => {
+      const mostPlayed = summary.mostPlayedHero ? this.getHeroName(summary.mostPlayedHero) : 'N/A';
+      const matchLine = (label, match) => match
+        ? `\n${label} ${this.getHeroName(match.heroId)} (${match.win ? '✅' : '❌'}) - ${match.kda}`
+        : '';
+
+      const multiKills = [];
+      if (summary.rampages > 0) multiKills.push(`🔥 ${summary.rampages} Rampage${summary.rampages > 1 ? 's' : ''}`);
+      if (summary.ultraKills > 0) multiKills.push(`⚡ ${summary.ultraKills} Ultra Kill${summary.ultraKills > 1 ? 's' : ''}`);
+      if (summary.tripleKills > 0) multiKills.push(`💥 ${summary.tripleKills} Triple Kill${summary.tripleKills > 1 ? 's' : ''}`);
+
+      const comparison = deltas.hasPrevious ? '' : `\n🆕 No matches ${previousLabel}`;
+
+      return {
+        name: `🎮  ${name.toUpperCase()}`,
+        value: `📊 **${summary.totalMatches}** matches${delta(deltas.matches)} | ${summary.wins}W-${summary.losses}L | **${summary.winRate}%** WR${delta(deltas.winRate, 1, 'pp')}\n` +
+               `⚔️ Avg KDA: **${summary.avgKDA}**${delta(deltas.avgKDA, 2)} | Total: ${summary.totalKills}/${summary.totalDeaths}/${summary.totalAssists}\n` +
+               `🎯 Most Played: **${mostPlayed}**` +
+               (multiKills.length > 0 ? `\n${multiKills.join(' | ')}` : '') +
+               matchLine('🏆 Best:', summary.bestMatch) +
+               (summary.totalMatches > 1 ? matchLine('💀 Worst:', summary.worstMatch) : '') +
+               comparison,
+        inline: false
+      };
+    });
+
+    embed.addFields(fields);
+    embed.setFooter({ text: `Changes compared with ${previousLabel}${failedNote ? ` · ${failedNote}` : ''}` });
+
+    return embed;
+  }
+
   /**
    * Format rampage notification - enhanced with more details
    */
@@ -804,6 +1271,117 @@ export class MessageFormatter {
     return embed;
   }
 
+  /**
+   * Format win/loss streak notification
+   * @param {Object} streak - { type: 'win'|'loss', count }
+   * @param {Object} match - Processed match that extended the streak
+   */
+  formatStreak(playerName, streak, match) {
+    const isWin = streak.type === 'win';
+    const embed = new EmbedBuilder()
+      .setTitle(isWin ? `🔥 ${streak.count}-Game Win Streak! 🔥` : `🧊 ${streak.count}-Game Losing Streak 🧊`)
+      .setColor(isWin ? 0xFF8C00 : 0x4682B4)
+      .setDescription(
+        isWin
+          ? `## ${playerName.toUpperCase()}
+has won **${streak.count}** in a row!`
+          : `## ${playerName.toUpperCase()}
+has lost **${streak.count}** in a row...`
+      )
+      .addFields({
+        name: 'Latest Match',
+        value: `${this.getHeroName(match.heroId)} · ${match.kills}/${match.deaths}/${match.assists} · [Match ${match.matchId}](https://stratz.com/matches/${match.matchId})`,
+        inline: false
+      })
+      .setTimestamp();
+
+    return embed;
+  }
+
+  /**
+   * Format notification for the end of a notable streak
+   * @param {Object} broken - The streak that just ended ({ type, count })
+   * @param {Object} match - Processed match that ended it
+   */
+  formatStreakBroken(playerName, broken, match) {
+    const wasWin = broken.type === 'win';
+    const embed = new EmbedBuilder()
+      .setTitle(wasWin ? '💔 Win Streak Over' : '🌅 Losing Streak Over')
+      .setColor(wasWin ? 0xFF6347 : 0x00FF00)
+      .setDescription(
+        wasWin
+          ? `**${playerName}**'s **${broken.count}-game** win streak has come to an end.`
+          : `**${playerName}** finally won after **${broken.count}** straight losses!`
+      )
+      .addFields({
+        name: wasWin ? 'Ended By' : 'Winning Match',
+        value: `${this.getHeroName(match.heroId)} · ${match.kills}/${match.deaths}/${match.assists} · [Match ${match.matchId}](https://stratz.com/matches/${match.matchId})`,
+        inline: false
+      })
+      .setTimestamp();
+
+    return embed;
+  }
+
+  /**
+   * Format a notable performance alert produced by the rules engine
+   * @param {Object} rule - Matching rule ({ name, emoji, color })
+   * @param {string} message - Rendered message template
+   * @param {Object} match - Processed match
+   */
+  formatPerformanceAlert(playerName, rule, message, match) {
+    const color = typeof rule.color === 'string'
+      ? parseInt(rule.color.replace('#', ''), 16)
+      : (rule.color ?? 0x9B59B6);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${rule.emoji || '⭐'} ${rule.name || 'Notable Performance'}`)
+      .setColor(Number.isNaN(color) ? 0x9B59B6 : color)
+      .setDescription(message)
+      .addFields(
+        { name: 'Player', value: playerName, inline: true },
+        { name: 'Hero', value: this.getHeroName(match.heroId), inline: true },
+        { name: 'Result', value: match.win ? '✅ Victory' : '❌ Defeat', inline: true },
+        { name: 'KDA', value: `${match.kills}/${match.deaths}/${match.assists}`, inline: true },
+        { name: 'Match', value: `[${match.matchId}](https://stratz.com/matches/${match.matchId})`, inline: true }
+      )
+      .setTimestamp();
+
+    return embed;
+  }
+
+  /**
+   * Format the current streaks of all tracked players
+   * @param {Array} entries - [{ name, streak }] where streak may be null
+   */
+  formatStreaks(entries) {
+    const embed = new EmbedBuilder()
+      .setTitle('📊 Current Streaks')
+      .setColor(0x00AE86)
+      .setTimestamp();
+
+    const byLength = (a, b) => b.streak.count - a.streak.count;
+    const wins = entries.filter(e => e.streak?.type === 'win').sort(byLength);
+    const losses = entries.filter(e => e.streak?.type === 'loss').sort(byLength);
+    const unknown = entries.filter(e => !e.streak);
+
+    const formatEntry = ({ name, streak }) =>
+      `**${name}** - ${streak.count} ${streak.type === 'win' ? 'win' : 'loss'}${streak.count === 1 ? '' : (streak.type === 'win' ? 's' : 'es')}` +
+      (streak.lastMatchTime ? ` · last played <t:${streak.lastMatchTime}:R>` : '');
+
+    if (wins.length > 0) {
+      embed.addFields({ name: '🔥 Winning', value: wins.map(formatEntry).join('\n'), inline: false });
+    }
+    if (losses.length > 0) {
+      embed.addFields({ name: '🧊 Losing', value: losses.map(formatEntry).join('\n'), inline: false });
+    }
+    if (unknown.length > 0) {
+      embed.addFields({ name: '❔ No matches seen yet', value: unknown.map(e => e.name).join(', '), inline: false });
+    }
+
+    return embed;
+  }
+
   /**
    * Format hero meta statistics embed
    */
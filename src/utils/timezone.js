@@ -0,0 +1,150 @@
+/**
+ * Timezone helpers built on Intl, so any IANA timezone (and its DST rules) works
+ * without hardcoding offsets or sniffing abbreviations like "BST".
+ */
+
+export const DEFAULT_TIMEZONE = 'Europe/London';
+
+export const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl formatters are expensive to create, keep one per timezone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is a timezone Intl understands (e.g. "Europe/Berlin", "UTC")
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of a moment in a timezone
+ * Returns { year, month (0-11), day, hour, minute, second, weekday (0=Sunday) }
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10) - 1,
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a moment, in minutes (e.g. 60 for BST, -300 for EST)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  const actual = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - actual) / 60000);
+}
+
+/**
+ * Unix seconds of a wall-clock time in a timezone
+ * Month/day may overflow like Date.UTC (e.g. day 0 is the last day of the previous month).
+ * A time repeated when clocks go back resolves to its first occurrence; a time skipped
+ * when clocks go forward is moved forward by the length of the jump.
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const target = new Date(wallClock);
+
+  // DST changes are never a day apart, so the offsets a day either side cover both sides of one
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+
+  const candidates = [offsetBefore, offsetAfter]
+    .map(offset => wallClock - offset * 60000)
+    .filter(candidate => {
+      const p = getZonedParts(new Date(candidate), timeZone);
+      return p.day === target.getUTCDate() && p.hour === target.getUTCHours() && p.minute === target.getUTCMinutes();
+    });
+
+  const result = candidates.length > 0
+    ? Math.min(...candidates)
+    : wallClock - offsetBefore * 60000;
+
+  return Math.floor(result / 1000);
+}
+
+/**
+ * Unix seconds at which a calendar day starts in a timezone
+ */
+export function startOfZonedDay(year, month, day, timeZone) {
+  return zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+}
+
+/**
+ * Start (inclusive) and end (exclusive) of a calendar day in a timezone, in unix seconds
+ * DST days are 23 or 25 hours long.
+ */
+export function getDayRange(year, month, day, timeZone) {
+  return {
+    startTimestamp: startOfZonedDay(year, month, day, timeZone),
+    endTimestamp: startOfZonedDay(year, month, day + 1, timeZone)
+  };
+}
+
+/**
+ * Calendar date a number of days before today in a timezone
+ * Returns { year, month (0-11), day }
+ */
+export function getZonedDateDaysAgo(daysAgo, timeZone, now = new Date()) {
+  const today = getZonedParts(now, timeZone);
+  const target = new Date(Date.UTC(today.year, today.month, today.day - daysAgo));
+  return {
+    year: target.getUTCFullYear(),
+    month: target.getUTCMonth(),
+    day: target.getUTCDate()
+  };
+}
+
+/**
+ * Format unix seconds as a date in a timezone, e.g. "11-Jan-2026"
+ */
+export function formatDateLabel(timestamp, timeZone) {
+  const { year, month, day } = getZonedParts(new Date(timestamp * 1000), timeZone);
+  return `${day}-${MONTH_ABBREVIATIONS[month]}-${year}`;
+}
+
+/**
+ * Format unix seconds as a date and time in a timezone, e.g. "11-Jan-2026 14:05"
+ */
+export function formatDateTimeLabel(timestamp, timeZone) {
+  const { hour, minute } = getZonedParts(new Date(timestamp * 1000), timeZone);
+  return `${formatDateLabel(timestamp, timeZone)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
@@ -0,0 +1,24 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { archiveCommand } from '../src/commands/archive.js';
+import { withPriority, currentPriority, PRIORITY } from '../src/core/rate-limiter.js';
+
+describe('/archive import', () => {
+  test('pages through the history as background work, even though a command started it', async () => {
+    const calls = [];
+    const dataSource = {
+      async getPlayerMatchesSince(accountId, since, take, skip) {
+        calls.push({ skip, priority: currentPriority() });
+        return Array.from({ length: skip === 0 ? take : 30 }, (_, i) => ({ id: skip + i }));
+      }
+    };
+
+    const progress = [];
+    const fetched = await withPriority(PRIORITY.INTERACTIVE, () =>
+      archiveCommand.importPlayerHistory(dataSource, '100000001', 0, async (total) => progress.push(total)));
+
+    assert.equal(fetched, 130);
+    assert.deepEqual(progress, [100, 130]);
+    assert.deepEqual(calls, [{ skip: 0, priority: PRIORITY.BACKGROUND }, { skip: 100, priority: PRIORITY.BACKGROUND }]);
+  });
+});
@@ -0,0 +1,75 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from '../src/core/circuit-breaker.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * A request that stays in flight until the test settles it
+ */
+function pending() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { request: () => promise, resolve, reject };
+}
+
+const outage = async () => {
+  throw new Error('Request failed with status code 502');
+};
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-02T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('half-open lets one trial request through and rejects the rest until it resolves', async () => {
+    const breaker = new CircuitBreaker('STRATZ', { failureThreshold: 1, probeIntervalMs: MINUTE });
+    await assert.rejects(breaker.execute(outage), /502/);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    mock.timers.tick(MINUTE);
+    const trial = pending();
+    const trialResult = breaker.execute(trial.request);
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+    await assert.rejects(breaker.execute(async () => 'concurrent'), CircuitOpenError);
+
+    // A failed trial reopens the circuit
+    trial.reject(new Error('Request failed with status code 503'));
+    await assert.rejects(trialResult, /503/);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    mock.timers.tick(MINUTE);
+    const retrial = pending();
+    const retrialResult = breaker.execute(retrial.request);
+    await assert.rejects(breaker.execute(async () => 'concurrent'), CircuitOpenError);
+    retrial.resolve('ok');
+    assert.equal(await retrialResult, 'ok');
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(await breaker.execute(async () => 'after'), 'after');
+  });
+
+  test('requests made while a probe is running are rejected', async () => {
+    const probeRequest = pending();
+    const breaker = new CircuitBreaker('STRATZ', {
+      failureThreshold: 1,
+      probeIntervalMs: MINUTE,
+      probe: () => breaker.execute(probeRequest.request)
+    });
+    await assert.rejects(breaker.execute(outage), /502/);
+
+    const probe = breaker.runProbe();
+    await assert.rejects(breaker.execute(async () => 'concurrent'), CircuitOpenError);
+    probeRequest.resolve(true);
+    await probe;
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    breaker.stopProbing();
+  });
+});
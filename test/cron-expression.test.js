@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression } from '../src/utils/cron-expression.js';
+
+const at = (iso) => Date.parse(iso);
+const iso = (ms) => new Date(ms).toISOString();
+
+/**
+ * The next few run times after a moment, as ISO strings
+ */
+function runsAfter(cron, start, count) {
+  const runs = [];
+  let time = at(start);
+  for (let i = 0; i < count; i++) {
+    time = cron.next(time);
+    runs.push(iso(time));
+  }
+  return runs;
+}
+
+describe('CronExpression parsing', () => {
+  test('accepts lists, ranges and steps', () => {
+    const cron = new CronExpression('*/20 8-9 1,15 * 1-5');
+    assert.deepEqual(cron.minutes, [0, 20, 40]);
+    assert.deepEqual(cron.hours, [8, 9]);
+    assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+    assert.equal(cron.toString(), '*/20 8-9 1,15 * 1-5');
+  });
+
+  test('rejects malformed and out-of-range expressions', () => {
+    assert.throws(() => new CronExpression('0 9 * *'), /must have 5 fields/);
+    assert.throws(() => new CronExpression('60 9 * * *'), /out of range/);
+    assert.throws(() => new CronExpression('0 9-7 * * *'), /out of range/);
+    assert.throws(() => new CronExpression('0 9 * * mon'), /Invalid day of week/);
+    assert.equal(CronExpression.isValid('0 0 * * 7'), true);
+    assert.equal(CronExpression.isValid('*/0 * * * *'), false);
+  });
+});
+
+describe('CronExpression.next / previous', () => {
+  test('next is strictly after, previous is at or before', () => {
+    const cron = new CronExpression('0 9 * * *');
+    assert.equal(iso(cron.next(at('2026-03-02T09:00:00Z'))), '2026-03-03T09:00:00.000Z');
+    assert.equal(iso(cron.previous(at('2026-03-02T09:00:00Z'))), '2026-03-02T09:00:00.000Z');
+    assert.equal(iso(cron.previous(at('2026-03-02T08:59:00Z'))), '2026-03-01T09:00:00.000Z');
+  });
+
+  test('evaluates in the given timezone', () => {
+    const cron = new CronExpression('*/20 8-9 * * 1-5', 'America/New_York');
+    // 10:00 EST on Monday 2 March 2026 -> the last run was 09:40 EST
+    assert.equal(iso(cron.previous(at('2026-03-02T15:00:00Z'))), '2026-03-02T14:40:00.000Z');
+    // Friday evening -> Monday 08:00
+    assert.equal(iso(cron.next(at('2026-03-06T20:00:00Z'))), '2026-03-09T12:00:00.000Z');
+  });
+
+  test('a restricted day of month and day of week match either one', () => {
+    // The 13th, or any Friday
+    assert.deepEqual(runsAfter(new CronExpression('0 9 13 * 5'), '2026-03-01T00:00:00Z', 3), [
+      '2026-03-06T09:00:00.000Z',
+      '2026-03-13T09:00:00.000Z',
+      '2026-03-20T09:00:00.000Z'
+    ]);
+  });
+
+  test('finds dates years away', () => {
+    assert.equal(iso(new CronExpression('0 0 29 2 *').next(at('2026-03-01T00:00:00Z'))), '2028-02-29T00:00:00.000Z');
+  });
+
+  test('runs once on the days the clocks change', () => {
+    const cron = new CronExpression('30 1 * * *', 'Europe/London');
+
+    // 01:30 doesn't exist on 29 March (01:00 GMT -> 02:00 BST); it still runs that day, after the jump
+    const spring = runsAfter(cron, '2026-03-28T12:00:00Z', 2);
+    assert.equal(spring[0].slice(0, 10), '2026-03-29');
+    assert.ok(at(spring[0]) >= at('2026-03-29T01:00:00Z'));
+    assert.equal(spring[1], '2026-03-30T00:30:00.000Z');
+
+    // 01:30 happens twice on 25 October (BST, then GMT); only the first runs
+    assert.deepEqual(runsAfter(cron, '2026-10-24T12:00:00Z', 2), ['2026-10-25T00:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+  });
+});
@@ -0,0 +1,180 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MockApiServer } from './support/mock-api-server.js';
+import { DotabuffClient } from '../src/services/dotabuff-client.js';
+import { DataSource, PROVIDERS, getProvider } from '../src/services/data-source.js';
+import { OpenDotaClient } from '../src/services/opendota-client.js';
+import { DataProcessor } from '../src/core/data-processor.js';
+import { RateLimiter } from '../src/core/rate-limiter.js';
+import { MessageFormatter } from '../src/utils/message-formatter.js';
+import { FriendsManager } from '../src/utils/friends-manager.js';
+import { rampageCommand } from '../src/commands/rampage.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'dotabuff');
+
+const ALICE = '100000001';
+
+const JUGGERNAUT_MATCH = {
+  id: 8100000005,
+  didRadiantWin: null,
+  durationSeconds: 2155,
+  startDateTime: Date.parse('2026-03-02T10:40:00Z') / 1000,
+  gameMode: 'ALL_PICK_RANKED',
+  lobbyType: 'RANKED',
+  players: [{
+    steamAccountId: Number(ALICE),
+    heroId: 8,
+    isRadiant: null,
+    isVictory: true,
+    kills: 14,
+    deaths: 2,
+    assists: 9,
+    goldPerMinute: 0,
+    experiencePerMinute: 0,
+    numLastHits: 0,
+    numDenies: 0,
+    imp: null,
+    award: null
+  }]
+};
+
+/**
+ * A client stand-in whose every method fails like an unreachable API
+ */
+function failingClient(name) {
+  return new Proxy({}, {
+    get: () => async () => {
+      throw new Error(`${name} is down`);
+    }
+  });
+}
+
+describe('DotabuffClient', () => {
+  const server = new MockApiServer();
+  const html = {};
+  let client;
+
+  before(async () => {
+    for (const name of ['player-overview', 'player-matches', 'player-heroes']) {
+      html[name] = await fs.readFile(path.join(FIXTURES, `${name}.html`), 'utf8');
+    }
+    server.use({
+      dotabuff: [
+        { path: `/players/${ALICE}`, body: html['player-overview'] },
+        { path: `/players/${ALICE}/matches`, body: html['player-matches'] },
+        { path: `/players/${ALICE}/heroes`, body: html['player-heroes'] }
+      ]
+    });
+    await server.start();
+    client = new DotabuffClient(new RateLimiter('Dotabuff', { second: 1000 }), {}, server.dotabuffUrl);
+  });
+
+  after(async () => {
+    client.circuitBreaker.stopProbing();
+    client.rateLimiter.stop();
+    await server.stop();
+  });
+
+  test('reads the player overview into the STRATZ player shape', async () => {
+    assert.deepEqual(await client.getPlayer(ALICE), {
+      steamAccountId: Number(ALICE),
+      steamAccount: {
+        id: Number(ALICE),
+        name: 'Alice',
+        avatar: 'https://avatars.steamstatic.com/alice_full.jpg',
+        profileUri: `https://www.dotabuff.com/players/${ALICE}`,
+        seasonRank: 54,
+        seasonLeaderboardRank: null
+      },
+      matchCount: 2334,
+      winCount: 1234
+    });
+    assert.deepEqual(await client.getPlayerWinLoss(ALICE), { win: 1234, lose: 1100 });
+    assert.deepEqual(await client.getPlayerRank(ALICE), { accountId: Number(ALICE), name: 'Alice', rank: 54, leaderboardRank: null });
+  });
+
+  test('reads the matches page into STRATZ matches DataProcessor understands', async () => {
+    const matches = await client.getRecentMatches(ALICE, 5);
+
+    assert.deepEqual(matches[0], JUGGERNAUT_MATCH);
+    assert.deepEqual(
+      matches.map(m => [m.id, m.players[0].isVictory, m.durationSeconds, m.gameMode, m.lobbyType, m.players[0].heroId]),
+      [[8100000005, true, 2155, 'ALL_PICK_RANKED', 'RANKED', 8], [8100000002, false, 3730, 'TURBO', 'UNRANKED', 52]]
+    );
+
+    const dataProcessor = new DataProcessor(null, ALICE);
+    const processed = dataProcessor.processRecentMatches(matches);
+    assert.deepEqual(processed.map(m => [m.matchId, m.win, m.kills, m.deaths, m.assists]), [
+      [8100000005, true, 14, 2, 9],
+      [8100000002, false, 6, 7, 4]
+    ]);
+
+    // Which team the player was on is unknown, so head-to-head records leave these out
+    const bob = processed.map(m => ({ ...m, win: !m.win }));
+    assert.deepEqual(dataProcessor.processHeadToHead(processed, bob), {
+      together: { wins: 0, losses: 0 },
+      against: { wins: 0, losses: 0 }
+    });
+  });
+
+  test('reads the heroes page, skipping heroes never played', async () => {
+    assert.deepEqual(await client.getPlayerHeroes(ALICE), [
+      { heroId: 8, matchCount: 412, winCount: 231, imp: null, lastPlayedDateTime: Date.parse('2026-03-02T10:40:00Z') / 1000 },
+      { heroId: 5, matchCount: 1050, winCount: 504, imp: null, lastPlayedDateTime: Date.parse('2026-02-20T18:00:00Z') / 1000 }
+    ]);
+  });
+
+  test('an unknown player is null, not an error', async () => {
+    assert.equal(await client.getPlayer('999'), null);
+    assert.deepEqual(await client.getRecentMatches('999'), []);
+  });
+
+  test('DataSource falls back to Dotabuff when STRATZ and OpenDota both fail', async () => {
+    const dataSource = new DataSource(failingClient('STRATZ'), failingClient('OpenDota'), client);
+
+    const matches = await dataSource.getRecentMatches(ALICE, 1);
+    assert.deepEqual(matches, [{ ...JUGGERNAUT_MATCH, provider: PROVIDERS.DOTABUFF }]);
+
+    const ranks = await dataSource.getPlayerRanksBatch([ALICE]);
+    assert.equal(ranks.get(ALICE).rank, 54);
+    assert.equal(ranks.get(ALICE).provider, PROVIDERS.DOTABUFF);
+
+    // OpenDota's own client turns a failed list request into an empty list; it must still reach Dotabuff
+    const openDota = new OpenDotaClient(null, null, new RateLimiter('OpenDota', { second: 1000 }));
+    openDota.request = async () => {
+      throw new Error('OpenDota is down');
+    };
+    const withOpenDota = new DataSource(failingClient('STRATZ'), openDota, client);
+    assert.equal(getProvider(await withOpenDota.getRecentMatches(ALICE, 1)), PROVIDERS.DOTABUFF);
+    assert.equal(getProvider(await withOpenDota.getPlayerMatchesSince(ALICE, Date.parse('2026-03-01T00:00:00Z') / 1000)), PROVIDERS.DOTABUFF);
+    assert.equal(getProvider(await withOpenDota.getPlayerHeroes(ALICE)), PROVIDERS.DOTABUFF);
+    assert.equal(getProvider((await withOpenDota.getRecentMatchesBatch([ALICE], 1)).get(ALICE)), PROVIDERS.DOTABUFF);
+    openDota.circuitBreaker.stopProbing();
+    openDota.rateLimiter.stop();
+
+    // Without Dotabuff the OpenDota failure still surfaces
+    await assert.rejects(new DataSource(failingClient('STRATZ'), failingClient('OpenDota')).getRecentMatches(ALICE), /OpenDota is down/);
+  });
+
+  test('/rampage reads a Dotabuff row\'s result from isVictory', async () => {
+    const lost = { ...JUGGERNAUT_MATCH, players: [{ ...JUGGERNAUT_MATCH.players[0], isVictory: false }] };
+    const dataSource = {
+      getPlayerMatchesSince: async () => [lost],
+      getPlayerAchievements: async () => [],
+      getRampageFeatsFromMatches: () => [{ type: 'RAMPAGE', matchId: lost.id, heroId: 8 }]
+    };
+    const replies = [];
+    const interaction = {
+      options: { getString: () => '2-Mar-2026' },
+      deferReply: async () => {},
+      editReply: async reply => replies.push(reply)
+    };
+
+    await rampageCommand.execute(interaction, dataSource, null, new MessageFormatter(null, 'Alice', 'UTC'), new FriendsManager({ Alice: [ALICE] }), null, 'UTC');
+    const [embed] = replies.at(-1).embeds;
+    assert.match(JSON.stringify(embed.toJSON()), /DEFEAT/);
+  });
+});
@@ -0,0 +1,53 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { JsonFile } from '../src/utils/json-file.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('JsonFile', () => {
+  let tmpDir;
+  let filePath;
+
+  const read = async (file) => JSON.parse(await fs.readFile(file, 'utf-8'));
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-02T12:00:00Z') });
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-'));
+    filePath = path.join(tmpDir, 'store.json');
+    await fs.writeFile(filePath, JSON.stringify({ schemaVersion: 1, run: 'previous' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  test('backs up on the first save after startup, then at most once per interval', async () => {
+    const file = new JsonFile(filePath, { schemaVersion: 1 });
+    assert.deepEqual(await file.load(), { run: 'previous' });
+
+    for (let n = 1; n <= 3; n++) {
+      await file.save({ run: 'current', n });
+    }
+    assert.deepEqual(await read(filePath), { schemaVersion: 1, run: 'current', n: 3 });
+    assert.deepEqual(await read(file.backupPath(1)), { schemaVersion: 1, run: 'previous' });
+    await assert.rejects(fs.access(file.backupPath(2)), { code: 'ENOENT' });
+
+    mock.timers.tick(HOUR);
+    await file.save({ run: 'current', n: 4 });
+    assert.deepEqual(await read(file.backupPath(1)), { schemaVersion: 1, run: 'current', n: 3 });
+    assert.deepEqual(await read(file.backupPath(2)), { schemaVersion: 1, run: 'previous' });
+  });
+
+  test('a missing file is restored from the newest backup', async () => {
+    const file = new JsonFile(filePath, { schemaVersion: 1 });
+    await file.save({ run: 'current' });
+    await fs.rm(filePath);
+
+    const restarted = new JsonFile(filePath, { schemaVersion: 1 });
+    assert.deepEqual(await restarted.load(), { run: 'previous' });
+  });
+});
@@ -0,0 +1,51 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { MatchArchive } from '../src/core/match-archive.js';
+
+const ALICE = '100000001';
+
+const OPENDOTA_PLAYER_MATCH = {
+  match_id: 8100000005,
+  player_slot: 1,
+  radiant_win: true,
+  duration: 2155,
+  game_mode: 22,
+  lobby_type: 7,
+  hero_id: 8,
+  start_time: Date.parse('2026-03-02T10:40:00Z') / 1000,
+  kills: 14,
+  deaths: 2,
+  assists: 9
+};
+
+describe('MatchArchive', () => {
+  let tmpDir;
+  let archive;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'match-archive-'));
+    archive = new MatchArchive(path.join(tmpDir, 'match-archive.db'));
+    await archive.load();
+  });
+
+  afterEach(async () => {
+    archive.close();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('OpenDota matches are stored with the same game mode and lobby type names as STRATZ ones', () => {
+    archive.storeOpenDotaPlayerMatches([OPENDOTA_PLAYER_MATCH], ALICE);
+    archive.storeOpenDotaMatch({ ...OPENDOTA_PLAYER_MATCH, match_id: 8100000006, game_mode: 23, lobby_type: 0, players: [] });
+
+    assert.deepEqual(
+      archive.db.prepare('SELECT match_id, game_mode, lobby_type FROM matches ORDER BY match_id').all(),
+      [
+        { match_id: 8100000005, game_mode: 'ALL_PICK_RANKED', lobby_type: 'RANKED' },
+        { match_id: 8100000006, game_mode: 'TURBO', lobby_type: 'UNRANKED' }
+      ]
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { NotificationOutbox } from '../src/core/notification-outbox.js';
+
+describe('NotificationOutbox', () => {
+  let tmpDir;
+  let file;
+  let delivered;
+  let discordBot;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    file = path.join(tmpDir, 'outbox.json');
+    delivered = [];
+    discordBot = {
+      async deliverToChannel(channelId, options) {
+        delivered.push({ channelId, options });
+        return { id: `message-${delivered.length}` };
+      }
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('an entry left mid-send by a shutdown is pending again after a restart', async () => {
+    const outbox = new NotificationOutbox(file, discordBot);
+    await outbox.load();
+    const entry = await outbox.enqueue('match', 'channel-1', null, { title: 'New match' }, 'match:1');
+    // The bot stopped while this entry was being sent
+    entry.status = 'sending';
+    await outbox.save();
+
+    const restarted = new NotificationOutbox(file, discordBot);
+    await restarted.load();
+    assert.deepEqual(restarted.getPending().map(e => [e.id, e.status]), [[entry.id, 'pending']]);
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).pending[0].status, 'pending', 'the reset is saved');
+
+    assert.equal(await restarted.updatePayload(entry.id, { title: 'New match (updated)' }), true);
+    await restarted.flush();
+    assert.deepEqual(delivered.map(d => [d.channelId, d.options.embeds[0].title, d.options.nonce]), [
+      ['channel-1', 'New match (updated)', entry.nonce]
+    ]);
+    assert.equal(restarted.lookup('match:1', 'channel-1').delivered, true);
+  });
+});
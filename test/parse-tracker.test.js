@@ -0,0 +1,170 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { MockApiServer } from './support/mock-api-server.js';
+import { OpenDotaClient } from '../src/services/opendota-client.js';
+import { RateLimiter } from '../src/core/rate-limiter.js';
+import { ParseTracker } from '../src/core/parse-tracker.js';
+import { StateCache } from '../src/core/state-cache.js';
+import { PollingService } from '../src/services/polling-service.js';
+
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+const ALICE = '100000001';
+const MATCH_ID = 8100000010;
+const JOB_ID = 90002;
+const MINUTE = 60 * 1000;
+
+const requested = { opendota: [{ method: 'POST', path: `/request/${MATCH_ID}`, response: { job: { jobId: JOB_ID } } }] };
+const queued = { opendota: [{ path: `/request/${JOB_ID}`, response: { jobId: JOB_ID, type: 'parse', attempts: 0 } }] };
+const finished = { opendota: [{ path: `/request/${JOB_ID}`, response: null }] };
+const unparsed = {
+  opendota: [{ path: `/matches/${MATCH_ID}`, response: { match_id: MATCH_ID, version: null, players: [{ account_id: 100000001 }] } }]
+};
+const parsed = {
+  opendota: [{ path: `/matches/${MATCH_ID}`, response: { match_id: MATCH_ID, version: 22, players: [{ account_id: 100000001, multi_kills: { 2: 1 } }] } }]
+};
+
+describe('ParseTracker against the mock OpenDota API', () => {
+  const server = new MockApiServer();
+  let tmpDir;
+  let file;
+  let openDotaClient;
+  let tracker;
+
+  /**
+   * Move the clock on and run the checks that are due with these fixtures
+   */
+  async function checkAfter(ms, ...fixtures) {
+    mock.timers.tick(ms);
+    server.use(...fixtures);
+    await tracker.check();
+    assert.deepEqual(server.unmatched, [], 'every API request has a fixture');
+    return server.requests.map(r => `${r.method} ${r.path}`);
+  }
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    await server.start();
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'parse-tracker-'));
+    file = path.join(tmpDir, 'parse-jobs.json');
+    openDotaClient = new OpenDotaClient(null, null, new RateLimiter('OpenDota', { second: 1000 }), {}, server.openDotaUrl);
+    tracker = new ParseTracker(file, openDotaClient);
+    await tracker.load();
+  });
+
+  afterEach(async () => {
+    openDotaClient.circuitBreaker.stopProbing();
+    await server.stop();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  test('follows a job until the match is parsed, re-requesting when it finishes unparsed', async () => {
+    const parsedMatches = [];
+    tracker.onParsed(async (matchId, matchData) => parsedMatches.push([matchId, matchData.version]));
+
+    server.use(requested);
+    await tracker.request(MATCH_ID);
+    await tracker.request(MATCH_ID);
+    assert.equal(server.requestsFor(`/request/${MATCH_ID}`).length, 1, 'one parse request per match');
+    assert.deepEqual(tracker.getJobs().map(job => [job.jobId, job.status, job.requests]), [[JOB_ID, 'requested', 1]]);
+
+    assert.deepEqual(await checkAfter(30 * 1000), [], 'nothing is due yet');
+
+    assert.deepEqual(await checkAfter(MINUTE, queued), [`GET /request/${JOB_ID}`]);
+    assert.deepEqual(tracker.getJobs().map(job => [job.status, job.checks, job.nextCheckAt]), [['queued', 1, Date.now() + MINUTE]]);
+
+    // Job done but the match came back unparsed: ask again
+    assert.deepEqual(await checkAfter(MINUTE, finished, unparsed, requested), [
+      `GET /request/${JOB_ID}`,
+      `GET /matches/${MATCH_ID}`,
+      `POST /request/${MATCH_ID}`
+    ]);
+    assert.deepEqual(tracker.getJobs().map(job => [job.status, job.requests]), [['requested', 2]]);
+    assert.deepEqual(parsedMatches, []);
+
+    await checkAfter(MINUTE, finished, parsed);
+    assert.deepEqual(parsedMatches, [[MATCH_ID, 22]]);
+    assert.equal(tracker.isTracking(MATCH_ID), false);
+    assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')).jobs, []);
+  });
+
+  test('outstanding jobs survive a restart', async () => {
+    server.use(requested);
+    await tracker.request(MATCH_ID);
+
+    const restarted = new ParseTracker(file, openDotaClient);
+    await restarted.load();
+    assert.equal(restarted.isTracking(MATCH_ID), true);
+    assert.deepEqual(restarted.getJobs().map(job => [job.matchId, job.jobId, job.nextCheckAt]), [[MATCH_ID, JOB_ID, NOW + MINUTE]]);
+  });
+
+  test('a parse that takes over an hour still resolves the pending multi-kill check', async () => {
+    const stateCache = new StateCache(':memory:');
+    await stateCache.load();
+    const pollingService = new PollingService(
+      null, null, stateCache, null, null, ALICE, 5, null, null, openDotaClient,
+      null, null, null, null, null, null, null, 'UTC', null, null, tracker
+    );
+    stateCache.addPendingMultiKillCheck(MATCH_ID, ALICE, 'Alice');
+    server.use(requested);
+    await tracker.request(MATCH_ID);
+
+    // OpenDota's parse queue is slow today: polls keep cleaning up while the job waits
+    for (let minutes = 0; minutes < 90; minutes += 30) {
+      await checkAfter(30 * MINUTE, queued);
+      pollingService.cleanupPendingMultiKillChecks();
+    }
+    assert.deepEqual(stateCache.getPendingMultiKillChecks().map(check => [check.matchId, String(check.accountId)]), [[MATCH_ID, ALICE]]);
+
+    await checkAfter(30 * MINUTE, finished, parsed);
+    assert.equal(tracker.isTracking(MATCH_ID), false);
+    assert.equal(stateCache.isMultiKillDetected(MATCH_ID, ALICE), true);
+    assert.deepEqual(stateCache.getPendingMultiKillChecks(), []);
+
+    // Once nothing is waiting on the match, old checks are cleaned up as before
+    stateCache.addPendingMultiKillCheck(MATCH_ID + 1, ALICE, 'Alice');
+    mock.timers.tick(61 * MINUTE);
+    pollingService.cleanupPendingMultiKillChecks();
+    assert.deepEqual(stateCache.getPendingMultiKillChecks(), []);
+    stateCache.close();
+  });
+
+  test('a parse that is given up on falls back to STRATZ kill events for the waiting checks', async () => {
+    const stateCache = new StateCache(':memory:');
+    await stateCache.load();
+    const killEventLookups = [];
+    const dataSource = {
+      async getMatchWithKillEvents(matchId) {
+        killEventLookups.push(matchId);
+        return { didRadiantWin: true, players: [{ steamAccountId: Number(ALICE), isRadiant: true, stats: { killEvents: [{ time: 300 }] } }] };
+      },
+      detectMultiKillsFromKillEvents: () => ({ rampages: 0, ultraKills: 0, tripleKills: 0 })
+    };
+    // Registers itself with the tracker
+    new PollingService(
+      dataSource, null, stateCache, null, null, ALICE, 5, null, null, openDotaClient,
+      null, null, null, null, null, null, null, 'UTC', null, null, tracker
+    );
+    stateCache.addPendingMultiKillCheck(MATCH_ID, ALICE, 'Alice');
+    server.use(requested);
+    await tracker.request(MATCH_ID);
+
+    await checkAfter(13 * 60 * MINUTE);
+    assert.equal(tracker.isTracking(MATCH_ID), false);
+    assert.deepEqual(killEventLookups, [MATCH_ID]);
+    assert.equal(stateCache.isMultiKillDetected(MATCH_ID, ALICE), true);
+    assert.deepEqual(stateCache.getPendingMultiKillChecks(), []);
+    stateCache.close();
+  });
+
+  test('gives up on a job after maxAgeMs', async () => {
+    server.use(requested);
+    await tracker.request(MATCH_ID);
+
+    assert.deepEqual(await checkAfter(13 * 60 * MINUTE), [], 'no status check for an expired job');
+    assert.equal(tracker.isTracking(MATCH_ID), false);
+  });
+});
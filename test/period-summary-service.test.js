@@ -0,0 +1,73 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PeriodSummaryService, SUMMARY_PERIODS } from '../src/services/period-summary-service.js';
+import { OpenDotaClient } from '../src/services/opendota-client.js';
+import { RateLimiter } from '../src/core/rate-limiter.js';
+import { DataProcessor } from '../src/core/data-processor.js';
+import { MessageFormatter } from '../src/utils/message-formatter.js';
+import { FriendsManager } from '../src/utils/friends-manager.js';
+
+const ALICE = '100000001';
+const BOB = '100000002';
+// Monday: the recap covers 23 Feb to 1 Mar
+const NOW = new Date('2026-03-02T12:00:00Z');
+
+/**
+ * A STRATZ-shaped match Alice or Bob played during the recap week
+ */
+function match(id, accountId) {
+  return {
+    id,
+    didRadiantWin: true,
+    durationSeconds: 2155,
+    startDateTime: Date.parse('2026-02-25T18:00:00Z') / 1000,
+    players: [{ steamAccountId: Number(accountId), heroId: 8, isRadiant: true, kills: 10, deaths: 2, assists: 5 }]
+  };
+}
+
+describe('PeriodSummaryService', () => {
+  let openDotaClient;
+  let stratzMatches;
+  let service;
+
+  beforeEach(() => {
+    // OpenDota is down
+    openDotaClient = new OpenDotaClient(null, null, new RateLimiter('OpenDota', { second: 1000 }));
+    openDotaClient.request = async () => {
+      throw new Error('Request failed with status code 502');
+    };
+    stratzMatches = { [ALICE]: [match(8100000005, ALICE)], [BOB]: [match(8100000006, BOB)] };
+    const dataSource = {
+      async getPlayerMatchesSince(accountId) {
+        if (!stratzMatches[accountId]) throw new Error('STRATZ is currently unavailable');
+        return stratzMatches[accountId];
+      },
+      getPlayerAchievements: async () => [],
+      getMultiKillFeatsFromMatches: () => []
+    };
+    service = new PeriodSummaryService(
+      dataSource, new DataProcessor(null, ALICE), new MessageFormatter(null, 'Alice', 'UTC'),
+      new FriendsManager({ Alice: [ALICE], Bob: [BOB] }), ALICE, openDotaClient, 'UTC'
+    );
+  });
+
+  afterEach(() => {
+    openDotaClient.circuitBreaker.stopProbing();
+  });
+
+  test('falls back to the data source when OpenDota fails', async () => {
+    const { playerSummaries, failedPlayers } = await service.buildSummary(SUMMARY_PERIODS.WEEKLY, { now: NOW });
+    assert.deepEqual(playerSummaries.map(p => [p.name, p.summary.totalMatches]), [['Alice', 1], ['Bob', 1]]);
+    assert.deepEqual(failedPlayers, []);
+  });
+
+  test('a player whose matches can\'t be fetched is reported, not left out as if they hadn\'t played', async () => {
+    delete stratzMatches[BOB];
+    const { embed, playerCount } = await service.buildEmbed(SUMMARY_PERIODS.WEEKLY, { now: NOW });
+    assert.equal(playerCount, 1);
+    assert.match(embed.data.footer.text, /Couldn't fetch matches for Bob/);
+
+    stratzMatches = {};
+    await assert.rejects(service.buildEmbed(SUMMARY_PERIODS.WEEKLY, { now: NOW }), /STRATZ is currently unavailable/);
+  });
+});
@@ -0,0 +1,240 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MockApiServer } from './support/mock-api-server.js';
+import { createFakeDiscordBot } from './support/fake-discord.js';
+import { StratzClient } from '../src/services/stratz-client.js';
+import { OpenDotaClient } from '../src/services/opendota-client.js';
+import { DataSource } from '../src/services/data-source.js';
+import { PollingService } from '../src/services/polling-service.js';
+import { RateLimiter } from '../src/core/rate-limiter.js';
+import { StateCache } from '../src/core/state-cache.js';
+import { DataProcessor } from '../src/core/data-processor.js';
+import { MessageFormatter } from '../src/utils/message-formatter.js';
+import { FriendsManager } from '../src/utils/friends-manager.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'polling');
+
+// The fixtures' match times are relative to this; embed timestamps come out as this too
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+const TIMESTAMP = new Date(NOW).toISOString();
+
+const ALICE = '100000001';
+const BOB = '100000002';
+
+describe('PollingService against the mock APIs', () => {
+  const server = new MockApiServer();
+  const fixtures = {};
+  let tmpDir;
+  let stateCache;
+  let discordBot;
+  let stratzClient;
+  let openDotaClient;
+  let pollingService;
+
+  /**
+   * Run one poll cycle with these fixtures and return the messages it posted
+   */
+  async function poll(...names) {
+    server.use(...names.map(name => fixtures[name]));
+    discordBot.sent = [];
+    await pollingService.checkForUpdates();
+    assert.deepEqual(server.unmatched, [], 'every API request has a fixture');
+    return discordBot.sent;
+  }
+
+  before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    // Multi-kill embeds pick a random tagline; always take the first
+    mock.method(Math, 'random', () => 0);
+
+    for (const name of ['baseline', 'solo-match', 'party-match', 'daily-summary']) {
+      fixtures[name] = await MockApiServer.loadFixture(path.join(FIXTURES, `${name}.json`));
+    }
+    await server.start();
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'polling-e2e-'));
+    stateCache = new StateCache(path.join(tmpDir, 'state.db'));
+    await stateCache.load();
+
+    // Frozen clock: the limiters start full and never refill, so allow plenty
+    stratzClient = new StratzClient(['test-token'], [], null, null, new RateLimiter('STRATZ', { second: 1000 }), {}, server.stratzUrl);
+    openDotaClient = new OpenDotaClient(null, null, new RateLimiter('OpenDota', { second: 1000 }), {}, server.openDotaUrl);
+    discordBot = createFakeDiscordBot(['channel-1']);
+
+    pollingService = new PollingService(
+      new DataSource(stratzClient, openDotaClient),
+      new DataProcessor(stateCache, ALICE),
+      stateCache,
+      discordBot,
+      new MessageFormatter(null, 'Alice', 'UTC'),
+      ALICE,
+      5,
+      new FriendsManager({ Alice: [ALICE], Bob: [BOB] }),
+      null,
+      openDotaClient,
+      null,
+      null,
+      { enabled: false }
+    );
+  });
+
+  after(async () => {
+    stratzClient.circuitBreaker.stopProbing();
+    openDotaClient.circuitBreaker.stopProbing();
+    await discordBot.destroy();
+    await server.stop();
+    stateCache.close();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  test('first poll records a baseline without posting', async () => {
+    const sent = await poll('baseline');
+
+    assert.deepEqual(sent, []);
+    assert.deepEqual(server.requests.map(r => r.operation), [
+      'GetRecentMatchesBatch',
+      'GetPlayerTotals',
+      'GetWinLoss',
+      'GetPlayerRanksBatch',
+      'GetLiveMatches'
+    ]);
+    assert.deepEqual(server.requestsFor('GetRecentMatchesBatch')[0].variables, { id0: Number(ALICE), id1: Number(BOB), take: 5 });
+  });
+
+  test('a new match posts the match and the multi-kills from the parsed OpenDota match', async () => {
+    const sent = await poll('baseline', 'solo-match');
+
+    assert.equal(server.requestsFor('/request/8100000005').length, 1, 'parse requested');
+    assert.equal(server.requestsFor('/matches/8100000005').length, 1);
+
+    const multiKillFields = [
+      { name: '🎮 Hero', value: '**Juggernaut**', inline: true },
+      { name: '⚔️ Final KDA', value: '**14/2/9** (11.50)', inline: true },
+      { name: '✅ Result', value: '**VICTORY**', inline: true }
+    ];
+    const thumbnail = { url: 'https://cdn.cloudflare.steamstatic.com/apps/dota2/images/dota_react/heroes/juggernaut.png' };
+
+    assert.deepEqual(sent.map(message => message.embeds), [
+      [{
+        title: '🎮 New Match Completed',
+        color: 0x00FF00,
+        timestamp: TIMESTAMP,
+        description: '**Alice** played **Juggernaut** · [Match 8100000005](https://stratz.com/matches/8100000005)',
+        fields: [
+          { name: 'Result', value: '✅ Victory', inline: true },
+          { name: 'KDA', value: '14/2/9 (11.50)', inline: true },
+          { name: 'Duration', value: '35:55', inline: true }
+        ],
+        footer: { text: 'Data: STRATZ' }
+      }],
+      [{
+        title: '🔥💀 R A M P A G E ! 💀🔥',
+        description: '# ALICE\n### has unleashed DEVASTATION!\n\n**5 KILLS** in rapid succession as **Juggernaut**!',
+        color: 0xFF4500,
+        timestamp: TIMESTAMP,
+        thumbnail,
+        fields: multiKillFields
+      }],
+      [{
+        title: '💥 T R I P L E  K I L L ! 💥',
+        description: '## ALICE\n### got a clean sweep!\n\n**3 KILLS** in rapid succession as **Juggernaut**!',
+        color: 0x00BFFF,
+        timestamp: TIMESTAMP,
+        thumbnail,
+        fields: multiKillFields
+      }]
+    ]);
+    assert.ok(sent.every(message => message.channelId === 'channel-1'));
+    assert.equal(stateCache.isMultiKillDetected(8100000005, ALICE), true);
+  });
+
+  test('a party match posts one combined embed, then the streak and the rank up', async () => {
+    const sent = await poll('baseline', 'party-match');
+
+    assert.deepEqual(sent.map(message => message.embeds), [
+      [{
+        title: '👥 Party Match - 2 Friends',
+        timestamp: TIMESTAMP,
+        color: 0x00FF00,
+        description: '✅ **Victory** · 31:10 · [Match 8100000010](https://stratz.com/matches/8100000010)',
+        fields: [{
+          name: '🟢 Radiant ✅',
+          value: '**Alice** · Juggernaut · 9/4/12 (5.25)\n**Bob** · Crystal Maiden · 3/6/21 (4.00)',
+          inline: false
+        }],
+        footer: { text: 'Data: STRATZ' }
+      }],
+      [{
+        title: '🔥 3-Game Win Streak! 🔥',
+        color: 0xFF8C00,
+        description: '## BOB\nhas won **3** in a row!',
+        fields: [{
+          name: 'Latest Match',
+          value: 'Crystal Maiden · 3/6/21 · [Match 8100000010](https://stratz.com/matches/8100000010)',
+          inline: false
+        }],
+        timestamp: TIMESTAMP
+      }],
+      [{
+        timestamp: TIMESTAMP,
+        title: '🎉📈 R A N K  U P ! 📈🎉',
+        description: '# ALICE\n### has ranked up!\n\n**Legend 4⭐** → **Legend 5⭐**',
+        color: 0x00FF00
+      }]
+    ]);
+
+    // The OpenDota match isn't parsed yet, so both players stay queued for multi-kill checks
+    assert.deepEqual(
+      stateCache.getPendingMultiKillChecks().map(check => [check.matchId, String(check.accountId), check.checkCount]),
+      [[8100000010, ALICE, 1], [8100000010, BOB, 1]]
+    );
+  });
+
+  test('the daily summary posts the day\'s rampage once, then the summary', async () => {
+    server.use(fixtures['daily-summary']);
+    discordBot.sent = [];
+    await pollingService.sendDailySummary();
+    assert.deepEqual(server.unmatched, [], 'every API request has a fixture');
+
+    const summary = [{
+      title: '📊 Daily Summary (Last 24 hours to 2-Mar-2026 12:00)',
+      color: 0x00AE86,
+      timestamp: TIMESTAMP,
+      fields: [{
+        name: '🎮  ALICE',
+        value: '\n📊 **2** matches | 1W-1L | ✅ **50.00%** WR\n⚔️ Avg KDA: **3.30** | Total: 18/10/15\n🎯 Most Played: **Juggernaut**' +
+          '\n🔥 **1** Rampage | 💥 **1** Triple Kill\n🏆 **Best Match:** Juggernaut (✅ Win) - 14/2/9 (11.50) KDA',
+        inline: false
+      }]
+    }];
+    assert.deepEqual(discordBot.sent.map(message => message.embeds), [
+      [{
+        title: '🔥💀 R A M P A G E ! 💀🔥',
+        description: '# ALICE\n### has unleashed DEVASTATION!\n\n**5 KILLS** in rapid succession as **Juggernaut**!',
+        color: 0xFF4500,
+        timestamp: TIMESTAMP,
+        thumbnail: { url: 'https://cdn.cloudflare.steamstatic.com/apps/dota2/images/dota_react/heroes/juggernaut.png' },
+        fields: [
+          { name: '🎮 Hero', value: '**Juggernaut**', inline: true },
+          { name: '⚔️ Final KDA', value: '**14/2/9** (11.50)', inline: true },
+          { name: '✅ Result', value: '**VICTORY**', inline: true },
+          { name: '⏱️ Match Duration', value: '35:55', inline: true }
+        ]
+      }],
+      summary
+    ]);
+    assert.equal(stateCache.isRampageDetected(8100000005, 'Alice'), true);
+    assert.equal(stateCache.getLastDailySummary(), TIMESTAMP);
+
+    // A rerun (e.g. made up after a restart) doesn't announce the rampage again
+    discordBot.sent = [];
+    await pollingService.sendDailySummary();
+    assert.deepEqual(discordBot.sent.map(message => message.embeds), [summary]);
+  });
+});
@@ -0,0 +1,139 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createFakeDiscordBot } from './support/fake-discord.js';
+import { PollingService } from '../src/services/polling-service.js';
+import { StateCache } from '../src/core/state-cache.js';
+import { Scheduler } from '../src/core/scheduler.js';
+import { GuildSettingsStore, NOTIFICATION_KINDS } from '../src/utils/guild-settings-store.js';
+import { timezoneCommand } from '../src/commands/timezone.js';
+import { RulesEngine } from '../src/core/rules-engine.js';
+import { MessageFormatter } from '../src/utils/message-formatter.js';
+
+const DEFAULT_TIMEZONE = 'Europe/London';
+const ALICE = '100000001';
+const MINUTE = 60 * 1000;
+
+/**
+ * A /timezone interaction from a Manage Server member of guild-1
+ */
+function timezoneInteraction(sub, timeZone = null) {
+  return {
+    guild: { id: 'guild-1' },
+    memberPermissions: { has: () => true },
+    options: { getSubcommand: () => sub, getString: () => timeZone },
+    reply: async () => {}
+  };
+}
+
+describe('PollingService summary channels', () => {
+  let tmpDir;
+  let stateCache;
+  let scheduler;
+  let guildSettings;
+  let discordBot;
+  let pollingService;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-03-02T12:00:00Z') });
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'polling-service-'));
+    stateCache = new StateCache(':memory:');
+    await stateCache.load();
+    scheduler = new Scheduler(stateCache);
+    guildSettings = new GuildSettingsStore(path.join(tmpDir, 'guild-settings.json'), DEFAULT_TIMEZONE);
+    await guildSettings.load();
+    discordBot = createFakeDiscordBot(['channel-1']);
+
+    pollingService = new PollingService(
+      null, null, stateCache, discordBot, null, '100000001', 5,
+      null, null, null, guildSettings, null, { enabled: false },
+      null, null, null, null, DEFAULT_TIMEZONE, scheduler
+    );
+    pollingService.start();
+  });
+
+  afterEach(async () => {
+    pollingService.stop();
+    await discordBot.destroy();
+    stateCache.close();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  test('/timezone set with no routes moves the default channel\'s summaries to that timezone', async () => {
+    assert.deepEqual(pollingService.getNotificationChannels(NOTIFICATION_KINDS.DAILY_SUMMARY, DEFAULT_TIMEZONE), ['channel-1']);
+
+    await timezoneCommand.execute(timezoneInteraction('set', 'America/New_York'), guildSettings, DEFAULT_TIMEZONE);
+
+    assert.ok(scheduler.jobs.has('summary:daily:weekday:America/New_York'));
+    for (const kind of [NOTIFICATION_KINDS.DAILY_SUMMARY, NOTIFICATION_KINDS.PERIOD_SUMMARY]) {
+      assert.deepEqual(pollingService.getNotificationChannels(kind, 'America/New_York'), ['channel-1']);
+      assert.deepEqual(pollingService.getNotificationChannels(kind, DEFAULT_TIMEZONE), [], 'no longer posted at the global times');
+    }
+    // Notifications that aren't scheduled still go to the default channel
+    assert.deepEqual(pollingService.getNotificationChannels(NOTIFICATION_KINDS.NEW_MATCH), ['channel-1']);
+
+    await timezoneCommand.execute(timezoneInteraction('reset'), guildSettings, DEFAULT_TIMEZONE);
+    assert.deepEqual(pollingService.getNotificationChannels(NOTIFICATION_KINDS.DAILY_SUMMARY, DEFAULT_TIMEZONE), ['channel-1']);
+  });
+});
+
+describe('PollingService performance rules', () => {
+  const match = { matchId: 8100000020, heroId: 8, gameMode: 'ALL_PICK_RANKED', win: true, kills: 4, deaths: 3, assists: 6, duration: 2100 };
+  let stateCache;
+  let discordBot;
+  let stratzMatch;
+  let pollingService;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-02T12:00:00Z') });
+    stateCache = new StateCache(':memory:');
+    await stateCache.load();
+    discordBot = createFakeDiscordBot(['channel-1']);
+    const rulesEngine = new RulesEngine(new URL('../config/performance-rules.json', import.meta.url).pathname);
+    await rulesEngine.load();
+
+    // Freshly finished: STRATZ has totals but no per-minute stats until it parses the match
+    stratzMatch = { id: match.matchId, players: [{ steamAccountId: Number(ALICE), heroDamage: 12000, stats: null }] };
+    const dataSource = { getMatch: async () => stratzMatch };
+    pollingService = new PollingService(
+      dataSource, null, stateCache, discordBot, new MessageFormatter(null, 'Alice', 'UTC'), ALICE, 5,
+      null, null, null, null, null, null, null, rulesEngine
+    );
+  });
+
+  afterEach(async () => {
+    await discordBot.destroy();
+    stateCache.close();
+    mock.timers.reset();
+  });
+
+  test('a rule on parsed-only stats is evaluated again once STRATZ has parsed the match', async () => {
+    await pollingService.checkPerformanceRules('Alice', ALICE, match);
+    assert.deepEqual(discordBot.sent, []);
+    assert.deepEqual(stateCache.getPendingPerformanceChecks().map(check => check.ruleIds), [['lane-dominator']]);
+
+    await pollingService.checkPendingPerformanceRules();
+    assert.equal(stateCache.getPendingPerformanceChecks().length, 1, 'still waiting for the parse');
+
+    stratzMatch.players[0].stats = { lastHitsPerMinute: [0, 3, 4, 4, 4, 5, 4, 5, 5, 6, 7] };
+    mock.timers.tick(10 * MINUTE);
+    await pollingService.checkPendingPerformanceRules();
+    assert.equal(discordBot.sent.length, 1);
+    assert.match(discordBot.sent[0].embeds[0].description, /^Alice had 40 last hits at 10 minutes/);
+    assert.deepEqual(stateCache.getPendingPerformanceChecks(), []);
+  });
+
+  test('a rule that can no longer match doesn\'t wait, and one whose match is never parsed is dropped', async () => {
+    await pollingService.checkPerformanceRules('Alice', ALICE, { ...match, gameMode: 'TURBO' });
+    assert.deepEqual(stateCache.getPendingPerformanceChecks(), []);
+
+    await pollingService.checkPerformanceRules('Alice', ALICE, match);
+    mock.timers.tick(13 * 60 * MINUTE);
+    await pollingService.checkPendingPerformanceRules();
+    assert.deepEqual(stateCache.getPendingPerformanceChecks(), []);
+    assert.deepEqual(discordBot.sent, []);
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../src/core/scheduler.js';
+import { StateCache } from '../src/core/state-cache.js';
+import { withPriority, currentPriority, PRIORITY } from '../src/core/rate-limiter.js';
+
+const NOW = Date.parse('2026-03-02T10:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Let a job started by a timer run to completion
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Scheduler', () => {
+  let stateCache;
+  let scheduler;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+    stateCache = new StateCache(':memory:');
+    await stateCache.load();
+    scheduler = new Scheduler(stateCache, { graceMinutes: 180 });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    mock.timers.reset();
+  });
+
+  test('makes up a cron run missed while offline', async () => {
+    stateCache.setJobLastSuccess('daily', '2026-03-01T09:00:00.000Z');
+    let runs = 0;
+    const job = scheduler.addJob({ id: 'daily', cron: '0 9 * * *', run: async () => runs++ });
+    assert.equal(job.nextRunAt, NOW, 'today 09:00 was missed an hour ago');
+
+    mock.timers.tick(0);
+    await settle();
+    assert.equal(runs, 1);
+    assert.equal(stateCache.getJobLastSuccess('daily'), new Date(NOW).toISOString());
+    assert.equal(job.nextRunAt, Date.parse('2026-03-03T09:00:00Z'));
+  });
+
+  test('makes up a missed interval run', () => {
+    stateCache.setJobLastSuccess('poll', new Date(NOW - 7 * MINUTE).toISOString());
+    assert.equal(scheduler.addJob({ id: 'poll', intervalMinutes: 5, run: async () => {} }).nextRunAt, NOW);
+  });
+
+  test('does not make up runs outside the grace window, or for jobs that opt out', () => {
+    stateCache.setJobLastSuccess('daily', '2026-02-27T09:00:00.000Z');
+    mock.timers.tick(4 * 60 * MINUTE);
+    const tomorrow = Date.parse('2026-03-03T09:00:00Z');
+    assert.equal(scheduler.addJob({ id: 'daily', cron: '0 9 * * *', run: async () => {} }).nextRunAt, tomorrow);
+
+    stateCache.setJobLastSuccess('optout', '2026-03-01T09:00:00.000Z');
+    assert.equal(scheduler.addJob({ id: 'optout', cron: '0 13 * * *', catchUp: false, run: async () => {} }).nextRunAt,
+      Date.parse('2026-03-03T13:00:00Z'));
+  });
+
+  test('a job that throws is not recorded as a success, so it is made up after a restart', async () => {
+    stateCache.setJobLastSuccess('daily', '2026-03-01T09:00:00.000Z');
+    let fail = true;
+    let runs = 0;
+    scheduler.addJob({
+      id: 'daily',
+      cron: '0 9 * * *',
+      run: async () => {
+        runs++;
+        if (fail) throw new Error('Discord is down');
+      }
+    });
+
+    mock.timers.tick(0);
+    await settle();
+    assert.equal(runs, 1);
+    assert.equal(stateCache.getJobLastSuccess('daily'), '2026-03-01T09:00:00.000Z');
+
+    // Restarted an hour later: the failed run is still owed
+    mock.timers.tick(60 * MINUTE);
+    const restarted = new Scheduler(stateCache, { graceMinutes: 180 });
+    fail = false;
+    const job = restarted.addJob({ id: 'daily', cron: '0 9 * * *', run: async () => runs++ });
+    assert.equal(job.nextRunAt, Date.now());
+
+    mock.timers.tick(0);
+    await settle();
+    restarted.stop();
+    assert.equal(runs, 2);
+    assert.equal(stateCache.getJobLastSuccess('daily'), new Date(Date.now()).toISOString());
+  });
+
+  test('a long wait is split into several timers and still runs on time', async () => {
+    let runs = 0;
+    const job = scheduler.addJob({ id: 'weekly', cron: '0 9 * * 1', run: async () => runs++ });
+    assert.equal(job.nextRunAt, Date.parse('2026-03-09T09:00:00Z'));
+
+    mock.timers.tick(job.nextRunAt - NOW - 1);
+    await settle();
+    assert.equal(runs, 0);
+
+    mock.timers.tick(1);
+    await settle();
+    assert.equal(runs, 1);
+  });
+
+  test('jobs scheduled from a command still run as background work', { timeout: 5000 }, async () => {
+    // Mocked timers don't carry the caller's async context; real ones do
+    mock.timers.reset();
+    const priorities = [];
+    // e.g. /timezone set rescheduling the summaries
+    withPriority(PRIORITY.INTERACTIVE, () => {
+      scheduler.addJob({ id: 'fast', intervalMinutes: 0.0005, run: async () => priorities.push(currentPriority()) });
+    });
+
+    while (priorities.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    scheduler.stop();
+    assert.deepEqual(priorities.slice(0, 2), [PRIORITY.BACKGROUND, PRIORITY.BACKGROUND]);
+  });
+});
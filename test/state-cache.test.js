@@ -0,0 +1,65 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { StateCache } from '../src/core/state-cache.js';
+
+const MATCH_ID = 8100000005;
+
+describe('StateCache', () => {
+  let tmpDir;
+  let dbFile;
+  let jsonFile;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-cache-'));
+    dbFile = path.join(tmpDir, 'state.db');
+    jsonFile = path.join(tmpDir, 'state-cache.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('a rampage marked under a player name is found again, also after a restart', async () => {
+    const stateCache = new StateCache(dbFile);
+    await stateCache.load();
+    assert.equal(stateCache.isRampageDetected(MATCH_ID, 'Alice'), false);
+
+    stateCache.markRampageDetected(MATCH_ID, 'Alice', 'Alice');
+    assert.equal(stateCache.isRampageDetected(MATCH_ID, 'Alice'), true);
+    assert.equal(stateCache.isRampageDetected(MATCH_ID, 'Bob'), false);
+    assert.equal(stateCache.isRampageDetected(MATCH_ID + 1, 'Alice'), false);
+    stateCache.close();
+
+    const restarted = new StateCache(dbFile);
+    await restarted.load();
+    assert.equal(restarted.isRampageDetected(MATCH_ID, 'Alice'), true);
+    restarted.close();
+  });
+
+  test('a rank stored under player_<name> is found again and its change reported', async () => {
+    const stateCache = new StateCache(dbFile);
+    await stateCache.load();
+    assert.equal(stateCache.updatePlayerRank('player_Alice', 54), null);
+    assert.equal(stateCache.getPlayerRank('player_Alice').rank, 54);
+
+    assert.equal(stateCache.updatePlayerRank('player_Alice', 55).oldRank, 54);
+    stateCache.close();
+  });
+
+  test('the JSON migration keeps name-keyed rampages and ranks', async () => {
+    await fs.writeFile(jsonFile, JSON.stringify({
+      playerRanks: { player_Alice: { rank: 54, leaderboardRank: null, updatedAt: '2026-03-01T09:00:00.000Z' } },
+      detectedRampages: [{ matchId: MATCH_ID, accountId: 'Alice', playerName: 'Alice', detectedAt: '2026-03-01T09:00:00.000Z' }]
+    }));
+
+    const stateCache = new StateCache(dbFile, jsonFile);
+    await stateCache.load();
+    assert.equal(stateCache.isRampageDetected(MATCH_ID, 'Alice'), true);
+    assert.equal(stateCache.getPlayerRank('player_Alice').rank, 54);
+    assert.equal(stateCache.getValue('schemaVersion'), 1);
+    stateCache.close();
+  });
+});
@@ -0,0 +1,52 @@
+import { DiscordBot } from '../../src/bot/discord-bot.js';
+
+/**
+ * Embeds as Discord would receive them (unset fields dropped)
+ */
+function toJson(embeds = []) {
+  return JSON.parse(JSON.stringify(embeds.map(embed => embed.toJSON?.() ?? embed)));
+}
+
+/**
+ * A DiscordBot that never logs in: its client's channel cache holds fake text channels that
+ * record every message sent or edited, so tests can assert on the exact embeds posted.
+ * The channels all belong to the server `guild-1`.
+ *
+ * Call bot.destroy() when done (the discord.js client keeps sweeper timers).
+ * @param {string[]} channelIds - The first one is the default notification channel
+ * @returns {DiscordBot & { sent: Array<{channelId: string, messageId: string, content: ?string, embeds: Object[]}>, edits: Array }}
+ */
+export function createFakeDiscordBot(channelIds = ['channel-1']) {
+  const bot = new DiscordBot('fake-token', channelIds[0]);
+  bot.sent = [];
+  bot.edits = [];
+
+  let nextMessageId = 1;
+  for (const channelId of channelIds) {
+    bot.client.channels.cache.set(channelId, {
+      id: channelId,
+      guildId: 'guild-1',
+      send: async (options) => {
+        const messageId = `message-${nextMessageId++}`;
+        bot.sent.push({
+          channelId,
+          messageId,
+          content: options.content ?? null,
+          embeds: toJson(options.embeds)
+        });
+        return { id: messageId, channelId };
+      },
+      messages: {
+        edit: async (messageId, options) => {
+          bot.edits.push({
+            channelId,
+            messageId,
+            embeds: toJson(options.embeds)
+          });
+          return { id: messageId, channelId };
+        }
+      }
+    });
+  }
+  return bot;
+}
@@ -0,0 +1,252 @@
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import axios from 'axios';
+import { STRATZ_API_URL } from '../../src/services/stratz-client.js';
+import { OPENDOTA_API_URL } from '../../src/services/opendota-client.js';
+import { DOTABUFF_URL } from '../../src/services/dotabuff-client.js';
+
+const STRATZ_PATH = '/stratz/graphql';
+const OPENDOTA_PATH = '/opendota/api';
+const DOTABUFF_PATH = '/dotabuff';
+
+/**
+ * JSON with object keys sorted, so variables compare the same whatever order they were built in
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Offline stand-in for the STRATZ GraphQL and OpenDota REST APIs, and Dotabuff's pages
+ *
+ * Serves recorded responses from fixture files:
+ *
+ *   {
+ *     "stratz": [{ "operation": "GetWinLoss", "variables": { "steamAccountId": 1 }, "response": { "data": { ... } } }],
+ *     "opendota": [{ "method": "GET", "path": "/matches/123", "response": { ... } }],
+ *     "dotabuff": [{ "path": "/players/1", "body": "<html>...</html>" }]
+ *   }
+ *
+ * STRATZ entries match on the query's operation name and, if given, its variables; OpenDota
+ * entries on method and path; Dotabuff entries on path. Any may set "status" (default 200).
+ * A request with no fixture is answered with a GraphQL error (STRATZ) or a 404 (OpenDota,
+ * Dotabuff) and listed in `unmatched`.
+ *
+ * In record mode a request with no fixture is forwarded to the real API instead, and the
+ * response is appended to the record file. Only the operation, variables and OpenDota path
+ * are written, never the API token or key.
+ */
+export class MockApiServer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.recordFile] - Record unmatched requests from the real APIs into this fixture file
+   * @param {string} [options.stratzUrl] - Real STRATZ endpoint for record mode
+   * @param {string} [options.openDotaUrl] - Real OpenDota base URL for record mode
+   * @param {string} [options.dotabuffUrl] - Real Dotabuff site for record mode
+   * @param {Function} [options.onRequest] - (request, source) after each request; source is 'fixture', 'recorded' or 'unmatched'
+   */
+  constructor({ recordFile = null, stratzUrl = STRATZ_API_URL, openDotaUrl = OPENDOTA_API_URL, dotabuffUrl = DOTABUFF_URL, onRequest = null } = {}) {
+    this.recordFile = recordFile;
+    this.onRequest = onRequest;
+    this.upstream = { stratz: stratzUrl, opendota: openDotaUrl, dotabuff: dotabuffUrl };
+    this.fixtures = [];
+    this.recorded = { stratz: [], opendota: [], dotabuff: [] };
+    this.requests = [];
+    this.unmatched = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+  }
+
+  static async loadFixture(file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+
+  /**
+   * Replace the served fixtures; when several match a request, the last one given wins
+   */
+  use(...fixtures) {
+    this.fixtures = fixtures;
+    this.reset();
+    return this;
+  }
+
+  /**
+   * Forget the requests seen so far
+   */
+  reset() {
+    this.requests = [];
+    this.unmatched = [];
+  }
+
+  /**
+   * @param {number} [port=0] - 0 picks a free port
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    if (this.recordFile) {
+      try {
+        this.recorded = { stratz: [], opendota: [], dotabuff: [], ...await MockApiServer.loadFixture(this.recordFile) };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    const { port: actualPort } = this.server.address();
+    this.url = `http://${host}:${actualPort}`;
+    this.stratzUrl = `${this.url}${STRATZ_PATH}`;
+    this.openDotaUrl = `${this.url}${OPENDOTA_PATH}`;
+    this.dotabuffUrl = `${this.url}${DOTABUFF_PATH}`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Requests seen for one STRATZ operation or OpenDota/Dotabuff path prefix
+   */
+  requestsFor(name) {
+    return this.requests.filter(r => r.operation === name || r.path?.startsWith(name));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+
+    if (url.pathname === STRATZ_PATH && req.method === 'POST') {
+      return this.handleStratz(req, res, JSON.parse(body || '{}'));
+    }
+    if (url.pathname.startsWith(`${OPENDOTA_PATH}/`)) {
+      return this.handleOpenDota(req, res, url);
+    }
+    if (url.pathname.startsWith(`${DOTABUFF_PATH}/`)) {
+      return this.handleDotabuff(req, res, url);
+    }
+    this.send(res, 404, { error: `No mock API at ${req.method} ${url.pathname}` });
+  }
+
+  async handleStratz(req, res, { query = '', variables = {} }) {
+    const operation = query.match(/query\s+(\w+)/)?.[1] || 'anonymous';
+    const request = { provider: 'stratz', operation, variables };
+    this.requests.push(request);
+
+    const entry = this.findEntry('stratz', e =>
+      e.operation === operation && (e.variables === undefined || canonical(e.variables) === canonical(variables))
+    );
+    if (entry) return this.send(res, entry.status ?? 200, entry.response, request, 'fixture');
+
+    if (this.recordFile) {
+      const upstream = await axios.post(this.upstream.stratz, { query, variables }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': req.headers['user-agent'] || 'STRATZ_API',
+          ...(req.headers.authorization ? { Authorization: req.headers.authorization } : {})
+        },
+        validateStatus: () => true
+      });
+      await this.record('stratz', { operation, variables, status: upstream.status, response: upstream.data });
+      return this.send(res, upstream.status, upstream.data, request, 'recorded');
+    }
+
+    this.unmatched.push(request);
+    this.send(res, 200, { data: null, errors: [{ message: `No fixture for ${operation} ${canonical(variables)}` }] }, request, 'unmatched');
+  }
+
+  async handleOpenDota(req, res, url) {
+    const method = req.method.toUpperCase();
+    const endpoint = url.pathname.slice(OPENDOTA_PATH.length);
+    const request = { provider: 'opendota', method, path: endpoint };
+    this.requests.push(request);
+
+    const entry = this.findEntry('opendota', e => (e.method || 'GET').toUpperCase() === method && e.path === endpoint);
+    if (entry) return this.send(res, entry.status ?? 200, entry.response, request, 'fixture');
+
+    if (this.recordFile) {
+      const upstream = await axios({
+        method,
+        url: `${this.upstream.opendota}${endpoint}${url.search}`,
+        headers: { Accept: 'application/json' },
+        validateStatus: () => true
+      });
+      await this.record('opendota', { method, path: endpoint, status: upstream.status, response: upstream.data });
+      return this.send(res, upstream.status, upstream.data, request, 'recorded');
+    }
+
+    this.unmatched.push(request);
+    this.send(res, 404, { error: 'Not Found' }, request, 'unmatched');
+  }
+
+  async handleDotabuff(req, res, url) {
+    const endpoint = url.pathname.slice(DOTABUFF_PATH.length);
+    const request = { provider: 'dotabuff', method: req.method.toUpperCase(), path: endpoint };
+    this.requests.push(request);
+
+    const entry = this.findEntry('dotabuff', e => e.path === endpoint);
+    if (entry) return this.sendHtml(res, entry.status ?? 200, entry.body, request, 'fixture');
+
+    if (this.recordFile) {
+      const upstream = await axios.get(`${this.upstream.dotabuff}${endpoint}${url.search}`, {
+        headers: { 'User-Agent': req.headers['user-agent'], Accept: 'text/html' },
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      await this.record('dotabuff', { path: endpoint, status: upstream.status, body: upstream.data });
+      return this.sendHtml(res, upstream.status, upstream.data, request, 'recorded');
+    }
+
+    this.unmatched.push(request);
+    this.sendHtml(res, 404, '<html><body>Not Found</body></html>', request, 'unmatched');
+  }
+
+  findEntry(provider, matches) {
+    for (const fixture of [this.recorded, ...this.fixtures].reverse()) {
+      const entry = (fixture[provider] || []).find(matches);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Keep a real response for replay and write it to the record file
+   */
+  async record(provider, entry) {
+    this.recorded[provider].push(entry);
+    await fs.mkdir(path.dirname(this.recordFile), { recursive: true });
+    await fs.writeFile(this.recordFile, `${JSON.stringify(this.recorded, null, 2)}\n`);
+  }
+
+  send(res, status, data, request = null, source = null) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data ?? null));
+    if (request) this.onRequest?.(request, source);
+  }
+
+  sendHtml(res, status, body, request, source) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body ?? '');
+    this.onRequest?.(request, source);
+  }
+}
@@ -0,0 +1,187 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getDayRange,
+  getZonedDateDaysAgo,
+  formatDateLabel,
+  formatDateTimeLabel
+} from '../src/utils/timezone.js';
+import { PeriodSummaryService, SUMMARY_PERIODS } from '../src/services/period-summary-service.js';
+import { rampageCommand } from '../src/commands/rampage.js';
+
+const HOUR = 60 * 60;
+const utc = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and UTC', () => {
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('America/New_York'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+  });
+
+  test('rejects unknown names and non-strings', () => {
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(null), false);
+    assert.equal(isValidTimeZone(60), false);
+  });
+});
+
+describe('getTimeZoneOffset', () => {
+  test('follows DST in Europe/London', () => {
+    assert.equal(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/London'), 0);
+    assert.equal(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/London'), 60);
+  });
+
+  test('handles negative, half-hour and southern hemisphere offsets', () => {
+    assert.equal(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York'), -300);
+    assert.equal(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Kolkata'), 330);
+    assert.equal(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Australia/Sydney'), 660);
+    assert.equal(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Australia/Sydney'), 600);
+  });
+});
+
+describe('getDayRange', () => {
+  test('a normal London day is 24 hours from local midnight', () => {
+    const { startTimestamp, endTimestamp } = getDayRange(2026, 0, 11, 'Europe/London');
+    assert.equal(startTimestamp, utc('2026-01-11T00:00:00Z'));
+    assert.equal(endTimestamp - startTimestamp, 24 * HOUR);
+  });
+
+  test('London spring-forward day is 23 hours', () => {
+    const { startTimestamp, endTimestamp } = getDayRange(2026, 2, 29, 'Europe/London');
+    assert.equal(startTimestamp, utc('2026-03-29T00:00:00Z'));
+    assert.equal(endTimestamp, utc('2026-03-29T23:00:00Z'));
+  });
+
+  test('London fall-back day is 25 hours', () => {
+    const { startTimestamp, endTimestamp } = getDayRange(2026, 9, 25, 'Europe/London');
+    assert.equal(startTimestamp, utc('2026-10-24T23:00:00Z'));
+    assert.equal(endTimestamp, utc('2026-10-26T00:00:00Z'));
+  });
+
+  test('New York DST days are 23 and 25 hours', () => {
+    const spring = getDayRange(2026, 2, 8, 'America/New_York');
+    assert.equal(spring.startTimestamp, utc('2026-03-08T05:00:00Z'));
+    assert.equal(spring.endTimestamp - spring.startTimestamp, 23 * HOUR);
+
+    const fall = getDayRange(2026, 10, 1, 'America/New_York');
+    assert.equal(fall.startTimestamp, utc('2026-11-01T04:00:00Z'));
+    assert.equal(fall.endTimestamp - fall.startTimestamp, 25 * HOUR);
+  });
+
+  test('Sydney clocks go back in April and forward in October', () => {
+    const april = getDayRange(2026, 3, 5, 'Australia/Sydney');
+    assert.equal(april.startTimestamp, utc('2026-04-04T13:00:00Z'));
+    assert.equal(april.endTimestamp - april.startTimestamp, 25 * HOUR);
+
+    const october = getDayRange(2026, 9, 4, 'Australia/Sydney');
+    assert.equal(october.startTimestamp, utc('2026-10-03T14:00:00Z'));
+    assert.equal(october.endTimestamp - october.startTimestamp, 23 * HOUR);
+  });
+
+  test('a timezone without DST always has 24 hour days', () => {
+    const { startTimestamp, endTimestamp } = getDayRange(2026, 2, 29, 'Asia/Kolkata');
+    assert.equal(startTimestamp, utc('2026-03-28T18:30:00Z'));
+    assert.equal(endTimestamp - startTimestamp, 24 * HOUR);
+  });
+
+  test('a day whose midnight is skipped starts at the first valid time', () => {
+    // Chile moves clocks forward at midnight, so 6 Sep 2026 starts at 01:00 local
+    const { startTimestamp, endTimestamp } = getDayRange(2026, 8, 6, 'America/Santiago');
+    assert.equal(startTimestamp, utc('2026-09-06T04:00:00Z'));
+    assert.equal(endTimestamp - startTimestamp, 23 * HOUR);
+  });
+
+  test('day overflow rolls into the next month', () => {
+    assert.deepEqual(getDayRange(2026, 0, 32, 'Europe/London'), getDayRange(2026, 1, 1, 'Europe/London'));
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  test('a repeated time resolves to its first occurrence', () => {
+    // 01:30 happens twice in London on 25 Oct 2026 (BST, then GMT)
+    assert.equal(zonedTimeToUtc(2026, 9, 25, 1, 30, 'Europe/London'), utc('2026-10-25T00:30:00Z'));
+  });
+
+  test('a skipped time moves forward by the length of the jump', () => {
+    // 01:30 does not exist in London on 29 Mar 2026
+    assert.equal(zonedTimeToUtc(2026, 2, 29, 1, 30, 'Europe/London'), utc('2026-03-29T01:30:00Z'));
+  });
+});
+
+describe('getZonedDateDaysAgo', () => {
+  test('uses the calendar date in the timezone, not UTC', () => {
+    const now = new Date('2026-07-01T23:30:00Z'); // already 2 Jul in London and Sydney
+    assert.deepEqual(getZonedDateDaysAgo(0, 'Europe/London', now), { year: 2026, month: 6, day: 2 });
+    assert.deepEqual(getZonedDateDaysAgo(0, 'America/New_York', now), { year: 2026, month: 6, day: 1 });
+    assert.deepEqual(getZonedDateDaysAgo(1, 'Australia/Sydney', now), { year: 2026, month: 6, day: 1 });
+  });
+
+  test('crosses month and year boundaries', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    assert.deepEqual(getZonedDateDaysAgo(1, 'Europe/London', now), { year: 2025, month: 11, day: 31 });
+  });
+});
+
+describe('date labels', () => {
+  test('label the local date around midnight', () => {
+    const ts = utc('2026-07-01T23:30:00Z');
+    assert.equal(formatDateLabel(ts, 'UTC'), '1-Jul-2026');
+    assert.equal(formatDateLabel(ts, 'Europe/London'), '2-Jul-2026');
+    assert.equal(formatDateTimeLabel(ts, 'Europe/London'), '2-Jul-2026 00:30');
+    assert.equal(formatDateTimeLabel(ts, 'America/Los_Angeles'), '1-Jul-2026 16:30');
+  });
+});
+
+describe('/rampage day ranges', () => {
+  test('cover the whole local day across a DST change', () => {
+    const range = rampageCommand.parseDayParameter('25-Oct-2026', 'Europe/London');
+    assert.equal(range.startTimestamp, utc('2026-10-24T23:00:00Z'));
+    assert.equal(range.endTimestamp, utc('2026-10-26T00:00:00Z') - 1);
+    assert.equal(range.dateString, '25-Oct-2026');
+  });
+
+  test('use the requested timezone', () => {
+    const range = rampageCommand.parseDayParameter('11-Jan-2026', 'America/New_York');
+    assert.equal(range.startTimestamp, utc('2026-01-11T05:00:00Z'));
+  });
+});
+
+describe('PeriodSummaryService ranges', () => {
+  const service = new PeriodSummaryService(null, null, null);
+
+  test('last week spans the spring-forward change in the given timezone', () => {
+    const range = service.getPeriodRange(SUMMARY_PERIODS.WEEKLY, {
+      now: new Date('2026-04-01T12:00:00Z'),
+      timeZone: 'Europe/London'
+    });
+    assert.equal(range.start, utc('2026-03-23T00:00:00Z'));
+    assert.equal(range.end, utc('2026-03-29T23:00:00Z'));
+    assert.equal(range.key, '2026-03-23');
+    assert.equal(range.label, '23-Mar-2026 to 29-Mar-2026');
+  });
+
+  test('the week rolls over at local midnight', () => {
+    // Sunday 23:30 in New York is already Monday in UTC
+    const range = service.getPeriodRange(SUMMARY_PERIODS.WEEKLY, {
+      current: true,
+      now: new Date('2026-03-16T03:30:00Z'),
+      timeZone: 'America/New_York'
+    });
+    assert.equal(range.key, '2026-03-09');
+  });
+
+  test('last month starts at local midnight on the 1st', () => {
+    const range = service.getPeriodRange(SUMMARY_PERIODS.MONTHLY, {
+      now: new Date('2026-11-02T12:00:00Z'),
+      timeZone: 'Australia/Sydney'
+    });
+    assert.equal(range.start, utc('2026-09-30T14:00:00Z'));
+    assert.equal(range.end, utc('2026-10-31T13:00:00Z'));
+    assert.equal(range.label, 'October 2026');
+  });
+});